@@ -12,6 +12,13 @@ import assignmentRoutes from './routes/assignments.js';
 import qnaRoutes from './routes/qna.js';
 import labRoutes from './routes/lab.js';
 import reportRoutes from './routes/reports.js';
+import adminRoutes from './routes/admin.js';
+import classRoutes from './routes/classes.js';
+import fileRoutes from './routes/files.js';
+import rubricRoutes from './routes/rubrics.js';
+import gradebookRoutes from './routes/gradebooks.js';
+import { publishScheduledAssignments } from './services/assignmentService.js';
+import { assignDuePeerReviews } from './services/peerReviewService.js';
 
 const app = express();
 
@@ -48,11 +55,24 @@ app.use('/api/assignments', assignmentRoutes);
 app.use('/api/qna', qnaRoutes);
 app.use('/api/lab', labRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/classes', classRoutes);
+app.use('/api/files', fileRoutes);
+app.use('/api/rubrics', rubricRoutes);
+app.use('/api/gradebooks', gradebookRoutes);
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
+
+// Announce scheduled assignments once their publishAt time has passed,
+// and assign peer reviewers once peer-reviewed assignments are due
+const ASSIGNMENT_PUBLISH_INTERVAL_MS = 60 * 1000;
+setInterval(() => {
+  publishScheduledAssignments().catch(err => console.error('Error publishing scheduled assignments:', err));
+  assignDuePeerReviews().catch(err => console.error('Error assigning peer reviews:', err));
+}, ASSIGNMENT_PUBLISH_INTERVAL_MS).unref();
 app.get('/', (req, res) => {
   res.send('Hello World');
 });
@@ -0,0 +1,24 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+/**
+ * Authentication configuration
+ * Shared by the auth controller (token signing) and the auth middleware (token verification)
+ */
+if (!process.env.JWT_SECRET) {
+  throw new Error('JWT_SECRET environment variable is required');
+}
+
+export const JWT_SECRET = process.env.JWT_SECRET;
+
+// Short-lived access tokens; sessions are kept alive with rotating refresh tokens
+export const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Single-use email links
+export const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+export const EMAIL_VERIFICATION_TTL_MS = 48 * 60 * 60 * 1000; // 48 hours
+export const ACCOUNT_INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days, for bulk-imported accounts
+
+// When enabled, users must verify their email before they can log in
+export const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
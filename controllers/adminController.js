@@ -0,0 +1,839 @@
+import mongoose from 'mongoose';
+import School from '../models/schoolModels.js';
+import User from '../models/userModels.js';
+import Class from '../models/classModels.js';
+import AuditLog from '../models/auditLogModels.js';
+import { recordAudit } from '../services/auditService.js';
+import { revokeAllSessions } from '../services/tokenService.js';
+import { normalizeSchoolSettings } from '../services/schoolService.js';
+import { runImport, exportRoster } from '../services/importService.js';
+import { sendServiceError } from '../utils/errors.js';
+
+/**
+ * Admin Console Controller
+ * School management, user search/suspension, role changes, student reassignment and the audit trail
+ */
+
+const VALID_ROLES = ['student', 'teacher', 'parent', 'admin'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parsePagination = (query) => {
+  const pageNum = Math.max(parseInt(query.page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+const buildPagination = (pageNum, limitNum, totalItems) => ({
+  currentPage: pageNum,
+  totalPages: Math.ceil(totalItems / limitNum),
+  totalItems,
+  itemsPerPage: limitNum
+});
+
+const formatSchool = (school) => ({
+  id: school._id,
+  name: school.name,
+  code: school.code,
+  address: school.address || {},
+  contactEmail: school.contactEmail || null,
+  phone: school.phone || null,
+  settings: {
+    allowedLevels: school.settings?.allowedLevels || [],
+    subjects: school.settings?.subjects || [],
+    gradingScale: (school.settings?.gradingScale || []).map(({ letter, minPercentage }) => ({ letter, minPercentage }))
+  },
+  isActive: school.isActive,
+  createdAt: school.createdAt,
+  updatedAt: school.updatedAt
+});
+
+const formatUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  role: user.role,
+  accountStatus: user.accountStatus || 'active',
+  emailVerified: user.emailVerified || false,
+  schoolId: user.schoolId || null,
+  profile: {
+    firstName: user.profile?.firstName,
+    lastName: user.profile?.lastName,
+    grade: user.profile?.grade,
+    subjects: user.profile?.subjects,
+    children: user.profile?.children
+  },
+  selectedLevel: user.selectedLevel || null,
+  pathSelected: user.pathSelected || false,
+  suspendedAt: user.suspendedAt || null,
+  suspensionReason: user.suspensionReason || null,
+  lastActive: user.lastActive || null
+});
+
+const notFound = (res, code, message) => res.status(404).json({
+  success: false,
+  error: { code, message }
+});
+
+const serverError = (res, code, message, error) => {
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: { code, message, details: error.message }
+  });
+};
+
+// ===== Schools =====
+
+/**
+ * Create School
+ * POST /api/admin/schools
+ */
+export const createSchool = async (req, res) => {
+  try {
+    const { name, code, address, contactEmail, phone } = req.body;
+
+    if (!name || !code) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'MISSING_REQUIRED_FIELDS', message: 'Missing required fields: name, code' }
+      });
+    }
+
+    const existing = await School.findOne({ code: code.toUpperCase() });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'SCHOOL_CODE_EXISTS', message: `School code ${code} is already in use` }
+      });
+    }
+
+    const school = await School.create({
+      name,
+      code,
+      address,
+      contactEmail,
+      phone,
+      createdBy: req.user._id
+    });
+
+    await recordAudit(req, {
+      action: 'school.create',
+      targetType: 'school',
+      targetId: school._id,
+      after: formatSchool(school)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'School created successfully',
+      data: { school: formatSchool(school) }
+    });
+  } catch (error) {
+    serverError(res, 'SCHOOL_CREATION_FAILED', 'Failed to create school', error);
+  }
+};
+
+/**
+ * List Schools
+ * GET /api/admin/schools
+ * Query params: search, isActive, page, limit
+ */
+export const getSchools = async (req, res) => {
+  try {
+    const { search, isActive } = req.query;
+    const { pageNum, limitNum, skip } = parsePagination(req.query);
+
+    const filter = {};
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ name: pattern }, { code: pattern }];
+    }
+
+    const [schools, totalItems] = await Promise.all([
+      School.find(filter).sort({ name: 1 }).skip(skip).limit(limitNum).lean(),
+      School.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        schools: schools.map(formatSchool),
+        pagination: buildPagination(pageNum, limitNum, totalItems)
+      }
+    });
+  } catch (error) {
+    serverError(res, 'SCHOOLS_FETCH_FAILED', 'Failed to fetch schools', error);
+  }
+};
+
+/**
+ * Get School with user counts
+ * GET /api/admin/schools/:schoolId
+ */
+export const getSchool = async (req, res) => {
+  try {
+    const { schoolId } = req.params;
+
+    const school = await School.findById(schoolId).lean();
+    if (!school) {
+      return notFound(res, 'SCHOOL_NOT_FOUND', 'School not found');
+    }
+
+    const roleCounts = await User.aggregate([
+      { $match: { schoolId: school._id } },
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const classCount = await Class.countDocuments({ schoolId: school._id, isActive: true });
+
+    const userCounts = { student: 0, teacher: 0, parent: 0, admin: 0 };
+    roleCounts.forEach(({ _id, count }) => { userCounts[_id] = count; });
+
+    res.json({
+      success: true,
+      data: {
+        school: formatSchool(school),
+        stats: { userCounts, classCount }
+      }
+    });
+  } catch (error) {
+    serverError(res, 'SCHOOL_FETCH_FAILED', 'Failed to fetch school', error);
+  }
+};
+
+/**
+ * Update School
+ * PUT /api/admin/schools/:schoolId
+ */
+export const updateSchool = async (req, res) => {
+  try {
+    const { schoolId } = req.params;
+
+    const school = await School.findById(schoolId);
+    if (!school) {
+      return notFound(res, 'SCHOOL_NOT_FOUND', 'School not found');
+    }
+
+    const before = formatSchool(school);
+    const allowedFields = ['name', 'code', 'address', 'contactEmail', 'phone', 'isActive'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) school[field] = req.body[field];
+    });
+
+    if (req.body.code && req.body.code.toUpperCase() !== before.code) {
+      const existing = await School.findOne({ code: req.body.code.toUpperCase(), _id: { $ne: school._id } });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          error: { code: 'SCHOOL_CODE_EXISTS', message: `School code ${req.body.code} is already in use` }
+        });
+      }
+    }
+
+    await school.save();
+
+    await recordAudit(req, {
+      action: 'school.update',
+      targetType: 'school',
+      targetId: school._id,
+      before,
+      after: formatSchool(school)
+    });
+
+    res.json({
+      success: true,
+      message: 'School updated successfully',
+      data: { school: formatSchool(school) }
+    });
+  } catch (error) {
+    serverError(res, 'SCHOOL_UPDATE_FAILED', 'Failed to update school', error);
+  }
+};
+
+/**
+ * Update School Settings (allowed levels, subjects, grading scale)
+ * PUT /api/admin/schools/:schoolId/settings
+ */
+export const updateSchoolSettings = async (req, res) => {
+  try {
+    const { schoolId } = req.params;
+
+    const school = await School.findById(schoolId);
+    if (!school) {
+      return notFound(res, 'SCHOOL_NOT_FOUND', 'School not found');
+    }
+
+    const updates = normalizeSchoolSettings(req.body);
+    const before = formatSchool(school).settings;
+
+    Object.entries(updates).forEach(([key, value]) => {
+      school.settings[key] = value;
+    });
+    await school.save();
+
+    const after = formatSchool(school).settings;
+    await recordAudit(req, {
+      action: 'school.settings_update',
+      targetType: 'school',
+      targetId: school._id,
+      before,
+      after,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'School settings updated successfully',
+      data: { schoolId: school._id, settings: after }
+    });
+  } catch (error) {
+    if (!error.status) console.error('Failed to update school settings:', error);
+    sendServiceError(res, error, { code: 'SCHOOL_SETTINGS_UPDATE_FAILED', message: 'Failed to update school settings' });
+  }
+};
+
+/**
+ * Delete School - deactivates when users still belong to it, removes it otherwise
+ * DELETE /api/admin/schools/:schoolId
+ */
+export const deleteSchool = async (req, res) => {
+  try {
+    const { schoolId } = req.params;
+
+    const school = await School.findById(schoolId);
+    if (!school) {
+      return notFound(res, 'SCHOOL_NOT_FOUND', 'School not found');
+    }
+
+    const memberCount = await User.countDocuments({ schoolId: school._id });
+    const before = formatSchool(school);
+
+    if (memberCount > 0) {
+      school.isActive = false;
+      await school.save();
+    } else {
+      await School.findByIdAndDelete(schoolId);
+    }
+
+    await recordAudit(req, {
+      action: memberCount > 0 ? 'school.deactivate' : 'school.delete',
+      targetType: 'school',
+      targetId: school._id,
+      before,
+      after: memberCount > 0 ? formatSchool(school) : null,
+      reason: req.body?.reason
+    });
+
+    res.json({
+      success: true,
+      message: memberCount > 0
+        ? `School deactivated (${memberCount} users still belong to it)`
+        : 'School deleted successfully'
+    });
+  } catch (error) {
+    serverError(res, 'SCHOOL_DELETE_FAILED', 'Failed to delete school', error);
+  }
+};
+
+// ===== Users =====
+
+/**
+ * List / search users
+ * GET /api/admin/users
+ * Query params: search, role, schoolId, status, level, page, limit
+ */
+export const getUsers = async (req, res) => {
+  try {
+    const { search, role, schoolId, status, level } = req.query;
+    const { pageNum, limitNum, skip } = parsePagination(req.query);
+
+    const filter = {};
+    if (role) filter.role = role;
+    if (schoolId) filter.schoolId = schoolId === 'none' ? null : schoolId;
+    if (level) filter.selectedLevel = parseInt(level);
+    if (status) filter.accountStatus = status === 'active' ? { $in: ['active', null] } : status;
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [
+        { email: pattern },
+        { 'profile.firstName': pattern },
+        { 'profile.lastName': pattern }
+      ];
+    }
+
+    const [users, totalItems] = await Promise.all([
+      User.find(filter).select('-password').sort({ email: 1 }).skip(skip).limit(limitNum).lean(),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map(formatUser),
+        pagination: buildPagination(pageNum, limitNum, totalItems)
+      }
+    });
+  } catch (error) {
+    serverError(res, 'USERS_FETCH_FAILED', 'Failed to fetch users', error);
+  }
+};
+
+/**
+ * Get a single user
+ * GET /api/admin/users/:userId
+ */
+export const getUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('-password').lean();
+    if (!user) {
+      return notFound(res, 'USER_NOT_FOUND', 'User not found');
+    }
+
+    const school = user.schoolId ? await School.findById(user.schoolId).lean() : null;
+
+    res.json({
+      success: true,
+      data: {
+        user: formatUser(user),
+        school: school ? formatSchool(school) : null
+      }
+    });
+  } catch (error) {
+    serverError(res, 'USER_FETCH_FAILED', 'Failed to fetch user', error);
+  }
+};
+
+/**
+ * Suspend a user and end all their sessions
+ * PUT /api/admin/users/:userId/suspend
+ */
+export const suspendUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body;
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'CANNOT_SUSPEND_SELF', message: 'You cannot suspend your own account' }
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return notFound(res, 'USER_NOT_FOUND', 'User not found');
+    }
+    if (user.accountStatus === 'suspended') {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'ALREADY_SUSPENDED', message: 'User is already suspended' }
+      });
+    }
+
+    const before = { accountStatus: user.accountStatus || 'active' };
+    user.accountStatus = 'suspended';
+    user.suspendedAt = new Date();
+    user.suspensionReason = reason || '';
+    await user.save();
+    await revokeAllSessions(user._id, 'logout_all');
+
+    await recordAudit(req, {
+      action: 'user.suspend',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: { accountStatus: 'suspended' },
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: 'User suspended successfully',
+      data: { user: formatUser(user) }
+    });
+  } catch (error) {
+    serverError(res, 'USER_SUSPEND_FAILED', 'Failed to suspend user', error);
+  }
+};
+
+/**
+ * Lift a suspension
+ * PUT /api/admin/users/:userId/reactivate
+ */
+export const reactivateUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return notFound(res, 'USER_NOT_FOUND', 'User not found');
+    }
+    if (user.accountStatus !== 'suspended') {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'NOT_SUSPENDED', message: 'User is not suspended' }
+      });
+    }
+
+    user.accountStatus = 'active';
+    user.suspendedAt = undefined;
+    user.suspensionReason = undefined;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.reactivate',
+      targetType: 'user',
+      targetId: user._id,
+      before: { accountStatus: 'suspended' },
+      after: { accountStatus: 'active' },
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'User reactivated successfully',
+      data: { user: formatUser(user) }
+    });
+  } catch (error) {
+    serverError(res, 'USER_REACTIVATE_FAILED', 'Failed to reactivate user', error);
+  }
+};
+
+/**
+ * Change a user's role. Existing sessions are ended because tokens carry the role.
+ * PUT /api/admin/users/:userId/role
+ */
+export const changeUserRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role, reason } = req.body;
+
+    if (!VALID_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'INVALID_ROLE', message: `Role must be one of: ${VALID_ROLES.join(', ')}` }
+      });
+    }
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'CANNOT_CHANGE_OWN_ROLE', message: 'You cannot change your own role' }
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return notFound(res, 'USER_NOT_FOUND', 'User not found');
+    }
+    if (user.role === role) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'ROLE_UNCHANGED', message: `User already has role ${role}` }
+      });
+    }
+
+    const before = { role: user.role };
+    user.role = role;
+    await user.save();
+    await revokeAllSessions(user._id, 'logout_all');
+
+    await recordAudit(req, {
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: { role },
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: `Role changed from ${before.role} to ${role}`,
+      data: { user: formatUser(user) }
+    });
+  } catch (error) {
+    serverError(res, 'USER_ROLE_CHANGE_FAILED', 'Failed to change user role', error);
+  }
+};
+
+/**
+ * Move a user to another school (or remove the school with schoolId: null)
+ * PUT /api/admin/users/:userId/school
+ */
+export const changeUserSchool = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { schoolId, reason } = req.body;
+
+    if (schoolId === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'MISSING_REQUIRED_FIELDS', message: 'Missing required field: schoolId' }
+      });
+    }
+
+    if (schoolId) {
+      const school = await School.findById(schoolId);
+      if (!school || !school.isActive) {
+        return notFound(res, 'SCHOOL_NOT_FOUND', 'Active school not found');
+      }
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return notFound(res, 'USER_NOT_FOUND', 'User not found');
+    }
+
+    const before = { schoolId: user.schoolId || null };
+    user.schoolId = schoolId || undefined;
+    await user.save();
+
+    // Students leave the classes of their previous school
+    let classesLeft = 0;
+    if (user.role === 'student' && before.schoolId && String(before.schoolId) !== String(schoolId)) {
+      const result = await Class.updateMany(
+        { schoolId: before.schoolId, students: user._id },
+        { $pull: { students: user._id } }
+      );
+      classesLeft = result.modifiedCount;
+    }
+
+    await recordAudit(req, {
+      action: 'user.school_change',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: { schoolId: schoolId || null },
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: 'School updated successfully',
+      data: { user: formatUser(user), classesLeft }
+    });
+  } catch (error) {
+    serverError(res, 'USER_SCHOOL_CHANGE_FAILED', 'Failed to change user school', error);
+  }
+};
+
+/**
+ * Reassign students to another level and/or school
+ * PUT /api/admin/students/reassign
+ * Body: { studentIds: [...], level?, schoolId?, reason? }
+ */
+export const reassignStudents = async (req, res) => {
+  try {
+    const { studentIds, level, schoolId, reason } = req.body;
+
+    if (!Array.isArray(studentIds) || studentIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'MISSING_REQUIRED_FIELDS', message: 'studentIds must be a non-empty array' }
+      });
+    }
+    if (level === undefined && schoolId === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'NOTHING_TO_UPDATE', message: 'Provide a level and/or schoolId' }
+      });
+    }
+    if (level !== undefined && (level < 1 || level > 5)) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'INVALID_LEVEL', message: 'Level must be between 1 and 5' }
+      });
+    }
+    if (studentIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'INVALID_STUDENT_ID', message: 'One or more student IDs are invalid' }
+      });
+    }
+
+    if (schoolId) {
+      const school = await School.findById(schoolId);
+      if (!school || !school.isActive) {
+        return notFound(res, 'SCHOOL_NOT_FOUND', 'Active school not found');
+      }
+    }
+
+    const students = await User.find({ _id: { $in: studentIds }, role: 'student' });
+    const foundIds = new Set(students.map(s => s._id.toString()));
+    const notFoundIds = studentIds.filter(id => !foundIds.has(id.toString()));
+
+    const updated = [];
+    for (const student of students) {
+      const before = { selectedLevel: student.selectedLevel || null, schoolId: student.schoolId || null };
+
+      if (level !== undefined) {
+        student.selectedLevel = level;
+        student.pathSelected = true;
+      }
+      if (schoolId !== undefined) {
+        student.schoolId = schoolId || undefined;
+      }
+      await student.save();
+
+      // Drop enrollments that no longer match the new level/school
+      const staleClasses = { students: student._id, $or: [] };
+      if (level !== undefined) staleClasses.$or.push({ level: { $ne: level } });
+      if (schoolId !== undefined) staleClasses.$or.push({ schoolId: { $ne: schoolId || null } });
+      await Class.updateMany(staleClasses, { $pull: { students: student._id } });
+
+      const after = { selectedLevel: student.selectedLevel || null, schoolId: student.schoolId || null };
+      await recordAudit(req, {
+        action: 'student.reassign',
+        targetType: 'user',
+        targetId: student._id,
+        before,
+        after,
+        reason
+      });
+
+      updated.push({ id: student._id, email: student.email, ...after });
+    }
+
+    res.json({
+      success: true,
+      message: `${updated.length} student(s) reassigned`,
+      data: { updated, notFound: notFoundIds }
+    });
+  } catch (error) {
+    serverError(res, 'STUDENT_REASSIGN_FAILED', 'Failed to reassign students', error);
+  }
+};
+
+// ===== Roster import and export =====
+
+/**
+ * Bulk import students, parents or class rosters from CSV
+ * POST /api/admin/import/:type  (type: students | parents | classes)
+ * Body: raw CSV (Content-Type: text/csv) or JSON { csv, schoolId, dryRun }
+ * Query params: schoolId, dryRun (defaults to true; pass dryRun=false to create the records)
+ */
+export const importRoster = async (req, res) => {
+  try {
+    const { type } = req.params;
+    const body = typeof req.body === 'string' ? { csv: req.body } : (req.body || {});
+    const schoolId = req.query.schoolId || body.schoolId;
+    const dryRunValue = req.query.dryRun ?? body.dryRun;
+    const dryRun = !(dryRunValue === false || dryRunValue === 'false');
+
+    if (!body.csv) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'MISSING_REQUIRED_FIELDS', message: 'CSV content is required' }
+      });
+    }
+
+    const result = await runImport(type, body.csv, { schoolId, dryRun });
+
+    if (result.committed) {
+      await recordAudit(req, {
+        action: `import.${type}`,
+        targetType: 'school',
+        targetId: schoolId,
+        after: { ...result.summary, createdIds: result.created.map(entry => entry.id) }
+      });
+    }
+
+    const hasErrors = result.summary.invalidRows > 0;
+    // Valid rows can still fail while being created (e.g. an email registered meanwhile)
+    const partlyFailed = result.committed && result.summary.failed > 0;
+    res.status(hasErrors && !dryRun ? 422 : partlyFailed ? 207 : 200).json({
+      success: !hasErrors && !partlyFailed,
+      message: dryRun
+        ? `Dry run: ${result.summary.validRows} of ${result.summary.totalRows} rows are valid`
+        : hasErrors
+          ? 'Import rejected: fix the listed rows and try again'
+          : partlyFailed
+            ? `Imported ${result.summary.created} of ${result.summary.totalRows} rows; ${result.summary.failed} failed, see errors`
+            : `Imported ${result.summary.created} of ${result.summary.totalRows} rows`,
+      data: result
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error importing roster:', error);
+    sendServiceError(res, error, { code: 'IMPORT_FAILED', message: 'Failed to import CSV' });
+  }
+};
+
+/**
+ * Export students, parents or class rosters as CSV (same columns as the import)
+ * GET /api/admin/export/:type
+ * Query params: schoolId, classId (classes only)
+ */
+export const exportRosterCsv = async (req, res) => {
+  try {
+    const { type } = req.params;
+    const { schoolId, classId } = req.query;
+
+    const csv = await exportRoster(type, { schoolId, classId });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${type}-${schoolId || 'no-school'}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    if (!error.status) console.error('Error exporting roster:', error);
+    sendServiceError(res, error, { code: 'EXPORT_FAILED', message: 'Failed to export CSV' });
+  }
+};
+
+// ===== Audit trail =====
+
+/**
+ * Browse the audit trail
+ * GET /api/admin/audit-logs
+ * Query params: actorId, action, targetType, targetId, from, to, page, limit
+ */
+export const getAuditLogs = async (req, res) => {
+  try {
+    const { actorId, action, targetType, targetId, from, to } = req.query;
+    const { pageNum, limitNum, skip } = parsePagination(req.query);
+
+    const filter = {};
+    if (actorId) filter.actorId = actorId;
+    if (action) filter.action = action;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [logs, totalItems] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actorId', 'email profile.firstName profile.lastName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        logs: logs.map(log => ({
+          id: log._id,
+          action: log.action,
+          actor: log.actorId ? {
+            id: log.actorId._id,
+            email: log.actorId.email,
+            name: `${log.actorId.profile?.firstName || ''} ${log.actorId.profile?.lastName || ''}`.trim()
+          } : null,
+          actorRole: log.actorRole,
+          targetType: log.targetType,
+          targetId: log.targetId,
+          changes: log.changes,
+          reason: log.reason || null,
+          ip: log.ip || null,
+          createdAt: log.createdAt
+        })),
+        pagination: buildPagination(pageNum, limitNum, totalItems)
+      }
+    });
+  } catch (error) {
+    serverError(res, 'AUDIT_LOGS_FETCH_FAILED', 'Failed to fetch audit logs', error);
+  }
+};
@@ -1,7 +1,33 @@
-import { Assignment, Submission, calculateLetterGrade } from '../models/assignmentModels.js';
+import { Assignment, Submission, getAssignmentStatus, isAssignmentPublished } from '../models/assignmentModels.js';
 import User from '../models/userModels.js';
 import Class from '../models/classModels.js';
-import { createNotification } from './notificationController.js';
+import { getSchoolSettings, assertAllowedBySchool } from '../services/schoolService.js';
+import { getAssignmentStudents } from '../services/classService.js';
+import {
+  parseDueDate,
+  parsePublishAt,
+  validateClassIds,
+  validateFileSettings,
+  getChangedGradingFields,
+  notifyAssignmentStudents,
+  hasGrade,
+  getSubmissionStatus,
+  gradeSubmission as gradeSubmissionService
+} from '../services/assignmentService.js';
+import {
+  bulkGradeSubmissions as bulkGradeSubmissionsService,
+  exportAssignmentGrades,
+  importAssignmentGrades
+} from '../services/bulkGradingService.js';
+import { formatFile } from '../services/fileService.js';
+import { suggestGrade as suggestGradeService } from '../services/gradeSuggestionService.js';
+import { getSimilarityReports } from '../services/similarityService.js';
+import { validateRubric, loadTemplate, getRubricAnalytics } from '../services/rubricService.js';
+import { validateLatePolicy, grantExtension, revokeExtension, formatExtension } from '../services/latePolicyService.js';
+import { validateGradebookCategory } from '../services/gradebookService.js';
+import { validatePeerReviewSettings } from '../services/peerReviewService.js';
+import { validateGroupSettings, assertGroupsWithoutPeerReview } from '../services/groupService.js';
+import { ServiceError, sendServiceError } from '../utils/errors.js';
 
 /**
  * Assignment Management Controller
@@ -23,9 +49,15 @@ export const createAssignment = async (req, res) => {
       dueDate,
       totalPoints,
       rubric,
+      rubricTemplateId,
       allowedFileTypes,
       maxFileSize,
       isVisible,
+      publishAt,
+      latePolicy,
+      gradebookCategory,
+      peerReview,
+      groupSettings,
       teacherId,
       classIds
     } = req.body;
@@ -33,27 +65,18 @@ export const createAssignment = async (req, res) => {
     console.log('Creating assignment:', req.body);
 
     // Validation
-    if (!title || !description || !subject || !level || !dueDate || !totalPoints || !teacherId) {
+    if (!title || !description || !subject || !level || !dueDate || (!totalPoints && !rubricTemplateId) || !teacherId) {
       return res.status(400).json({
         success: false,
         error: {
           code: 'MISSING_REQUIRED_FIELDS',
-          message: 'Missing required fields: title, description, subject, level, dueDate, totalPoints, teacherId'
+          message: 'Missing required fields: title, description, subject, level, dueDate, totalPoints (or rubricTemplateId), teacherId'
         }
       });
     }
 
-    // Validate due date
-    const dueDateObj = new Date(dueDate);
-    const now = new Date();
-    const oneMinuteAgo = new Date(now.getTime() - 60000); // 1 minute ago for lenient testing
-
-    if (dueDateObj <= oneMinuteAgo) {
-      return res.status(400).json({
-        success: false,
-        error: { code: 'INVALID_DUE_DATE', message: 'Due date must be in the future' }
-      });
-    }
+    // Validate due date (1 minute of leeway for client clock skew)
+    const dueDateObj = parseDueDate(dueDate, 60000);
 
     // Validate teacher
     const teacher = await User.findById(teacherId);
@@ -64,19 +87,22 @@ export const createAssignment = async (req, res) => {
       });
     }
 
-    // Validate rubric if provided
-    if (rubric && rubric.length > 0) {
-      const rubricTotal = rubric.reduce((sum, item) => sum + item.maxPoints, 0);
-      if (rubricTotal !== totalPoints) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: 'RUBRIC_TOTAL_MISMATCH',
-            message: `Rubric total (${rubricTotal}) must equal assignment total points (${totalPoints})`
-          }
-        });
-      }
-    }
+    // Level and subject must be offered by the teacher's school
+    const schoolSettings = await getSchoolSettings(teacher.schoolId);
+    assertAllowedBySchool(schoolSettings, { level, subject });
+
+    const targetClassIds = await validateClassIds(classIds, teacherId);
+    // A template supplies the rubric, and the total points unless given
+    const template = rubricTemplateId ? await loadTemplate(rubricTemplateId, teacher) : null;
+    const points = totalPoints || (template && template.totalPoints);
+    const validatedRubric = validateRubric(template ? template.criteria : rubric, points);
+    const publishAtObj = parsePublishAt(publishAt, dueDateObj);
+    const fileSettings = validateFileSettings(allowedFileTypes, maxFileSize);
+    const latePolicySettings = validateLatePolicy(latePolicy, dueDateObj);
+    const category = gradebookCategory === undefined ? 'assignments' : validateGradebookCategory(gradebookCategory);
+    const peerReviewSettings = validatePeerReviewSettings(peerReview);
+    const groupWork = validateGroupSettings(groupSettings);
+    assertGroupsWithoutPeerReview(groupWork, peerReviewSettings);
 
     // Create assignment
     const assignment = new Assignment({
@@ -86,54 +112,29 @@ export const createAssignment = async (req, res) => {
       subject,
       level,
       dueDate: dueDateObj,
-      totalPoints,
-      rubric: rubric || [],
-      allowedFileTypes: allowedFileTypes || ['pdf', 'doc', 'docx', 'ppt', 'pptx'],
-      maxFileSize: maxFileSize || 10485760, // 10MB default
+      totalPoints: points,
+      rubric: validatedRubric,
+      rubricTemplateId: template?._id,
+      allowedFileTypes: fileSettings.allowedFileTypes || ['pdf', 'doc', 'docx', 'ppt', 'pptx'],
+      maxFileSize: fileSettings.maxFileSize || 10485760, // 10MB default
       isVisible: isVisible !== false, // Default to true
-      teacherId
+      publishAt: publishAtObj,
+      latePolicy: latePolicySettings,
+      gradebookCategory: category,
+      peerReview: peerReviewSettings,
+      groupSettings: groupWork,
+      teacherId,
+      schoolId: teacher.schoolId || null,
+      classIds: targetClassIds
     });
 
     const savedAssignment = await assignment.save();
 
-    // Auto-enroll students based on level if no specific classes provided
-    let studentsNotified = 0;
-    if (!classIds || classIds.length === 0) {
-      try {
-        // Find all students at this level
-        const studentsAtLevel = await User.find({
-          role: 'student',
-          selectedLevel: level
-        });
-
-        console.log(`Found ${studentsAtLevel.length} students at level ${level} for auto-notification`);
-
-        // Send notifications to all students at this level
-        for (const student of studentsAtLevel) {
-          try {
-            await createNotification({
-              userId: student._id,
-              type: 'assignment_created',
-              message: `New assignment available: "${title}" (Level ${level})`,
-              data: {
-                assignmentId: savedAssignment._id,
-                assignmentTitle: title,
-                subject,
-                level,
-                dueDate: dueDateObj,
-                teacherName: `${teacher.profile?.firstName || ''} ${teacher.profile?.lastName || ''}`.trim()
-              },
-              link: `/student/assignments/${savedAssignment._id}`
-            });
-            studentsNotified++;
-          } catch (notifError) {
-            console.error(`Error notifying student ${student._id}:`, notifError);
-          }
-        }
-      } catch (error) {
-        console.error('Error with auto-enrollment notifications:', error);
-      }
-    }
+    // Notify the members of the targeted classes, or every student at the level.
+    // Scheduled assignments are announced by publishScheduledAssignments once publishAt passes.
+    const studentsNotified = isAssignmentPublished(savedAssignment)
+      ? await notifyAssignmentStudents(savedAssignment, teacher)
+      : 0;
 
     res.status(201).json({
       success: true,
@@ -146,13 +147,19 @@ export const createAssignment = async (req, res) => {
         level: savedAssignment.level,
         dueDate: savedAssignment.dueDate,
         totalPoints: savedAssignment.totalPoints,
+        gradebookCategory: savedAssignment.gradebookCategory,
+        peerReview: savedAssignment.peerReview,
+        groupSettings: savedAssignment.groupSettings,
         isVisible: savedAssignment.isVisible,
+        publishAt: savedAssignment.publishAt,
+        status: savedAssignment.status,
         createdAt: savedAssignment.createdAt,
         studentsNotified
       }
     });
 
   } catch (error) {
+    if (error.status) return sendServiceError(res, error);
     console.error('Error creating assignment:', error);
     res.status(500).json({
       success: false,
@@ -172,7 +179,7 @@ export const createAssignment = async (req, res) => {
 export const getTeacherAssignments = async (req, res) => {
   try {
     const { teacherId } = req.params;
-    const { status, subject, level } = req.query;
+    const { status, subject, level, includeDeleted } = req.query;
 
     console.log('Getting assignments for teacher:', teacherId, 'with filters:', req.query);
 
@@ -187,6 +194,7 @@ export const getTeacherAssignments = async (req, res) => {
 
     // Build filter
     const filter = { teacherId };
+    if (includeDeleted !== 'true') filter.isDeleted = { $ne: true };
     if (subject) filter.subject = subject;
     if (level) filter.level = parseInt(level);
 
@@ -199,15 +207,9 @@ export const getTeacherAssignments = async (req, res) => {
     const now = new Date();
     const assignmentsWithStats = await Promise.all(
       assignments.map(async (assignment) => {
-        // Calculate assignment status
-        let assignmentStatus;
-        if (!assignment.isVisible) {
-          assignmentStatus = 'draft';
-        } else if (now > assignment.dueDate) {
-          assignmentStatus = 'closed';
-        } else {
-          assignmentStatus = 'active';
-        }
+        // Calculate assignment status (this listing has always called past-due assignments 'closed')
+        const lifecycleStatus = getAssignmentStatus(assignment, now);
+        const assignmentStatus = lifecycleStatus === 'past_due' ? 'closed' : lifecycleStatus;
 
         // Filter by status if provided
         if (status && assignmentStatus !== status) {
@@ -215,19 +217,17 @@ export const getTeacherAssignments = async (req, res) => {
         }
 
         // Get submission statistics
-        const totalStudents = await User.countDocuments({
-          role: 'student',
-          selectedLevel: assignment.level
-        });
+        const totalStudents = (await getAssignmentStudents(assignment)).length;
 
-        const submissions = await Submission.find({ assignmentId: assignment._id }).lean();
-        const uniqueStudents = [...new Set(submissions.map(s => s.studentId.toString()))];
+        const submissions = await Submission.find({ assignmentId: assignment._id }).populate('groupId', 'members.studentId').lean();
+        // A group submission counts for every member of the group
+        const uniqueStudents = [...new Set(submissions.flatMap(s =>
+          s.groupId ? s.groupId.members.map(member => member.studentId.toString()) : [s.studentId.toString()]))];
         const submitted = uniqueStudents.length;
         const pending = totalStudents - submitted;
 
         // Calculate grading statistics based on status
-        const gradedSubmissions = submissions.filter(s => s.grade && s.grade.totalScore !== undefined && s.grade.totalScore !== null);
-        const submittedSubmissions = submissions.filter(s => !s.grade || s.grade.totalScore === undefined || s.grade.totalScore === null);
+        const gradedSubmissions = submissions.filter(hasGrade);
         const graded = gradedSubmissions.length;
         const avgScore = graded > 0 ? 
           gradedSubmissions.reduce((sum, s) => sum + s.grade.percentage, 0) / graded : 0;
@@ -238,6 +238,7 @@ export const getTeacherAssignments = async (req, res) => {
           subject: assignment.subject,
           level: assignment.level,
           dueDate: assignment.dueDate,
+          publishAt: assignment.publishAt || null,
           totalPoints: assignment.totalPoints,
           status: assignmentStatus,
           submissionStats: {
@@ -297,14 +298,19 @@ export const getAssignmentWithSubmissions = async (req, res) => {
     // Get all submissions for this assignment
     const submissions = await Submission.find({ assignmentId })
       .populate('studentId', 'profile.firstName profile.lastName email selectedLevel')
+      .populate({ path: 'groupId', select: 'name members.studentId', populate: { path: 'members.studentId', select: 'profile.firstName profile.lastName' } })
+      .populate('file')
       .sort({ submittedAt: -1 })
       .lean();
 
-    // Calculate total versions for each student
+    // Similarity of each submission's text to classmates' and earlier assignments' submissions
+    const similarityReports = await getSimilarityReports(assignment, submissions);
+
+    // Calculate total versions for each student (or group)
+    const owner = (submission) => (submission.groupId?._id || submission.studentId._id).toString();
     const versionCounts = new Map();
     submissions.forEach(submission => {
-      const studentId = submission.studentId._id.toString();
-      versionCounts.set(studentId, (versionCounts.get(studentId) || 0) + 1);
+      versionCounts.set(owner(submission), (versionCounts.get(owner(submission)) || 0) + 1);
     });
 
     // Format submissions with grade information
@@ -316,22 +322,37 @@ export const getAssignmentWithSubmissions = async (req, res) => {
         email: submission.studentId.email,
         level: submission.studentId.selectedLevel || assignment.level
       },
+      group: submission.groupId ? {
+        id: submission.groupId._id,
+        name: submission.groupId.name,
+        members: submission.groupId.members.map(member => ({
+          id: member.studentId?._id,
+          name: `${member.studentId?.profile?.firstName || ''} ${member.studentId?.profile?.lastName || ''}`.trim()
+        }))
+      } : null,
       versionNumber: submission.versionNumber,
-      totalVersions: versionCounts.get(submission.studentId._id.toString()) || 1,
+      totalVersions: versionCounts.get(owner(submission)) || 1,
       submissionLink: submission.submissionLink,
+      file: formatFile(submission.file),
       submissionNotes: submission.submissionNotes,
       submittedAt: submission.submittedAt,
-      status: (submission.grade && submission.grade.totalScore !== undefined && submission.grade.totalScore !== null) ? 'graded' : 'submitted',
+      status: getSubmissionStatus(submission),
       isLate: submission.isLate,
+      daysLate: submission.daysLate || 0,
       grade: submission.grade ? {
         totalScore: submission.grade.totalScore,
+        rawScore: submission.grade.rawScore ?? submission.grade.totalScore,
+        latePenaltyPercent: submission.grade.latePenaltyPercent || 0,
         maxScore: submission.grade.maxScore,
         percentage: submission.grade.percentage,
+        letterGrade: submission.grade.letterGrade || null,
         rubricScores: submission.grade.rubricScores,
         overallFeedback: submission.grade.overallFeedback,
+        memberGrades: submission.grade.memberGrades || [],
         gradedBy: submission.grade.gradedBy,
         gradedAt: submission.grade.gradedAt
-      } : null
+      } : null,
+      similarity: similarityReports.get(submission._id.toString()) || null
     }));
 
     // Calculate statistics based on formatted submissions status
@@ -352,6 +373,9 @@ export const getAssignmentWithSubmissions = async (req, res) => {
         dueDate: assignment.dueDate,
         totalPoints: assignment.totalPoints,
         rubric: assignment.rubric,
+        latePolicy: assignment.latePolicy,
+        groupSettings: assignment.groupSettings,
+        extensions: (assignment.extensions || []).map(formatExtension),
         teacher: {
           name: `${assignment.teacherId.profile?.firstName || ''} ${assignment.teacherId.profile?.lastName || ''}`.trim(),
           email: assignment.teacherId.email
@@ -363,7 +387,8 @@ export const getAssignmentWithSubmissions = async (req, res) => {
           totalSubmissions,
           gradedSubmissions,
           pendingGrades: submittedSubmissions,
-          averageScore: Math.round(averageScore)
+          averageScore: Math.round(averageScore),
+          flaggedSubmissions: formattedSubmissions.filter(s => s.similarity?.flagged).length
         }
     });
 
@@ -386,177 +411,513 @@ export const getAssignmentWithSubmissions = async (req, res) => {
  */
 export const gradeSubmission = async (req, res) => {
   try {
-    const {
-      submissionId,
-      assignmentId,
-      studentId,
-      teacherId,
-      totalScore,
-      maxScore,
-      rubricScores,
-      overallFeedback
-    } = req.body;
-
     console.log('📊 Grade submission received:', req.body);
 
-    // Validation
-    if (!submissionId || !assignmentId || !studentId || !teacherId || totalScore === undefined || !maxScore) {
-      return res.status(400).json({
+    const { submission, grade, notificationsSent } = await gradeSubmissionService(req.body);
+
+    console.log('✅ Grade submitted successfully');
+
+    res.json({
+      success: true,
+      message: 'Grade submitted successfully',
+      grade: {
+        id: submission._id, // Using submission ID as grade reference
+        submissionId: submission._id,
+        totalScore: grade.totalScore,
+        rawScore: grade.rawScore,
+        latePenaltyPercent: grade.latePenaltyPercent,
+        maxScore: grade.maxScore,
+        percentage: grade.percentage,
+        letterGrade: grade.letterGrade,
+        rubricScores: grade.rubricScores,
+        overallFeedback: grade.overallFeedback,
+        gradedBy: grade.gradedBy,
+        gradedAt: grade.gradedAt
+      },
+      notificationsSent
+    });
+
+  } catch (error) {
+    if (!error.status) console.error('❌ Error grading submission:', error);
+    sendServiceError(res, error, { code: 'GRADING_FAILED', message: 'Internal server error during grading' });
+  }
+};
+
+/**
+ * Suggest a grade for a submission with AI. Nothing is saved: the teacher reviews the
+ * suggestion and grades through POST /api/assignments/grade
+ * POST /api/assignments/:assignmentId/submissions/:submissionId/suggest-grade
+ */
+export const suggestGrade = async (req, res) => {
+  try {
+    const { submission, suggestion } = await suggestGradeService(req.params.assignmentId, req.params.submissionId);
+
+    res.json({
+      success: true,
+      message: 'Suggested grade: review and adjust it before grading the submission',
+      suggestion: {
+        submissionId: submission._id,
+        source: suggestion.source,
+        rubricScores: suggestion.rubricScores,
+        totalScore: suggestion.totalScore,
+        maxScore: suggestion.maxScore,
+        overallFeedback: suggestion.overallFeedback,
+        // The late penalty, if any, is applied when the grade is saved
+        isLate: submission.isLate,
+        textTruncated: suggestion.truncated,
+        requiresConfirmation: true
+      }
+    });
+
+  } catch (error) {
+    if (!error.status) console.error('❌ Error suggesting grade:', error);
+    sendServiceError(res, error, { code: 'GRADE_SUGGESTION_FAILED', message: 'Failed to suggest a grade' });
+  }
+};
+
+const formatAssignmentSummary = (assignment) => ({
+  id: assignment._id,
+  title: assignment.title,
+  description: assignment.description,
+  instructions: assignment.instructions,
+  subject: assignment.subject,
+  level: assignment.level,
+  dueDate: assignment.dueDate,
+  publishAt: assignment.publishAt || null,
+  totalPoints: assignment.totalPoints,
+  rubric: assignment.rubric,
+  rubricTemplateId: assignment.rubricTemplateId || null,
+  classIds: assignment.classIds,
+  allowedFileTypes: assignment.allowedFileTypes,
+  maxFileSize: assignment.maxFileSize,
+  isVisible: assignment.isVisible,
+  latePolicy: assignment.latePolicy,
+  gradebookCategory: assignment.gradebookCategory || 'assignments',
+  peerReview: assignment.peerReview,
+  groupSettings: assignment.groupSettings,
+  extensions: (assignment.extensions || []).map(formatExtension),
+  status: getAssignmentStatus(assignment),
+  createdAt: assignment.createdAt,
+  updatedAt: assignment.updatedAt
+});
+
+/**
+ * Update Assignment
+ * PUT /api/assignments/:assignmentId
+ * Once students have submitted, subject, level, totalPoints, rubric and classIds are locked;
+ * text, due date, visibility and file settings can still change.
+ */
+export const updateAssignment = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const updates = req.body;
+
+    const assignment = await Assignment.findById(assignmentId);
+    if (!assignment || assignment.isDeleted) {
+      return res.status(404).json({
         success: false,
-        message: 'Missing required fields: submissionId, assignmentId, studentId, teacherId, totalScore, maxScore'
+        error: { code: 'ASSIGNMENT_NOT_FOUND', message: 'Assignment not found' }
       });
     }
 
-    // Validate submission exists
-    const submission = await Submission.findById(submissionId);
-    if (!submission) {
-      return res.status(404).json({
+    const submissionCount = await Submission.countDocuments({ assignmentId });
+    const changedGradingFields = getChangedGradingFields(assignment, updates);
+    if (submissionCount > 0 && changedGradingFields.length > 0) {
+      return res.status(409).json({
         success: false,
-        message: 'Submission not found'
+        error: {
+          code: 'ASSIGNMENT_LOCKED',
+          message: `Cannot change ${changedGradingFields.join(', ')} after students have submitted`,
+          details: { lockedFields: changedGradingFields, submissionCount }
+        }
       });
     }
 
-    // Validate assignment exists
+    const wasPublished = isAssignmentPublished(assignment);
+
+    if (updates.dueDate !== undefined) {
+      assignment.dueDate = parseDueDate(updates.dueDate);
+    }
+
+    if (updates.publishAt !== undefined) {
+      const publishAtObj = parsePublishAt(updates.publishAt, assignment.dueDate);
+      if (wasPublished && publishAtObj && publishAtObj > new Date()) {
+        return res.status(409).json({
+          success: false,
+          error: { code: 'ALREADY_PUBLISHED', message: 'Assignment is already published and cannot be rescheduled' }
+        });
+      }
+      assignment.publishAt = publishAtObj;
+    } else if (assignment.publishAt && assignment.publishAt >= assignment.dueDate) {
+      throw new ServiceError(400, 'INVALID_PUBLISH_AT', 'publishAt must be before the due date');
+    }
+
+    if (changedGradingFields.length > 0) {
+      const schoolSettings = await getSchoolSettings(assignment.schoolId);
+      assertAllowedBySchool(schoolSettings, { level: updates.level, subject: updates.subject });
+
+      if (updates.classIds !== undefined) {
+        assignment.classIds = await validateClassIds(updates.classIds, assignment.teacherId);
+      }
+      if (updates.subject !== undefined) assignment.subject = updates.subject;
+      if (updates.level !== undefined) assignment.level = parseInt(updates.level);
+      if (updates.totalPoints !== undefined) assignment.totalPoints = Number(updates.totalPoints);
+      if (updates.rubric !== undefined) {
+        assignment.rubric = updates.rubric;
+        assignment.rubricTemplateId = undefined;
+      }
+      assignment.rubric = validateRubric(assignment.rubric, assignment.totalPoints);
+    }
+
+    const fileSettings = validateFileSettings(updates.allowedFileTypes, updates.maxFileSize);
+    ['title', 'description', 'instructions', 'isVisible'].forEach(field => {
+      if (updates[field] !== undefined) assignment[field] = updates[field];
+    });
+    ['allowedFileTypes', 'maxFileSize'].forEach(field => {
+      if (fileSettings[field] !== undefined) assignment[field] = fileSettings[field];
+    });
+    if (updates.gradebookCategory !== undefined) {
+      assignment.gradebookCategory = validateGradebookCategory(updates.gradebookCategory);
+    }
+    if (updates.peerReview !== undefined) {
+      assignment.peerReview = validatePeerReviewSettings(updates.peerReview, assignment.peerReview);
+    }
+    if (updates.groupSettings !== undefined) {
+      assignment.groupSettings = validateGroupSettings(updates.groupSettings, assignment.groupSettings, submissionCount > 0);
+    }
+    assertGroupsWithoutPeerReview(assignment.groupSettings, assignment.peerReview);
+    // Re-checked when the due date moves, since acceptUntil may not precede it
+    if (updates.latePolicy !== undefined || updates.dueDate !== undefined) {
+      assignment.latePolicy = validateLatePolicy(updates.latePolicy, assignment.dueDate, assignment.latePolicy);
+    }
+
+    await assignment.save();
+
+    // Announce assignments that became visible through this edit
+    let studentsNotified = 0;
+    if (!wasPublished && isAssignmentPublished(assignment) && !assignment.studentsNotifiedAt) {
+      const teacher = await User.findById(assignment.teacherId).select('profile.firstName profile.lastName');
+      studentsNotified = await notifyAssignmentStudents(assignment, teacher);
+    }
+
+    res.json({
+      success: true,
+      message: 'Assignment updated successfully',
+      assignment: formatAssignmentSummary(assignment),
+      studentsNotified
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error updating assignment:', error);
+    sendServiceError(res, error, { code: 'ASSIGNMENT_UPDATE_FAILED', message: 'Failed to update assignment' });
+  }
+};
+
+/**
+ * Soft-delete Assignment. It disappears for students and from the teacher's list; submissions are kept.
+ * DELETE /api/assignments/:assignmentId
+ */
+export const deleteAssignment = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+
     const assignment = await Assignment.findById(assignmentId);
-    if (!assignment) {
+    if (!assignment || assignment.isDeleted) {
       return res.status(404).json({
         success: false,
-        message: 'Assignment not found'
+        error: { code: 'ASSIGNMENT_NOT_FOUND', message: 'Assignment not found' }
       });
     }
 
-    // Validate teacher
-    const teacher = await User.findById(teacherId);
-    if (!teacher || teacher.role !== 'teacher') {
+    assignment.isDeleted = true;
+    assignment.deletedAt = new Date();
+    assignment.deletedBy = req.user._id;
+    await assignment.save();
+
+    res.json({
+      success: true,
+      message: 'Assignment deleted successfully',
+      submissionsKept: await Submission.countDocuments({ assignmentId })
+    });
+  } catch (error) {
+    console.error('Error deleting assignment:', error);
+    sendServiceError(res, error, { code: 'ASSIGNMENT_DELETE_FAILED', message: 'Failed to delete assignment' });
+  }
+};
+
+/**
+ * Restore a soft-deleted Assignment
+ * POST /api/assignments/:assignmentId/restore
+ */
+export const restoreAssignment = async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.assignmentId);
+    if (!assignment || !assignment.isDeleted) {
       return res.status(404).json({
         success: false,
-        message: 'Teacher not found'
+        error: { code: 'ASSIGNMENT_NOT_FOUND', message: 'Deleted assignment not found' }
       });
     }
 
-    // Validate student
-    const student = await User.findById(studentId);
-    if (!student || student.role !== 'student') {
+    assignment.isDeleted = false;
+    assignment.deletedAt = undefined;
+    assignment.deletedBy = undefined;
+    await assignment.save();
+
+    res.json({
+      success: true,
+      message: 'Assignment restored successfully',
+      assignment: formatAssignmentSummary(assignment)
+    });
+  } catch (error) {
+    console.error('Error restoring assignment:', error);
+    sendServiceError(res, error, { code: 'ASSIGNMENT_RESTORE_FAILED', message: 'Failed to restore assignment' });
+  }
+};
+
+/**
+ * Duplicate Assignment, optionally to another level
+ * POST /api/assignments/:assignmentId/duplicate
+ * Body: { level, dueDate, publishAt, title, isVisible, classIds }
+ * The copy is a draft unless isVisible is true.
+ */
+export const duplicateAssignment = async (req, res) => {
+  try {
+    const source = await Assignment.findById(req.params.assignmentId);
+    if (!source || source.isDeleted) {
       return res.status(404).json({
         success: false,
-        message: 'Student not found'
+        error: { code: 'ASSIGNMENT_NOT_FOUND', message: 'Assignment not found' }
       });
     }
 
-    // Validate score range
-    if (totalScore < 0 || totalScore > maxScore) {
-      return res.status(400).json({
+    const level = req.body.level !== undefined ? parseInt(req.body.level) : source.level;
+    const schoolSettings = await getSchoolSettings(source.schoolId);
+    assertAllowedBySchool(schoolSettings, { level, subject: source.subject });
+
+    const dueDateObj = parseDueDate(req.body.dueDate || source.dueDate);
+
+    // Classes belong to one level, so a copy to another level starts without classes unless given
+    const classIds = req.body.classIds !== undefined
+      ? await validateClassIds(req.body.classIds, source.teacherId)
+      : (level === source.level ? await validateClassIds(source.classIds, source.teacherId) : []);
+
+    const copy = await Assignment.create({
+      title: req.body.title || source.title,
+      description: source.description,
+      instructions: source.instructions,
+      subject: source.subject,
+      level,
+      dueDate: dueDateObj,
+      publishAt: parsePublishAt(req.body.publishAt, dueDateObj),
+      totalPoints: source.totalPoints,
+      rubric: source.rubric.map(({ criteria, maxPoints, description }) => ({ criteria, maxPoints, description })),
+      rubricTemplateId: source.rubricTemplateId,
+      allowedFileTypes: source.allowedFileTypes,
+      maxFileSize: source.maxFileSize,
+      // Extensions are per student and stay with the original
+      latePolicy: validateLatePolicy({ acceptUntil: null, ...req.body.latePolicy }, dueDateObj, source.latePolicy),
+      gradebookCategory: source.gradebookCategory,
+      // Reviewers are assigned afresh once the copy is due
+      peerReview: validatePeerReviewSettings({
+        enabled: source.peerReview?.enabled,
+        reviewsPerSubmission: source.peerReview?.reviewsPerSubmission,
+        outlierThreshold: source.peerReview?.outlierThreshold
+      }),
+      // Groups are per assignment; the copy starts without any
+      groupSettings: validateGroupSettings(undefined, source.groupSettings),
+      isVisible: req.body.isVisible === true,
+      teacherId: source.teacherId,
+      schoolId: source.schoolId,
+      classIds
+    });
+
+    let studentsNotified = 0;
+    if (isAssignmentPublished(copy)) {
+      const teacher = await User.findById(copy.teacherId).select('profile.firstName profile.lastName');
+      studentsNotified = await notifyAssignmentStudents(copy, teacher);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Assignment duplicated successfully',
+      assignment: formatAssignmentSummary(copy),
+      sourceAssignmentId: source._id,
+      studentsNotified
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error duplicating assignment:', error);
+    sendServiceError(res, error, { code: 'ASSIGNMENT_DUPLICATE_FAILED', message: 'Failed to duplicate assignment' });
+  }
+};
+
+/**
+ * Grant or change a student's due-date extension
+ * POST /api/assignments/:assignmentId/extensions
+ * Body: { studentId, dueDate, reason }
+ */
+export const grantAssignmentExtension = async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.assignmentId);
+    if (!assignment || assignment.isDeleted) {
+      return res.status(404).json({
         success: false,
-        message: `Total score must be between 0 and ${maxScore}`
+        error: { code: 'ASSIGNMENT_NOT_FOUND', message: 'Assignment not found' }
       });
     }
 
-    // Calculate percentage and letter grade
-    const percentage = Math.round((totalScore / maxScore) * 100);
-    const letterGrade = calculateLetterGrade(percentage);
-
-    // Create grade object
-    const gradeData = {
-      totalScore,
-      maxScore,
-      percentage,
-      rubricScores: rubricScores || [],
-      overallFeedback: overallFeedback || '',
-      gradedBy: teacherId,
-      gradedAt: new Date()
-    };
-
-    console.log('💾 Updating submission with grade:', gradeData);
-
-    // Update submission with embedded grade
-    const updatedSubmission = await Submission.findByIdAndUpdate(
-      submissionId,
-      { 
-        grade: gradeData,
-        status: 'graded'
-      },
-      { new: true, runValidators: true }
-    );
+    const extension = await grantExtension(assignment, req.body, req.user);
 
-    console.log('✅ Grade submitted successfully');
+    res.json({
+      success: true,
+      message: 'Extension granted',
+      extension: formatExtension(extension)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error granting extension:', error);
+    sendServiceError(res, error, { code: 'EXTENSION_FAILED', message: 'Failed to grant extension' });
+  }
+};
 
-    // Send notifications
-    let notificationResults = { student: false, parent: false };
-    
-    try {
-      // Notify student
-      await createNotification({
-        userId: student._id,
-        type: 'assignment_graded',
-        message: `Your assignment "${assignment.title}" has been graded. Score: ${totalScore}/${maxScore} (${percentage}%)`,
-        data: {
-          assignmentId: assignment._id,
-          submissionId: submission._id,
-          score: totalScore,
-          maxScore: maxScore,
-          percentage: percentage,
-          letterGrade: letterGrade,
-          assignment: {
-            title: assignment.title,
-            dueDate: assignment.dueDate
-          },
-          teacher: {
-            name: `${teacher.profile?.firstName || ''} ${teacher.profile?.lastName || ''}`.trim(),
-            email: teacher.email
-          }
-        },
-        link: `/student/assignments/${assignmentId}`
+/**
+ * Remove a student's extension
+ * DELETE /api/assignments/:assignmentId/extensions/:studentId
+ */
+export const revokeAssignmentExtension = async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.assignmentId);
+    if (!assignment || assignment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'ASSIGNMENT_NOT_FOUND', message: 'Assignment not found' }
       });
-      notificationResults.student = true;
-
-      // Notify parent if student has parent
-      if (student.parentId) {
-        await createNotification({
-          userId: student.parentId,
-          type: 'child_assignment_graded',
-          message: `${student.profile?.firstName || 'Your child'} received a grade for "${assignment.title}": ${totalScore}/${maxScore} (${percentage}%)`,
-          data: {
-            childId: student._id,
-            childName: `${student.profile?.firstName || ''} ${student.profile?.lastName || ''}`.trim(),
-            assignmentTitle: assignment.title,
-            score: totalScore,
-            maxScore: maxScore,
-            percentage: percentage,
-            letterGrade: letterGrade
-          },
-          link: `/parent/child/${student._id}/progress`
+    }
+
+    await revokeExtension(assignment, req.params.studentId);
+
+    res.json({
+      success: true,
+      message: 'Extension removed'
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error removing extension:', error);
+    sendServiceError(res, error, { code: 'EXTENSION_FAILED', message: 'Failed to remove extension' });
+  }
+};
+
+/**
+ * Per-criterion rubric analytics for an assignment
+ * GET /api/assignments/:assignmentId/rubric-analytics
+ * Query params: classId (restrict to the students of one class)
+ */
+export const getAssignmentRubricAnalytics = async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.assignmentId).lean();
+    if (!assignment || assignment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'ASSIGNMENT_NOT_FOUND', message: 'Assignment not found' }
+      });
+    }
+
+    let studentIds;
+    if (req.query.classId) {
+      const cls = /^[a-f\d]{24}$/i.test(req.query.classId) ? await Class.findById(req.query.classId).select('students teacherId').lean() : null;
+      if (!cls || (req.user.role !== 'admin' && cls.teacherId.toString() !== req.user._id.toString())) {
+        return res.status(404).json({
+          success: false,
+          error: { code: 'CLASS_NOT_FOUND', message: 'Class not found' }
         });
-        notificationResults.parent = true;
       }
-
-    } catch (notificationError) {
-      console.error('Error sending grade notifications:', notificationError);
-      // Don't fail grading if notification fails
+      studentIds = cls.students;
     }
 
     res.json({
       success: true,
-      message: 'Grade submitted successfully',
-      grade: {
-        id: updatedSubmission._id, // Using submission ID as grade reference
-        submissionId: updatedSubmission._id,
-        totalScore: gradeData.totalScore,
-        maxScore: gradeData.maxScore,
-        percentage: gradeData.percentage,
-        rubricScores: gradeData.rubricScores,
-        overallFeedback: gradeData.overallFeedback,
-        gradedBy: gradeData.gradedBy,
-        gradedAt: gradeData.gradedAt
-      },
-      notificationsSent: notificationResults
+      assignmentId: assignment._id,
+      classId: req.query.classId || null,
+      criteria: await getRubricAnalytics([assignment], studentIds)
+    });
+  } catch (error) {
+    console.error('Error computing rubric analytics:', error);
+    sendServiceError(res, error, { code: 'RUBRIC_ANALYTICS_FAILED', message: 'Failed to compute rubric analytics' });
+  }
+};
+
+/**
+ * Grade several submissions at once (all or nothing)
+ * POST /api/assignments/:assignmentId/grades/bulk
+ * Body: { grades: [{ submissionId, totalScore, rubricScores, overallFeedback, waiveLatePenalty }], dryRun }
+ */
+export const bulkGradeSubmissions = async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const result = await bulkGradeSubmissionsService(req.params.assignmentId, req.body.grades, req.user, { dryRun });
+
+    const hasErrors = result.summary.invalid > 0;
+    res.status(hasErrors && !dryRun ? 422 : 200).json({
+      success: !hasErrors,
+      message: dryRun
+        ? `Dry run: ${result.summary.total - result.summary.invalid} of ${result.summary.total} grades are valid`
+        : hasErrors
+          ? 'Grades rejected: fix the listed entries and try again'
+          : `Saved ${result.summary.changed} grades (${result.summary.unchanged} unchanged)`,
+      data: result
     });
+  } catch (error) {
+    if (!error.status) console.error('Error bulk grading submissions:', error);
+    sendServiceError(res, error, { code: 'GRADING_FAILED', message: 'Failed to save grades' });
+  }
+};
 
+/**
+ * Download the assignment's gradebook as CSV (latest submission per student)
+ * GET /api/assignments/:assignmentId/grades/export
+ */
+export const exportAssignmentGradesCsv = async (req, res) => {
+  try {
+    const { csv, fileName } = await exportAssignmentGrades(req.params.assignmentId);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(csv);
   } catch (error) {
-    console.error('❌ Error grading submission:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error during grading',
-      error: error.message
+    if (!error.status) console.error('Error exporting grades:', error);
+    sendServiceError(res, error, { code: 'EXPORT_FAILED', message: 'Failed to export grades' });
+  }
+};
+
+/**
+ * Import grades from an edited gradebook CSV
+ * POST /api/assignments/:assignmentId/grades/import
+ * Body: raw CSV (text/csv) or { csv, dryRun }; dryRun defaults to true and may also be a query param
+ */
+export const importAssignmentGradesCsv = async (req, res) => {
+  try {
+    const body = typeof req.body === 'string' ? { csv: req.body } : (req.body || {});
+    const dryRunValue = req.query.dryRun ?? body.dryRun;
+    const dryRun = !(dryRunValue === false || dryRunValue === 'false');
+
+    if (!body.csv) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'MISSING_REQUIRED_FIELDS', message: 'CSV content is required' }
+      });
+    }
+
+    const result = await importAssignmentGrades(req.params.assignmentId, body.csv, req.user, { dryRun });
+
+    const hasErrors = result.summary.invalidRows > 0;
+    res.status(hasErrors && !dryRun ? 422 : 200).json({
+      success: !hasErrors,
+      message: dryRun
+        ? `Preview: ${result.summary.changed} grades would change, ${result.summary.unchanged} unchanged, ${result.summary.skipped} rows skipped`
+        : hasErrors
+          ? 'Import rejected: fix the listed rows and try again'
+          : `Imported ${result.summary.changed} grades (${result.summary.unchanged} unchanged)`,
+      data: result
     });
+  } catch (error) {
+    if (!error.status) console.error('Error importing grades:', error);
+    sendServiceError(res, error, { code: 'IMPORT_FAILED', message: 'Failed to import grades' });
   }
 };
@@ -1,6 +1,43 @@
 import User from '../models/userModels.js';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
+import {
+  createSession,
+  rotateRefreshToken,
+  blockAccessToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  createActionToken,
+  consumeActionToken
+} from '../services/tokenService.js';
+import mailService from '../services/mailService.js';
+import { validateRegistrationChildren, createRegistrationChildren, claimChildAccount } from '../services/familyService.js';
+import { PASSWORD_RESET_TTL_MS, EMAIL_VERIFICATION_TTL_MS, REQUIRE_EMAIL_VERIFICATION } from '../config/auth.js';
+import { sendServiceError } from '../utils/errors.js';
+
+// Issue a verification token and email it to the user
+const sendEmailVerification = async (user) => {
+  const token = await createActionToken(user._id, 'email_verification', EMAIL_VERIFICATION_TTL_MS);
+  return mailService.sendVerificationEmail(user, token);
+};
+
+// Profile fields a user may set at registration, per role. Children are only ever linked
+// through invites and approved link requests, never copied from the request.
+const REGISTRATION_PROFILE_FIELDS = {
+  student: ['firstName', 'lastName', 'grade'],
+  teacher: ['firstName', 'lastName', 'subjects'],
+  parent: ['firstName', 'lastName']
+};
+
+const pickRegistrationProfile = (profile, role) => {
+  if (!profile || typeof profile !== 'object') return undefined;
+
+  const picked = {};
+  for (const field of REGISTRATION_PROFILE_FIELDS[role] || []) {
+    if (profile[field] !== undefined) picked[field] = profile[field];
+  }
+  return picked;
+};
 
 export const register = async (req, res) => {
   try {
@@ -25,7 +62,8 @@ export const register = async (req, res) => {
       return res.status(400).json({ message: 'Password must be at least 6 characters long' });
     }
     
-    const validRoles = ['student', 'teacher', 'parent', 'admin'];
+    // Admins are never self-registered: an existing admin promotes them (PUT /api/admin/users/:userId/role)
+    const validRoles = ['student', 'teacher', 'parent'];
     if (!validRoles.includes(role)) {
       return res.status(400).json({ 
         message: 'Invalid role',
@@ -46,58 +84,46 @@ export const register = async (req, res) => {
     const hashed = await bcrypt.hash(password, 10);
     
     if (role === 'parent' && children && children.length > 0) {
-      const createdChildren = [];
-      for (const child of children) {
-        if (!child.email || !child.firstName || !child.lastName) {
-          return res.status(400).json({ message: 'Each child must have email, firstName, and lastName' });
-        }
-        
-        const existingChild = await User.findOne({ email: child.email });
-        if (existingChild) {
-          return res.status(409).json({ message: `Child email ${child.email} already registered` });
-        }
-        
-        const childPassword = await bcrypt.hash(child.password || 'defaultPassword123', 10);
-        const childUser = new User({
-          email: child.email,
-          password: childPassword,
-          role: 'student',
-          profile: {
-            firstName: child.firstName,
-            lastName: child.lastName,
-            grade: child.grade || 1
-          }
-        });
-        
-        const savedChild = await childUser.save();
-        createdChildren.push(savedChild._id);
-      }
+      // Reject bad or duplicate child rows before the parent account exists
+      const childRows = await validateRegistrationChildren(email, children);
       
-      const parentData = { 
+      const parent = new User({ 
         email, 
         password: hashed, 
         role,
         profile: {
-          ...profile,
-          children: createdChildren
+          ...pickRegistrationProfile(profile, role),
+          children: []
         }
-      };
-      
-      const parent = new User(parentData);
+      });
       const savedParent = await parent.save();
       
+      // Children get pending accounts and a one-time claim code to set their own password.
+      // A failure removes the children created so far; the parent is removed here.
+      let childInvites;
+      try {
+        childInvites = await createRegistrationChildren(savedParent, childRows);
+      } catch (err) {
+        await User.deleteOne({ _id: savedParent._id });
+        throw err;
+      }
+      await sendEmailVerification(savedParent);
+      
       return res.status(201).json({ 
-        message: 'Parent and children registered successfully', 
+        message: 'Parent registered successfully. Share each claim code with your child so they can set their own password.', 
         parentId: savedParent._id,
-        childrenIds: createdChildren
+        childrenIds: savedParent.profile.children,
+        childInvites
       });
     }
     
     const userData = { email, password: hashed, role };
-    if (profile) userData.profile = profile;
+    const userProfile = pickRegistrationProfile(profile, role);
+    if (userProfile) userData.profile = userProfile;
     
     const user = new User(userData);
     const savedUser = await user.save();
+    await sendEmailVerification(savedUser);
     
     console.log(`User registered successfully: ${savedUser.email}, ID: ${savedUser._id}`);
     
@@ -106,8 +132,8 @@ export const register = async (req, res) => {
       userId: savedUser._id 
     });
   } catch (err) {
-    console.error('Registration error:', err);
-    res.status(500).json({ message: 'Server error', error: err.message });
+    if (!err.status) console.error('Registration error:', err);
+    sendServiceError(res, err, { code: 'REGISTRATION_FAILED', message: 'Server error' });
   }
 };
 
@@ -172,20 +198,43 @@ export const login = async (req, res) => {
       return res.status(401).json({ message: 'Invalid email or password' });
     }
     
+    if (user.accountStatus === 'suspended') {
+      return res.status(403).json({ code: 'ACCOUNT_SUSPENDED', message: 'This account has been suspended. Please contact your school.' });
+    }
+    
+    if (user.accountStatus === 'pending_claim') {
+      return res.status(403).json({ code: 'ACCOUNT_NOT_CLAIMED', message: 'This account has not been activated yet. Use your claim code to set a password.' });
+    }
+    
+    if (REQUIRE_EMAIL_VERIFICATION && !user.emailVerified) {
+      return res.status(403).json({ code: 'EMAIL_NOT_VERIFIED', message: 'Please verify your email address before logging in' });
+    }
+    
     console.log(`Login successful for user: ${email}`);
     
-    const token = jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET || 'secret', { expiresIn: '1d' });
+    const session = await createSession(user, {
+      deviceId: req.body.deviceId || req.headers['x-device-id'],
+      deviceName: req.body.deviceName,
+      userAgent: req.headers['user-agent'],
+      ip: req.ip
+    });
     
     // Update last active timestamp
     user.lastActive = new Date();
     await user.save();
     
     res.json({ 
-      token, 
+      token: session.accessToken, 
+      tokenExpiresAt: session.accessTokenExpiresAt,
+      refreshToken: session.refreshToken,
+      refreshTokenExpiresAt: session.refreshTokenExpiresAt,
+      sessionId: session.sessionId,
+      deviceId: session.deviceId,
       user: { 
         id: user._id, 
         email: user.email, 
         role: user.role, 
+        emailVerified: user.emailVerified,
         profile: user.profile 
       } 
     });
@@ -193,4 +242,276 @@ export const login = async (req, res) => {
     console.error('Login error:', err);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * POST /api/auth/refresh
+ */
+export const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'MISSING_REQUIRED_FIELDS', message: 'refreshToken is required' }
+      });
+    }
+
+    const session = await rotateRefreshToken(refreshToken, {
+      userAgent: req.headers['user-agent'],
+      ip: req.ip
+    });
+
+    session.user.lastActive = new Date();
+    await session.user.save();
+
+    res.json({
+      token: session.accessToken,
+      tokenExpiresAt: session.accessTokenExpiresAt,
+      refreshToken: session.refreshToken,
+      refreshTokenExpiresAt: session.refreshTokenExpiresAt,
+      sessionId: session.sessionId
+    });
+  } catch (err) {
+    if (!err.status) console.error('Refresh token error:', err);
+    sendServiceError(res, err, { code: 'TOKEN_REFRESH_FAILED', message: 'Failed to refresh token' });
+  }
+};
+
+/**
+ * Log out the current device: blocklist the access token and revoke its session
+ * POST /api/auth/logout
+ */
+export const logout = async (req, res) => {
+  try {
+    await blockAccessToken(req.auth, 'logout');
+
+    let sessionsRevoked = 0;
+    if (req.auth.sid) {
+      sessionsRevoked = await revokeSession(req.user._id, req.auth.sid, 'logout');
+    }
+
+    res.json({ success: true, message: 'Logged out successfully', sessionsRevoked });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Log out every device of the authenticated user
+ * POST /api/auth/logout-all
+ */
+export const logoutAll = async (req, res) => {
+  try {
+    await blockAccessToken(req.auth, 'logout_all');
+    const sessionsRevoked = await revokeAllSessions(req.user._id, 'logout_all');
+
+    res.json({ success: true, message: 'Logged out from all devices', sessionsRevoked });
+  } catch (err) {
+    console.error('Logout all error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * List the authenticated user's active sessions (one per device)
+ * GET /api/auth/sessions
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        currentSessionId: req.auth.sid || null,
+        sessions
+      }
+    });
+  } catch (err) {
+    console.error('Get sessions error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Revoke a single session, e.g. a lost or stolen device
+ * DELETE /api/auth/sessions/:sessionId
+ */
+export const revokeSessionById = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const revoked = await revokeSession(req.user._id, sessionId, 'session_revoked');
+    if (revoked === 0) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'SESSION_NOT_FOUND', message: 'Active session not found' }
+      });
+    }
+
+    res.json({ success: true, message: 'Session revoked successfully' });
+  } catch (err) {
+    console.error('Revoke session error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Request a password reset link
+ * POST /api/auth/forgot-password
+ */
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email });
+    if (user) {
+      const token = await createActionToken(user._id, 'password_reset', PASSWORD_RESET_TTL_MS);
+      await mailService.sendPasswordResetEmail(user, token);
+      console.log(`Password reset requested for user: ${email}`);
+    }
+
+    // Same response whether or not the account exists, so emails cannot be enumerated
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Set a new password using a reset token. Ends all existing sessions.
+ * POST /api/auth/reset-password
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        message: 'Token and password are required',
+        received: { token: !!token, password: !!password }
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+    }
+
+    const userId = await consumeActionToken(token, 'password_reset');
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.password = await bcrypt.hash(password, 10);
+    // Receiving the reset link proves ownership of the mailbox
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeAllSessions(user._id, 'logout_all');
+
+    console.log(`Password reset completed for user: ${user.email}`);
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (err) {
+    if (!err.status) console.error('Reset password error:', err);
+    sendServiceError(res, err, { code: 'PASSWORD_RESET_FAILED', message: 'Failed to reset password' });
+  }
+};
+
+/**
+ * Confirm an email address using a verification token
+ * POST /api/auth/verify-email
+ */
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Token is required' });
+    }
+
+    const userId = await consumeActionToken(token, 'email_verification');
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ message: 'Email verified successfully', email: user.email });
+  } catch (err) {
+    if (!err.status) console.error('Verify email error:', err);
+    sendServiceError(res, err, { code: 'EMAIL_VERIFICATION_FAILED', message: 'Failed to verify email' });
+  }
+};
+
+/**
+ * Send a new verification link
+ * POST /api/auth/resend-verification
+ */
+export const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email });
+    if (user && !user.emailVerified) {
+      await sendEmailVerification(user);
+    }
+
+    res.json({ message: 'If this email is registered and unverified, a new verification link has been sent' });
+  } catch (err) {
+    console.error('Resend verification error:', err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Activate a parent-created child account with its claim code and set the child's password
+ * POST /api/auth/claim-child
+ */
+export const claimChild = async (req, res) => {
+  try {
+    const { code, password } = req.body;
+
+    if (!code || !password) {
+      return res.status(400).json({
+        message: 'Claim code and password are required',
+        received: { code: !!code, password: !!password }
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+    }
+
+    const child = await claimChildAccount(code, password);
+
+    console.log(`Child account claimed: ${child.email}`);
+
+    res.json({
+      message: 'Account activated. You can now log in with your new password.',
+      email: child.email
+    });
+  } catch (err) {
+    if (!err.status) console.error('Claim child error:', err);
+    sendServiceError(res, err, { code: 'CHILD_CLAIM_FAILED', message: 'Failed to claim account' });
+  }
+};
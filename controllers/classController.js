@@ -0,0 +1,373 @@
+import Class from '../models/classModels.js';
+import { Assignment } from '../models/assignmentModels.js';
+import { createNotification } from './notificationController.js';
+import {
+  issueJoinCode,
+  enrollStudents,
+  unenrollStudent,
+  redeemJoinCode
+} from '../services/classService.js';
+import { getSchoolSettings, assertAllowedBySchool } from '../services/schoolService.js';
+import { getRubricAnalytics } from '../services/rubricService.js';
+import { sendServiceError } from '../utils/errors.js';
+
+/**
+ * Class Roster Controller
+ * Class details, editing, archiving, enrollment and join codes.
+ * Classes are created with POST /api/teacher/create-class.
+ */
+
+const VALID_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const formatClass = (cls, { includeJoinCode = false } = {}) => ({
+  id: cls._id,
+  name: cls.name,
+  subject: cls.subject,
+  level: cls.level,
+  timing: cls.timing,
+  teacher: cls.teacherId?.profile ? {
+    id: cls.teacherId._id,
+    name: `${cls.teacherId.profile.firstName || ''} ${cls.teacherId.profile.lastName || ''}`.trim()
+  } : cls.teacherId,
+  studentCount: cls.students.length,
+  ...(includeJoinCode && { joinCode: cls.joinCode || null }),
+  isActive: cls.isActive,
+  archivedAt: cls.archivedAt || null,
+  createdAt: cls.createdAt,
+  updatedAt: cls.updatedAt
+});
+
+const loadClass = async (classId, res) => {
+  const cls = await Class.findById(classId);
+  if (!cls) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'CLASS_NOT_FOUND', message: 'Class not found' }
+    });
+  }
+  return cls;
+};
+
+/**
+ * Get Class with roster (Teacher)
+ * GET /api/classes/:classId
+ */
+export const getClass = async (req, res) => {
+  try {
+    const cls = await Class.findById(req.params.classId)
+      .populate('teacherId', 'profile.firstName profile.lastName')
+      .populate('students', 'email profile.firstName profile.lastName selectedLevel');
+    if (!cls) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'CLASS_NOT_FOUND', message: 'Class not found' }
+      });
+    }
+
+    res.json({
+      success: true,
+      class: {
+        ...formatClass(cls, { includeJoinCode: true }),
+        students: cls.students.map(student => ({
+          id: student._id,
+          name: `${student.profile?.firstName || ''} ${student.profile?.lastName || ''}`.trim(),
+          email: student.email,
+          level: student.selectedLevel || null
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching class:', error);
+    sendServiceError(res, error, { code: 'CLASS_FETCH_FAILED', message: 'Failed to fetch class' });
+  }
+};
+
+/**
+ * Update Class name, subject, level or timing (Teacher)
+ * PUT /api/classes/:classId
+ */
+export const updateClass = async (req, res) => {
+  try {
+    const cls = await loadClass(req.params.classId, res);
+    if (!cls) return;
+
+    const { name, subject, level, timing } = req.body;
+
+    if (level !== undefined || subject !== undefined) {
+      const schoolSettings = await getSchoolSettings(cls.schoolId);
+      assertAllowedBySchool(schoolSettings, { level, subject });
+    }
+
+    if (timing?.days) {
+      const days = Array.isArray(timing.days) ? timing.days : Object.values(timing.days);
+      const invalidDays = days.filter(day => !VALID_DAYS.includes(day));
+      if (invalidDays.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: { code: 'INVALID_TIMING', message: `Invalid days: ${invalidDays.join(', ')}` }
+        });
+      }
+      timing.days = days;
+    }
+
+    if (name !== undefined) cls.name = name;
+    if (subject !== undefined) cls.subject = subject;
+    if (level !== undefined) cls.level = parseInt(level);
+    if (timing !== undefined) cls.timing = { ...(cls.timing?.toObject?.() || {}), ...timing };
+
+    await cls.save();
+
+    res.json({
+      success: true,
+      message: 'Class updated successfully',
+      class: formatClass(cls, { includeJoinCode: true })
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error updating class:', error);
+    sendServiceError(res, error, { code: 'CLASS_UPDATE_FAILED', message: 'Failed to update class' });
+  }
+};
+
+/**
+ * Archive Class (Teacher). Archived classes keep their roster but are hidden
+ * from students and no longer grant access to class assignments.
+ * DELETE /api/classes/:classId
+ */
+export const archiveClass = async (req, res) => {
+  try {
+    const cls = await loadClass(req.params.classId, res);
+    if (!cls) return;
+
+    if (!cls.isActive) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'CLASS_ARCHIVED', message: 'Class is already archived' }
+      });
+    }
+
+    cls.isActive = false;
+    cls.archivedAt = new Date();
+    cls.joinCode = undefined;
+    await cls.save();
+
+    res.json({
+      success: true,
+      message: 'Class archived successfully',
+      class: formatClass(cls)
+    });
+  } catch (error) {
+    console.error('Error archiving class:', error);
+    sendServiceError(res, error, { code: 'CLASS_ARCHIVE_FAILED', message: 'Failed to archive class' });
+  }
+};
+
+/**
+ * Restore an archived Class (Teacher)
+ * POST /api/classes/:classId/restore
+ */
+export const restoreClass = async (req, res) => {
+  try {
+    const cls = await loadClass(req.params.classId, res);
+    if (!cls) return;
+
+    cls.isActive = true;
+    cls.archivedAt = undefined;
+    await cls.save();
+
+    res.json({
+      success: true,
+      message: 'Class restored successfully',
+      class: formatClass(cls)
+    });
+  } catch (error) {
+    console.error('Error restoring class:', error);
+    sendServiceError(res, error, { code: 'CLASS_RESTORE_FAILED', message: 'Failed to restore class' });
+  }
+};
+
+/**
+ * Enroll Students (Teacher)
+ * POST /api/classes/:classId/students
+ * Body: { studentIds: [] }
+ */
+export const addStudents = async (req, res) => {
+  try {
+    const cls = await loadClass(req.params.classId, res);
+    if (!cls) return;
+
+    const result = await enrollStudents(cls, req.body.studentIds);
+
+    for (const studentId of result.enrolled) {
+      await createNotification({
+        userId: studentId,
+        type: 'class_enrollment',
+        message: `You have been added to the class "${cls.name}".`,
+        data: { classId: cls._id, className: cls.name },
+        link: '/classes'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${result.enrolled.length} student(s) enrolled`,
+      ...result,
+      studentCount: cls.students.length
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error enrolling students:', error);
+    sendServiceError(res, error, { code: 'ENROLLMENT_FAILED', message: 'Failed to enroll students' });
+  }
+};
+
+/**
+ * Remove a Student from a Class (Teacher)
+ * DELETE /api/classes/:classId/students/:studentId
+ */
+export const removeStudent = async (req, res) => {
+  try {
+    const cls = await loadClass(req.params.classId, res);
+    if (!cls) return;
+
+    await unenrollStudent(cls, req.params.studentId);
+
+    res.json({
+      success: true,
+      message: 'Student removed from class',
+      studentCount: cls.students.length
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error removing student:', error);
+    sendServiceError(res, error, { code: 'UNENROLLMENT_FAILED', message: 'Failed to remove student' });
+  }
+};
+
+/**
+ * Generate (or regenerate) the class join code (Teacher)
+ * POST /api/classes/:classId/join-code
+ */
+export const regenerateJoinCode = async (req, res) => {
+  try {
+    const cls = await loadClass(req.params.classId, res);
+    if (!cls) return;
+
+    if (!cls.isActive) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'CLASS_ARCHIVED', message: 'Archived classes cannot have a join code' }
+      });
+    }
+
+    const joinCode = await issueJoinCode(cls);
+
+    res.json({
+      success: true,
+      message: 'Join code generated',
+      joinCode
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error generating join code:', error);
+    sendServiceError(res, error, { code: 'JOIN_CODE_FAILED', message: 'Failed to generate join code' });
+  }
+};
+
+/**
+ * Disable joining by code (Teacher)
+ * DELETE /api/classes/:classId/join-code
+ */
+export const disableJoinCode = async (req, res) => {
+  try {
+    const cls = await loadClass(req.params.classId, res);
+    if (!cls) return;
+
+    cls.joinCode = undefined;
+    await cls.save();
+
+    res.json({
+      success: true,
+      message: 'Join code disabled'
+    });
+  } catch (error) {
+    console.error('Error disabling join code:', error);
+    sendServiceError(res, error, { code: 'JOIN_CODE_FAILED', message: 'Failed to disable join code' });
+  }
+};
+
+/**
+ * Join a Class with a join code (Student)
+ * POST /api/classes/join
+ * Body: { code }
+ */
+export const joinClass = async (req, res) => {
+  try {
+    const cls = await redeemJoinCode(req.user, req.body.code);
+
+    const studentName = `${req.user.profile?.firstName || ''} ${req.user.profile?.lastName || ''}`.trim();
+    await createNotification({
+      userId: cls.teacherId,
+      type: 'class_enrollment',
+      message: `${studentName || req.user.email} joined "${cls.name}" with the join code.`,
+      data: { classId: cls._id, studentId: req.user._id },
+      link: `/classes/${cls._id}`
+    });
+
+    res.json({
+      success: true,
+      message: `Joined class "${cls.name}"`,
+      class: formatClass(cls)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error joining class:', error);
+    sendServiceError(res, error, { code: 'JOIN_CLASS_FAILED', message: 'Failed to join class' });
+  }
+};
+
+/**
+ * List a Student's active classes
+ * GET /api/classes/student/:studentId
+ */
+export const getStudentClasses = async (req, res) => {
+  try {
+    const classes = await Class.find({ students: req.params.studentId, isActive: true })
+      .populate('teacherId', 'profile.firstName profile.lastName')
+      .sort({ level: 1, name: 1 });
+
+    res.json({
+      success: true,
+      classes: classes.map(cls => formatClass(cls))
+    });
+  } catch (error) {
+    console.error('Error fetching student classes:', error);
+    sendServiceError(res, error, { code: 'CLASSES_FETCH_FAILED', message: 'Failed to fetch classes' });
+  }
+};
+
+/**
+ * Per-criterion rubric analytics across a class's assignments (Teacher)
+ * Covers assignments targeted at the class and the teacher's level-wide assignments for its level and subject.
+ * GET /api/classes/:classId/rubric-analytics
+ */
+export const getClassRubricAnalytics = async (req, res) => {
+  try {
+    const cls = await loadClass(req.params.classId, res);
+    if (!cls) return;
+
+    const assignments = await Assignment.find({
+      isDeleted: { $ne: true },
+      schoolId: cls.schoolId || null,
+      $or: [
+        { classIds: cls._id },
+        { teacherId: cls.teacherId, level: cls.level, subject: cls.subject, classIds: { $size: 0 } }
+      ]
+    }).select('title rubric').lean();
+
+    res.json({
+      success: true,
+      classId: cls._id,
+      assignmentCount: assignments.length,
+      criteria: await getRubricAnalytics(assignments, cls.students)
+    });
+  } catch (error) {
+    console.error('Error computing class rubric analytics:', error);
+    sendServiceError(res, error, { code: 'RUBRIC_ANALYTICS_FAILED', message: 'Failed to compute rubric analytics' });
+  }
+};
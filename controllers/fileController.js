@@ -0,0 +1,48 @@
+import { openFileForDownload } from '../services/fileService.js';
+import { sendServiceError } from '../utils/errors.js';
+
+/**
+ * File Download Controller
+ * Streams uploaded files to users allowed to see them
+ */
+
+// Types a browser could execute if rendered inline are always served as opaque downloads
+const INLINE_UNSAFE_TYPES = ['text/html', 'image/svg+xml'];
+
+const contentDisposition = (fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7E]|["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+/**
+ * Download a stored file
+ * GET /api/files/:fileId
+ */
+export const downloadFile = async (req, res) => {
+  try {
+    const { file, fileName, stream } = await openFileForDownload(req.params.fileId, req.user);
+
+    res.set({
+      'Content-Type': INLINE_UNSAFE_TYPES.includes(file.mimeType) ? 'application/octet-stream' : file.mimeType,
+      'Content-Length': file.size,
+      'Content-Disposition': contentDisposition(fileName),
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store'
+    });
+
+    stream.on('error', (error) => {
+      console.error('Error reading stored file:', error);
+      if (res.headersSent) return res.destroy(error);
+      res.removeHeader('Content-Disposition');
+      res.status(404).json({
+        success: false,
+        error: { code: 'FILE_CONTENT_MISSING', message: 'File content is no longer available' }
+      });
+    });
+
+    stream.pipe(res);
+  } catch (error) {
+    if (!error.status) console.error('Error downloading file:', error);
+    sendServiceError(res, error, { code: 'FILE_DOWNLOAD_FAILED', message: 'Failed to download file' });
+  }
+};
@@ -325,7 +325,7 @@ export const getLeaderboard = async (req, res) => {
     console.log(`🏆 Getting leaderboard for level ${level}`);
 
     // Get leaderboard data
-    const leaderboard = await StudentGameStats.getLeaderboard(parseInt(level), parseInt(limit));
+    const leaderboard = await StudentGameStats.getLeaderboard(parseInt(level), parseInt(limit), req.schoolScope);
 
     // Get current user rank if studentId is provided
     let currentUser = null;
@@ -334,7 +334,7 @@ export const getLeaderboard = async (req, res) => {
       const userStats = await StudentGameStats.findOne({ studentId }).populate('studentId');
       if (userStats) {
         // Find user's rank in the broader leaderboard
-        const allStats = await StudentGameStats.getLeaderboard(parseInt(level), 1000);
+        const allStats = await StudentGameStats.getLeaderboard(parseInt(level), 1000, req.schoolScope);
         const userRank = allStats.findIndex(entry => entry.studentId.toString() === studentId) + 1;
         
         currentUser = {
@@ -0,0 +1,200 @@
+import Gradebook from '../models/gradebookModels.js';
+import User from '../models/userModels.js';
+import {
+  createGradebook as createGradebookService,
+  loadGradebook,
+  loadGradebookForStudent,
+  applyGradebookFields,
+  formatGradebook,
+  getGradebookTotals as getGradebookTotalsService,
+  getStudentGradebook,
+  getStudentGradebooks as getStudentGradebooksService
+} from '../services/gradebookService.js';
+import { sendServiceError } from '../utils/errors.js';
+
+/**
+ * Gradebook Controller
+ * Weighted category gradebooks per class or level, with terms, dropped-lowest rules and letter scales
+ */
+
+/**
+ * Create Gradebook (Teacher)
+ * POST /api/gradebooks
+ * Body: { classId | level, name, subject, categories: [{ key, weight, dropLowest }], terms: [{ name, startDate, endDate }],
+ *   gradingScale: [{ letter, minPercentage }], missingAsZero }
+ */
+export const createGradebook = async (req, res) => {
+  try {
+    const gradebook = await createGradebookService(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Gradebook created',
+      gradebook: formatGradebook(gradebook)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error creating gradebook:', error);
+    sendServiceError(res, error, { code: 'GRADEBOOK_CREATE_FAILED', message: 'Failed to create gradebook' });
+  }
+};
+
+/**
+ * List the teacher's Gradebooks
+ * GET /api/gradebooks
+ * Query params: classId, level
+ */
+export const getGradebooks = async (req, res) => {
+  try {
+    const { classId, level } = req.query;
+
+    const filter = req.user.role === 'admin' ? {} : { teacherId: req.user._id };
+    if (classId) filter.classId = /^[a-f\d]{24}$/i.test(classId) ? classId : null;
+    if (level) filter.level = parseInt(level);
+
+    const gradebooks = await Gradebook.find(filter).sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      gradebooks: gradebooks.map(formatGradebook)
+    });
+  } catch (error) {
+    console.error('Error fetching gradebooks:', error);
+    sendServiceError(res, error, { code: 'GRADEBOOKS_FETCH_FAILED', message: 'Failed to fetch gradebooks' });
+  }
+};
+
+/**
+ * Get Gradebook settings
+ * GET /api/gradebooks/:gradebookId
+ */
+export const getGradebook = async (req, res) => {
+  try {
+    const gradebook = await loadGradebook(req.params.gradebookId, req.user);
+
+    res.json({
+      success: true,
+      gradebook: formatGradebook(gradebook)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error fetching gradebook:', error);
+    sendServiceError(res, error, { code: 'GRADEBOOK_FETCH_FAILED', message: 'Failed to fetch gradebook' });
+  }
+};
+
+/**
+ * Update Gradebook settings. Totals are always computed from current results, so changes apply immediately.
+ * PUT /api/gradebooks/:gradebookId
+ */
+export const updateGradebook = async (req, res) => {
+  try {
+    const gradebook = await loadGradebook(req.params.gradebookId, req.user);
+
+    applyGradebookFields(gradebook, req.body);
+    await gradebook.save();
+
+    res.json({
+      success: true,
+      message: 'Gradebook updated',
+      gradebook: formatGradebook(gradebook)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error updating gradebook:', error);
+    sendServiceError(res, error, { code: 'GRADEBOOK_UPDATE_FAILED', message: 'Failed to update gradebook' });
+  }
+};
+
+/**
+ * Delete Gradebook (grades on submissions are not affected)
+ * DELETE /api/gradebooks/:gradebookId
+ */
+export const deleteGradebook = async (req, res) => {
+  try {
+    const gradebook = await loadGradebook(req.params.gradebookId, req.user);
+    await gradebook.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Gradebook deleted'
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error deleting gradebook:', error);
+    sendServiceError(res, error, { code: 'GRADEBOOK_DELETE_FAILED', message: 'Failed to delete gradebook' });
+  }
+};
+
+/**
+ * Totals for every student in the gradebook
+ * GET /api/gradebooks/:gradebookId/totals
+ * Query params: termId (omit for the whole gradebook)
+ */
+export const getGradebookTotals = async (req, res) => {
+  try {
+    const gradebook = await loadGradebook(req.params.gradebookId, req.user);
+    const totals = await getGradebookTotalsService(gradebook, { termId: req.query.termId });
+
+    res.json({
+      success: true,
+      gradebook: formatGradebook(gradebook),
+      ...totals
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error computing gradebook totals:', error);
+    sendServiceError(res, error, { code: 'GRADEBOOK_TOTALS_FAILED', message: 'Failed to compute gradebook totals' });
+  }
+};
+
+/**
+ * One student's results, totals per term and running total
+ * GET /api/gradebooks/:gradebookId/students/:studentId
+ * Query params: termId
+ */
+export const getGradebookStudent = async (req, res) => {
+  try {
+    const { gradebook, student } = await loadGradebookForStudent(req.params.gradebookId, req.params.studentId, req.user);
+    const detail = await getStudentGradebook(gradebook, student, { termId: req.query.termId });
+
+    res.json({
+      success: true,
+      gradebook: formatGradebook(gradebook),
+      ...detail
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error fetching student gradebook:', error);
+    sendServiceError(res, error, { code: 'GRADEBOOK_FETCH_FAILED', message: 'Failed to fetch student gradebook' });
+  }
+};
+
+/**
+ * Gradebooks covering a student, with the student's current total in each
+ * GET /api/gradebooks/student/:studentId
+ */
+export const getStudentGradebooks = async (req, res) => {
+  try {
+    const student = /^[a-f\d]{24}$/i.test(req.params.studentId)
+      ? await User.findOne({ _id: req.params.studentId, role: 'student' })
+      : null;
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'STUDENT_NOT_FOUND', message: 'Student not found' }
+      });
+    }
+
+    // Teachers only see their own gradebooks for the student
+    const gradebooks = (await getStudentGradebooksService(student))
+      .filter(gradebook => req.user.role !== 'teacher' || gradebook.teacherId.toString() === req.user._id.toString());
+    const summaries = [];
+    for (const gradebook of gradebooks) {
+      const { percentage, letterGrade } = await getStudentGradebook(gradebook, student);
+      summaries.push({ ...formatGradebook(gradebook), percentage, letterGrade });
+    }
+
+    res.json({
+      success: true,
+      gradebooks: summaries
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error fetching student gradebooks:', error);
+    sendServiceError(res, error, { code: 'GRADEBOOKS_FETCH_FAILED', message: 'Failed to fetch gradebooks' });
+  }
+};
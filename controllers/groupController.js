@@ -0,0 +1,217 @@
+import { Assignment } from '../models/assignmentModels.js';
+import {
+  formatGroup,
+  getAssignmentGroups as getAssignmentGroupsService,
+  getStudentGroups as getStudentGroupsService,
+  createGroup as createGroupService,
+  updateGroup as updateGroupService,
+  deleteGroup as deleteGroupService,
+  formGroup as formGroupService,
+  joinGroup as joinGroupService,
+  leaveGroup as leaveGroupService,
+  setGradeAdjustments
+} from '../services/groupService.js';
+import { sendServiceError } from '../utils/errors.js';
+
+/**
+ * Group Controller
+ * Student groups on group assignments: teacher-assigned or self-formed, with per-member grade adjustments
+ */
+
+const findAssignment = async (req, res) => {
+  const assignment = await Assignment.findById(req.params.assignmentId);
+  if (!assignment || assignment.isDeleted) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'ASSIGNMENT_NOT_FOUND', message: 'Assignment not found' }
+    });
+    return null;
+  }
+  return assignment;
+};
+
+/**
+ * List Groups with members and grade adjustments (Teacher)
+ * GET /api/assignments/:assignmentId/groups
+ */
+export const getAssignmentGroups = async (req, res) => {
+  try {
+    const assignment = await findAssignment(req, res);
+    if (!assignment) return;
+
+    res.json({
+      success: true,
+      groupSettings: assignment.groupSettings,
+      groups: await getAssignmentGroupsService(assignment, { includeAdjustments: true })
+    });
+  } catch (error) {
+    console.error('Error fetching groups:', error);
+    sendServiceError(res, error, { code: 'GROUPS_FETCH_FAILED', message: 'Failed to fetch groups' });
+  }
+};
+
+/**
+ * Create Group (Teacher)
+ * POST /api/assignments/:assignmentId/groups
+ * Body: { name, memberIds }
+ */
+export const createGroup = async (req, res) => {
+  try {
+    const assignment = await findAssignment(req, res);
+    if (!assignment) return;
+
+    const group = await createGroupService(assignment, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Group created',
+      group: formatGroup(group, { includeAdjustments: true })
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error creating group:', error);
+    sendServiceError(res, error, { code: 'GROUP_CREATE_FAILED', message: 'Failed to create group' });
+  }
+};
+
+/**
+ * Rename a Group or replace its members (Teacher)
+ * PUT /api/assignments/:assignmentId/groups/:groupId
+ * Body: { name, memberIds }
+ */
+export const updateGroup = async (req, res) => {
+  try {
+    const assignment = await findAssignment(req, res);
+    if (!assignment) return;
+
+    const group = await updateGroupService(assignment, req.params.groupId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Group updated',
+      group: formatGroup(group, { includeAdjustments: true })
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error updating group:', error);
+    sendServiceError(res, error, { code: 'GROUP_UPDATE_FAILED', message: 'Failed to update group' });
+  }
+};
+
+/**
+ * Delete Group (Teacher, only before the group has submitted)
+ * DELETE /api/assignments/:assignmentId/groups/:groupId
+ */
+export const deleteGroup = async (req, res) => {
+  try {
+    const assignment = await findAssignment(req, res);
+    if (!assignment) return;
+
+    await deleteGroupService(assignment, req.params.groupId);
+
+    res.json({
+      success: true,
+      message: 'Group deleted'
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error deleting group:', error);
+    sendServiceError(res, error, { code: 'GROUP_DELETE_FAILED', message: 'Failed to delete group' });
+  }
+};
+
+/**
+ * Adjust individual members' grades relative to the group's score (Teacher)
+ * PUT /api/assignments/:assignmentId/groups/:groupId/adjustments
+ * Body: { adjustments: [{ studentId, points, reason }] }
+ */
+export const adjustGroupGrades = async (req, res) => {
+  try {
+    const assignment = await findAssignment(req, res);
+    if (!assignment) return;
+
+    const { group, grade } = await setGradeAdjustments(assignment, req.params.groupId, req.body.adjustments, req.user);
+
+    res.json({
+      success: true,
+      message: grade ? 'Adjustments saved and member grades updated' : 'Adjustments saved; they apply when the group is graded',
+      group: formatGroup(group, { hasSubmitted: !!grade, includeAdjustments: true }),
+      memberGrades: grade?.memberGrades || []
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error adjusting group grades:', error);
+    sendServiceError(res, error, { code: 'GROUP_ADJUSTMENT_FAILED', message: 'Failed to save grade adjustments' });
+  }
+};
+
+/**
+ * Groups of an assignment as seen by a student, including their own group
+ * GET /api/assignments/:assignmentId/student/:studentId/groups
+ */
+export const getStudentGroups = async (req, res) => {
+  try {
+    const result = await getStudentGroupsService(req.params.assignmentId, req.params.studentId);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error fetching student groups:', error);
+    sendServiceError(res, error, { code: 'GROUPS_FETCH_FAILED', message: 'Failed to fetch groups' });
+  }
+};
+
+/**
+ * Start a new group (Student, self-formed groups)
+ * POST /api/assignments/:assignmentId/groups/form
+ * Body: { name }
+ */
+export const formGroup = async (req, res) => {
+  try {
+    const group = await formGroupService(req.params.assignmentId, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Group created',
+      group: formatGroup(group)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error forming group:', error);
+    sendServiceError(res, error, { code: 'GROUP_CREATE_FAILED', message: 'Failed to create group' });
+  }
+};
+
+/**
+ * Join a Group (Student, self-formed groups)
+ * POST /api/assignments/:assignmentId/groups/:groupId/join
+ */
+export const joinGroup = async (req, res) => {
+  try {
+    const group = await joinGroupService(req.params.assignmentId, req.params.groupId, req.user);
+
+    res.json({
+      success: true,
+      message: `Joined group "${group.name}"`,
+      group: formatGroup(group)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error joining group:', error);
+    sendServiceError(res, error, { code: 'GROUP_JOIN_FAILED', message: 'Failed to join group' });
+  }
+};
+
+/**
+ * Leave a Group (Student, self-formed groups)
+ * POST /api/assignments/:assignmentId/groups/:groupId/leave
+ */
+export const leaveGroup = async (req, res) => {
+  try {
+    const group = await leaveGroupService(req.params.assignmentId, req.params.groupId, req.user);
+
+    res.json({
+      success: true,
+      message: group ? 'Left the group' : 'Left the group; it had no other members and was removed'
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error leaving group:', error);
+    sendServiceError(res, error, { code: 'GROUP_LEAVE_FAILED', message: 'Failed to leave group' });
+  }
+};
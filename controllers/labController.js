@@ -1,5 +1,6 @@
 import { LabSlot, LabBooking } from '../models/labModels.js';
 import User from '../models/userModels.js';
+import { isSameSchool } from '../services/schoolService.js';
 
 /**
  * Create Lab Slot (Teacher)
@@ -50,6 +51,7 @@ export const createLabSlot = async (req, res) => {
     // Create lab slot
     const labSlot = new LabSlot({
       teacherId,
+      schoolId: teacher.schoolId || null,
       level: parseInt(level),
       date,
       startTime,
@@ -250,7 +252,8 @@ export const getAvailableLabSlots = async (req, res) => {
     const slots = await LabSlot.find({
       level: parseInt(level),
       status: 'active',
-      date: { $gte: new Date().toISOString().split('T')[0] } // Only future dates
+      date: { $gte: new Date().toISOString().split('T')[0] }, // Only future dates
+      ...req.schoolScope
     })
     .populate('teacherId', 'profile.firstName profile.lastName')
     .sort({ date: 1, startTime: 1 })
@@ -262,7 +265,8 @@ export const getAvailableLabSlots = async (req, res) => {
     const totalItems = await LabSlot.countDocuments({
       level: parseInt(level),
       status: 'active',
-      date: { $gte: new Date().toISOString().split('T')[0] }
+      date: { $gte: new Date().toISOString().split('T')[0] },
+      ...req.schoolScope
     });
 
     // Get booking counts for each slot
@@ -364,6 +368,16 @@ export const createLabBooking = async (req, res) => {
       });
     }
 
+    if (!isSameSchool(slot.schoolId, student.schoolId)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN_SCHOOL',
+          message: 'Lab slot belongs to another school'
+        }
+      });
+    }
+
     if (slot.status !== 'active') {
       return res.status(400).json({
         success: false,
@@ -53,8 +53,12 @@ export const markNotificationAsRead = async (req, res) => {
   try {
     const { notificationId } = req.params;
     
-    const notification = await Notification.findByIdAndUpdate(
-      notificationId,
+    // Users may only mark their own notifications (admins may mark any)
+    const filter = { _id: notificationId };
+    if (req.user.role !== 'admin') filter.userId = req.user._id;
+
+    const notification = await Notification.findOneAndUpdate(
+      filter,
       { read: true },
       { new: true }
     );
@@ -0,0 +1,159 @@
+import { Assignment } from '../models/assignmentModels.js';
+import {
+  assignPeerReviewers,
+  getPeerReviewSummary as getPeerReviewSummaryService,
+  finalizePeerReview as finalizePeerReviewService,
+  getReviewerAssignments,
+  submitPeerReview as submitPeerReviewService,
+  getPeerFeedback as getPeerFeedbackService
+} from '../services/peerReviewService.js';
+import { sendServiceError } from '../utils/errors.js';
+
+/**
+ * Peer Review Controller
+ * Teachers assign reviewers and grade from the aggregated peer scores; students review classmates anonymously
+ */
+
+const findAssignment = async (req, res) => {
+  const assignment = await Assignment.findById(req.params.assignmentId);
+  if (!assignment || assignment.isDeleted) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'ASSIGNMENT_NOT_FOUND', message: 'Assignment not found' }
+    });
+    return null;
+  }
+  return assignment;
+};
+
+/**
+ * Assign Peer Reviewers now (Teacher). Happens automatically once the assignment is due.
+ * POST /api/assignments/:assignmentId/peer-reviews/assign
+ */
+export const assignPeerReviews = async (req, res) => {
+  try {
+    const assignment = await findAssignment(req, res);
+    if (!assignment) return;
+
+    const result = await assignPeerReviewers(assignment);
+
+    res.json({
+      success: true,
+      message: `Assigned ${result.reviews} reviews for ${result.submissions} submissions`,
+      ...result
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error assigning peer reviews:', error);
+    sendServiceError(res, error, { code: 'PEER_REVIEW_ASSIGN_FAILED', message: 'Failed to assign peer reviews' });
+  }
+};
+
+/**
+ * Peer Review results per submission, with outliers flagged (Teacher)
+ * GET /api/assignments/:assignmentId/peer-reviews
+ */
+export const getPeerReviewSummary = async (req, res) => {
+  try {
+    const assignment = await findAssignment(req, res);
+    if (!assignment) return;
+
+    res.json({
+      success: true,
+      assignmentId: assignment._id,
+      peerReview: assignment.peerReview,
+      submissions: await getPeerReviewSummaryService(assignment)
+    });
+  } catch (error) {
+    console.error('Error fetching peer reviews:', error);
+    sendServiceError(res, error, { code: 'PEER_REVIEWS_FETCH_FAILED', message: 'Failed to fetch peer reviews' });
+  }
+};
+
+/**
+ * Accept the peer score, or override it, as the submission's grade (Teacher)
+ * POST /api/assignments/:assignmentId/peer-reviews/:submissionId/finalize
+ * Body: { totalScore, rubricScores } to override (omit to accept), overallFeedback, waiveLatePenalty
+ */
+export const finalizePeerReview = async (req, res) => {
+  try {
+    const assignment = await findAssignment(req, res);
+    if (!assignment) return;
+
+    const { grade, aggregate, overridden } = await finalizePeerReviewService(assignment, req.params.submissionId, req.body, req.user);
+
+    res.json({
+      success: true,
+      message: overridden ? 'Grade saved with the teacher\'s score' : 'Peer score accepted as the grade',
+      grade,
+      aggregate,
+      overridden
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error finalizing peer review:', error);
+    sendServiceError(res, error, { code: 'GRADING_FAILED', message: 'Failed to save grade' });
+  }
+};
+
+/**
+ * Reviews assigned to a student
+ * GET /api/assignments/student/:studentId/peer-reviews
+ * Query params: assignmentId
+ */
+export const getStudentPeerReviews = async (req, res) => {
+  try {
+    const reviews = await getReviewerAssignments(req.params.studentId, { assignmentId: req.query.assignmentId });
+
+    res.json({
+      success: true,
+      reviews
+    });
+  } catch (error) {
+    console.error('Error fetching assigned peer reviews:', error);
+    sendServiceError(res, error, { code: 'PEER_REVIEWS_FETCH_FAILED', message: 'Failed to fetch peer reviews' });
+  }
+};
+
+/**
+ * Submit or change a Peer Review (Student reviewer)
+ * PUT /api/assignments/:assignmentId/peer-reviews/:reviewId
+ * Body: { rubricScores, totalScore, comment }
+ */
+export const submitPeerReview = async (req, res) => {
+  try {
+    const review = await submitPeerReviewService(req.params.assignmentId, req.params.reviewId, req.body, req.user);
+
+    res.json({
+      success: true,
+      message: 'Peer review saved',
+      review: {
+        id: review._id,
+        status: review.status,
+        rubricScores: review.rubricScores,
+        totalScore: review.totalScore,
+        comment: review.comment,
+        submittedAt: review.submittedAt
+      }
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error submitting peer review:', error);
+    sendServiceError(res, error, { code: 'PEER_REVIEW_SUBMIT_FAILED', message: 'Failed to save peer review' });
+  }
+};
+
+/**
+ * Anonymous peer feedback on a student's submission, once graded
+ * GET /api/assignments/:assignmentId/student/:studentId/peer-feedback
+ */
+export const getPeerFeedback = async (req, res) => {
+  try {
+    const feedback = await getPeerFeedbackService(req.params.assignmentId, req.params.studentId);
+
+    res.json({
+      success: true,
+      ...feedback
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error fetching peer feedback:', error);
+    sendServiceError(res, error, { code: 'PEER_FEEDBACK_FETCH_FAILED', message: 'Failed to fetch peer feedback' });
+  }
+};
@@ -0,0 +1,96 @@
+import {
+  getTopicMastery as getTopicMasteryService,
+  startPracticeSession as startPracticeSessionService,
+  loadPracticeSession,
+  answerPracticeQuestion as answerPracticeQuestionService,
+  formatPracticeSession,
+  formatPracticeFeedback,
+  formatMastery
+} from '../services/practiceService.js';
+import { sendServiceError } from '../utils/errors.js';
+
+/**
+ * Practice Controller
+ * Per-topic mastery and adaptive practice sessions on a student's weak topics
+ */
+
+/**
+ * Get a student's mastery per topic, weakest first, with its history over time
+ * GET /api/quiz/practice/mastery/:studentId
+ * Query params: subject
+ */
+export const getTopicMastery = async (req, res) => {
+  try {
+    const { topics, weakestTopics } = await getTopicMasteryService(req.params.studentId, {
+      subject: req.query.subject,
+      includeHistory: true
+    });
+
+    res.json({
+      success: true,
+      data: { topics, weakestTopics }
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error getting topic mastery:', error);
+    sendServiceError(res, error, { code: 'MASTERY_FETCH_FAILED', message: 'Failed to get topic mastery' });
+  }
+};
+
+/**
+ * Start an adaptive practice session (Student)
+ * POST /api/quiz/practice/sessions
+ * Body: { subject, topics, resourceId, questionCount } - without topics, the weak attempts at resourceId
+ *   or else the student's weakest topics in the subject are practised
+ */
+export const startPracticeSession = async (req, res) => {
+  try {
+    const session = await startPracticeSessionService(req.user._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      session: formatPracticeSession(session)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error starting practice session:', error);
+    sendServiceError(res, error, { code: 'PRACTICE_START_FAILED', message: 'Failed to start practice session' });
+  }
+};
+
+/**
+ * Get a practice session, with the question waiting for an answer (Student)
+ * GET /api/quiz/practice/sessions/:sessionId
+ */
+export const getPracticeSession = async (req, res) => {
+  try {
+    const session = await loadPracticeSession(req.params.sessionId, req.user._id);
+
+    res.json({
+      success: true,
+      session: formatPracticeSession(session)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error getting practice session:', error);
+    sendServiceError(res, error, { code: 'PRACTICE_FETCH_FAILED', message: 'Failed to get practice session' });
+  }
+};
+
+/**
+ * Answer the current practice question: returns the correct answer, the updated mastery and the next question
+ * POST /api/quiz/practice/sessions/:sessionId/answer
+ * Body: { questionId, answer } (answer as for a quiz attempt; null = don't know)
+ */
+export const answerPracticeQuestion = async (req, res) => {
+  try {
+    const { session, item, mastery } = await answerPracticeQuestionService(req.params.sessionId, req.user._id, req.body);
+
+    res.json({
+      success: true,
+      feedback: formatPracticeFeedback(item),
+      mastery: formatMastery(mastery),
+      session: formatPracticeSession(session)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error answering practice question:', error);
+    sendServiceError(res, error, { code: 'PRACTICE_ANSWER_FAILED', message: 'Failed to record practice answer' });
+  }
+};
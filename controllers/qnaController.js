@@ -1,5 +1,6 @@
 import { QnaMessage } from '../models/qnaModels.js';
 import User from '../models/userModels.js';
+import { isSameSchool } from '../services/schoolService.js';
 
 /**
  * Get messages by level with pagination
@@ -17,7 +18,8 @@ export const getLevelMessages = async (req, res) => {
     // Get main messages (not replies) for this level
     const mainMessages = await QnaMessage.find({
       level: parseInt(level),
-      replyToId: null
+      replyToId: null,
+      ...req.schoolScope
     })
     .populate('studentId', 'profile.firstName profile.lastName')
     .populate('teacherId', 'profile.firstName profile.lastName')
@@ -29,7 +31,8 @@ export const getLevelMessages = async (req, res) => {
     // Get total count for pagination
     const totalItems = await QnaMessage.countDocuments({
       level: parseInt(level),
-      replyToId: null
+      replyToId: null,
+      ...req.schoolScope
     });
 
     // Get replies for each main message
@@ -151,12 +154,22 @@ export const sendStudentMessage = async (req, res) => {
           }
         });
       }
+      if (!isSameSchool(parentMessage.schoolId, student.schoolId)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'FORBIDDEN_SCHOOL',
+            message: 'Cannot reply to a message from another school'
+          }
+        });
+      }
       threadId = parentMessage.threadId || parentMessage._id;
     }
 
     // Create message
     const message = new QnaMessage({
       studentId,
+      schoolId: student.schoolId || null,
       content,
       level: parseInt(level),
       replyToId: replyToId || null,
@@ -256,12 +269,22 @@ export const sendTeacherMessage = async (req, res) => {
           }
         });
       }
+      if (!isSameSchool(parentMessage.schoolId, teacher.schoolId)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'FORBIDDEN_SCHOOL',
+            message: 'Cannot reply to a message from another school'
+          }
+        });
+      }
       threadId = parentMessage.threadId || parentMessage._id;
     }
 
     // Create message
     const message = new QnaMessage({
       teacherId,
+      schoolId: teacher.schoolId || null,
       content,
       level: levelNum,
       replyToId: replyToId || null,
@@ -0,0 +1,137 @@
+import Question from '../models/questionModels.js';
+import {
+  formatBankQuestion,
+  questionVisibilityFilter,
+  loadBankQuestion,
+  applyBankQuestionFields
+} from '../services/questionBankService.js';
+import { sendServiceError } from '../utils/errors.js';
+
+/**
+ * Question Bank Controller
+ * Reusable quiz questions: a teacher's own plus those shared within their school
+ */
+
+/**
+ * Create a Bank Question (Teacher)
+ * POST /api/quiz/questions
+ * Body: { type, question, options, correctAnswer (and the type's other answer fields), explanation, points, subject, level, topic, difficulty, tags, isShared }
+ */
+export const createBankQuestion = async (req, res) => {
+  try {
+    const question = await applyBankQuestionFields(new Question({
+      teacherId: req.user._id,
+      schoolId: req.user.schoolId || null
+    }), req.body);
+
+    await question.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Question added to the bank',
+      question: formatBankQuestion(question)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error creating bank question:', error);
+    sendServiceError(res, error, { code: 'QUESTION_CREATE_FAILED', message: 'Failed to create question' });
+  }
+};
+
+/**
+ * List Bank Questions the teacher can use
+ * GET /api/quiz/questions
+ * Query params: subject, level, topic, difficulty, tag, practiceOnly, mine ('true' = only own questions), page, limit
+ */
+export const getBankQuestions = async (req, res) => {
+  try {
+    const { subject, level, topic, difficulty, tag, practiceOnly, mine } = req.query;
+
+    const filter = mine === 'true' ? { teacherId: req.user._id } : questionVisibilityFilter(req.user);
+    if (subject) filter.subject = subject;
+    if (level) filter.level = parseInt(level);
+    if (topic) filter.topic = topic;
+    if (difficulty) filter.difficulty = difficulty;
+    if (tag) filter.tags = String(tag).trim().toLowerCase();
+    if (practiceOnly !== undefined) filter.practiceOnly = practiceOnly === 'true' ? true : { $ne: true };
+
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const [questions, totalItems] = await Promise.all([
+      Question.find(filter).sort({ updatedAt: -1 }).skip((pageNum - 1) * limitNum).limit(limitNum),
+      Question.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      questions: questions.map(formatBankQuestion),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalItems / limitNum),
+        totalItems,
+        itemsPerPage: limitNum
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching bank questions:', error);
+    sendServiceError(res, error, { code: 'QUESTIONS_FETCH_FAILED', message: 'Failed to fetch questions' });
+  }
+};
+
+/**
+ * Get a Bank Question
+ * GET /api/quiz/questions/:questionId
+ */
+export const getBankQuestion = async (req, res) => {
+  try {
+    const question = await loadBankQuestion(req.params.questionId, req.user);
+
+    res.json({
+      success: true,
+      question: formatBankQuestion(question)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error fetching bank question:', error);
+    sendServiceError(res, error, { code: 'QUESTION_FETCH_FAILED', message: 'Failed to fetch question' });
+  }
+};
+
+/**
+ * Update a Bank Question (owner). Attempts already assembled keep their copy.
+ * PUT /api/quiz/questions/:questionId
+ */
+export const updateBankQuestion = async (req, res) => {
+  try {
+    const question = await loadBankQuestion(req.params.questionId, req.user, { forEdit: true });
+
+    await applyBankQuestionFields(question, req.body);
+    await question.save();
+
+    res.json({
+      success: true,
+      message: 'Question updated',
+      question: formatBankQuestion(question)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error updating bank question:', error);
+    sendServiceError(res, error, { code: 'QUESTION_UPDATE_FAILED', message: 'Failed to update question' });
+  }
+};
+
+/**
+ * Delete a Bank Question (owner)
+ * DELETE /api/quiz/questions/:questionId
+ */
+export const deleteBankQuestion = async (req, res) => {
+  try {
+    const question = await loadBankQuestion(req.params.questionId, req.user, { forEdit: true });
+    await question.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Question deleted'
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error deleting bank question:', error);
+    sendServiceError(res, error, { code: 'QUESTION_DELETE_FAILED', message: 'Failed to delete question' });
+  }
+};
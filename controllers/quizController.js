@@ -1,152 +1,228 @@
-import { QuizResult, Achievement } from '../models/quizModels.js';
+import { Quiz, QuizResult, Achievement } from '../models/quizModels.js';
 import User from '../models/userModels.js';
 import { createNotification } from './notificationController.js';
+import {
+  applyQuizFields,
+  loadQuiz,
+  formatQuiz,
+  getStudentQuizzes as getStudentQuizzesService,
+  formatAttempt,
+  startAttempt,
+  saveAttemptAnswers,
+  submitAttempt,
+  formatAttemptReview,
+  canSeeCorrectAnswers,
+  closeExpiredAttempts,
+  getCountedQuizScores
+} from '../services/quizService.js';
+import { formatQuestionContent } from '../services/questionTypeService.js';
+import { sendServiceError } from '../utils/errors.js';
+
+/**
+ * Create a Quiz (Teacher)
+ * POST /api/quiz/quizzes
+ * Body: { title, description, subject, level, questions: [{ type, question, options, correctAnswer, ..., explanation, points }], assembly,
+ *   shuffleQuestions, shuffleOptions, timeLimitMinutes, maxAttempts, opensAt, closesAt, scoringPolicy, classIds, isVisible }
+ */
+export const createQuiz = async (req, res) => {
+  try {
+    const quiz = await applyQuizFields(new Quiz({
+      teacherId: req.user._id,
+      schoolId: req.user.schoolId || null
+    }), { questions: [], ...req.body });
+
+    await quiz.save();
 
-// Achievement level calculation
-const calculateAchievementLevel = (score) => {
-  if (score >= 90) return 'gold';
-  if (score >= 80) return 'silver';
-  if (score >= 70) return 'bronze';
-  return 'participation';
+    res.status(201).json({
+      success: true,
+      message: 'Quiz created',
+      quiz: formatQuiz(quiz, { includeAnswers: true })
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error creating quiz:', error);
+    sendServiceError(res, error, { code: 'QUIZ_CREATE_FAILED', message: 'Failed to create quiz' });
+  }
 };
 
-// Achievement titles and descriptions
-const getAchievementData = (level, score) => {
-  const achievements = {
-    gold: {
-      title: 'Quiz Master',
-      description: `Outstanding performance! You scored ${score}% and mastered this topic.`,
-      icon: '🏆'
-    },
-    silver: {
-      title: 'Knowledge Star',
-      description: `Great work! You scored ${score}% and showed excellent understanding.`,
-      icon: '⭐'
-    },
-    bronze: {
-      title: 'Learning Champion',
-      description: `Well done! You scored ${score}% and demonstrated good progress.`,
-      icon: '🥉'
-    },
-    participation: {
-      title: 'Keep Learning',
-      description: `You scored ${score}%. Keep practicing to improve your understanding!`,
-      icon: '📚'
-    }
-  };
-  return achievements[level];
+/**
+ * List the teacher's own Quizzes
+ * GET /api/quiz/quizzes
+ * Query params: subject, level
+ */
+export const getTeacherQuizzes = async (req, res) => {
+  try {
+    const { subject, level } = req.query;
+
+    const filter = { teacherId: req.user._id, isDeleted: { $ne: true } };
+    if (subject) filter.subject = subject;
+    if (level) filter.level = parseInt(level);
+
+    const quizzes = await Quiz.find(filter).sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      quizzes: quizzes.map(quiz => formatQuiz(quiz, { includeAnswers: true }))
+    });
+  } catch (error) {
+    console.error('Error fetching quizzes:', error);
+    sendServiceError(res, error, { code: 'QUIZZES_FETCH_FAILED', message: 'Failed to fetch quizzes' });
+  }
 };
 
-// Save quiz result
-export const saveQuizResult = async (req, res) => {
+/**
+ * Get a Quiz with its answers (owner)
+ * GET /api/quiz/quizzes/:quizId
+ */
+export const getQuiz = async (req, res) => {
   try {
-    const { 
-      studentId, 
-      resourceId, 
-      score, 
-      answers, 
-      correctAnswers, 
-      totalQuestions, 
-      quizData, 
-      completedAt 
-    } = req.body;
-
-    // Validate required fields
-    if (!studentId || !resourceId || score === undefined || !answers || 
-        correctAnswers === undefined || !totalQuestions || !completedAt) {
-      return res.status(400).json({
-        success: false,
-        message: 'All required fields must be provided',
-        required: ['studentId', 'resourceId', 'score', 'answers', 'correctAnswers', 'totalQuestions', 'completedAt']
-      });
-    }
+    const quiz = await loadQuiz(req.params.quizId, req.user);
 
-    // Validate student exists
-    const student = await User.findById(studentId);
-    if (!student || student.role !== 'student') {
-      return res.status(404).json({
-        success: false,
-        message: 'Student not found'
-      });
-    }
+    res.json({
+      success: true,
+      quiz: formatQuiz(quiz, { includeAnswers: true })
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error fetching quiz:', error);
+    sendServiceError(res, error, { code: 'QUIZ_FETCH_FAILED', message: 'Failed to fetch quiz' });
+  }
+};
 
-    // Validate score range
-    if (score < 0 || score > 100) {
-      return res.status(400).json({
-        success: false,
-        message: 'Score must be between 0 and 100'
-      });
-    }
+/**
+ * Update a Quiz (owner). Attempts already started keep the questions they were served.
+ * PUT /api/quiz/quizzes/:quizId
+ */
+export const updateQuiz = async (req, res) => {
+  try {
+    const quiz = await loadQuiz(req.params.quizId, req.user);
 
-    // Validate answers array length
-    if (answers.length !== totalQuestions) {
-      return res.status(400).json({
-        success: false,
-        message: 'Answers array length must match total questions'
-      });
-    }
+    await applyQuizFields(quiz, req.body);
+    await quiz.save();
 
-    // Validate correctAnswers
-    if (correctAnswers < 0 || correctAnswers > totalQuestions) {
-      return res.status(400).json({
-        success: false,
-        message: 'Correct answers must be between 0 and total questions'
-      });
-    }
+    res.json({
+      success: true,
+      message: 'Quiz updated',
+      quiz: formatQuiz(quiz, { includeAnswers: true })
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error updating quiz:', error);
+    sendServiceError(res, error, { code: 'QUIZ_UPDATE_FAILED', message: 'Failed to update quiz' });
+  }
+};
+
+/**
+ * Delete a Quiz (owner; soft delete, results are kept)
+ * DELETE /api/quiz/quizzes/:quizId
+ */
+export const deleteQuiz = async (req, res) => {
+  try {
+    const quiz = await loadQuiz(req.params.quizId, req.user);
+    quiz.isDeleted = true;
+    await quiz.save();
 
-    console.log(`Quiz result submission for student: ${studentId}, score: ${score}%`);
-
-    // Create quiz result
-    const quizResult = new QuizResult({
-      studentId,
-      resourceId,
-      resourceTitle: quizData?.title || 'Quiz',
-      score,
-      answers,
-      correctAnswers,
-      totalQuestions,
-      quizData,
-      completedAt: new Date(completedAt)
+    res.json({
+      success: true,
+      message: 'Quiz deleted'
     });
+  } catch (error) {
+    if (!error.status) console.error('Error deleting quiz:', error);
+    sendServiceError(res, error, { code: 'QUIZ_DELETE_FAILED', message: 'Failed to delete quiz' });
+  }
+};
 
-    await quizResult.save();
-
-    // Calculate achievement level
-    const achievementLevel = calculateAchievementLevel(score);
-    let achievementUnlocked = false;
-    let achievement = null;
-
-    // Create achievement if score >= 70%
-    if (score >= 70) {
-      const achievementData = getAchievementData(achievementLevel, score);
-      
-      achievement = new Achievement({
-        studentId,
-        title: achievementData.title,
-        description: achievementData.description,
-        level: achievementLevel,
-        icon: achievementData.icon,
-        score,
-        resourceId,
-        resourceTitle: quizData?.title || 'Quiz',
-        unlockedAt: new Date()
-      });
+/**
+ * Quizzes available to a student (without answers)
+ * GET /api/quiz/quizzes/student/:studentId
+ */
+export const getStudentQuizzes = async (req, res) => {
+  try {
+    const quizzes = await getStudentQuizzesService(req.params.studentId);
+
+    res.json({
+      success: true,
+      quizzes
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error fetching student quizzes:', error);
+    sendServiceError(res, error, { code: 'QUIZZES_FETCH_FAILED', message: 'Failed to fetch quizzes' });
+  }
+};
+
+/**
+ * Start (or resume) an attempt: serves the questions without their answers
+ * POST /api/quiz/quizzes/:quizId/attempts
+ */
+export const startQuizAttempt = async (req, res) => {
+  try {
+    const { attempt, quiz, resumed } = await startAttempt(req.params.quizId, req.user._id);
+
+    res.status(resumed ? 200 : 201).json({
+      success: true,
+      resumed,
+      attempt: formatAttempt(attempt, quiz)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error starting quiz attempt:', error);
+    sendServiceError(res, error, { code: 'QUIZ_ATTEMPT_START_FAILED', message: 'Failed to start quiz attempt' });
+  }
+};
+
+/**
+ * Save answers to an open attempt without submitting it (graded if time runs out)
+ * PUT /api/quiz/attempts/:attemptId/answers
+ * Body: { answers: [{ questionId, answer }] }
+ */
+export const saveQuizAttemptAnswers = async (req, res) => {
+  try {
+    const attempt = await saveAttemptAnswers(req.params.attemptId, req.user._id, req.body.answers);
+
+    res.json({
+      success: true,
+      savedAt: attempt.savedAt,
+      expiresAt: attempt.expiresAt
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error saving quiz answers:', error);
+    sendServiceError(res, error, { code: 'QUIZ_ANSWERS_SAVE_FAILED', message: 'Failed to save quiz answers' });
+  }
+};
 
-      await achievement.save();
-      achievementUnlocked = true;
+/**
+ * Submit an attempt to be graded on the server
+ * POST /api/quiz/attempts/:attemptId/submit
+ * Body: { answers: [{ questionId, answer }] } (answer in the shape of the question's type)
+ */
+export const submitQuizAttempt = async (req, res) => {
+  try {
+    const { attempt, result, quiz, achievement } = await submitAttempt(req.params.attemptId, req.user._id, req.body.answers);
+    const student = await User.findById(attempt.studentId);
 
-      console.log(`Achievement unlocked: ${achievement.title} for student ${studentId}`);
+    console.log(`Quiz attempt graded for student: ${student._id}, score: ${result.score}%${attempt.timedOut ? ' (timed out)' : ''}`);
+    if (achievement) {
+      console.log(`Achievement unlocked: ${achievement.title} for student ${student._id}`);
     }
 
-    // Create notifications
-    await createQuizNotifications(student, score, quizData?.title || 'Quiz', achievementUnlocked, achievement);
+    await createQuizNotifications(student, result.score, quiz.title, Boolean(achievement), achievement);
+
+    const answersRevealed = await canSeeCorrectAnswers(quiz, attempt.studentId);
 
     res.status(201).json({
       success: true,
       data: {
-        quizResultId: quizResult._id,
-        achievementUnlocked,
-        achievement: achievementUnlocked ? {
+        quizResultId: result._id,
+        attemptId: attempt._id,
+        attemptNumber: attempt.attemptNumber ?? null,
+        // Time was up: the answers saved before the deadline were graded
+        timedOut: attempt.timedOut,
+        score: result.score,
+        pointsEarned: attempt.pointsEarned,
+        totalPoints: attempt.totalPoints,
+        correctAnswers: result.correctAnswers,
+        totalQuestions: result.totalQuestions,
+        // Correct answers are withheld while the student can still retake the open quiz
+        answersRevealed,
+        review: formatAttemptReview(attempt, { includeAnswers: answersRevealed }),
+        achievementUnlocked: Boolean(achievement),
+        achievement: achievement ? {
           id: achievement._id,
           title: achievement.title,
           description: achievement.description,
@@ -154,14 +230,9 @@ export const saveQuizResult = async (req, res) => {
         } : null
       }
     });
-
-  } catch (err) {
-    console.error('Save quiz result error:', err);
-    res.status(500).json({
-      success: false,
-      message: 'Server error',
-      error: err.message
-    });
+  } catch (error) {
+    if (!error.status) console.error('Error submitting quiz attempt:', error);
+    sendServiceError(res, error, { code: 'QUIZ_ATTEMPT_SUBMIT_FAILED', message: 'Failed to submit quiz attempt' });
   }
 };
 
@@ -170,12 +241,12 @@ const createQuizNotifications = async (student, score, quizTitle, achievementUnl
   try {
     // 1. Notify student of quiz completion
     const studentMessage = `Great job! You scored ${score}% on the ${quizTitle} quiz.`;
-    await createNotification(
-      student._id,
-      'quiz_completed',
-      studentMessage,
-      '/take-quiz'
-    );
+    await createNotification({
+      userId: student._id,
+      type: 'quiz_completed',
+      message: studentMessage,
+      link: '/take-quiz'
+    });
 
     // 2. Find and notify parent(s)
     const parents = await User.find({
@@ -185,40 +256,41 @@ const createQuizNotifications = async (student, score, quizTitle, achievementUnl
 
     for (const parent of parents) {
       const parentMessage = `${student.profile.firstName} ${student.profile.lastName} completed a quiz and scored ${score}% on ${quizTitle}.`;
-      await createNotification(
-        parent._id,
-        'child_quiz_completed',
-        parentMessage,
-        '/performance-reports'
-      );
+      await createNotification({
+        userId: parent._id,
+        type: 'child_quiz_completed',
+        message: parentMessage,
+        link: '/performance-reports'
+      });
 
       // 3. Notify parent of achievement unlock
       if (achievementUnlocked) {
         const achievementMessage = `🏆 ${student.profile.firstName} ${student.profile.lastName} unlocked a new achievement: ${achievement.title}!`;
-        await createNotification(
-          parent._id,
-          'child_achievement_unlocked',
-          achievementMessage,
-          '/performance-reports'
-        );
+        await createNotification({
+          userId: parent._id,
+          type: 'child_achievement_unlocked',
+          message: achievementMessage,
+          link: '/performance-reports'
+        });
       }
     }
 
     // 4. Notify teachers if achievement unlocked
     if (achievementUnlocked) {
-      // Find teachers who have classes with this student's level
+      // Notify the teachers of the student's school
       const teachers = await User.find({
-        role: 'teacher'
+        role: 'teacher',
+        schoolId: student.schoolId || null
       });
 
       for (const teacher of teachers) {
         const teacherMessage = `🌟 ${student.profile.firstName} ${student.profile.lastName} (Level ${student.selectedLevel}) unlocked the '${achievement.title}' achievement!`;
-        await createNotification(
-          teacher._id,
-          'student_achievement_unlocked',
-          teacherMessage,
-          '/student-progress'
-        );
+        await createNotification({
+          userId: teacher._id,
+          type: 'student_achievement_unlocked',
+          message: teacherMessage,
+          link: '/student-progress'
+        });
       }
     }
 
@@ -242,11 +314,18 @@ export const getQuizHistory = async (req, res) => {
       });
     }
 
+    // Attempts whose time ran out are graded before they are listed
+    await closeExpiredAttempts({ studentId: student._id });
+
     // Get quiz history
     const history = await QuizResult.find({ studentId })
-      .select('resourceId resourceTitle score correctAnswers totalQuestions completedAt')
+      .select('studentId resourceId resourceTitle quizId score correctAnswers totalQuestions completedAt')
       .sort({ completedAt: -1 });
 
+    // Score per quiz under its scoring policy (best, last or average attempt)
+    const quizzes = await getCountedQuizScores(history);
+    const countedIds = new Set(quizzes.flatMap(quiz => quiz.countedResultIds.map(id => id.toString())));
+
     const formattedHistory = history.map(result => ({
       id: result._id,
       resourceId: result.resourceId,
@@ -254,13 +333,22 @@ export const getQuizHistory = async (req, res) => {
       score: result.score,
       correctAnswers: result.correctAnswers,
       totalQuestions: result.totalQuestions,
-      completedAt: result.completedAt
+      completedAt: result.completedAt,
+      counted: countedIds.has(result._id.toString())
     }));
     
     res.json({
       success: true,
       data: {
-        history: formattedHistory
+        history: formattedHistory,
+        quizzes: quizzes.map(quiz => ({
+          resourceId: quiz.resourceId,
+          resourceTitle: quiz.resourceTitle,
+          scoringPolicy: quiz.scoringPolicy,
+          attempts: quiz.attempts,
+          score: quiz.score,
+          completedAt: quiz.completedAt
+        }))
       }
     });
 
@@ -354,23 +442,51 @@ export const getWeakQuizAttempts = async (req, res) => {
     // Fetch last 3 recent attempts with score < 50
     const results = await QuizResult.find({ ...filter, score: { $lt: 50 } }).sort({ completedAt: -1 }).limit(3);
 
+    // Correct answers of server-graded quizzes are only shown once the student may see them;
+    // older results hold the quiz as the client sent it
+    const isStaff = ['teacher', 'admin'].includes(req.user.role);
+    const answersRevealed = new Map();
+    for (const quizId of new Set(results.filter(r => r.quizId).map(r => r.quizId.toString()))) {
+      const quiz = await Quiz.findById(quizId).lean();
+      answersRevealed.set(quizId, isStaff || !quiz || await canSeeCorrectAnswers(quiz, student._id));
+    }
+
     const formatted = results.map((r) => {
+      const revealed = r.quizId ? answersRevealed.get(r.quizId.toString()) : true;
+
       // Build per-question details including selected options
       const questions = Array.isArray(r.quizData?.questions) ? r.quizData.questions : [];
       const selectedAnswers = Array.isArray(r.answers) ? r.answers : [];
 
+      // Results graded on the server carry a credit per question; older ones only the chosen option
+      const credits = Array.isArray(r.credits) ? r.credits : [];
+
       const questionDetails = questions.map((q, idx) => {
-        const selectedIndex = selectedAnswers[idx];
-        const selectedOption = (Array.isArray(q.options) && selectedIndex != null) ? q.options[selectedIndex] : undefined;
-        const isCorrect = (typeof q.correctAnswer === 'number' && selectedIndex != null) ? (selectedIndex === q.correctAnswer) : undefined;
+        const answer = selectedAnswers[idx] ?? null;
+        const isSingleChoice = !q.type || q.type === 'single_choice';
+        const selectedOption = (isSingleChoice && Array.isArray(q.options) && answer != null) ? q.options[answer] : undefined;
+        const credit = credits.length > 0 ? credits[idx] : undefined;
+        const isCorrect = credit !== undefined
+          ? credit === 1
+          : (typeof q.correctAnswer === 'number' && answer != null) ? (answer === q.correctAnswer) : undefined;
+        if (!revealed) {
+          return {
+            id: q.id ?? idx + 1,
+            type: q.type || 'single_choice',
+            question: q.question,
+            points: q.points ?? 1,
+            topic: q.topic || '',
+            credit,
+            isCorrect
+          };
+        }
         return {
           id: q.id ?? idx + 1,
-          question: q.question,
-          options: q.options,
-          correctAnswer: q.correctAnswer,
-          explanation: q.explanation,
-          selectedIndex,
+          ...formatQuestionContent(q),
+          answer,
+          selectedIndex: isSingleChoice ? answer : undefined,
           selectedOption,
+          credit,
           isCorrect
         };
       });
@@ -384,6 +500,7 @@ export const getWeakQuizAttempts = async (req, res) => {
         correctAnswers: r.correctAnswers,
         totalQuestions: r.totalQuestions,
         completedAt: r.completedAt,
+        answersRevealed: revealed,
         questions: questionDetails
       };
     });
@@ -405,127 +522,26 @@ export const getWeakQuizAttempts = async (req, res) => {
   }
 };
 
-// Save achievement endpoint
-export const saveAchievement = async (req, res) => {
-  try {
-    const {
-      studentId,
-      resourceId,
-      resourceTitle,
-      title,
-      description,
-      level,
-      icon,
-      score,
-      image,
-      unlockedAt
-    } = req.body;
-
-    // Validate required fields
-    if (!studentId || !resourceId || !title || !description || !level || !score || !unlockedAt) {
-      return res.status(400).json({
-        success: false,
-        message: 'All required fields must be provided',
-        required: ['studentId', 'resourceId', 'title', 'description', 'level', 'score', 'unlockedAt']
-      });
-    }
-
-    // Validate student exists
-    const student = await User.findById(studentId);
-    if (!student || student.role !== 'student') {
-      return res.status(404).json({
-        success: false,
-        message: 'Student not found'
-      });
-    }
-
-    // Validate level
-    const validLevels = ['gold', 'silver', 'bronze', 'participation'];
-    if (!validLevels.includes(level)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid achievement level',
-        validLevels: validLevels,
-        received: level
-      });
-    }
-
-    // Validate score range
-    if (score < 0 || score > 100) {
-      return res.status(400).json({
-        success: false,
-        message: 'Score must be between 0 and 100'
-      });
-    }
-
-    console.log(`Saving achievement for student: ${studentId}, level: ${level}, score: ${score}%`);
-
-    // Create achievement
-    const achievement = new Achievement({
-      studentId,
-      title,
-      description,
-      level,
-      icon,
-      score,
-      resourceId,
-      resourceTitle: resourceTitle || 'Achievement',
-      image: image || null,
-      unlockedAt: new Date(unlockedAt)
-    });
-
-    await achievement.save();
-
-    console.log(`Achievement saved: ${achievement.title} for student ${studentId}`);
-
-    // Create notifications for achievement unlock
-    await createQuizNotifications(student, score, resourceTitle || 'Achievement', true, achievement);
-
-    res.status(201).json({
-      success: true,
-      achievement: {
-        id: achievement._id,
-        studentId: achievement.studentId,
-        title: achievement.title,
-        description: achievement.description,
-        level: achievement.level,
-        icon: achievement.icon,
-        score: achievement.score,
-        resourceId: achievement.resourceId,
-        resourceTitle: achievement.resourceTitle,
-        image: achievement.image,
-        unlockedAt: achievement.unlockedAt,
-        createdAt: achievement.createdAt
-      }
-    });
-
-  } catch (err) {
-    console.error('Save achievement error:', err);
-    res.status(500).json({
-      success: false,
-      message: 'Server error',
-      error: err.message
-    });
-  }
-};
-
 // Get quiz statistics for a student (helper function)
 export const getStudentQuizStats = async (studentId) => {
   try {
-    const quizResults = await QuizResult.find({ studentId });
+    const quizResults = await QuizResult.find({ studentId })
+      .select('studentId resourceId resourceTitle quizId score completedAt');
     
     if (quizResults.length === 0) {
       return {
         totalQuizzes: 0,
+        totalAttempts: 0,
         averageScore: 0,
         lastQuizDate: null,
         recentAchievements: []
       };
     }
 
-    // Calculate average score
-    const totalScore = quizResults.reduce((sum, result) => sum + result.score, 0);
-    const averageScore = Math.round(totalScore / quizResults.length);
+    // Average of each quiz's score under its scoring policy, so retakes don't skew it
+    const quizzes = await getCountedQuizScores(quizResults);
+    const totalScore = quizzes.reduce((sum, quiz) => sum + quiz.score, 0);
+    const averageScore = Math.round(totalScore / quizzes.length);
 
     // Get last quiz date
     const lastQuizDate = quizResults.reduce((latest, result) => {
@@ -539,7 +555,8 @@ export const getStudentQuizStats = async (studentId) => {
       .select('title level icon unlockedAt');
 
     return {
-      totalQuizzes: quizResults.length,
+      totalQuizzes: quizzes.length,
+      totalAttempts: quizResults.length,
       averageScore,
       lastQuizDate,
       recentAchievements: recentAchievements.map(ach => ({
@@ -554,6 +571,7 @@ export const getStudentQuizStats = async (studentId) => {
     console.error('Error getting quiz stats:', err);
     return {
       totalQuizzes: 0,
+      totalAttempts: 0,
       averageScore: 0,
       lastQuizDate: null,
       recentAchievements: []
@@ -0,0 +1,156 @@
+import { RegradeRequest } from '../models/gradeModels.js';
+import {
+  createRegradeRequest as createRegradeRequestService,
+  resolveRegradeRequest as resolveRegradeRequestService,
+  withdrawRegradeRequest as withdrawRegradeRequestService,
+  formatRegradeRequest,
+  getGradeHistory as getGradeHistoryService
+} from '../services/regradeService.js';
+import { sendServiceError } from '../utils/errors.js';
+
+/**
+ * Regrade Controller
+ * Regrade requests on graded submissions and the grade history of a submission
+ */
+
+const REGRADE_STATUSES = ['pending', 'accepted', 'rejected', 'withdrawn'];
+
+/**
+ * Request a Regrade (Student)
+ * POST /api/assignments/:assignmentId/regrade-requests
+ * Body: { submissionId, criteria, reason }
+ */
+export const createRegradeRequest = async (req, res) => {
+  try {
+    const request = await createRegradeRequestService(req.params.assignmentId, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Regrade request sent to your teacher',
+      regradeRequest: formatRegradeRequest(request)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error creating regrade request:', error);
+    sendServiceError(res, error, { code: 'REGRADE_REQUEST_FAILED', message: 'Failed to create regrade request' });
+  }
+};
+
+/**
+ * List an assignment's Regrade Requests (Teacher)
+ * GET /api/assignments/:assignmentId/regrade-requests
+ * Query params: status
+ */
+export const getAssignmentRegradeRequests = async (req, res) => {
+  try {
+    const filter = { assignmentId: req.params.assignmentId };
+    if (REGRADE_STATUSES.includes(req.query.status)) filter.status = req.query.status;
+
+    const requests = await RegradeRequest.find(filter)
+      .populate('studentId', 'email profile.firstName profile.lastName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      regradeRequests: requests.map(request => ({
+        ...formatRegradeRequest(request),
+        studentId: request.studentId?._id,
+        student: request.studentId ? {
+          id: request.studentId._id,
+          firstName: request.studentId.profile?.firstName || '',
+          lastName: request.studentId.profile?.lastName || '',
+          email: request.studentId.email
+        } : null
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching regrade requests:', error);
+    sendServiceError(res, error, { code: 'REGRADE_REQUESTS_FETCH_FAILED', message: 'Failed to fetch regrade requests' });
+  }
+};
+
+/**
+ * Accept or Reject a Regrade Request (Teacher)
+ * POST /api/assignments/:assignmentId/regrade-requests/:requestId/resolve
+ * Body: { status: 'accepted' | 'rejected', comment, score (new score of the criterion, or total without a rubric) }
+ */
+export const resolveRegradeRequest = async (req, res) => {
+  try {
+    const { request, grade } = await resolveRegradeRequestService(req.params.assignmentId, req.params.requestId, req.body, req.user);
+
+    res.json({
+      success: true,
+      message: request.status === 'accepted' ? 'Regrade accepted and grade updated' : 'Regrade request rejected',
+      regradeRequest: formatRegradeRequest(request),
+      grade
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error resolving regrade request:', error);
+    sendServiceError(res, error, { code: 'REGRADE_RESOLVE_FAILED', message: 'Failed to resolve regrade request' });
+  }
+};
+
+/**
+ * Withdraw a pending Regrade Request (Student)
+ * POST /api/assignments/:assignmentId/regrade-requests/:requestId/withdraw
+ */
+export const withdrawRegradeRequest = async (req, res) => {
+  try {
+    const request = await withdrawRegradeRequestService(req.params.assignmentId, req.params.requestId, req.user);
+
+    res.json({
+      success: true,
+      message: 'Regrade request withdrawn',
+      regradeRequest: formatRegradeRequest(request)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error withdrawing regrade request:', error);
+    sendServiceError(res, error, { code: 'REGRADE_WITHDRAW_FAILED', message: 'Failed to withdraw regrade request' });
+  }
+};
+
+/**
+ * A Student's Regrade Requests
+ * GET /api/assignments/student/:studentId/regrade-requests
+ * Query params: status
+ */
+export const getStudentRegradeRequests = async (req, res) => {
+  try {
+    const filter = { studentId: req.params.studentId };
+    if (REGRADE_STATUSES.includes(req.query.status)) filter.status = req.query.status;
+
+    const requests = await RegradeRequest.find(filter)
+      .populate('assignmentId', 'title')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      regradeRequests: requests.map(request => ({
+        ...formatRegradeRequest(request),
+        assignmentId: request.assignmentId?._id,
+        assignmentTitle: request.assignmentId?.title || null
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching student regrade requests:', error);
+    sendServiceError(res, error, { code: 'REGRADE_REQUESTS_FETCH_FAILED', message: 'Failed to fetch regrade requests' });
+  }
+};
+
+/**
+ * Grade History of a Submission
+ * GET /api/assignments/:assignmentId/submissions/:submissionId/grade-history
+ */
+export const getGradeHistory = async (req, res) => {
+  try {
+    const history = await getGradeHistoryService(req.params.assignmentId, req.params.submissionId, req.user);
+
+    res.json({
+      success: true,
+      submissionId: req.params.submissionId,
+      history
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error fetching grade history:', error);
+    sendServiceError(res, error, { code: 'GRADE_HISTORY_FETCH_FAILED', message: 'Failed to fetch grade history' });
+  }
+};
@@ -4,6 +4,7 @@ import { Submission } from '../models/assignmentModels.js';
 import { QuizResult, Achievement } from '../models/quizModels.js';
 import { LabBooking, LabSlot } from '../models/labModels.js';
 import aiService from '../services/aiService.js';
+import { studentSubmissionFilter, getMemberGrade } from '../services/assignmentService.js';
 
 /**
  * Generate Student Performance Report (PDF)
@@ -23,8 +24,8 @@ export const getStudentPerformanceReport = async (req, res) => {
     }
 
     // Fetch data in parallel
-    const [submissions, quizResults, achievements, labBookings] = await Promise.all([
-      Submission.find({ studentId })
+    const [studentSubmissions, quizResults, achievements, labBookings] = await Promise.all([
+      Submission.find(await studentSubmissionFilter(student._id))
         .populate('assignmentId', 'title subject level dueDate totalPoints teacherId')
         .sort({ submittedAt: -1 })
         .lean(),
@@ -40,6 +41,9 @@ export const getStudentPerformanceReport = async (req, res) => {
         .lean()
     ]);
 
+    // Group submissions carry each member's own grade
+    const submissions = studentSubmissions.map(s => ({ ...s, grade: getMemberGrade(s.grade, student._id) }));
+
     // Compute summary metrics
     const gradedSubmissions = submissions.filter(s => s.grade && s.grade.totalScore !== undefined && s.grade.totalScore !== null);
     const avgAssignmentPercentage = gradedSubmissions.length > 0
@@ -0,0 +1,144 @@
+import RubricTemplate from '../models/rubricTemplateModels.js';
+import {
+  formatTemplate,
+  templateVisibilityFilter,
+  loadTemplate,
+  applyTemplateFields,
+  attachTemplate
+} from '../services/rubricService.js';
+import { sendServiceError } from '../utils/errors.js';
+
+/**
+ * Rubric Template Controller
+ * Library of reusable rubrics: a teacher's own templates plus those shared within their school
+ */
+
+/**
+ * Create Rubric Template (Teacher)
+ * POST /api/rubrics
+ * Body: { name, description, subject, level, criteria: [{ criteria, maxPoints, description }], isShared }
+ */
+export const createRubricTemplate = async (req, res) => {
+  try {
+    const template = applyTemplateFields(new RubricTemplate({
+      teacherId: req.user._id,
+      schoolId: req.user.schoolId || null
+    }), { criteria: [], ...req.body });
+
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Rubric template created',
+      template: formatTemplate(template)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error creating rubric template:', error);
+    sendServiceError(res, error, { code: 'RUBRIC_TEMPLATE_CREATE_FAILED', message: 'Failed to create rubric template' });
+  }
+};
+
+/**
+ * List Rubric Templates the teacher can use
+ * GET /api/rubrics
+ * Query params: subject, level, mine ('true' = only own templates)
+ */
+export const getRubricTemplates = async (req, res) => {
+  try {
+    const { subject, level, mine } = req.query;
+
+    const filter = mine === 'true' ? { teacherId: req.user._id } : templateVisibilityFilter(req.user);
+    if (subject) filter.subject = subject;
+    if (level) filter.level = parseInt(level);
+
+    const templates = await RubricTemplate.find(filter).sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      templates: templates.map(formatTemplate)
+    });
+  } catch (error) {
+    console.error('Error fetching rubric templates:', error);
+    sendServiceError(res, error, { code: 'RUBRIC_TEMPLATES_FETCH_FAILED', message: 'Failed to fetch rubric templates' });
+  }
+};
+
+/**
+ * Get Rubric Template
+ * GET /api/rubrics/:templateId
+ */
+export const getRubricTemplate = async (req, res) => {
+  try {
+    const template = await loadTemplate(req.params.templateId, req.user);
+
+    res.json({
+      success: true,
+      template: formatTemplate(template)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error fetching rubric template:', error);
+    sendServiceError(res, error, { code: 'RUBRIC_TEMPLATE_FETCH_FAILED', message: 'Failed to fetch rubric template' });
+  }
+};
+
+/**
+ * Update Rubric Template (owner). Assignments already using it keep their copy of the rubric.
+ * PUT /api/rubrics/:templateId
+ */
+export const updateRubricTemplate = async (req, res) => {
+  try {
+    const template = await loadTemplate(req.params.templateId, req.user, { forEdit: true });
+
+    applyTemplateFields(template, req.body);
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Rubric template updated',
+      template: formatTemplate(template)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error updating rubric template:', error);
+    sendServiceError(res, error, { code: 'RUBRIC_TEMPLATE_UPDATE_FAILED', message: 'Failed to update rubric template' });
+  }
+};
+
+/**
+ * Delete Rubric Template (owner)
+ * DELETE /api/rubrics/:templateId
+ */
+export const deleteRubricTemplate = async (req, res) => {
+  try {
+    const template = await loadTemplate(req.params.templateId, req.user, { forEdit: true });
+    await template.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Rubric template deleted'
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error deleting rubric template:', error);
+    sendServiceError(res, error, { code: 'RUBRIC_TEMPLATE_DELETE_FAILED', message: 'Failed to delete rubric template' });
+  }
+};
+
+/**
+ * Attach a Rubric Template to assignments (copies its criteria and sets total points)
+ * POST /api/rubrics/:templateId/attach
+ * Body: { assignmentIds: [] }
+ */
+export const attachRubricTemplate = async (req, res) => {
+  try {
+    const template = await loadTemplate(req.params.templateId, req.user);
+    const result = await attachTemplate(template, req.body.assignmentIds, req.user);
+
+    res.json({
+      success: true,
+      message: `Rubric attached to ${result.attached.length} assignment(s)`,
+      ...result
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error attaching rubric template:', error);
+    sendServiceError(res, error, { code: 'RUBRIC_TEMPLATE_ATTACH_FAILED', message: 'Failed to attach rubric template' });
+  }
+};
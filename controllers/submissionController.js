@@ -1,10 +1,22 @@
 import { Assignment, Submission } from '../models/assignmentModels.js';
 import User from '../models/userModels.js';
-import { createNotification } from './notificationController.js';
+import { getStudentClassIds, studentAssignmentFilter } from '../services/classService.js';
+import {
+  getAssignmentForStudent,
+  hasGrade,
+  getSubmissionStatus,
+  getStudentGroup,
+  studentSubmissionFilter,
+  getMemberGrade,
+  submitAssignment as submitAssignmentService
+} from '../services/assignmentService.js';
+import { formatFile } from '../services/fileService.js';
+import { getLateStatus, getExtension } from '../services/latePolicyService.js';
+import { sendServiceError } from '../utils/errors.js';
 
 /**
- * Submission Management Controller - Link-based Submissions
- * Handles assignment submissions via links and student submission history
+ * Submission Management Controller
+ * Handles assignment submissions (links and uploaded files) and student submission history
  */
 
 /**
@@ -32,7 +44,8 @@ export const getStudentAssignments = async (req, res) => {
       });
     }
 
-    const filter = { level: targetLevel, isVisible: true };
+    const classIds = await getStudentClassIds(student._id);
+    const filter = studentAssignmentFilter(student, targetLevel, classIds);
     if (subject) filter.subject = subject;
 
     const assignments = await Assignment.find(filter)
@@ -41,23 +54,26 @@ export const getStudentAssignments = async (req, res) => {
       .lean();
 
     const assignmentIds = assignments.map(a => a._id);
-    const submissions = await Submission.find({ studentId, assignmentId: { $in: assignmentIds } }).sort({ versionNumber: -1 }).lean();
+    // Group submissions count for every member
+    const submissions = await Submission.find(await studentSubmissionFilter(studentId, { assignmentId: { $in: assignmentIds } }))
+      .populate('file')
+      .sort({ versionNumber: -1 })
+      .lean();
     const submissionMap = new Map();
     submissions.forEach(sub => { if (!submissionMap.has(sub.assignmentId.toString())) submissionMap.set(sub.assignmentId.toString(), sub); });
 
     const enrichedAssignments = assignments.map(assignment => {
       const submission = submissionMap.get(assignment._id.toString());
-      const grade = submission?.grade;
+      const grade = getMemberGrade(submission?.grade, student._id);
       const now = new Date();
-      const dueDate = new Date(assignment.dueDate);
+      // Extensions move the due date for this student
+      const { dueDate, isOpen } = getLateStatus(assignment, student._id, now);
       const isOverdue = now > dueDate;
 
       // Determine assignment status
       let assignmentStatus = 'available';
       if (submission) {
-        // Check if submission has a grade with actual score data
-        const hasGrade = grade && grade.totalScore !== undefined && grade.totalScore !== null;
-        assignmentStatus = hasGrade ? 'graded' : 'submitted';
+        assignmentStatus = hasGrade(submission) ? 'graded' : 'submitted';
       } else if (isOverdue) {
         assignmentStatus = 'overdue';
       }
@@ -72,26 +88,34 @@ export const getStudentAssignments = async (req, res) => {
         subject: assignment.subject,
         level: assignment.level,
         dueDate: assignment.dueDate,
+        extendedDueDate: getExtension(assignment, student._id)?.dueDate || null,
         totalPoints: assignment.totalPoints,
         status: assignmentStatus,
         timeRemaining: calculateTimeRemaining(dueDate),
         isOverdue: isOverdue,
+        acceptingSubmissions: isOpen,
+        latePolicy: assignment.latePolicy,
         allowedFileTypes: assignment.allowedFileTypes || ['pdf', 'doc', 'docx'],
         maxFileSize: assignment.maxFileSize || 10485760,
         instructions: assignment.instructions || '',
         rubric: assignment.rubric || [],
+        isGroupAssignment: !!assignment.groupSettings?.enabled,
         mySubmissions: submission ? [{
           id: submission._id,
           submissionLink: submission.submissionLink,
+          file: formatFile(submission.file),
           submissionNotes: submission.submissionNotes || '',
           versionNumber: submission.versionNumber,
           submittedAt: submission.submittedAt,
-          status: (grade && grade.totalScore !== undefined && grade.totalScore !== null) ? 'graded' : 'submitted',
+          status: getSubmissionStatus(submission),
           isLate: submission.isLate || false,
           grade: grade ? {
             totalScore: grade.totalScore,
+            latePenaltyPercent: grade.latePenaltyPercent || 0,
+            adjustment: grade.adjustment || 0,
             maxScore: grade.maxScore,
             percentage: grade.percentage,
+            letterGrade: grade.letterGrade || null,
             rubricScores: grade.rubricScores || [],
             overallFeedback: grade.overallFeedback || '',
             gradedBy: grade.gradedBy,
@@ -146,46 +170,27 @@ export const getAssignmentDetailsForStudent = async (req, res) => {
   try {
     const { assignmentId, studentId } = req.params;
 
-    const assignment = await Assignment.findById(assignmentId)
-      .populate('teacherId', 'profile.firstName profile.lastName email')
-      .lean();
-
-    if (!assignment) {
-      return res.status(404).json({
-        success: false,
-        error: { code: 'ASSIGNMENT_NOT_FOUND', message: 'Assignment not found' }
-      });
-    }
-
-    const student = await User.findById(studentId);
-    if (!student || student.role !== 'student') {
-      return res.status(404).json({
-        success: false,
-        error: { code: 'STUDENT_NOT_FOUND', message: 'Student not found' }
-      });
-    }
-
-    if (assignment.level !== student.selectedLevel) {
-      return res.status(403).json({
-        success: false,
-        error: { code: 'ACCESS_DENIED', message: 'Student does not have access to this assignment' }
-      });
-    }
+    const { assignment, student } = await getAssignmentForStudent(assignmentId, studentId);
+    await assignment.populate('teacherId', 'profile.firstName profile.lastName email');
 
-    const submissions = await Submission.find({ assignmentId, studentId })
+    const submissions = await Submission.find(await studentSubmissionFilter(student._id, { assignmentId: assignment._id }))
+      .populate('studentId', 'profile.firstName profile.lastName')
+      .populate('file')
       .sort({ versionNumber: -1 })
       .lean();
 
-    // Grade is now embedded in submissions, get the latest graded submission
-    const grade = submissions.find(sub => sub.grade)?.grade || null;
+    // Grade is embedded in submissions; show the latest graded version (the member's own grade for groups)
+    const grade = getMemberGrade(submissions.find(hasGrade)?.grade, student._id) || null;
+    const group = assignment.groupSettings?.enabled ? await getStudentGroup(assignment._id, student._id) : null;
+    if (group) await group.populate('members.studentId', 'profile.firstName profile.lastName');
 
     const now = new Date();
-    const dueDate = new Date(assignment.dueDate);
+    const { dueDate, isOpen } = getLateStatus(assignment, student._id, now);
     const isOverdue = now > dueDate;
 
     let status = 'available';
     if (submissions.length > 0) {
-      status = (grade && grade.totalScore !== undefined && grade.totalScore !== null) ? 'graded' : 'submitted';
+      status = grade ? 'graded' : 'submitted';
     } else if (isOverdue) {
       status = 'overdue';
     }
@@ -199,226 +204,97 @@ export const getAssignmentDetailsForStudent = async (req, res) => {
         subject: assignment.subject,
         level: assignment.level,
         dueDate: assignment.dueDate,
+        extendedDueDate: getExtension(assignment, student._id)?.dueDate || null,
         totalPoints: assignment.totalPoints,
         rubric: assignment.rubric,
         instructions: assignment.instructions,
         status,
         timeRemaining: calculateTimeRemaining(dueDate),
         isOverdue,
+        acceptingSubmissions: isOpen,
+        latePolicy: assignment.latePolicy,
+        groupSettings: assignment.groupSettings?.enabled ? assignment.groupSettings : null,
         teacher: {
           name: `${assignment.teacherId.profile.firstName} ${assignment.teacherId.profile.lastName}`,
           email: assignment.teacherId.email
         },
         createdAt: assignment.createdAt
       },
+      group: group ? {
+        id: group._id,
+        name: group.name,
+        members: group.members.map(member => ({
+          id: member.studentId?._id,
+          name: `${member.studentId?.profile?.firstName || ''} ${member.studentId?.profile?.lastName || ''}`.trim()
+        }))
+      } : null,
       submissions: submissions.map(submission => ({
         id: submission._id,
+        submittedBy: {
+          id: submission.studentId?._id,
+          name: `${submission.studentId?.profile?.firstName || ''} ${submission.studentId?.profile?.lastName || ''}`.trim()
+        },
         versionNumber: submission.versionNumber,
         submittedAt: submission.submittedAt,
         submissionLink: submission.submissionLink,
+        file: formatFile(submission.file),
         submissionNotes: submission.submissionNotes,
-        status: (grade && grade.totalScore !== undefined && grade.totalScore !== null) ? 'graded' : 'submitted',
+        status: getSubmissionStatus(submission),
         isLate: submission.isLate
       })),
       grade: grade ? {
         totalScore: grade.totalScore,
+        latePenaltyPercent: grade.latePenaltyPercent || 0,
+        adjustment: grade.adjustment || 0,
+        adjustmentReason: grade.adjustmentReason || '',
         maxScore: grade.maxScore,
         percentage: grade.percentage,
-        letterGrade: grade.letterGrade,
-        feedback: grade.feedback,
+        letterGrade: grade.letterGrade || null,
+        feedback: grade.overallFeedback || '',
         gradedAt: grade.gradedAt,
         rubricScores: grade.rubricScores
       } : null
     });
   } catch (error) {
-    console.error('Error fetching assignment details:', error);
-    res.status(500).json({
-      success: false,
-      error: { code: 'SERVER_ERROR', message: 'Failed to fetch assignment details' }
-    });
+    if (!error.status) console.error('Error fetching assignment details:', error);
+    sendServiceError(res, error, { code: 'SERVER_ERROR', message: 'Failed to fetch assignment details' });
   }
 };
 
 /**
- * Submit Assignment via Link
+ * Submit Assignment as a link (JSON) or an uploaded file (multipart/form-data, field "file")
  * POST /api/assignments/submit
  */
 export const submitAssignment = async (req, res) => {
-  console.log('📤 Assignment link submission received');
+  console.log('📤 Assignment submission received');
   console.log('📋 Request body:', req.body);
   
   try {
-    const { 
-      assignmentId, 
-      studentId, 
-      submissionLink, 
-      submissionNotes, 
-      isRevision, 
-      previousSubmissionId 
-    } = req.body;
-
-    // Validation
-    if (!assignmentId || !studentId || !submissionLink) {
-      console.log('❌ Missing required fields');
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields: assignmentId, studentId, or submissionLink'
-      });
-    }
+    const savedSubmission = await submitAssignmentService({ ...req.body, file: req.file });
 
-    // Validate URL format
-    const urlPattern = /^(https?:\/\/)?([\da-z\.-]+)\.([a-z\.]{2,6})([\/\w \.-]*)*\/?$/;
-    if (!urlPattern.test(submissionLink)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid URL format. Please provide a valid link.'
-      });
-    }
-
-    // Check if assignment exists and is still accepting submissions
-    const assignment = await Assignment.findById(assignmentId);
-    if (!assignment) {
-      return res.status(404).json({
-        success: false,
-        message: 'Assignment not found'
-      });
-    }
-    
-    // Validate student
-    const student = await User.findById(studentId);
-    if (!student || student.role !== 'student') {
-      return res.status(404).json({
-        success: false,
-        message: 'Student not found'
-      });
-    }
-
-    // Check if student has access to this assignment
-    if (assignment.level !== student.selectedLevel) {
-      return res.status(403).json({
-        success: false,
-        message: 'Student does not have access to this assignment'
-      });
-    }
-    
-    // Check if assignment deadline has passed
-    const now = new Date();
-    const isLate = now > new Date(assignment.dueDate);
-
-    // Calculate version number
-    let versionNumber = 1;
-    if (isRevision && previousSubmissionId) {
-      const previousSubmission = await Submission.findById(previousSubmissionId);
-      if (previousSubmission) {
-        versionNumber = (previousSubmission.versionNumber || 1) + 1;
-      }
-    } else {
-      // Check existing submissions for this assignment
-      const existingSubmissions = await Submission.find({ 
-        assignmentId, 
-        studentId 
-      }).sort({ versionNumber: -1 });
-      
-      if (existingSubmissions.length > 0) {
-        versionNumber = existingSubmissions[0].versionNumber + 1;
-      }
-    }
-
-    // Create submission record
-    const submissionData = {
-      assignmentId,
-      studentId,
-      submissionLink: submissionLink.trim(),
-      submissionNotes: submissionNotes?.trim() || '',
-      isRevision: !!isRevision,
-      previousSubmissionId: isRevision ? previousSubmissionId : null,
-      versionNumber,
-      submittedAt: now,
-      status: 'submitted',
-      isLate
-    };
-
-    console.log('💾 Creating link submission:', submissionData);
-
-    // Save to database
-    const savedSubmission = await Submission.create(submissionData);
-    
-    console.log('✅ Link submission saved successfully');
-
-    // Create notifications
-    try {
-      // Notify teacher
-      await createNotification({
-        userId: assignment.teacherId,
-        type: 'assignment_submitted',
-        message: `New submission received for "${assignment.title}" from ${student.profile?.firstName || 'Student'}`,
-        data: {
-          assignmentId,
-          studentId,
-          submissionId: savedSubmission._id,
-          versionNumber,
-          isLate,
-          submissionLink,
-          assignment: {
-            title: assignment.title,
-            dueDate: assignment.dueDate
-          },
-          student: {
-            name: `${student.profile?.firstName || ''} ${student.profile?.lastName || ''}`.trim(),
-            email: student.email
-          }
-        },
-        link: `/teacher/assignments/${assignmentId}/submissions`
-      });
-
-      // Notify parent if student has parent
-      if (student.parentId) {
-        await createNotification({
-          userId: student.parentId,
-          type: 'assignment_submitted',
-          message: `${student.profile?.firstName || 'Your child'} submitted "${assignment.title}"${isLate ? ' (Late)' : ''}`,
-          data: {
-            assignmentId,
-            studentId,
-            submissionId: savedSubmission._id,
-            isLate,
-            submissionLink,
-            assignment: {
-              title: assignment.title,
-              dueDate: assignment.dueDate
-            }
-          },
-          link: `/parent/child/${studentId}/assignments`
-        });
-      }
-    } catch (notifError) {
-      console.error('Error creating notifications:', notifError);
-      // Don't fail submission if notification fails
-    }
+    console.log('✅ Submission saved successfully');
 
     res.json({
       success: true,
-      message: isRevision ? 'New version submitted successfully' : 'Assignment submitted successfully',
+      message: req.body.isRevision ? 'New version submitted successfully' : 'Assignment submitted successfully',
       submission: {
         id: savedSubmission._id,
         assignmentId: savedSubmission.assignmentId,
         studentId: savedSubmission.studentId,
         submissionLink: savedSubmission.submissionLink,
+        file: formatFile(savedSubmission.file),
         submissionNotes: savedSubmission.submissionNotes,
         versionNumber: savedSubmission.versionNumber,
         submittedAt: savedSubmission.submittedAt,
         status: savedSubmission.status,
-        isLate: savedSubmission.isLate
+        isLate: savedSubmission.isLate,
+        daysLate: savedSubmission.daysLate
       }
     });
 
   } catch (error) {
-    console.error('❌ Assignment submission error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error during submission',
-      error: error.message
-    });
+    if (!error.status) console.error('❌ Assignment submission error:', error);
+    sendServiceError(res, error, { code: 'SUBMISSION_FAILED', message: 'Internal server error during submission' });
   }
 };
 
@@ -439,8 +315,7 @@ export const getStudentSubmissionHistory = async (req, res) => {
       });
     }
 
-    let submissionFilter = { studentId };
-    if (assignmentId) submissionFilter.assignmentId = assignmentId;
+    const submissionFilter = await studentSubmissionFilter(student._id, assignmentId ? { assignmentId } : {});
 
     const submissions = await Submission.find(submissionFilter)
       .populate({
@@ -451,15 +326,16 @@ export const getStudentSubmissionHistory = async (req, res) => {
           select: 'profile.firstName profile.lastName email'
         }
       })
+      .populate('file')
       .sort({ submittedAt: -1 })
       .lean();
 
     // Format submissions (grades are now embedded)
     const formattedSubmissions = submissions.map(submission => {
-      const grade = submission.grade; // Grade is embedded in submission
-      
+      const grade = getMemberGrade(submission.grade, student._id); // Grade is embedded in submission
+
       // Filter by status if requested
-      const submissionStatus = (grade && grade.totalScore !== undefined && grade.totalScore !== null) ? 'graded' : submission.status;
+      const submissionStatus = getSubmissionStatus(submission);
       if (status && status !== submissionStatus) {
         return null;
       }
@@ -468,6 +344,7 @@ export const getStudentSubmissionHistory = async (req, res) => {
         id: submission._id,
         versionNumber: submission.versionNumber,
         submissionLink: submission.submissionLink,
+        file: formatFile(submission.file),
         submissionNotes: submission.submissionNotes,
         submittedAt: submission.submittedAt,
         status: submissionStatus,
@@ -486,10 +363,11 @@ export const getStudentSubmissionHistory = async (req, res) => {
         },
         grade: grade ? {
           totalScore: grade.totalScore,
+          latePenaltyPercent: grade.latePenaltyPercent || 0,
           maxScore: grade.maxScore,
           percentage: grade.percentage,
-          letterGrade: grade.letterGrade,
-          feedback: grade.feedback,
+          letterGrade: grade.letterGrade || null,
+          feedback: grade.overallFeedback || '',
           gradedAt: grade.gradedAt
         } : null
       };
@@ -3,6 +3,9 @@ import Resource from '../models/resourceModels.js';
 import User from '../models/userModels.js';
 import { createNotification } from './notificationController.js';
 import { getStudentQuizStats } from './quizController.js';
+import { getSchoolSettings, assertAllowedBySchool } from '../services/schoolService.js';
+import { storeUpload, discardFile, formatFile, getDownloadUrl, RESOURCE_FILE_TYPES, RESOURCE_MAX_FILE_SIZE } from '../services/fileService.js';
+import { sendServiceError } from '../utils/errors.js';
 
 // Create a new class
 export const createClass = async (req, res) => {
@@ -32,11 +35,15 @@ export const createClass = async (req, res) => {
       return res.status(403).json({ message: 'User is not authorized as a teacher' });
     }
     
-    // Auto-enroll students of the same level
+    const schoolSettings = await getSchoolSettings(teacher.schoolId);
+    assertAllowedBySchool(schoolSettings, { level, subject });
+    
+    // Auto-enroll students of the same level in the teacher's school
     const eligibleStudents = await User.find({ 
       role: 'student', 
       selectedLevel: level,
-      pathSelected: true 
+      pathSelected: true,
+      schoolId: teacher.schoolId || null
     });
     
     // Handle timing format - convert object to array if needed
@@ -75,6 +82,7 @@ export const createClass = async (req, res) => {
       }
     });
   } catch (err) {
+    if (err.status) return sendServiceError(res, err);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 };
@@ -83,8 +91,12 @@ export const createClass = async (req, res) => {
 export const getTeacherClasses = async (req, res) => {
   try {
     const { teacherId } = req.params;
+    const { includeArchived } = req.query;
+    
+    const filter = { teacherId };
+    if (includeArchived !== 'true') filter.isActive = true;
     
-    const classes = await Class.find({ teacherId, isActive: true })
+    const classes = await Class.find(filter)
       .populate('students', 'profile.firstName profile.lastName email selectedLevel')
       .sort({ createdAt: -1 });
     
@@ -101,7 +113,9 @@ export const getTeacherClasses = async (req, res) => {
         email: student.email,
         level: student.selectedLevel
       })),
+      joinCode: cls.joinCode || null,
       isActive: cls.isActive,
+      archivedAt: cls.archivedAt || null,
       createdAt: cls.createdAt
     }));
     
@@ -126,7 +140,8 @@ export const getStudentsByLevel = async (req, res) => {
     const students = await User.find({ 
       role: 'student', 
       selectedLevel: parseInt(level),
-      pathSelected: true 
+      pathSelected: true,
+      ...req.schoolScope
     }).select('profile.firstName profile.lastName email selectedLevel');
     
     // Get students with quiz statistics
@@ -168,11 +183,11 @@ export const uploadResource = async (req, res) => {
   try {
     const { title, description, type, level, subject, tags, url, fileName, fileSize, teacherId } = req.body;
     
-    // Validate required fields
-    if (!title || !type || !level || !url || !teacherId) {
+    // Validate required fields (an uploaded file stands in for the URL)
+    if (!title || !type || !level || (!url && !req.file) || !teacherId) {
       return res.status(400).json({ 
-        message: 'Title, type, level, URL, and teacher ID are required',
-        received: { title: !!title, type: !!type, level: !!level, url: !!url, teacherId: !!teacherId }
+        message: 'Title, type, level, URL or file, and teacher ID are required',
+        received: { title: !!title, type: !!type, level: !!level, url: !!url, file: !!req.file, teacherId: !!teacherId }
       });
     }
     
@@ -201,6 +216,9 @@ export const uploadResource = async (req, res) => {
       return res.status(403).json({ message: 'User is not authorized as a teacher' });
     }
     
+    const schoolSettings = await getSchoolSettings(teacher.schoolId);
+    assertAllowedBySchool(schoolSettings, { level, subject });
+    
     // Handle tags format - convert object to array if needed
     let formattedTags = [];
     if (tags) {
@@ -218,6 +236,15 @@ export const uploadResource = async (req, res) => {
       }
     }
 
+    // Uploaded files must match the resource type and are served from an authenticated download URL
+    const storedFile = req.file ? await storeUpload(req.file, {
+      allowedTypes: RESOURCE_FILE_TYPES[type],
+      maxSize: RESOURCE_MAX_FILE_SIZE,
+      purpose: 'resource',
+      uploadedBy: teacher._id,
+      schoolId: teacher.schoolId
+    }) : null;
+
     const resource = new Resource({
       title,
       description,
@@ -225,20 +252,27 @@ export const uploadResource = async (req, res) => {
       level,
       subject,
       tags: formattedTags,
-      url,
-      fileName,
-      fileSize,
+      url: storedFile ? getDownloadUrl(storedFile._id) : url,
+      fileName: storedFile ? storedFile.originalName : fileName,
+      fileSize: storedFile ? storedFile.size : fileSize,
+      file: storedFile?._id,
       uploadedBy: teacherId,
       schoolId: teacher.schoolId
     });
     
-    await resource.save();
+    try {
+      await resource.save();
+    } catch (saveError) {
+      if (storedFile) await discardFile(storedFile);
+      throw saveError;
+    }
     
-    // Notify all students of the same level
+    // Notify all students of the same level in the teacher's school
     const studentsToNotify = await User.find({ 
       role: 'student', 
       selectedLevel: level,
-      pathSelected: true 
+      pathSelected: true,
+      schoolId: teacher.schoolId || null
     });
     
     const teacherName = `${teacher.profile.firstName} ${teacher.profile.lastName}`;
@@ -263,11 +297,14 @@ export const uploadResource = async (req, res) => {
         title: resource.title,
         type: resource.type,
         level: resource.level,
-        subject: resource.subject
+        subject: resource.subject,
+        url: resource.url,
+        file: formatFile(storedFile)
       },
       notificationsSent: studentsToNotify.length
     });
   } catch (err) {
+    if (err.status) return sendServiceError(res, err);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 };
@@ -283,7 +320,8 @@ export const getResourcesByLevel = async (req, res) => {
     
     const resources = await Resource.find({ 
       level: parseInt(level), 
-      isPublic: true 
+      isPublic: true,
+      ...req.schoolScope
     })
     .populate('uploadedBy', 'profile.firstName profile.lastName')
     .sort({ createdAt: -1 });
@@ -347,7 +385,8 @@ export const getAllStudentsForTeacher = async (req, res) => {
   try {
     const students = await User.find({ 
       role: 'student',
-      pathSelected: true
+      pathSelected: true,
+      ...req.schoolScope
     }).select('email profile selectedLevel');
     
     // Get students with quiz statistics
@@ -1,10 +1,21 @@
 import User from '../models/userModels.js';
 import { createNotification } from './notificationController.js';
 import { getStudentQuizStats } from './quizController.js';
+import {
+  createChildInvite,
+  resendChildInvite,
+  requestChildLink,
+  decideChildLink,
+  cancelChildLink,
+  listChildLinkRequests
+} from '../services/familyService.js';
+import { getSchoolSettings } from '../services/schoolService.js';
+import { sendServiceError } from '../utils/errors.js';
 
+// Request a link to an existing student account; the student or a teacher must approve it
 export const addChildToParent = async (req, res) => {
   try {
-    const { parentId, childEmail } = req.body;
+    const { parentId, childEmail, message } = req.body;
     
     if (!parentId || !childEmail) {
       return res.status(400).json({ message: 'Parent ID and child email are required' });
@@ -15,32 +26,139 @@ export const addChildToParent = async (req, res) => {
       return res.status(404).json({ message: 'Parent not found' });
     }
     
-    const child = await User.findOne({ email: childEmail, role: 'student' });
-    if (!child) {
-      return res.status(404).json({ message: 'Student not found' });
-    }
+    const { request, child } = await requestChildLink(parent, childEmail, message);
     
-    if (parent.profile.children && parent.profile.children.includes(child._id)) {
-      return res.status(409).json({ message: 'Child is already linked to this parent' });
+    res.status(202).json({ 
+      message: 'Link request sent. The child will be added once the student or a teacher approves it.',
+      request: {
+        id: request._id,
+        status: request.status,
+        createdAt: request.createdAt
+      },
+      child: {
+        id: child._id,
+        name: `${child.profile.firstName} ${child.profile.lastName}`,
+        email: child.email
+      }
+    });
+  } catch (err) {
+    if (!err.status) console.error('Add child error:', err);
+    sendServiceError(res, err, { code: 'CHILD_LINK_REQUEST_FAILED', message: 'Failed to request child link' });
+  }
+};
+
+// Create a pending child account and a claim code for a parent
+export const inviteChild = async (req, res) => {
+  try {
+    const { parentId, email, firstName, lastName, grade } = req.body;
+    
+    if (!parentId) {
+      return res.status(400).json({ message: 'Parent ID is required' });
     }
     
-    if (!parent.profile.children) {
-      parent.profile.children = [];
+    const parent = await User.findById(parentId);
+    if (!parent || parent.role !== 'parent') {
+      return res.status(404).json({ message: 'Parent not found' });
     }
-    parent.profile.children.push(child._id);
     
+    const invite = await createChildInvite(parent, { email, firstName, lastName, grade });
+    
+    parent.profile.children = [...(parent.profile.children || []), invite.childId];
     await parent.save();
     
-    res.json({ 
-      message: 'Child added successfully',
-      child: {
-        id: child._id,
-        name: `${child.profile.firstName} ${child.profile.lastName}`,
-        email: child.email
+    res.status(201).json({
+      success: true,
+      message: 'Child account created. Share the claim code so your child can set their own password.',
+      data: { invite }
+    });
+  } catch (err) {
+    if (!err.status) console.error('Invite child error:', err);
+    sendServiceError(res, err, { code: 'CHILD_INVITE_FAILED', message: 'Failed to invite child' });
+  }
+};
+
+// Issue a new claim code for a child account that has not been claimed yet
+export const resendChildInviteCode = async (req, res) => {
+  try {
+    const { parentId, childId } = req.params;
+    
+    const invite = await resendChildInvite(parentId, childId);
+    
+    res.json({
+      success: true,
+      message: 'A new claim code has been issued. Previous codes no longer work.',
+      data: { invite }
+    });
+  } catch (err) {
+    if (!err.status) console.error('Resend child invite error:', err);
+    sendServiceError(res, err, { code: 'CHILD_INVITE_FAILED', message: 'Failed to resend invite' });
+  }
+};
+
+// List parent-child link requests visible to the authenticated user
+export const getChildLinkRequests = async (req, res) => {
+  try {
+    const requests = await listChildLinkRequests(req.user, req.query.status);
+    
+    res.json({
+      success: true,
+      data: { requests }
+    });
+  } catch (err) {
+    console.error('Get link requests error:', err);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error', 
+      error: err.message 
+    });
+  }
+};
+
+// Approve or reject a link request (the student themself, a teacher or an admin)
+export const decideChildLinkRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const { decision, note } = req.body;
+    
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Decision must be either "approve" or "reject"' 
+      });
+    }
+    
+    const request = await decideChildLink(requestId, req.user, decision === 'approve', note);
+    
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Link request approved' : 'Link request rejected',
+      data: {
+        request: {
+          id: request._id,
+          status: request.status,
+          decidedAt: request.decidedAt
+        }
       }
     });
   } catch (err) {
-    res.status(500).json({ message: 'Server error', error: err.message });
+    if (!err.status) console.error('Decide link request error:', err);
+    sendServiceError(res, err, { code: 'CHILD_LINK_DECISION_FAILED', message: 'Failed to update link request' });
+  }
+};
+
+// Withdraw a parent's own pending link request
+export const cancelChildLinkRequest = async (req, res) => {
+  try {
+    const request = await cancelChildLink(req.params.requestId, req.user._id);
+    
+    res.json({
+      success: true,
+      message: 'Link request cancelled',
+      data: { request: { id: request._id, status: request.status } }
+    });
+  } catch (err) {
+    if (!err.status) console.error('Cancel link request error:', err);
+    sendServiceError(res, err, { code: 'CHILD_LINK_CANCEL_FAILED', message: 'Failed to cancel link request' });
   }
 };
 
@@ -48,7 +166,7 @@ export const getParentChildren = async (req, res) => {
   try {
     const { parentId } = req.params;
     
-    const parent = await User.findById(parentId).populate('profile.children', 'email profile selectedLevel pathSelected');
+    const parent = await User.findById(parentId).populate('profile.children', 'email profile selectedLevel pathSelected accountStatus');
     if (!parent || parent.role !== 'parent') {
       return res.status(404).json({ message: 'Parent not found' });
     }
@@ -68,6 +186,7 @@ export const getParentChildren = async (req, res) => {
           },
           selectedLevel: child.selectedLevel || null,
           pathSelected: child.pathSelected || false,
+          accountStatus: child.accountStatus || 'active',
           quizStats
         };
       })
@@ -110,6 +229,14 @@ export const selectPath = async (req, res) => {
       return res.status(409).json({ message: 'Path already selected' });
     }
     
+    const schoolSettings = await getSchoolSettings(student.schoolId);
+    if (!schoolSettings.allowedLevels.includes(parseInt(level))) {
+      return res.status(400).json({
+        message: `Level ${level} is not offered by your school`,
+        allowedLevels: schoolSettings.allowedLevels
+      });
+    }
+    
     student.pathSelected = true;
     student.selectedLevel = level;
     await student.save();
@@ -155,4 +282,23 @@ export const getPathStatus = async (req, res) => {
   } catch (err) {
     res.status(500).json({ message: 'Server error', error: err.message });
   }
-}; 
\ No newline at end of file
+}; 
+/**
+ * Get the effective settings of the current user's school
+ * GET /api/user/school-settings
+ */
+export const getMySchoolSettings = async (req, res) => {
+  try {
+    const schoolId = req.user.role === 'admin' && req.query.schoolId ? req.query.schoolId : req.user.schoolId;
+    const settings = await getSchoolSettings(schoolId);
+
+    res.json({
+      success: true,
+      schoolId: schoolId || null,
+      settings
+    });
+  } catch (err) {
+    console.error('Error loading school settings:', err);
+    sendServiceError(res, err, { code: 'SCHOOL_SETTINGS_FETCH_FAILED', message: 'Failed to load school settings' });
+  }
+};
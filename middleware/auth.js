@@ -0,0 +1,178 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/userModels.js';
+import { JWT_SECRET } from '../config/auth.js';
+import { isAccessTokenBlocked } from '../services/tokenService.js';
+import { isSameSchool } from '../services/schoolService.js';
+
+/**
+ * Authentication & Authorization Middleware
+ * Verifies bearer tokens issued by authController.login and guards routes by role and ownership
+ */
+
+const sendAuthError = (res, status, code, message) => res.status(status).json({
+  success: false,
+  error: { code, message }
+});
+
+const handleGuardError = (res, label, err) => {
+  // Malformed IDs in params surface as CastErrors from resolver lookups
+  if (err.name === 'CastError') {
+    return sendAuthError(res, 404, 'RESOURCE_NOT_FOUND', 'Resource not found');
+  }
+  console.error(`${label} error:`, err);
+  res.status(500).json({ success: false, message: 'Server error', error: err.message });
+};
+
+// A missing request key is a client error; a resolver finding nothing means the resource is gone
+const sendMissingIdError = (res, source) => (typeof source === 'function'
+  ? sendAuthError(res, 404, 'RESOURCE_NOT_FOUND', 'Resource not found')
+  : sendAuthError(res, 400, 'MISSING_REQUIRED_FIELDS', `Missing required field: ${source}`));
+
+// Resolve an ID from a key (looked up in params, body, then query) or a custom resolver function
+const resolveId = async (req, source) => {
+  if (typeof source === 'function') {
+    return source(req);
+  }
+  return req.params?.[source] ?? req.body?.[source] ?? req.query?.[source];
+};
+
+/**
+ * Verify the bearer token and attach the authenticated user to req.user.
+ * Also sets req.schoolScope, the tenant filter every school-level query must include:
+ * non-admins are pinned to their own school, admins are global unless they pass ?schoolId=.
+ */
+export const authenticate = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return sendAuthError(res, 401, 'AUTH_TOKEN_MISSING', 'Authentication token is required');
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+      const code = err.name === 'TokenExpiredError' ? 'AUTH_TOKEN_EXPIRED' : 'AUTH_TOKEN_INVALID';
+      return sendAuthError(res, 401, code, 'Invalid or expired authentication token');
+    }
+
+    if (await isAccessTokenBlocked(payload.jti)) {
+      return sendAuthError(res, 401, 'AUTH_TOKEN_REVOKED', 'Authentication token has been revoked');
+    }
+
+    const user = await User.findById(payload.id).select('-password');
+    if (!user) {
+      return sendAuthError(res, 401, 'AUTH_USER_NOT_FOUND', 'User for this token no longer exists');
+    }
+
+    if (user.accountStatus === 'suspended') {
+      return sendAuthError(res, 403, 'ACCOUNT_SUSPENDED', 'This account has been suspended');
+    }
+
+    // Tokens issued before a "log out all devices" are no longer valid. iat has whole-second precision,
+    // so a token from the same second as the cutoff is rejected too
+    if (user.tokensInvalidatedAt && payload.iat <= Math.floor(user.tokensInvalidatedAt.getTime() / 1000)) {
+      return sendAuthError(res, 401, 'AUTH_TOKEN_REVOKED', 'Authentication token has been revoked');
+    }
+
+    const requestedSchoolId = req.query?.schoolId;
+    // Checked here because req.schoolScope ends up in queries, where a malformed ID would be a CastError
+    if (requestedSchoolId && !(typeof requestedSchoolId === 'string' && /^[a-f\d]{24}$/i.test(requestedSchoolId))) {
+      return sendAuthError(res, 400, 'INVALID_SCHOOL_ID', 'schoolId must be a valid school ID');
+    }
+    if (user.role !== 'admin' && requestedSchoolId && !isSameSchool(requestedSchoolId, user.schoolId)) {
+      return sendAuthError(res, 403, 'FORBIDDEN_SCHOOL', 'You do not have access to this school');
+    }
+
+    req.user = user;
+    req.auth = payload;
+    req.schoolScope = user.role === 'admin'
+      ? (requestedSchoolId ? { schoolId: requestedSchoolId } : {})
+      : { schoolId: user.schoolId || null };
+    next();
+  } catch (err) {
+    console.error('Authentication error:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * Allow only the given roles
+ * Usage: router.post('/grade', authenticate, authorize('teacher'), gradeSubmission)
+ */
+export const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return sendAuthError(res, 401, 'AUTH_REQUIRED', 'Authentication required');
+  }
+  if (!roles.includes(req.user.role)) {
+    return sendAuthError(res, 403, 'FORBIDDEN_ROLE', `This action requires role: ${roles.join(' or ')}`);
+  }
+  next();
+};
+
+/**
+ * Require the referenced user ID to be the authenticated user (admins bypass)
+ * @param {string|Function} source - Request key (params/body/query) or async resolver returning the user ID
+ */
+export const authorizeSelf = (source) => async (req, res, next) => {
+  try {
+    if (req.user.role === 'admin') return next();
+
+    const userId = await resolveId(req, source);
+    if (!userId) {
+      return sendMissingIdError(res, source);
+    }
+    if (userId.toString() !== req.user._id.toString()) {
+      return sendAuthError(res, 403, 'FORBIDDEN_OWNER', 'You can only access your own resources');
+    }
+    next();
+  } catch (err) {
+    handleGuardError(res, 'Ownership check', err);
+  }
+};
+
+/**
+ * Check whether a user may read data belonging to a student
+ * Students: themselves only. Parents: their own children only.
+ * Teachers: students of their own school. Admins: any student.
+ */
+export const canAccessStudent = async (user, studentId) => {
+  if (!user || !studentId) return false;
+  const id = studentId.toString();
+
+  switch (user.role) {
+    case 'admin':
+      return true;
+    case 'teacher': {
+      const student = await User.findById(id).select('role schoolId').lean();
+      return !!student && student.role === 'student' && isSameSchool(student.schoolId, user.schoolId);
+    }
+    case 'student':
+      return user._id.toString() === id;
+    case 'parent':
+      return (user.profile?.children || []).some(childId => childId.toString() === id);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Guard a route that exposes a single student's data
+ * @param {string|Function} source - Request key (params/body/query) or async resolver returning the student ID
+ */
+export const authorizeStudentAccess = (source = 'studentId') => async (req, res, next) => {
+  try {
+    const studentId = await resolveId(req, source);
+    if (!studentId) {
+      return sendMissingIdError(res, source);
+    }
+    if (!(await canAccessStudent(req.user, studentId))) {
+      return sendAuthError(res, 403, 'FORBIDDEN_STUDENT', 'You do not have access to this student');
+    }
+    next();
+  } catch (err) {
+    handleGuardError(res, 'Student access check', err);
+  }
+};
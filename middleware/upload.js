@@ -0,0 +1,44 @@
+import multer from 'multer';
+import { MAX_UPLOAD_SIZE } from '../services/fileService.js';
+
+/**
+ * Multipart Upload Middleware
+ * Buffers a single uploaded file in memory for the service layer to validate and store.
+ * Per-assignment type/size rules are enforced by fileService; this is only the hard ceiling per request.
+ */
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1, fields: 50 }
+});
+
+const sendUploadError = (res, status, code, message) => res.status(status).json({
+  success: false,
+  error: { code, message }
+});
+
+/**
+ * Parse a multipart/form-data body with at most one file in `field` into req.body / req.file.
+ * JSON requests pass through untouched, so routes keep accepting both.
+ * Must run before guards that read IDs from the body.
+ */
+export const uploadSingleFile = (field = 'file') => (req, res, next) => {
+  if (!req.is('multipart/form-data')) return next();
+
+  upload.single(field)(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return sendUploadError(res, 413, 'FILE_TOO_LARGE', `File exceeds the upload limit of ${MAX_UPLOAD_SIZE / 1024 / 1024}MB`);
+      }
+      if (err.code === 'LIMIT_UNEXPECTED_FILE' || err.code === 'LIMIT_FILE_COUNT') {
+        return sendUploadError(res, 400, 'INVALID_UPLOAD', `Upload exactly one file in the "${field}" field`);
+      }
+      return sendUploadError(res, 400, 'INVALID_UPLOAD', err.message);
+    }
+
+    // Malformed multipart bodies
+    sendUploadError(res, 400, 'INVALID_UPLOAD', 'Could not read the uploaded file');
+  });
+};
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// Assignment Group Schema - students working together on one group assignment, sharing one submission
+const assignmentGroupSchema = new mongoose.Schema({
+  assignmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  members: [{
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Teacher's adjustment of this member's grade, in points relative to the group's score
+    gradeAdjustment: {
+      points: {
+        type: Number,
+        default: 0
+      },
+      reason: {
+        type: String,
+        maxlength: 500
+      }
+    }
+  }],
+  // Teacher who set the group up, or the student who started it
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+assignmentGroupSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+assignmentGroupSchema.index({ assignmentId: 1, name: 1 }, { unique: true });
+assignmentGroupSchema.index({ 'members.studentId': 1, assignmentId: 1 });
+// A student is in at most one group per assignment. Unique across groups, so simultaneous joins
+// or new groups cannot place a student twice (empty groups are left out)
+assignmentGroupSchema.index(
+  { assignmentId: 1, 'members.studentId': 1 },
+  { unique: true, partialFilterExpression: { 'members.studentId': { $exists: true } } }
+);
+
+const AssignmentGroup = mongoose.model('AssignmentGroup', assignmentGroupSchema);
+export default AssignmentGroup;
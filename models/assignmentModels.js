@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { GRADEBOOK_CATEGORIES } from './gradebookModels.js';
 
 // Assignment Schema
 const assignmentSchema = new mongoose.Schema({
@@ -66,6 +67,17 @@ const assignmentSchema = new mongoose.Schema({
       maxlength: 500
     }
   }],
+  // Template the rubric was copied from, if any
+  rubricTemplateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RubricTemplate'
+  },
+  // Gradebook category the assignment counts towards (e.g. a lab report under 'labs')
+  gradebookCategory: {
+    type: String,
+    enum: GRADEBOOK_CATEGORIES,
+    default: 'assignments'
+  },
   teacherId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -75,10 +87,137 @@ const assignmentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Class'
   }],
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School'
+  },
   isVisible: {
     type: Boolean,
     default: true
   },
+  // Visible assignments stay hidden from students until this time (null = immediately)
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  // Set once students have been notified that the assignment is available
+  studentsNotifiedAt: Date,
+  // How submissions after the due date are treated; penalties are applied when grading
+  latePolicy: {
+    // false = hard close: nothing is accepted after the (extended) due date plus the grace period
+    acceptLate: {
+      type: Boolean,
+      default: true
+    },
+    // Submissions within this many minutes of the due date are not late
+    graceMinutes: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Percentage of the awarded score deducted per started day late
+    penaltyPercentPerDay: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    },
+    // Cap on the total deduction
+    maxPenaltyPercent: {
+      type: Number,
+      default: 100,
+      min: 0,
+      max: 100
+    },
+    // Late submissions are rejected after this time (null = no cut-off)
+    acceptUntil: {
+      type: Date,
+      default: null
+    }
+  },
+  // Optional peer review: after the due date each submission is reviewed anonymously by classmates
+  peerReview: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Number of classmates reviewing each submission
+    reviewsPerSubmission: {
+      type: Number,
+      default: 3,
+      min: 1,
+      max: 10
+    },
+    // Reviews further than this many percentage points from the median are flagged as outliers
+    outlierThreshold: {
+      type: Number,
+      default: 20,
+      min: 0,
+      max: 100
+    },
+    // Set once reviewers have been assigned
+    assignedAt: Date
+  },
+  // Group work: one shared submission per group instead of one per student
+  groupSettings: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // 'teacher' = the teacher puts students in groups; 'self' = students form and join groups until the due date
+    formation: {
+      type: String,
+      enum: ['teacher', 'self'],
+      default: 'teacher'
+    },
+    // A group needs at least minSize members to submit
+    minSize: {
+      type: Number,
+      default: 2,
+      min: 1,
+      max: 10
+    },
+    maxSize: {
+      type: Number,
+      default: 4,
+      min: 1,
+      max: 10
+    }
+  },
+  // Per-student due dates that replace dueDate for that student
+  extensions: [{
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    dueDate: {
+      type: Date,
+      required: true
+    },
+    reason: {
+      type: String,
+      maxlength: 500
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Soft delete: hidden everywhere, submissions are kept
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -95,12 +234,25 @@ assignmentSchema.pre('save', function(next) {
   next();
 });
 
+/**
+ * Assignment lifecycle status: deleted, draft, scheduled (waiting for publishAt), past_due or active.
+ * Works on documents and lean objects alike.
+ */
+export const getAssignmentStatus = (assignment, now = new Date()) => {
+  if (assignment.isDeleted) return 'deleted';
+  if (!assignment.isVisible) return 'draft';
+  if (assignment.publishAt && now < assignment.publishAt) return 'scheduled';
+  if (now > assignment.dueDate) return 'past_due';
+  return 'active';
+};
+
+// Whether students can currently see the assignment
+export const isAssignmentPublished = (assignment, now = new Date()) =>
+  ['active', 'past_due'].includes(getAssignmentStatus(assignment, now));
+
 // Virtual for assignment status
 assignmentSchema.virtual('status').get(function() {
-  const now = new Date();
-  if (!this.isVisible) return 'draft';
-  if (now > this.dueDate) return 'past_due';
-  return 'active';
+  return getAssignmentStatus(this);
 });
 
 // Submission Schema
@@ -110,20 +262,30 @@ const submissionSchema = new mongoose.Schema({
     ref: 'Assignment',
     required: true
   },
+  // The student who submitted; for group assignments the submission belongs to the whole group
   studentId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AssignmentGroup'
+  },
   versionNumber: {
     type: Number,
     required: true,
     min: 1
   },
+  // A submission is a link, an uploaded file, or both
   submissionLink: {
     type: String,
-    required: true,
-    trim: true
+    trim: true,
+    required: function() { return !this.file; }
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StoredFile'
   },
   submittedAt: {
     type: Date,
@@ -142,6 +304,12 @@ const submissionSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Started days past the student's due date (after the grace period) at submission time
+  daysLate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   previousSubmissionId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Submission'
@@ -161,6 +329,18 @@ const submissionSchema = new mongoose.Schema({
       min: 0,
       max: 100
     },
+    letterGrade: String,
+    // Score before the late penalty; totalScore is after it
+    rawScore: {
+      type: Number,
+      min: 0
+    },
+    latePenaltyPercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    },
     rubricScores: [{
       criteria: {
         type: String,
@@ -185,6 +365,26 @@ const submissionSchema = new mongoose.Schema({
       type: String,
       maxlength: 2000
     },
+    // Group submissions: each member's grade after the teacher's per-member adjustment
+    memberGrades: [{
+      studentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      // Points added to (or taken off) the group's score
+      adjustment: {
+        type: Number,
+        default: 0
+      },
+      reason: {
+        type: String,
+        maxlength: 500
+      },
+      totalScore: Number,
+      percentage: Number,
+      letterGrade: String
+    }],
     gradedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -199,31 +399,16 @@ const submissionSchema = new mongoose.Schema({
   }
 });
 
-// Helper function to calculate letter grade from percentage
-export function calculateLetterGrade(percentage) {
-  if (percentage >= 97) return 'A+';
-  else if (percentage >= 93) return 'A';
-  else if (percentage >= 90) return 'A-';
-  else if (percentage >= 87) return 'B+';
-  else if (percentage >= 83) return 'B';
-  else if (percentage >= 80) return 'B-';
-  else if (percentage >= 77) return 'C+';
-  else if (percentage >= 73) return 'C';
-  else if (percentage >= 70) return 'C-';
-  else if (percentage >= 67) return 'D+';
-  else if (percentage >= 65) return 'D';
-  else if (percentage >= 60) return 'D-';
-  else return 'F';
-}
-
 // Indexes for performance
 assignmentSchema.index({ teacherId: 1, createdAt: -1 });
-assignmentSchema.index({ level: 1, subject: 1 });
+assignmentSchema.index({ schoolId: 1, level: 1, subject: 1 });
 assignmentSchema.index({ dueDate: 1, isVisible: 1 });
+assignmentSchema.index({ publishAt: 1, studentsNotifiedAt: 1 });
 
 submissionSchema.index({ assignmentId: 1, studentId: 1 });
 submissionSchema.index({ studentId: 1, submittedAt: -1 });
 submissionSchema.index({ assignmentId: 1, versionNumber: -1 });
+submissionSchema.index({ groupId: 1, versionNumber: -1 });
 submissionSchema.index({ studentId: 1, 'grade.gradedAt': -1 }); // For grade queries
 
 export const Assignment = mongoose.model('Assignment', assignmentSchema);
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+// Audit Log Schema - append-only record of administrative actions
+const auditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actorRole: String,
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['user', 'school'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  ip: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+// Audit entries are never edited or removed through the application
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries are immutable'));
+};
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], rejectMutation);
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+// Indexes for performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+export default AuditLog;
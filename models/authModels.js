@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+
+// Refresh Token Schema - one document per issued refresh token.
+// Tokens issued by rotation share a `family` (one login session on one device).
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  userAgent: String,
+  ip: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: Date,
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'session_revoked', 'reuse_detected', 'replaced_by_login']
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  },
+  // Access token issued together with this refresh token, so revoking the session can blocklist it
+  accessTokenJti: String,
+  accessTokenExpiresAt: Date
+}, {
+  timestamps: true
+});
+
+// Revoked Access Token Schema - blocklist of access token IDs (jti) until they expire
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Action Token Schema - single-use tokens sent by email (password reset, email verification)
+const actionTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+refreshTokenSchema.index({ userId: 1, deviceId: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+actionTokenSchema.index({ userId: 1, type: 1, usedAt: 1 });
+
+// TTL indexes - expired tokens are useless, let MongoDB clean them up
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+actionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+export const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+export const ActionToken = mongoose.model('ActionToken', actionTokenSchema);
@@ -13,9 +13,22 @@ const classSchema = new mongoose.Schema({
     endTime: String,   // Format: "10:30"
     timezone: { type: String, default: 'UTC' }
   },
+  // Students can enroll themselves by redeeming the join code; null when joining is disabled
+  joinCode: { type: String, uppercase: true, trim: true },
   isActive: { type: Boolean, default: true },
-  createdAt: { type: Date, default: Date.now }
+  archivedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
 });
 
+classSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+classSchema.index({ joinCode: 1 }, { unique: true, sparse: true });
+classSchema.index({ teacherId: 1, isActive: 1 });
+classSchema.index({ students: 1, isActive: 1 });
+
 const Class = mongoose.model('Class', classSchema);
 export default Class; 
\ No newline at end of file
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+// Child Invite Schema - one-time claim code a parent hands to a child so the child sets their own password
+const childInviteSchema = new mongoose.Schema({
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  childId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'claimed', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  claimedAt: Date
+}, {
+  timestamps: true
+});
+
+// Child Link Request Schema - a parent asking to be linked to an existing student account.
+// The link is only created once the student or a teacher approves it.
+const childLinkRequestSchema = new mongoose.Schema({
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedByRole: {
+    type: String,
+    enum: ['student', 'teacher', 'admin', 'parent']
+  },
+  decisionNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  decidedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+childInviteSchema.index({ childId: 1, status: 1 });
+childInviteSchema.index({ parentId: 1, status: 1 });
+
+childLinkRequestSchema.index({ studentId: 1, status: 1 });
+childLinkRequestSchema.index({ parentId: 1, status: 1 });
+
+export const ChildInvite = mongoose.model('ChildInvite', childInviteSchema);
+export const ChildLinkRequest = mongoose.model('ChildLinkRequest', childLinkRequestSchema);
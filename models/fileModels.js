@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// Stored File Schema - metadata for uploaded content kept in the storage backend
+const storedFileSchema = new mongoose.Schema({
+  storageKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  storageBackend: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true,
+    maxlength: 255
+  },
+  extension: {
+    type: String,
+    required: true
+  },
+  // Detected from the content, not taken from the client
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  purpose: {
+    type: String,
+    enum: ['submission', 'resource'],
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+storedFileSchema.index({ uploadedBy: 1, createdAt: -1 });
+
+const StoredFile = mongoose.model('StoredFile', storedFileSchema);
+export default StoredFile;
@@ -157,7 +157,7 @@ studentGameStatsSchema.methods.updateStats = async function(simulationData) {
 };
 
 // Static method for leaderboard
-studentGameStatsSchema.statics.getLeaderboard = async function(level, limit = 10) {
+studentGameStatsSchema.statics.getLeaderboard = async function(level, limit = 10, schoolScope = {}) {
   const pipeline = [
     {
       $lookup: {
@@ -173,7 +173,10 @@ studentGameStatsSchema.statics.getLeaderboard = async function(level, limit = 10
     {
       $match: {
         'student.selectedLevel': level,
-        'student.role': 'student'
+        'student.role': 'student',
+        ...('schoolId' in schoolScope && {
+          'student.schoolId': schoolScope.schoolId ? new mongoose.Types.ObjectId(schoolScope.schoolId) : null
+        })
       }
     },
     {
@@ -0,0 +1,157 @@
+import mongoose from 'mongoose';
+
+// Snapshot of a submission's grade at one point in time
+const gradeSnapshotSchema = new mongoose.Schema({
+  totalScore: Number,
+  rawScore: Number,
+  latePenaltyPercent: Number,
+  maxScore: Number,
+  percentage: Number,
+  letterGrade: String,
+  rubricScores: [{
+    criteria: String,
+    score: Number,
+    maxPoints: Number,
+    feedback: String
+  }],
+  overallFeedback: String,
+  memberGrades: [{
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    adjustment: Number,
+    reason: String,
+    totalScore: Number,
+    percentage: Number,
+    letterGrade: String
+  }],
+  gradedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  gradedAt: Date
+}, { _id: false });
+
+// Grade History Schema - append-only record of every change to a submission's grade
+const gradeHistorySchema = new mongoose.Schema({
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission',
+    required: true
+  },
+  assignmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  changedByRole: String,
+  // How the grade was changed
+  source: {
+    type: String,
+    enum: ['grade', 'bulk', 'import', 'regrade', 'peer_review', 'adjustment'],
+    required: true
+  },
+  // null for the first grade
+  previousGrade: {
+    type: gradeSnapshotSchema,
+    default: null
+  },
+  newGrade: {
+    type: gradeSnapshotSchema,
+    required: true
+  },
+  regradeRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RegradeRequest'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+// History entries are never edited or removed through the application
+const rejectMutation = function(next) {
+  next(new Error('Grade history entries are immutable'));
+};
+gradeHistorySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], rejectMutation);
+gradeHistorySchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+gradeHistorySchema.index({ submissionId: 1, createdAt: -1 });
+gradeHistorySchema.index({ assignmentId: 1, createdAt: -1 });
+
+// Regrade Request Schema - a student disputing the score of one rubric criterion (or the total without a rubric)
+const regradeRequestSchema = new mongoose.Schema({
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission',
+    required: true
+  },
+  assignmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Rubric criterion in dispute; null for assignments without a rubric
+  criteria: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  // Score of the criterion (or total) when the request was raised
+  originalScore: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'withdrawn'],
+    default: 'pending'
+  },
+  resolution: {
+    comment: String,
+    newScore: Number,
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    resolvedAt: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+regradeRequestSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+regradeRequestSchema.index({ assignmentId: 1, status: 1, createdAt: -1 });
+regradeRequestSchema.index({ studentId: 1, createdAt: -1 });
+regradeRequestSchema.index({ submissionId: 1, criteria: 1, status: 1 });
+
+const GradeHistory = mongoose.model('GradeHistory', gradeHistorySchema);
+const RegradeRequest = mongoose.model('RegradeRequest', regradeRequestSchema);
+
+export { GradeHistory, RegradeRequest };
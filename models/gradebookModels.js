@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+// Kinds of graded work a gradebook can weight. Assignments are filed under one of them
+// (assignment.gradebookCategory); quizzes and simulations also pull in students' own results.
+export const GRADEBOOK_CATEGORIES = ['assignments', 'quizzes', 'simulations', 'labs'];
+
+// Gradebook Schema - how a class's (or a teacher's level's) work adds up to a term grade
+const gradebookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  teacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    default: null
+  },
+  // A class gradebook covers the class's students; without a class it covers every student at the level
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  },
+  level: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  // Only count assignments, quizzes and simulations of this subject (all subjects when empty)
+  subject: String,
+  categories: [{
+    key: {
+      type: String,
+      enum: GRADEBOOK_CATEGORIES,
+      required: true
+    },
+    weight: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100
+    },
+    // Number of lowest results left out of the category average
+    dropLowest: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+  terms: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    startDate: {
+      type: Date,
+      required: true
+    },
+    endDate: {
+      type: Date,
+      required: true
+    }
+  }],
+  // Letter bands for this gradebook; empty means the school's scale
+  gradingScale: [{
+    letter: { type: String, required: true, trim: true },
+    minPercentage: { type: Number, required: true, min: 0, max: 100 }
+  }],
+  // Count work that is past due and was never submitted as 0%
+  missingAsZero: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+gradebookSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+gradebookSchema.index({ teacherId: 1, updatedAt: -1 });
+gradebookSchema.index({ classId: 1 }, { unique: true, partialFilterExpression: { classId: { $type: 'objectId' } } });
+
+const Gradebook = mongoose.model('Gradebook', gradebookSchema);
+export default Gradebook;
@@ -69,6 +69,10 @@ const labSlotSchema = new mongoose.Schema({
     trim: true,
     maxlength: 500
   },
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School'
+  },
   status: {
     type: String,
     enum: ['active', 'cancelled', 'completed'],
@@ -106,7 +110,7 @@ const labBookingSchema = new mongoose.Schema({
 
 // Indexes for performance
 labSlotSchema.index({ teacherId: 1, date: 1 });
-labSlotSchema.index({ level: 1, date: 1, status: 1 });
+labSlotSchema.index({ schoolId: 1, level: 1, date: 1, status: 1 });
 labSlotSchema.index({ date: 1, startTime: 1 });
 
 labBookingSchema.index({ slotId: 1 });
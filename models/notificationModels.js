@@ -25,7 +25,19 @@ const notificationSchema = new mongoose.Schema({
       "assignment_created",
       "assignment_submitted",
       "assignment_graded",
-      "assignment_deadline_reminder"
+      "child_assignment_graded",
+      "assignment_deadline_reminder",
+      "assignment_extension",
+      "regrade_requested",
+      "regrade_resolved",
+      "peer_review_assigned",
+      "group_updated",
+      "group_submitted",
+      "child_link_request",
+      "child_link_approved",
+      "child_link_rejected",
+      "child_invite_claimed",
+      "class_enrollment"
     ],
     required: true
   },
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// Peer Review Schema - one classmate's review of one submission; reviewers and authors stay anonymous to each other
+const peerReviewSchema = new mongoose.Schema({
+  assignmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true
+  },
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission',
+    required: true
+  },
+  // Author of the reviewed submission
+  revieweeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['assigned', 'completed'],
+    default: 'assigned'
+  },
+  rubricScores: [{
+    criteria: String,
+    score: Number,
+    maxPoints: Number,
+    feedback: String
+  }],
+  totalScore: Number,
+  comment: {
+    type: String,
+    maxlength: 2000
+  },
+  submittedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+peerReviewSchema.index({ assignmentId: 1, submissionId: 1 });
+peerReviewSchema.index({ reviewerId: 1, status: 1 });
+peerReviewSchema.index({ submissionId: 1, reviewerId: 1 }, { unique: true });
+
+const PeerReview = mongoose.model('PeerReview', peerReviewSchema);
+export default PeerReview;
@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+import { questionContentFields } from './quizModels.js';
+
+// Topic Mastery Schema - a student's estimated ability on one topic of a subject, updated after every
+// graded quiz question and practice answer on it (see services/practiceService.js)
+const topicMasterySchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  topic: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Ability on a logit scale: 0 = even odds on a medium question
+  ability: {
+    type: Number,
+    default: 0
+  },
+  answered: {
+    type: Number,
+    default: 0
+  },
+  // Sum of the credit (0 to 1) earned over the answers
+  creditTotal: {
+    type: Number,
+    default: 0
+  },
+  lastAnsweredAt: Date,
+  // Completion time of the last quiz result taken into account
+  lastResultAt: Date,
+  // Ability after each answer, most recent last (capped)
+  history: [{
+    _id: false,
+    at: Date,
+    ability: Number,
+    mastery: Number,
+    source: {
+      type: String,
+      enum: ['quiz', 'practice']
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+topicMasterySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+topicMasterySchema.index({ studentId: 1, subject: 1, topic: 1 }, { unique: true });
+
+// Practice Item Schema - a question served in a practice session, with the answer given to it
+const practiceItemSchema = new mongoose.Schema({
+  ...questionContentFields,
+  optionOrder: {
+    type: [Number],
+    default: undefined
+  },
+  // Bank questions keep their bank _id; 'ai' questions were written for this session
+  source: {
+    type: String,
+    enum: ['bank', 'ai']
+  },
+  answer: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  credit: Number,
+  abilityBefore: Number,
+  abilityAfter: Number,
+  answeredAt: Date
+});
+
+// Practice Session Schema - adaptive practice on a student's weak topics, served one question at a time
+const practiceSessionSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  level: Number,
+  topics: [String],
+  // Questions to serve before the session completes
+  questionCount: {
+    type: Number,
+    default: 10,
+    min: 1,
+    max: 50
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  // Questions served so far; the last one awaits its answer while the session is in progress
+  items: [practiceItemSchema],
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date
+}, { optimisticConcurrency: true });
+
+practiceSessionSchema.index({ studentId: 1, startedAt: -1 });
+
+const TopicMastery = mongoose.model('TopicMastery', topicMasterySchema);
+const PracticeSession = mongoose.model('PracticeSession', practiceSessionSchema);
+
+export { TopicMastery, PracticeSession };
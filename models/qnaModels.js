@@ -33,6 +33,10 @@ const qnaMessageSchema = new mongoose.Schema({
     ref: 'QnaMessage',
     default: function() { return this.replyToId || this._id; }
   },
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School'
+  },
   isGeneralMessage: {
     type: Boolean,
     default: false
@@ -46,7 +50,7 @@ const qnaMessageSchema = new mongoose.Schema({
 });
 
 // Indexes for performance
-qnaMessageSchema.index({ level: 1, timestamp: -1 });
+qnaMessageSchema.index({ schoolId: 1, level: 1, timestamp: -1 });
 qnaMessageSchema.index({ threadId: 1, timestamp: 1 });
 qnaMessageSchema.index({ replyToId: 1 });
 
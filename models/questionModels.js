@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import { questionContentFields } from './quizModels.js';
+
+// Question Schema - reusable question in a teacher's bank, tagged for assembling quizzes
+const questionSchema = new mongoose.Schema({
+  ...questionContentFields,
+  subject: {
+    type: String,
+    required: true
+  },
+  level: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  // Lower-cased free-form tags
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 50
+  }],
+  teacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    default: null
+  },
+  // Shared questions can be used (not edited) by every teacher in the school
+  isShared: {
+    type: Boolean,
+    default: false
+  },
+  // Practice-only questions are served in students' adaptive practice, which shows the answers,
+  // and are never assembled into quizzes
+  practiceOnly: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+questionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+questionSchema.index({ teacherId: 1, subject: 1, level: 1 });
+questionSchema.index({ schoolId: 1, isShared: 1, subject: 1, level: 1 });
+questionSchema.index({ schoolId: 1, practiceOnly: 1, subject: 1, level: 1, topic: 1 });
+
+const Question = mongoose.model('Question', questionSchema);
+export default Question;
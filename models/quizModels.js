@@ -1,5 +1,288 @@
 import mongoose from 'mongoose';
 
+export const QUESTION_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Which of a student's submitted attempts at a quiz counts
+export const SCORING_POLICIES = ['best', 'last', 'average'];
+
+export const QUESTION_TYPES = ['single_choice', 'multi_select', 'true_false', 'numeric', 'short_text', 'ordering', 'matching'];
+
+const matchingPairSchema = new mongoose.Schema({
+  prompt: { type: String, trim: true, maxlength: 500 },
+  match: { type: String, trim: true, maxlength: 500 }
+}, { _id: false });
+
+// Content of one question, shared by quiz questions and the question bank.
+// Which answer fields are used depends on the type (see services/questionTypeService.js)
+export const questionContentFields = {
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    default: 'single_choice'
+  },
+  question: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  // Choices (single_choice, multi_select) or the items in their correct order (ordering)
+  options: {
+    type: [{ type: String, trim: true, maxlength: 500 }],
+    default: undefined
+  },
+  // Option index (single_choice), option indices (multi_select), boolean (true_false) or value (numeric)
+  correctAnswer: mongoose.Schema.Types.Mixed,
+  // numeric: accepted distance from correctAnswer, the expected unit, other units with their
+  // conversion factor to it, and the percentage of credit lost for a missing or wrong unit
+  tolerance: Number,
+  toleranceType: {
+    type: String,
+    enum: ['absolute', 'percent']
+  },
+  unit: String,
+  alternativeUnits: {
+    type: [{ _id: false, unit: String, factor: Number }],
+    default: undefined
+  },
+  unitPenalty: Number,
+  // short_text
+  acceptedAnswers: {
+    type: [String],
+    default: undefined
+  },
+  caseSensitive: Boolean,
+  allowTypos: Boolean,
+  // matching
+  pairs: {
+    type: [matchingPairSchema],
+    default: undefined
+  },
+  explanation: {
+    type: String,
+    maxlength: 1000
+  },
+  points: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  topic: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  difficulty: {
+    type: String,
+    enum: QUESTION_DIFFICULTIES,
+    default: 'medium'
+  }
+};
+
+// Quiz Question Schema - a question written into a quiz, or copied into an attempt
+// (bank questions keep their bank _id in the attempt)
+const quizQuestionSchema = new mongoose.Schema({
+  ...questionContentFields,
+  // Attempts only: original option index (or matching pair) shown at each position
+  optionOrder: {
+    type: [Number],
+    default: undefined
+  }
+});
+
+// Quiz Assembly Schema - rules for drawing a quiz's questions from the question bank
+const quizAssemblySchema = new mongoose.Schema({
+  questionCount: { type: Number, min: 1, max: 100 },
+  // Any of these topics / tags (empty = no restriction)
+  topics: [String],
+  tags: [String],
+  // Percentage of the questions per difficulty; the rest may have any difficulty
+  difficultyMix: {
+    easy: { type: Number, default: 0 },
+    medium: { type: Number, default: 0 },
+    hard: { type: Number, default: 0 }
+  }
+}, { _id: false });
+
+// Quiz Schema - teacher-authored quiz; correct answers never leave the server before a student may see them
+// (see showCorrectAnswers)
+const quizSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    maxlength: 2000
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  level: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  // Fixed questions; empty when the quiz is assembled from the question bank
+  questions: [quizQuestionSchema],
+  // Rules for assembling each attempt from the question bank (null for a fixed quiz)
+  assembly: {
+    type: quizAssemblySchema,
+    default: null
+  },
+  // Each attempt gets its own question and option order
+  shuffleQuestions: {
+    type: Boolean,
+    default: true
+  },
+  shuffleOptions: {
+    type: Boolean,
+    default: true
+  },
+  // Minutes a student has from starting an attempt (null = untimed)
+  timeLimitMinutes: {
+    type: Number,
+    default: null,
+    min: 1,
+    max: 600
+  },
+  // Attempts allowed per student (null = unlimited)
+  maxAttempts: {
+    type: Number,
+    default: null,
+    min: 1,
+    max: 100
+  },
+  // Attempts can only be started inside this window (null = unbounded); a running attempt ends at closesAt
+  opensAt: {
+    type: Date,
+    default: null
+  },
+  closesAt: {
+    type: Date,
+    default: null
+  },
+  // The attempt score that counts in history, achievements and gradebooks
+  scoringPolicy: {
+    type: String,
+    enum: SCORING_POLICIES,
+    default: 'best'
+  },
+  // Show correct answers and explanations after every attempt; otherwise students only see them
+  // once they have no attempts left or the quiz has closed
+  showCorrectAnswers: {
+    type: Boolean,
+    default: false
+  },
+  teacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    default: null
+  },
+  // Targeted classes; empty = every student at the level in the school
+  classIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  }],
+  isVisible: {
+    type: Boolean,
+    default: true
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+quizSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+quizSchema.index({ teacherId: 1, isDeleted: 1, updatedAt: -1 });
+quizSchema.index({ schoolId: 1, level: 1, isVisible: 1 });
+
+// Quiz Attempt Schema - a student's attempt, graded on the server against the questions served when it started
+const quizAttemptSchema = new mongoose.Schema({
+  quizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Snapshot of the questions, so later edits to the quiz don't change how the attempt is graded
+  questions: [quizQuestionSchema],
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted'],
+    default: 'in_progress'
+  },
+  attemptNumber: Number,
+  // Deadline set from the time limit and the quiz's closing time when the attempt starts (null = none)
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Answers saved while the attempt is open, as served; graded if the attempt runs out of time
+  savedAnswers: [{
+    _id: false,
+    questionId: mongoose.Schema.Types.ObjectId,
+    answer: mongoose.Schema.Types.Mixed
+  }],
+  savedAt: Date,
+  // Closed at its deadline, with the answers saved by then
+  timedOut: {
+    type: Boolean,
+    default: false
+  },
+  answers: [{
+    questionId: mongoose.Schema.Types.ObjectId,
+    // Answer in the question's original option indices; null when left unanswered
+    answer: { type: mongoose.Schema.Types.Mixed, default: null },
+    // Share of the question's points earned (0 to 1)
+    credit: Number,
+    isCorrect: Boolean,
+    pointsAwarded: Number
+  }],
+  pointsEarned: Number,
+  totalPoints: Number,
+  score: Number,
+  resultId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuizResult'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  submittedAt: Date
+});
+
+// At most one open attempt per student and quiz
+quizAttemptSchema.index({ quizId: 1, studentId: 1 }, { unique: true, partialFilterExpression: { status: 'in_progress' } });
+quizAttemptSchema.index({ studentId: 1, startedAt: -1 });
+
 // Quiz Results Schema
 const quizResultSchema = new mongoose.Schema({
   studentId: { 
@@ -13,6 +296,15 @@ const quizResultSchema = new mongoose.Schema({
     required: true, 
     index: true 
   },
+  // Set for results graded on the server (resourceId is then the quiz ID)
+  quizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz'
+  },
+  attemptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuizAttempt'
+  },
   resourceTitle: { 
     type: String, 
     required: true 
@@ -23,10 +315,13 @@ const quizResultSchema = new mongoose.Schema({
     min: 0, 
     max: 100 
   },
-  answers: [{ 
-    type: Number, 
-    required: true 
-  }],
+  // Answer per question (null = unanswered): the chosen option index for single-choice questions
+  answers: [mongoose.Schema.Types.Mixed],
+  // Credit per question (0 to 1); absent on results saved before partial credit
+  credits: {
+    type: [Number],
+    default: undefined
+  },
   correctAnswers: { 
     type: Number, 
     required: true, 
@@ -103,7 +398,9 @@ const achievementSchema = new mongoose.Schema({
 achievementSchema.index({ studentId: 1, unlockedAt: -1 });
 achievementSchema.index({ level: 1, unlockedAt: -1 });
 
+const Quiz = mongoose.model('Quiz', quizSchema);
+const QuizAttempt = mongoose.model('QuizAttempt', quizAttemptSchema);
 const QuizResult = mongoose.model('QuizResult', quizResultSchema);
 const Achievement = mongoose.model('Achievement', achievementSchema);
 
-export { QuizResult, Achievement }; 
\ No newline at end of file
+export { Quiz, QuizAttempt, QuizResult, Achievement }; 
\ No newline at end of file
@@ -10,6 +10,7 @@ const resourceSchema = new mongoose.Schema({
   url: { type: String, required: true },
   fileName: String,
   fileSize: Number,
+  file: { type: mongoose.Schema.Types.ObjectId, ref: 'StoredFile' }, // Set when uploaded rather than linked
   uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School' },
   isPublic: { type: Boolean, default: true },
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+// Rubric Template Schema - reusable rubrics teachers can attach to assignments
+const rubricTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  subject: String,
+  level: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+  criteria: [{
+    criteria: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    maxPoints: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    description: {
+      type: String,
+      required: true,
+      maxlength: 500
+    }
+  }],
+  teacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    default: null
+  },
+  // Shared templates can be used (not edited) by every teacher in the school
+  isShared: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+rubricTemplateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Total of all criteria; an assignment using the template is worth this many points
+rubricTemplateSchema.virtual('totalPoints').get(function() {
+  return this.criteria.reduce((sum, item) => sum + item.maxPoints, 0);
+});
+
+rubricTemplateSchema.index({ teacherId: 1, updatedAt: -1 });
+rubricTemplateSchema.index({ schoolId: 1, isShared: 1 });
+
+const RubricTemplate = mongoose.model('RubricTemplate', rubricTemplateSchema);
+export default RubricTemplate;
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+const schoolSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 200 },
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true, maxlength: 20 },
+  address: {
+    street: String,
+    city: String,
+    country: String,
+    postalCode: String
+  },
+  contactEmail: { type: String, trim: true },
+  phone: String,
+  // Per-school configuration (empty lists mean "no restriction"/platform defaults)
+  settings: {
+    allowedLevels: [{ type: Number, min: 1, max: 5 }],
+    subjects: [String],
+    gradingScale: [{
+      letter: { type: String, required: true, trim: true },
+      minPercentage: { type: Number, required: true, min: 0, max: 100 }
+    }]
+  },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+schoolSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Text search index
+schoolSchema.index({ name: 'text', code: 'text' });
+
+const School = mongoose.model('School', schoolSchema);
+export default School;
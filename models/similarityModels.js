@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// Submission Fingerprint Schema - MinHash signature of a submission's text (notes and uploaded document),
+// used to find similar submissions in the same assignment and in earlier ones
+const submissionFingerprintSchema = new mongoose.Schema({
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission',
+    required: true,
+    unique: true
+  },
+  assignmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AssignmentGroup'
+  },
+  // Where the text came from: 'notes', 'file'
+  sources: [String],
+  wordCount: {
+    type: Number,
+    default: 0
+  },
+  shingleCount: {
+    type: Number,
+    default: 0
+  },
+  // Empty when there was too little text to compare
+  signature: [Number],
+  // Locality-sensitive hash of each band of the signature; submissions sharing a band are compared
+  bands: [String],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+submissionFingerprintSchema.index({ assignmentId: 1 });
+submissionFingerprintSchema.index({ bands: 1 });
+
+const SubmissionFingerprint = mongoose.model('SubmissionFingerprint', submissionFingerprintSchema);
+export default SubmissionFingerprint;
@@ -4,6 +4,13 @@ const userSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true, index: true },
   password: { type: String, required: true },
   role: { type: String, enum: ['student', 'teacher', 'parent', 'admin'], required: true },
+  // 'pending_claim': created by a parent, waiting for the child to claim it with an invite code
+  // 'suspended': blocked by an admin, cannot log in
+  accountStatus: { type: String, enum: ['active', 'pending_claim', 'suspended'], default: 'active' },
+  suspendedAt: Date,
+  suspensionReason: String,
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: Date,
   schoolId: { type: mongoose.Schema.Types.ObjectId, ref: 'School' },
   profile: {
     firstName: String,
@@ -14,6 +21,8 @@ const userSchema = new mongoose.Schema({
   },
   learningStyle: { type: String, enum: ['visual', 'auditory', 'kinesthetic'] },
   lastActive: Date,
+  // Access tokens issued before this time are rejected ("log out all devices")
+  tokensInvalidatedAt: Date,
   // Learning path selection (for students)
   pathSelected: { type: Boolean, default: false },
   selectedLevel: { type: Number, min: 1, max: 5 }
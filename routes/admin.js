@@ -0,0 +1,56 @@
+import express from 'express';
+import {
+  createSchool,
+  getSchools,
+  getSchool,
+  updateSchool,
+  updateSchoolSettings,
+  deleteSchool,
+  getUsers,
+  getUser,
+  suspendUser,
+  reactivateUser,
+  changeUserRole,
+  changeUserSchool,
+  reassignStudents,
+  importRoster,
+  exportRosterCsv,
+  getAuditLogs
+} from '../controllers/adminController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * Admin Console Routes
+ * Every endpoint requires an authenticated admin; every change is written to the audit log
+ */
+router.use(authenticate, authorize('admin'));
+
+// School management
+router.post('/schools', createSchool);
+router.get('/schools', getSchools);
+router.get('/schools/:schoolId', getSchool);
+router.put('/schools/:schoolId', updateSchool);
+router.put('/schools/:schoolId/settings', updateSchoolSettings);
+router.delete('/schools/:schoolId', deleteSchool);
+
+// User management
+router.get('/users', getUsers);
+router.get('/users/:userId', getUser);
+router.put('/users/:userId/suspend', suspendUser);
+router.put('/users/:userId/reactivate', reactivateUser);
+router.put('/users/:userId/role', changeUserRole);
+router.put('/users/:userId/school', changeUserSchool);
+
+// Student placement
+router.put('/students/reassign', reassignStudents);
+
+// Bulk onboarding (CSV)
+router.post('/import/:type', express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), importRoster);
+router.get('/export/:type', exportRosterCsv);
+
+// Audit trail
+router.get('/audit-logs', getAuditLogs);
+
+export default router;
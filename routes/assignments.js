@@ -3,7 +3,18 @@ import {
   createAssignment, 
   getTeacherAssignments, 
   getAssignmentWithSubmissions, 
-  gradeSubmission 
+  gradeSubmission,
+  suggestGrade,
+  updateAssignment,
+  deleteAssignment,
+  restoreAssignment,
+  duplicateAssignment,
+  grantAssignmentExtension,
+  revokeAssignmentExtension,
+  getAssignmentRubricAnalytics,
+  bulkGradeSubmissions,
+  exportAssignmentGradesCsv,
+  importAssignmentGradesCsv
 } from '../controllers/assignmentController.js';
 import {
   getStudentAssignments,
@@ -11,11 +22,46 @@ import {
   submitAssignment,
   getStudentSubmissionHistory
 } from '../controllers/submissionController.js';
+import {
+  createRegradeRequest,
+  getAssignmentRegradeRequests,
+  resolveRegradeRequest,
+  withdrawRegradeRequest,
+  getStudentRegradeRequests,
+  getGradeHistory
+} from '../controllers/regradeController.js';
+import {
+  assignPeerReviews,
+  getPeerReviewSummary,
+  finalizePeerReview,
+  getStudentPeerReviews,
+  submitPeerReview,
+  getPeerFeedback
+} from '../controllers/peerReviewController.js';
+import {
+  getAssignmentGroups,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  adjustGroupGrades,
+  getStudentGroups,
+  formGroup,
+  joinGroup,
+  leaveGroup
+} from '../controllers/groupController.js';
 import { Assignment } from '../models/assignmentModels.js';
+import { authenticate, authorize, authorizeSelf, authorizeStudentAccess } from '../middleware/auth.js';
+import { uploadSingleFile } from '../middleware/upload.js';
 
 const router = express.Router();
 
-// No middleware needed for link-based submissions
+// Resolve the teacher who owns the assignment in :assignmentId
+const assignmentTeacher = req => Assignment.findById(req.params.assignmentId)
+  .select('teacherId')
+  .lean()
+  .then(assignment => assignment?.teacherId);
+
+router.use(authenticate);
 
 // Assignment Management Routes (Teacher)
 
@@ -23,26 +69,160 @@ const router = express.Router();
  * Create Assignment
  * POST /api/assignments/create
  */
-router.post('/create', createAssignment);
+router.post('/create', authorize('teacher', 'admin'), authorizeSelf('teacherId'), createAssignment);
 
 /**
  * Get Teacher's Assignments
  * GET /api/assignments/teacher/:teacherId
  * Query params: status, subject, level, page, limit
  */
-router.get('/teacher/:teacherId', getTeacherAssignments);
+router.get('/teacher/:teacherId', authorize('teacher', 'admin'), authorizeSelf('teacherId'), getTeacherAssignments);
 
 /**
  * Get Assignment Details with Submissions
  * GET /api/assignments/:assignmentId/submissions
  */
-router.get('/:assignmentId/submissions', getAssignmentWithSubmissions);
+router.get('/:assignmentId/submissions', authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), getAssignmentWithSubmissions);
+
+/**
+ * Per-criterion Rubric Analytics
+ * GET /api/assignments/:assignmentId/rubric-analytics
+ * Query params: classId
+ */
+router.get('/:assignmentId/rubric-analytics', authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), getAssignmentRubricAnalytics);
 
 /**
  * Grade Submission
  * POST /api/assignments/grade
  */
-router.post('/grade', gradeSubmission);
+router.post('/grade', authorize('teacher', 'admin'), authorizeSelf('teacherId'), gradeSubmission);
+
+/**
+ * Suggest a Grade with AI (not saved; the teacher confirms through /grade)
+ * POST /api/assignments/:assignmentId/submissions/:submissionId/suggest-grade
+ */
+router.post('/:assignmentId/submissions/:submissionId/suggest-grade', authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), suggestGrade);
+
+/**
+ * Grade several Submissions at once
+ * POST /api/assignments/:assignmentId/grades/bulk
+ */
+router.post('/:assignmentId/grades/bulk', authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), bulkGradeSubmissions);
+
+/**
+ * Export the Assignment Gradebook as CSV
+ * GET /api/assignments/:assignmentId/grades/export
+ */
+router.get('/:assignmentId/grades/export', authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), exportAssignmentGradesCsv);
+
+/**
+ * Import Grades from CSV (dry run by default)
+ * POST /api/assignments/:assignmentId/grades/import
+ */
+router.post('/:assignmentId/grades/import', express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), importAssignmentGradesCsv);
+
+/**
+ * Update Assignment
+ * PUT /api/assignments/:assignmentId
+ */
+router.put('/:assignmentId', authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), updateAssignment);
+
+/**
+ * Delete Assignment (soft delete)
+ * DELETE /api/assignments/:assignmentId
+ */
+router.delete('/:assignmentId', authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), deleteAssignment);
+
+/**
+ * Restore Deleted Assignment
+ * POST /api/assignments/:assignmentId/restore
+ */
+router.post('/:assignmentId/restore', authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), restoreAssignment);
+
+/**
+ * Duplicate Assignment (optionally to another level)
+ * POST /api/assignments/:assignmentId/duplicate
+ */
+router.post('/:assignmentId/duplicate', authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), duplicateAssignment);
+
+/**
+ * Grant or change a Student's Extension
+ * POST /api/assignments/:assignmentId/extensions
+ */
+router.post('/:assignmentId/extensions', authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), grantAssignmentExtension);
+
+/**
+ * Remove a Student's Extension
+ * DELETE /api/assignments/:assignmentId/extensions/:studentId
+ */
+router.delete('/:assignmentId/extensions/:studentId', authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), revokeAssignmentExtension);
+
+/**
+ * List Regrade Requests
+ * GET /api/assignments/:assignmentId/regrade-requests
+ * Query params: status
+ */
+router.get('/:assignmentId/regrade-requests', authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), getAssignmentRegradeRequests);
+
+/**
+ * Accept or Reject a Regrade Request
+ * POST /api/assignments/:assignmentId/regrade-requests/:requestId/resolve
+ */
+router.post('/:assignmentId/regrade-requests/:requestId/resolve', authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), resolveRegradeRequest);
+
+/**
+ * Assign Peer Reviewers now (otherwise done automatically at the due date)
+ * POST /api/assignments/:assignmentId/peer-reviews/assign
+ */
+router.post('/:assignmentId/peer-reviews/assign', authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), assignPeerReviews);
+
+/**
+ * Peer Review results per submission
+ * GET /api/assignments/:assignmentId/peer-reviews
+ */
+router.get('/:assignmentId/peer-reviews', authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), getPeerReviewSummary);
+
+/**
+ * Accept or override the Peer Score as the grade
+ * POST /api/assignments/:assignmentId/peer-reviews/:submissionId/finalize
+ */
+router.post('/:assignmentId/peer-reviews/:submissionId/finalize', authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), finalizePeerReview);
+
+/**
+ * List Groups of a group assignment
+ * GET /api/assignments/:assignmentId/groups
+ */
+router.get('/:assignmentId/groups', authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), getAssignmentGroups);
+
+/**
+ * Create Group
+ * POST /api/assignments/:assignmentId/groups
+ */
+router.post('/:assignmentId/groups', authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), createGroup);
+
+/**
+ * Rename Group or replace its members
+ * PUT /api/assignments/:assignmentId/groups/:groupId
+ */
+router.put('/:assignmentId/groups/:groupId', authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), updateGroup);
+
+/**
+ * Delete Group
+ * DELETE /api/assignments/:assignmentId/groups/:groupId
+ */
+router.delete('/:assignmentId/groups/:groupId', authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), deleteGroup);
+
+/**
+ * Adjust group members' grades
+ * PUT /api/assignments/:assignmentId/groups/:groupId/adjustments
+ */
+router.put('/:assignmentId/groups/:groupId/adjustments', authorize('teacher', 'admin'), authorizeSelf(assignmentTeacher), adjustGroupGrades);
+
+/**
+ * Grade History of a Submission (teacher, admin, or the student and their parents)
+ * GET /api/assignments/:assignmentId/submissions/:submissionId/grade-history
+ */
+router.get('/:assignmentId/submissions/:submissionId/grade-history', getGradeHistory);
 
 // Student Assignment Routes
 
@@ -51,28 +231,88 @@ router.post('/grade', gradeSubmission);
  * GET /api/assignments/student/:studentId
  * Query params: status, subject
  */
-router.get('/student/:studentId', getStudentAssignments);
+router.get('/student/:studentId', authorizeStudentAccess('studentId'), getStudentAssignments);
 
 /**
  * Get Assignment Details for Student
  * GET /api/assignments/:assignmentId/student/:studentId
  */
-router.get('/:assignmentId/student/:studentId', getAssignmentDetailsForStudent);
+router.get('/:assignmentId/student/:studentId', authorizeStudentAccess('studentId'), getAssignmentDetailsForStudent);
 
 /**
  * Submit Assignment
- * POST /api/assignments/submit  
- * JSON-based link submission
+ * POST /api/assignments/submit
+ * JSON link submission, or multipart/form-data with the file in "file"
  */
-router.post('/submit', submitAssignment);
+router.post('/submit', authorize('student'), uploadSingleFile('file'), authorizeSelf('studentId'), submitAssignment);
 
 /**
  * Get Student's Submission History
  * GET /api/assignments/student/:studentId/submissions
  * Query params: assignmentId, status
  */
-router.get('/student/:studentId/submissions', getStudentSubmissionHistory);
+router.get('/student/:studentId/submissions', authorizeStudentAccess('studentId'), getStudentSubmissionHistory);
+
+/**
+ * Request a Regrade of one rubric criterion
+ * POST /api/assignments/:assignmentId/regrade-requests
+ */
+router.post('/:assignmentId/regrade-requests', authorize('student'), createRegradeRequest);
 
-// No file upload routes needed for link-based submissions
+/**
+ * Withdraw a pending Regrade Request
+ * POST /api/assignments/:assignmentId/regrade-requests/:requestId/withdraw
+ */
+router.post('/:assignmentId/regrade-requests/:requestId/withdraw', authorize('student'), withdrawRegradeRequest);
+
+/**
+ * Get Peer Reviews assigned to a Student
+ * GET /api/assignments/student/:studentId/peer-reviews
+ * Query params: assignmentId
+ */
+router.get('/student/:studentId/peer-reviews', authorize('student'), authorizeSelf('studentId'), getStudentPeerReviews);
+
+/**
+ * Submit a Peer Review
+ * PUT /api/assignments/:assignmentId/peer-reviews/:reviewId
+ */
+router.put('/:assignmentId/peer-reviews/:reviewId', authorize('student'), submitPeerReview);
+
+/**
+ * Get anonymous Peer Feedback on a Student's submission
+ * GET /api/assignments/:assignmentId/student/:studentId/peer-feedback
+ */
+router.get('/:assignmentId/student/:studentId/peer-feedback', authorizeStudentAccess('studentId'), getPeerFeedback);
+
+/**
+ * Get Groups of a group assignment for a Student
+ * GET /api/assignments/:assignmentId/student/:studentId/groups
+ */
+router.get('/:assignmentId/student/:studentId/groups', authorizeStudentAccess('studentId'), getStudentGroups);
+
+/**
+ * Start a Group (self-formed groups)
+ * POST /api/assignments/:assignmentId/groups/form
+ */
+router.post('/:assignmentId/groups/form', authorize('student'), formGroup);
+
+/**
+ * Join a Group (self-formed groups)
+ * POST /api/assignments/:assignmentId/groups/:groupId/join
+ */
+router.post('/:assignmentId/groups/:groupId/join', authorize('student'), joinGroup);
+
+/**
+ * Leave a Group (self-formed groups)
+ * POST /api/assignments/:assignmentId/groups/:groupId/leave
+ */
+router.post('/:assignmentId/groups/:groupId/leave', authorize('student'), leaveGroup);
+
+/**
+ * Get Student's Regrade Requests
+ * GET /api/assignments/student/:studentId/regrade-requests
+ * Query params: status
+ */
+router.get('/student/:studentId/regrade-requests', authorizeStudentAccess('studentId'), getStudentRegradeRequests);
 
 export default router;
@@ -1,10 +1,40 @@
 import express from 'express';
-import { register, login, debugUser } from '../controllers/authController.js';
+import {
+  register,
+  login,
+  debugUser,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSessionById,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  claimChild
+} from '../controllers/authController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
 router.post('/register', register);
 router.post('/login', login);
-router.get('/debug/:email', debugUser); // For development debugging
+router.post('/refresh', refresh);
+router.post('/claim-child', claimChild);
 
-export default router; 
\ No newline at end of file
+// Password reset & email verification
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', resendVerification);
+
+// Session management
+router.post('/logout', authenticate, logout);
+router.post('/logout-all', authenticate, logoutAll);
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions/:sessionId', authenticate, revokeSessionById);
+
+router.get('/debug/:email', authenticate, authorize('admin'), debugUser); // For development debugging
+
+export default router; 
@@ -0,0 +1,49 @@
+import express from 'express';
+import {
+  getClass,
+  updateClass,
+  archiveClass,
+  restoreClass,
+  addStudents,
+  removeStudent,
+  regenerateJoinCode,
+  disableJoinCode,
+  joinClass,
+  getStudentClasses,
+  getClassRubricAnalytics
+} from '../controllers/classController.js';
+import Class from '../models/classModels.js';
+import { authenticate, authorize, authorizeSelf, authorizeStudentAccess } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Resolve the teacher who owns the class in :classId
+const classTeacher = req => Class.findById(req.params.classId)
+  .select('teacherId')
+  .lean()
+  .then(cls => cls?.teacherId);
+
+router.use(authenticate);
+
+// Student enrollment by code
+router.post('/join', authorize('student'), joinClass);
+router.get('/student/:studentId', authorizeStudentAccess('studentId'), getStudentClasses);
+
+// Class management (owning teacher)
+router.get('/:classId', authorize('teacher', 'admin'), authorizeSelf(classTeacher), getClass);
+router.put('/:classId', authorize('teacher', 'admin'), authorizeSelf(classTeacher), updateClass);
+router.delete('/:classId', authorize('teacher', 'admin'), authorizeSelf(classTeacher), archiveClass);
+router.post('/:classId/restore', authorize('teacher', 'admin'), authorizeSelf(classTeacher), restoreClass);
+
+// Roster
+router.post('/:classId/students', authorize('teacher', 'admin'), authorizeSelf(classTeacher), addStudents);
+router.delete('/:classId/students/:studentId', authorize('teacher', 'admin'), authorizeSelf(classTeacher), removeStudent);
+
+// Join codes
+router.post('/:classId/join-code', authorize('teacher', 'admin'), authorizeSelf(classTeacher), regenerateJoinCode);
+router.delete('/:classId/join-code', authorize('teacher', 'admin'), authorizeSelf(classTeacher), disableJoinCode);
+
+// Analytics
+router.get('/:classId/rubric-analytics', authorize('teacher', 'admin'), authorizeSelf(classTeacher), getClassRubricAnalytics);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import { downloadFile } from '../controllers/fileController.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * Download an uploaded file (submission attachment or teacher resource)
+ * GET /api/files/:fileId
+ */
+router.get('/:fileId', downloadFile);
+
+export default router;
@@ -5,18 +5,28 @@ import {
   getHint,
   getLeaderboard
 } from '../controllers/gameController.js';
+import Simulation from '../models/simulationModels.js';
+import { authenticate, authorize, authorizeSelf } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Resolve the student who owns the simulation in :simulationId
+const simulationStudent = req => Simulation.findById(req.params.simulationId)
+  .select('studentId')
+  .lean()
+  .then(simulation => simulation?.studentId);
+
+router.use(authenticate);
+
 /**
  * Game Routes
  * Handles AI-enhanced gaming mechanics for virtual lab simulations
  */
 
 // AI Integration Endpoints
-router.post('/:simulationId/ai/process-action', processGameAction);
-router.post('/:simulationId/ai/mix-chemicals', mixChemicals);
-router.post('/:simulationId/ai/get-hint', getHint);
+router.post('/:simulationId/ai/process-action', authorize('student'), authorizeSelf(simulationStudent), processGameAction);
+router.post('/:simulationId/ai/mix-chemicals', authorize('student'), authorizeSelf(simulationStudent), mixChemicals);
+router.post('/:simulationId/ai/get-hint', authorize('student'), authorizeSelf(simulationStudent), getHint);
 
 // Game Analytics
 router.get('/leaderboard/:level', getLeaderboard);
@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+  createGradebook,
+  getGradebooks,
+  getGradebook,
+  updateGradebook,
+  deleteGradebook,
+  getGradebookTotals,
+  getGradebookStudent,
+  getStudentGradebooks
+} from '../controllers/gradebookController.js';
+import { authenticate, authorize, authorizeStudentAccess } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Students and parents: gradebooks covering the student (ownership is checked by the gradebook service)
+router.get('/student/:studentId', authorizeStudentAccess('studentId'), getStudentGradebooks);
+router.get('/:gradebookId/students/:studentId', authorizeStudentAccess('studentId'), getGradebookStudent);
+
+// Teachers manage their own gradebooks
+router.post('/', authorize('teacher', 'admin'), createGradebook);
+router.get('/', authorize('teacher', 'admin'), getGradebooks);
+router.get('/:gradebookId', authorize('teacher', 'admin'), getGradebook);
+router.put('/:gradebookId', authorize('teacher', 'admin'), updateGradebook);
+router.delete('/:gradebookId', authorize('teacher', 'admin'), deleteGradebook);
+router.get('/:gradebookId/totals', authorize('teacher', 'admin'), getGradebookTotals);
+
+export default router;
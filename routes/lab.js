@@ -10,20 +10,36 @@ import {
   getSlotBookings,
   getTeacherSlots
 } from '../controllers/labController.js';
+import { LabSlot, LabBooking } from '../models/labModels.js';
+import { authenticate, authorize, authorizeSelf, authorizeStudentAccess } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Resolve the teacher who owns the slot in :slotId
+const slotTeacher = req => LabSlot.findById(req.params.slotId)
+  .select('teacherId')
+  .lean()
+  .then(slot => slot?.teacherId);
+
+// Resolve the student who owns the booking in :bookingId
+const bookingStudent = req => LabBooking.findById(req.params.bookingId)
+  .select('studentId')
+  .lean()
+  .then(booking => booking?.studentId);
+
+router.use(authenticate);
+
 // Teacher routes
-router.post('/slots', createLabSlot);
-router.put('/slots/:slotId', updateLabSlot);
-router.delete('/slots/:slotId', deleteLabSlot);
-router.get('/slots/:slotId/bookings', getSlotBookings);
-router.get('/teacher/:teacherId/slots', getTeacherSlots);
+router.post('/slots', authorize('teacher', 'admin'), authorizeSelf('teacherId'), createLabSlot);
+router.put('/slots/:slotId', authorize('teacher', 'admin'), authorizeSelf(slotTeacher), updateLabSlot);
+router.delete('/slots/:slotId', authorize('teacher', 'admin'), authorizeSelf(slotTeacher), deleteLabSlot);
+router.get('/slots/:slotId/bookings', authorize('teacher', 'admin'), authorizeSelf(slotTeacher), getSlotBookings);
+router.get('/teacher/:teacherId/slots', authorize('teacher', 'admin'), authorizeSelf('teacherId'), getTeacherSlots);
 
 // Student routes
 router.get('/slots/available/:level', getAvailableLabSlots);
-router.post('/bookings', createLabBooking);
-router.delete('/bookings/:bookingId', cancelLabBooking);
-router.get('/bookings/student/:studentId', getStudentBookings);
+router.post('/bookings', authorize('student'), authorizeSelf('studentId'), createLabBooking);
+router.delete('/bookings/:bookingId', authorize('student', 'admin'), authorizeSelf(bookingStudent), cancelLabBooking);
+router.get('/bookings/student/:studentId', authorizeStudentAccess('studentId'), getStudentBookings);
 
 export default router;
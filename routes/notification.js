@@ -1,10 +1,13 @@
 import express from 'express';
 import { getUserNotifications, markNotificationAsRead, getUnreadCount } from '../controllers/notificationController.js';
+import { authenticate, authorizeSelf } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.get('/:userId', getUserNotifications);
-router.put('/:notificationId/read', markNotificationAsRead);
-router.get('/:userId/unread-count', getUnreadCount);
+router.use(authenticate);
 
-export default router; 
\ No newline at end of file
+router.get('/:userId', authorizeSelf('userId'), getUserNotifications);
+router.put('/:notificationId/read', markNotificationAsRead); // Ownership checked in controller
+router.get('/:userId/unread-count', authorizeSelf('userId'), getUnreadCount);
+
+export default router; 
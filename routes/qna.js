@@ -1,18 +1,21 @@
 import express from 'express';
 import { getLevelMessages, sendStudentMessage, sendTeacherMessage, deleteStudentMessage } from '../controllers/qnaController.js';
+import { authenticate, authorize, authorizeSelf } from '../middleware/auth.js';
 
 const router = express.Router();
 
+router.use(authenticate);
+
 // Get messages by level with pagination
 router.get('/level/:level', getLevelMessages);
 
 // Send student message
-router.post('/send', sendStudentMessage);
+router.post('/send', authorize('student'), authorizeSelf('studentId'), sendStudentMessage);
 
 // Send teacher message
-router.post('/send-teacher', sendTeacherMessage);
+router.post('/send-teacher', authorize('teacher', 'admin'), authorizeSelf('teacherId'), sendTeacherMessage);
 
 // Delete message (works for both student and teacher messages)
-router.delete('/messages/:messageId', deleteStudentMessage);
+router.delete('/messages/:messageId', authorizeSelf('userId'), deleteStudentMessage);
 
 export default router;
@@ -1,20 +1,67 @@
 import express from 'express';
 import { 
-  saveQuizResult, 
+  createQuiz,
+  getTeacherQuizzes,
+  getQuiz,
+  updateQuiz,
+  deleteQuiz,
+  getStudentQuizzes,
+  startQuizAttempt,
+  saveQuizAttemptAnswers,
+  submitQuizAttempt,
   getQuizHistory, 
   getStudentAchievements,
-  saveAchievement,
   getWeakQuizAttempts
 } from '../controllers/quizController.js';
+import {
+  getTopicMastery,
+  startPracticeSession,
+  getPracticeSession,
+  answerPracticeQuestion
+} from '../controllers/practiceController.js';
+import {
+  createBankQuestion,
+  getBankQuestions,
+  getBankQuestion,
+  updateBankQuestion,
+  deleteBankQuestion
+} from '../controllers/questionBankController.js';
+import { authenticate, authorize, authorizeStudentAccess } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// Quiz result management
-router.post('/save-result', saveQuizResult);
-router.get('/history/:studentId', getQuizHistory);
-router.get('/achievements/:studentId', getStudentAchievements);
-router.post('/save-achievement', saveAchievement); 
+router.use(authenticate);
+
+// Quiz authoring (ownership is checked per quiz by the quiz service)
+router.post('/quizzes', authorize('teacher', 'admin'), createQuiz);
+router.get('/quizzes', authorize('teacher', 'admin'), getTeacherQuizzes);
+router.get('/quizzes/student/:studentId', authorizeStudentAccess('studentId'), getStudentQuizzes);
+router.get('/quizzes/:quizId', authorize('teacher', 'admin'), getQuiz);
+router.put('/quizzes/:quizId', authorize('teacher', 'admin'), updateQuiz);
+router.delete('/quizzes/:quizId', authorize('teacher', 'admin'), deleteQuiz);
+
+// Question bank (ownership and school sharing are checked per question by the question bank service)
+router.post('/questions', authorize('teacher', 'admin'), createBankQuestion);
+router.get('/questions', authorize('teacher', 'admin'), getBankQuestions);
+router.get('/questions/:questionId', authorize('teacher', 'admin'), getBankQuestion);
+router.put('/questions/:questionId', authorize('teacher', 'admin'), updateBankQuestion);
+router.delete('/questions/:questionId', authorize('teacher', 'admin'), deleteBankQuestion);
+
+// Taking a quiz: questions are served without answers and graded on the server
+router.post('/quizzes/:quizId/attempts', authorize('student'), startQuizAttempt);
+router.put('/attempts/:attemptId/answers', authorize('student'), saveQuizAttemptAnswers);
+router.post('/attempts/:attemptId/submit', authorize('student'), submitQuizAttempt);
+
+// Quiz results
+router.get('/history/:studentId', authorizeStudentAccess('studentId'), getQuizHistory);
+router.get('/achievements/:studentId', authorizeStudentAccess('studentId'), getStudentAchievements);
 // Weak attempts (<30%) filtered by resourceId or resourceTitle
-router.get('/weak/:studentId', getWeakQuizAttempts);
+router.get('/weak/:studentId', authorizeStudentAccess('studentId'), getWeakQuizAttempts);
+
+// Adaptive practice on weak topics (sessions are checked to belong to the student by the practice service)
+router.get('/practice/mastery/:studentId', authorizeStudentAccess('studentId'), getTopicMastery);
+router.post('/practice/sessions', authorize('student'), startPracticeSession);
+router.get('/practice/sessions/:sessionId', authorize('student'), getPracticeSession);
+router.post('/practice/sessions/:sessionId/answer', authorize('student'), answerPracticeQuestion);
 
-export default router; 
\ No newline at end of file
+export default router; 
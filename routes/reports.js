@@ -1,11 +1,12 @@
 import express from 'express';
 import { getStudentPerformanceReport } from '../controllers/reportController.js';
+import { authenticate, authorizeStudentAccess } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Parent downloads child's performance report (PDF)
 // GET /api/reports/student/:studentId
-router.get('/student/:studentId', getStudentPerformanceReport);
+router.get('/student/:studentId', authenticate, authorizeStudentAccess('studentId'), getStudentPerformanceReport);
 
 export default router;
 
@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  createRubricTemplate,
+  getRubricTemplates,
+  getRubricTemplate,
+  updateRubricTemplate,
+  deleteRubricTemplate,
+  attachRubricTemplate
+} from '../controllers/rubricController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Ownership and school visibility are checked per template by the rubric service
+router.use(authenticate, authorize('teacher', 'admin'));
+
+router.post('/', createRubricTemplate);
+router.get('/', getRubricTemplates);
+router.get('/:templateId', getRubricTemplate);
+router.put('/:templateId', updateRubricTemplate);
+router.delete('/:templateId', deleteRubricTemplate);
+router.post('/:templateId/attach', attachRubricTemplate);
+
+export default router;
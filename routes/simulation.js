@@ -10,39 +10,49 @@ import {
   completeSimulation,
   getChildrenSimulationProgress
 } from '../controllers/simulationController.js';
+import Simulation from '../models/simulationModels.js';
+import { authenticate, authorize, authorizeSelf, authorizeStudentAccess } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Resolve the student who owns the simulation in :simulationId
+const simulationStudent = req => Simulation.findById(req.params.simulationId)
+  .select('studentId')
+  .lean()
+  .then(simulation => simulation?.studentId);
+
+router.use(authenticate);
+
 /**
  * Simulation Routes
  * Handles all simulation-related endpoints
  */
 
 // 1. Generate New Simulation
-router.post('/generate', generateSimulation);
+router.post('/generate', authorize('student'), authorizeSelf('studentId'), generateSimulation);
 
 // 2. Get Student's Simulations (with pagination and filtering)
-router.get('/student/:studentId', getStudentSimulations);
+router.get('/student/:studentId', authorizeStudentAccess('studentId'), getStudentSimulations);
 
 // 3. Get Simulation Details
-router.get('/:simulationId', getSimulationDetails);
+router.get('/:simulationId', authorizeStudentAccess(simulationStudent), getSimulationDetails);
 
 // 4. Update Simulation State (real-time state saving)
-router.put('/:simulationId/state', updateSimulationState);
+router.put('/:simulationId/state', authorize('student'), authorizeSelf(simulationStudent), updateSimulationState);
 
 // 5. Start Simulation
-router.post('/:simulationId/start', startSimulation);
+router.post('/:simulationId/start', authorize('student'), authorizeSelf(simulationStudent), startSimulation);
 
 // 6. Pause Simulation
-router.post('/:simulationId/pause', pauseSimulation);
+router.post('/:simulationId/pause', authorize('student'), authorizeSelf(simulationStudent), pauseSimulation);
 
 // 7. Resume Simulation
-router.post('/:simulationId/resume', resumeSimulation);
+router.post('/:simulationId/resume', authorize('student'), authorizeSelf(simulationStudent), resumeSimulation);
 
 // 8. Complete Simulation
-router.post('/:simulationId/complete', completeSimulation);
+router.post('/:simulationId/complete', authorize('student'), authorizeSelf(simulationStudent), completeSimulation);
 
 // 9. Get Child's Simulation Progress (Parent Dashboard)
-router.get('/parent/:parentId/children', getChildrenSimulationProgress);
+router.get('/parent/:parentId/children', authorize('parent', 'admin'), authorizeSelf('parentId'), getChildrenSimulationProgress);
 
 export default router;
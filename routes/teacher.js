@@ -9,24 +9,29 @@ import {
   getAllStudentsForTeacher
 } from '../controllers/teacherController.js';
 import { getTeacherAssignments } from '../controllers/assignmentController.js';
+import { authenticate, authorize, authorizeSelf } from '../middleware/auth.js';
+import { uploadSingleFile } from '../middleware/upload.js';
 
 const router = express.Router();
 
+router.use(authenticate);
+
 // Class management
-router.post('/create-class', createClass);
-router.get('/:teacherId/classes', getTeacherClasses);
-router.get('/students/level/:level', getStudentsByLevel);
+router.post('/create-class', authorize('teacher', 'admin'), authorizeSelf('teacherId'), createClass);
+router.get('/:teacherId/classes', authorize('teacher', 'admin'), authorizeSelf('teacherId'), getTeacherClasses);
+router.get('/students/level/:level', authorize('teacher', 'admin'), getStudentsByLevel);
 
 // Resource management
-router.post('/upload-resource', uploadResource);
-router.post('/resources', uploadResource); // Alternative endpoint for frontend compatibility
+// Accepts JSON with a url, or multipart/form-data with the file in "file"
+router.post('/upload-resource', authorize('teacher', 'admin'), uploadSingleFile('file'), authorizeSelf('teacherId'), uploadResource);
+router.post('/resources', authorize('teacher', 'admin'), uploadSingleFile('file'), authorizeSelf('teacherId'), uploadResource); // Alternative endpoint for frontend compatibility
 router.get('/resources/level/:level', getResourcesByLevel);
-router.get('/:teacherId/resources', getTeacherResources);
+router.get('/:teacherId/resources', authorize('teacher', 'admin'), authorizeSelf('teacherId'), getTeacherResources);
 
 // Student progress monitoring
-router.get('/students/all', getAllStudentsForTeacher);
+router.get('/students/all', authorize('teacher', 'admin'), getAllStudentsForTeacher);
 
 // Assignment management
-router.get('/:teacherId/assignments', getTeacherAssignments);
+router.get('/:teacherId/assignments', authorize('teacher', 'admin'), authorizeSelf('teacherId'), getTeacherAssignments);
 
 export default router; 
\ No newline at end of file
@@ -1,11 +1,38 @@
 import express from 'express';
-import { addChildToParent, getParentChildren, selectPath, getPathStatus } from '../controllers/userController.js';
+import {
+  addChildToParent,
+  getParentChildren,
+  selectPath,
+  getPathStatus,
+  inviteChild,
+  resendChildInviteCode,
+  getChildLinkRequests,
+  decideChildLinkRequest,
+  cancelChildLinkRequest,
+  getMySchoolSettings
+} from '../controllers/userController.js';
+import { authenticate, authorize, authorizeSelf, authorizeStudentAccess } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.post('/add-child', addChildToParent);
-router.get('/parent/:parentId/children', getParentChildren);
-router.post('/select-path', selectPath);
-router.get('/path-status/:studentId', getPathStatus);
+router.use(authenticate);
 
-export default router; 
\ No newline at end of file
+// Parent-child management
+router.post('/add-child', authorize('parent', 'admin'), authorizeSelf('parentId'), addChildToParent);
+router.post('/invite-child', authorize('parent', 'admin'), authorizeSelf('parentId'), inviteChild);
+router.post('/parent/:parentId/children/:childId/invite', authorize('parent', 'admin'), authorizeSelf('parentId'), resendChildInviteCode);
+router.get('/parent/:parentId/children', authorize('parent', 'admin'), authorizeSelf('parentId'), getParentChildren);
+
+// Link requests for existing students (approved by the student or a teacher at their school)
+router.get('/link-requests', authorize('parent', 'student', 'teacher', 'admin'), getChildLinkRequests);
+router.post('/link-requests/:requestId/decision', authorize('student', 'teacher', 'admin'), decideChildLinkRequest);
+router.delete('/link-requests/:requestId', authorize('parent'), cancelChildLinkRequest);
+
+// Learning path
+router.post('/select-path', authorize('student', 'admin'), authorizeSelf('studentId'), selectPath);
+router.get('/path-status/:studentId', authorizeStudentAccess('studentId'), getPathStatus);
+
+// School configuration (allowed levels, subjects, grading scale)
+router.get('/school-settings', getMySchoolSettings);
+
+export default router; 
@@ -0,0 +1,670 @@
+import { Assignment, Submission } from '../models/assignmentModels.js';
+import { GradeHistory } from '../models/gradeModels.js';
+import AssignmentGroup from '../models/assignmentGroupModels.js';
+import User from '../models/userModels.js';
+import Class from '../models/classModels.js';
+import { createNotification } from '../controllers/notificationController.js';
+import { getSchoolSettings } from './schoolService.js';
+import { calculateLetterGrade } from './gradingScaleService.js';
+import { getStudentClassIds, isAssignedToStudent, getAssignmentStudents } from './classService.js';
+import { storeUpload, discardFile, normalizeFileTypes, SUPPORTED_FILE_TYPES, MAX_UPLOAD_SIZE } from './fileService.js';
+import { getLateStatus, getLatePenaltyPercent, applyLatePenalty } from './latePolicyService.js';
+import { validateRubricScores } from './rubricService.js';
+import { fingerprintSubmission } from './similarityService.js';
+import { ServiceError } from '../utils/errors.js';
+
+/**
+ * Assignment Service
+ * Shared assignment rules used by the assignment and submission controllers:
+ * validation, publishing, student access, submission versioning and grading (with late penalties).
+ * Group assignments have one shared submission per group; grading it grades every member.
+ */
+
+// Fields that define how an assignment is graded; they are locked once students have submitted
+export const GRADING_FIELDS = ['subject', 'level', 'totalPoints', 'rubric', 'classIds'];
+
+// Submissions are plain links
+const SUBMISSION_LINK_PATTERN = /^(https?:\/\/)?([\da-z\.-]+)\.([a-z\.]{2,6})([\/\w \.-]*)*\/?$/;
+
+const fullName = (user) => `${user?.profile?.firstName || ''} ${user?.profile?.lastName || ''}`.trim();
+
+/**
+ * Parse a due date that must lie in the future
+ * @param {string|Date} dueDate
+ * @param {number} graceMs - Tolerance for clients whose clock runs slightly behind
+ */
+export const parseDueDate = (dueDate, graceMs = 0) => {
+  const dueDateObj = new Date(dueDate);
+  if (isNaN(dueDateObj.getTime()) || dueDateObj <= new Date(Date.now() - graceMs)) {
+    throw new ServiceError(400, 'INVALID_DUE_DATE', 'Due date must be in the future');
+  }
+  return dueDateObj;
+};
+
+/**
+ * publishAt is optional; when given it must be a valid date before the due date
+ * @returns {Date|null}
+ */
+export const parsePublishAt = (publishAt, dueDate) => {
+  if (publishAt === undefined || publishAt === null || publishAt === '') return null;
+  const publishAtObj = new Date(publishAt);
+  if (isNaN(publishAtObj.getTime())) {
+    throw new ServiceError(400, 'INVALID_PUBLISH_AT', 'publishAt must be a valid date');
+  }
+  if (publishAtObj >= new Date(dueDate)) {
+    throw new ServiceError(400, 'INVALID_PUBLISH_AT', 'publishAt must be before the due date');
+  }
+  return publishAtObj;
+};
+
+/**
+ * Targeted classes must be active classes of the teacher
+ * @returns {Promise<string[]>} De-duplicated class IDs
+ */
+export const validateClassIds = async (classIds, teacherId) => {
+  const targetClassIds = [...new Set((classIds || []).map(String))];
+  if (targetClassIds.length > 0) {
+    const ownClasses = await Class.countDocuments({ _id: { $in: targetClassIds }, teacherId, isActive: true });
+    if (ownClasses !== targetClassIds.length) {
+      throw new ServiceError(400, 'INVALID_CLASSES', 'classIds must reference your own active classes');
+    }
+  }
+  return targetClassIds;
+};
+
+/**
+ * Validate the upload settings of an assignment. Either value may be omitted.
+ * @returns {{ allowedFileTypes: string[]|undefined, maxFileSize: number|undefined }} Normalized values
+ */
+export const validateFileSettings = (allowedFileTypes, maxFileSize) => {
+  const settings = { allowedFileTypes: undefined, maxFileSize: undefined };
+
+  if (allowedFileTypes !== undefined) {
+    const types = [...new Set(normalizeFileTypes(Array.isArray(allowedFileTypes) ? allowedFileTypes : [allowedFileTypes]))];
+    const unsupported = types.filter(type => !SUPPORTED_FILE_TYPES.includes(type));
+    if (types.length === 0 || unsupported.length > 0) {
+      throw new ServiceError(400, 'INVALID_FILE_TYPES', `allowedFileTypes must be a non-empty list of: ${SUPPORTED_FILE_TYPES.join(', ')}`, { unsupported });
+    }
+    settings.allowedFileTypes = types;
+  }
+
+  if (maxFileSize !== undefined) {
+    const size = Number(maxFileSize);
+    if (!Number.isInteger(size) || size <= 0 || size > MAX_UPLOAD_SIZE) {
+      throw new ServiceError(400, 'INVALID_MAX_FILE_SIZE', `maxFileSize must be a whole number of bytes up to ${MAX_UPLOAD_SIZE}`);
+    }
+    settings.maxFileSize = size;
+  }
+
+  return settings;
+};
+
+const rubricSignature = (rubric) => JSON.stringify((rubric || []).map(({ criteria, maxPoints, description }) => ({ criteria, maxPoints, description })));
+const classIdsSignature = (classIds) => JSON.stringify((classIds || []).map(String).sort());
+
+/**
+ * Grading fields in an update that differ from the stored assignment
+ * @returns {string[]}
+ */
+export const getChangedGradingFields = (assignment, updates) => GRADING_FIELDS.filter(field => {
+  if (updates[field] === undefined) return false;
+  switch (field) {
+    case 'rubric':
+      return rubricSignature(updates.rubric) !== rubricSignature(assignment.rubric);
+    case 'classIds':
+      return classIdsSignature(updates.classIds) !== classIdsSignature(assignment.classIds);
+    case 'level':
+    case 'totalPoints':
+      return Number(updates[field]) !== assignment[field];
+    default:
+      return updates[field] !== assignment[field];
+  }
+});
+
+/**
+ * Notify every targeted student that an assignment is available and mark it as announced
+ * @returns {Promise<number>} Number of students notified
+ */
+export const notifyAssignmentStudents = async (assignment, teacher) => {
+  let studentsNotified = 0;
+  try {
+    const targetStudents = await getAssignmentStudents(assignment);
+
+    console.log(`Found ${targetStudents.length} students for assignment auto-notification`);
+
+    for (const student of targetStudents) {
+      const notification = await createNotification({
+        userId: student._id,
+        type: 'assignment_created',
+        message: `New assignment available: "${assignment.title}" (Level ${assignment.level})`,
+        data: {
+          assignmentId: assignment._id,
+          assignmentTitle: assignment.title,
+          subject: assignment.subject,
+          level: assignment.level,
+          dueDate: assignment.dueDate,
+          teacherName: fullName(teacher)
+        },
+        link: `/student/assignments/${assignment._id}`
+      });
+      if (notification) studentsNotified++;
+    }
+
+    await Assignment.updateOne({ _id: assignment._id }, { studentsNotifiedAt: new Date() });
+  } catch (error) {
+    console.error('Error with auto-enrollment notifications:', error);
+  }
+  return studentsNotified;
+};
+
+/**
+ * Announce scheduled assignments whose publishAt has passed.
+ * Called periodically from app.js.
+ * @returns {Promise<number>} Number of assignments published
+ */
+export const publishScheduledAssignments = async () => {
+  const due = await Assignment.find({
+    isVisible: true,
+    isDeleted: { $ne: true },
+    publishAt: { $ne: null, $lte: new Date() },
+    studentsNotifiedAt: null
+  }).populate('teacherId', 'profile.firstName profile.lastName');
+
+  for (const assignment of due) {
+    await notifyAssignmentStudents(assignment, assignment.teacherId);
+  }
+  return due.length;
+};
+
+/**
+ * Load an assignment and a student, checking the assignment is published and assigned to the student
+ * @returns {Promise<{ assignment: Object, student: Object }>}
+ */
+export const getAssignmentForStudent = async (assignmentId, studentId) => {
+  const assignment = await Assignment.findById(assignmentId);
+  if (!assignment || assignment.isDeleted) {
+    throw new ServiceError(404, 'ASSIGNMENT_NOT_FOUND', 'Assignment not found');
+  }
+
+  const student = await User.findById(studentId);
+  if (!student || student.role !== 'student') {
+    throw new ServiceError(404, 'STUDENT_NOT_FOUND', 'Student not found');
+  }
+
+  if (!isAssignedToStudent(assignment, student, await getStudentClassIds(student._id))) {
+    throw new ServiceError(403, 'ACCESS_DENIED', 'Student does not have access to this assignment');
+  }
+
+  return { assignment, student };
+};
+
+/**
+ * Whether a submission carries a grade with an actual score
+ */
+export const hasGrade = (submission) =>
+  !!submission?.grade && submission.grade.totalScore !== undefined && submission.grade.totalScore !== null;
+
+/**
+ * Status shown for a submission: 'graded' once scored, otherwise its stored status
+ */
+export const getSubmissionStatus = (submission) => (hasGrade(submission) ? 'graded' : submission.status || 'submitted');
+
+/**
+ * The student's group on a group assignment, if any
+ */
+export const getStudentGroup = (assignmentId, studentId) =>
+  AssignmentGroup.findOne({ assignmentId, 'members.studentId': studentId });
+
+/**
+ * Submission filter for everything a student handed in: their own submissions and those of their groups
+ * @param {string} studentId
+ * @param {Object} filter - Extra conditions, e.g. { assignmentId }
+ */
+export const studentSubmissionFilter = async (studentId, filter = {}) => {
+  const groupIds = await AssignmentGroup.find({
+    'members.studentId': studentId,
+    ...(filter.assignmentId && { assignmentId: filter.assignmentId })
+  }).distinct('_id');
+  return { ...filter, $or: [{ studentId }, { groupId: { $in: groupIds } }] };
+};
+
+/**
+ * Whether a student handed in a submission, alone or as a member of its group
+ */
+export const isSubmissionMember = async (submission, studentId) =>
+  submission.studentId.toString() === String(studentId) ||
+  (!!submission.groupId && !!(await AssignmentGroup.exists({ _id: submission.groupId, 'members.studentId': studentId })));
+
+/**
+ * Students a submission belongs to: the submitter and, for a group submission, every group member
+ */
+export const getSubmissionStudentIds = async (submission) => {
+  if (!submission.groupId) return [submission.studentId];
+  const group = await AssignmentGroup.findById(submission.groupId).select('members.studentId').lean();
+  const ids = [submission.studentId, ...(group?.members || []).map(member => member.studentId)];
+  return ids.filter((id, index) => ids.findIndex(other => other.toString() === id.toString()) === index);
+};
+
+/**
+ * A student's view of a grade: on group submissions the member's own adjusted score
+ */
+export const getMemberGrade = (grade, studentId) => {
+  const member = (grade?.memberGrades || []).find(entry => entry.studentId.toString() === String(studentId));
+  if (!member) return grade;
+  const plain = grade.toObject ? grade.toObject() : grade;
+  return {
+    ...plain,
+    totalScore: member.totalScore,
+    percentage: member.percentage,
+    letterGrade: member.letterGrade,
+    adjustment: member.adjustment,
+    adjustmentReason: member.reason || ''
+  };
+};
+
+/**
+ * Each group member's grade: the group's score plus the member's adjustment, kept within 0 and the maximum
+ * @param {Object} grade - The group's grade
+ * @param {Object} group - AssignmentGroup with members and their gradeAdjustment
+ * @param {Array} gradingScale
+ */
+export const calculateMemberGrades = (grade, group, gradingScale) => group.members.map(member => {
+  const adjustment = Number(member.gradeAdjustment?.points) || 0;
+  const totalScore = Math.round(Math.min(grade.maxScore, Math.max(0, grade.totalScore + adjustment)) * 100) / 100;
+  const percentage = Math.round((totalScore / grade.maxScore) * 100);
+  return {
+    studentId: member.studentId,
+    adjustment,
+    reason: member.gradeAdjustment?.reason || '',
+    totalScore,
+    percentage,
+    letterGrade: calculateLetterGrade(percentage, gradingScale)
+  };
+});
+
+/**
+ * Next version number for a student's (or group's) submission to an assignment.
+ * Versions always increase from the latest submission, whatever the client claims to revise.
+ */
+export const getNextVersionNumber = async (assignmentId, studentId, groupId) => {
+  const latest = await Submission.findOne(groupId ? { assignmentId, groupId } : { assignmentId, studentId })
+    .sort({ versionNumber: -1 })
+    .select('versionNumber')
+    .lean();
+  return latest ? latest.versionNumber + 1 : 1;
+};
+
+// Parents are linked through their profile.children list
+const getParentIds = async (studentId) => {
+  const parents = await User.find({ role: 'parent', 'profile.children': studentId }).select('_id').lean();
+  return parents.map(parent => parent._id);
+};
+
+/**
+ * Record a submission (a new version when the student has submitted before)
+ * and notify the teacher and the student's parents.
+ * On group assignments the submission is the group's: versions are shared, and the other
+ * members and every member's parents are notified.
+ * A submission is a link, an uploaded file checked against the assignment's
+ * allowedFileTypes and maxFileSize, or both.
+ * @param {Object} params - { assignmentId, studentId, submissionLink, submissionNotes, isRevision, previousSubmissionId, file }
+ *   `file` is a multer file; multipart fields arrive as strings, so isRevision may be 'true'
+ * @returns {Promise<Object>} The saved submission, with `file` populated
+ */
+export const submitAssignment = async ({ assignmentId, studentId, submissionLink, submissionNotes, isRevision, previousSubmissionId, file }) => {
+  if (!assignmentId || !studentId || (!submissionLink && !file)) {
+    throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'Missing required fields: assignmentId, studentId, and a submissionLink or file');
+  }
+
+  if (submissionLink && !SUBMISSION_LINK_PATTERN.test(submissionLink)) {
+    throw new ServiceError(400, 'INVALID_SUBMISSION_LINK', 'Invalid URL format. Please provide a valid link.');
+  }
+
+  const { assignment, student } = await getAssignmentForStudent(assignmentId, studentId);
+
+  const now = new Date();
+  const { isLate, daysLate, isOpen } = getLateStatus(assignment, student._id, now);
+  if (!isOpen) {
+    throw new ServiceError(409, 'SUBMISSIONS_CLOSED', 'This assignment is no longer accepting submissions');
+  }
+
+  let group = null;
+  if (assignment.groupSettings?.enabled) {
+    group = await getStudentGroup(assignment._id, student._id);
+    if (!group) {
+      throw new ServiceError(409, 'NOT_IN_GROUP', 'This is a group assignment; join a group before submitting');
+    }
+    if (group.members.length < assignment.groupSettings.minSize) {
+      throw new ServiceError(409, 'GROUP_TOO_SMALL', `Your group needs at least ${assignment.groupSettings.minSize} members to submit`);
+    }
+  }
+  const owner = group ? { groupId: group._id } : { studentId };
+
+  let previousId = null;
+  if (isRevision === true || isRevision === 'true') {
+    const previous = previousSubmissionId
+      ? await Submission.findOne({ _id: previousSubmissionId, assignmentId, ...owner }).select('_id').lean()
+      : await Submission.findOne({ assignmentId, ...owner }).sort({ versionNumber: -1 }).select('_id').lean();
+    if (!previous) {
+      throw new ServiceError(400, 'INVALID_PREVIOUS_SUBMISSION', `There is no earlier submission of ${group ? 'your group\'s' : 'yours'} to revise`);
+    }
+    previousId = previous._id;
+  }
+
+  const versionNumber = await getNextVersionNumber(assignmentId, studentId, group?._id);
+
+  const storedFile = file ? await storeUpload(file, {
+    allowedTypes: assignment.allowedFileTypes,
+    maxSize: assignment.maxFileSize,
+    purpose: 'submission',
+    uploadedBy: student._id,
+    schoolId: assignment.schoolId
+  }) : null;
+
+  let submission;
+  try {
+    submission = await Submission.create({
+      assignmentId,
+      studentId,
+      groupId: group?._id,
+      submissionLink: submissionLink?.trim() || undefined,
+      file: storedFile?._id,
+      submissionNotes: submissionNotes?.trim() || '',
+      previousSubmissionId: previousId,
+      versionNumber,
+      submittedAt: now,
+      status: 'submitted',
+      isLate,
+      daysLate
+    });
+  } catch (error) {
+    if (storedFile) await discardFile(storedFile);
+    throw error;
+  }
+  // Hand the file metadata back with the submission
+  if (storedFile) submission.file = storedFile;
+
+  // The similarity fingerprint is built in the background and never fails the submission;
+  // if it fails, it is built when the teacher next views the submissions
+  fingerprintSubmission(submission, { storedFile, buffer: file?.buffer })
+    .catch(error => console.error(`Error fingerprinting submission ${submission._id}:`, error));
+
+  // Notifications never fail the submission
+  await createNotification({
+    userId: assignment.teacherId,
+    type: 'assignment_submitted',
+    message: `New submission received for "${assignment.title}" from ${group ? `group "${group.name}"` : student.profile?.firstName || 'Student'}`,
+    data: {
+      assignmentId,
+      studentId,
+      groupId: group?._id,
+      submissionId: submission._id,
+      versionNumber,
+      isLate,
+      submissionLink,
+      fileId: storedFile?._id,
+      assignment: {
+        title: assignment.title,
+        dueDate: assignment.dueDate
+      },
+      student: {
+        name: fullName(student),
+        email: student.email
+      }
+    },
+    link: `/teacher/assignments/${assignmentId}/submissions`
+  });
+
+  const memberIds = group ? group.members.map(member => member.studentId) : [student._id];
+  for (const memberId of memberIds) {
+    if (memberId.toString() !== student._id.toString()) {
+      await createNotification({
+        userId: memberId,
+        type: 'group_submitted',
+        message: `${student.profile?.firstName || 'A group member'} submitted "${assignment.title}" for your group${isLate ? ' (Late)' : ''}`,
+        data: {
+          assignmentId,
+          groupId: group._id,
+          submissionId: submission._id,
+          versionNumber,
+          isLate,
+          submittedBy: student._id
+        },
+        link: `/student/assignments/${assignmentId}`
+      });
+    }
+
+    for (const parentId of await getParentIds(memberId)) {
+      await createNotification({
+        userId: parentId,
+        type: 'assignment_submitted',
+        message: group
+          ? `${student.profile?.firstName || 'A group member'} submitted "${assignment.title}" for your child's group${isLate ? ' (Late)' : ''}`
+          : `${student.profile?.firstName || 'Your child'} submitted "${assignment.title}"${isLate ? ' (Late)' : ''}`,
+        data: {
+          assignmentId,
+          studentId: memberId,
+          groupId: group?._id,
+          submissionId: submission._id,
+          isLate,
+          submissionLink,
+          assignment: {
+            title: assignment.title,
+            dueDate: assignment.dueDate
+          }
+        },
+        link: `/parent/child/${memberId}/assignments`
+      });
+    }
+  }
+
+  return submission;
+};
+
+/**
+ * Work out a submission's grade without saving it.
+ * Late submissions lose the percentage set by the assignment's late policy (judged against the
+ * student's current due date, so a later extension removes the penalty) unless waiveLatePenalty is set.
+ * When the assignment has a rubric, every criterion must be scored and totalScore (optional) must equal the sum.
+ * @param {Object} assignment - Assignment document
+ * @param {Object} submission - Submission being graded
+ * @param {Object} input - { totalScore, maxScore, rubricScores, overallFeedback, waiveLatePenalty }
+ * @param {Object} options - { gradedBy, gradingScale } (gradingScale from the school settings)
+ * @returns {Object} The grade, in the shape stored on the submission
+ */
+export const calculateGrade = (assignment, submission, { totalScore, maxScore, rubricScores, overallFeedback, waiveLatePenalty }, { gradedBy, gradingScale }) => {
+  // The assignment's total points are authoritative; maxScore is accepted for older clients
+  const max = assignment.totalPoints;
+  if (maxScore !== undefined && Number(maxScore) !== max) {
+    throw new ServiceError(400, 'MAX_SCORE_MISMATCH', `maxScore must equal the assignment's total points (${max})`);
+  }
+
+  const validated = validateRubricScores(assignment.rubric, rubricScores, totalScore);
+  if (validated.totalScore === undefined || validated.totalScore === null || validated.totalScore === '') {
+    throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'totalScore is required for assignments without a rubric');
+  }
+
+  const score = Number(validated.totalScore);
+  if (isNaN(score) || score < 0 || score > max) {
+    throw new ServiceError(400, 'INVALID_SCORE', `Total score must be between 0 and ${max}`);
+  }
+
+  const { daysLate } = getLateStatus(assignment, submission.studentId, submission.submittedAt);
+  const latePenaltyPercent = waiveLatePenalty === true || waiveLatePenalty === 'true'
+    ? 0
+    : getLatePenaltyPercent(assignment.latePolicy, daysLate);
+  const finalScore = applyLatePenalty(score, latePenaltyPercent);
+  const percentage = Math.round((finalScore / max) * 100);
+
+  return {
+    totalScore: finalScore,
+    rawScore: score,
+    latePenaltyPercent,
+    maxScore: max,
+    percentage,
+    letterGrade: calculateLetterGrade(percentage, gradingScale),
+    rubricScores: validated.rubricScores,
+    overallFeedback: overallFeedback || '',
+    gradedBy,
+    gradedAt: new Date()
+  };
+};
+
+/**
+ * Copy of a grade as kept in the grade history
+ */
+export const snapshotGrade = (grade) => {
+  if (!hasGrade({ grade })) return null;
+  const plain = grade.toObject ? grade.toObject() : grade;
+  return {
+    totalScore: plain.totalScore,
+    rawScore: plain.rawScore ?? plain.totalScore,
+    latePenaltyPercent: plain.latePenaltyPercent || 0,
+    maxScore: plain.maxScore,
+    percentage: plain.percentage,
+    letterGrade: plain.letterGrade,
+    rubricScores: (plain.rubricScores || []).map(({ criteria, score, maxPoints, feedback }) => ({ criteria, score, maxPoints, feedback })),
+    overallFeedback: plain.overallFeedback || '',
+    memberGrades: (plain.memberGrades || []).map(({ studentId, adjustment, reason, totalScore, percentage, letterGrade }) =>
+      ({ studentId, adjustment, reason, totalScore, percentage, letterGrade })),
+    gradedBy: plain.gradedBy,
+    gradedAt: plain.gradedAt
+  };
+};
+
+/**
+ * Store a calculated grade on a submission, record the change in the grade history
+ * and notify the student and their parents. A group submission's grade is given to every
+ * current member of the group, each with their own adjustment, and every member is notified.
+ * @param {Object} submission - Submission document
+ * @param {Object} grade - Result of calculateGrade
+ * @param {Object} context - { assignment, student, grader } documents, plus
+ *   source ('grade' | 'bulk' | 'import' | 'regrade' | 'peer_review' | 'adjustment'), regradeRequestId, and
+ *   notifyStudent (false when the caller sends the student its own notification)
+ * @returns {Promise<Object>} notificationsSent: { student, parent }
+ */
+export const saveGrade = async (submission, grade, { assignment, student, grader, source = 'grade', regradeRequestId, notifyStudent = true }) => {
+  const previousGrade = snapshotGrade(submission.grade);
+
+  let students = [student];
+  const group = submission.groupId ? await AssignmentGroup.findById(submission.groupId) : null;
+  if (group) {
+    const { gradingScale } = await getSchoolSettings(assignment.schoolId);
+    grade.memberGrades = calculateMemberGrades(grade, group, gradingScale);
+    students = await User.find({ _id: { $in: group.members.map(member => member.studentId) } });
+  }
+
+  submission.grade = grade;
+  submission.status = 'graded';
+  await submission.save();
+
+  await GradeHistory.create({
+    submissionId: submission._id,
+    assignmentId: assignment._id,
+    studentId: submission.studentId,
+    changedBy: grader._id,
+    changedByRole: grader.role,
+    source,
+    previousGrade,
+    newGrade: snapshotGrade(grade),
+    regradeRequestId
+  });
+
+  const notificationsSent = { student: false, parent: false };
+
+  for (const member of students) {
+    const { totalScore: finalScore, maxScore: max, percentage, letterGrade, latePenaltyPercent } = getMemberGrade(grade, member._id);
+
+    const sent = notifyStudent && !!(await createNotification({
+      userId: member._id,
+      type: 'assignment_graded',
+      message: `Your ${group ? 'group ' : ''}assignment "${assignment.title}" has been graded. Score: ${finalScore}/${max} (${percentage}%)${latePenaltyPercent > 0 ? ` after a ${latePenaltyPercent}% late penalty` : ''}`,
+      data: {
+        assignmentId: assignment._id,
+        submissionId: submission._id,
+        groupId: group?._id,
+        score: finalScore,
+        latePenaltyPercent,
+        maxScore: max,
+        percentage,
+        letterGrade,
+        assignment: {
+          title: assignment.title,
+          dueDate: assignment.dueDate
+        },
+        teacher: {
+          name: fullName(grader),
+          email: grader.email
+        }
+      },
+      link: `/student/assignments/${assignment._id}`
+    }));
+    notificationsSent.student = notificationsSent.student || sent;
+
+    for (const parentId of await getParentIds(member._id)) {
+      const sentToParent = await createNotification({
+        userId: parentId,
+        type: 'child_assignment_graded',
+        message: `${member.profile?.firstName || 'Your child'} received a grade for "${assignment.title}": ${finalScore}/${max} (${percentage}%)`,
+        data: {
+          childId: member._id,
+          childName: fullName(member),
+          assignmentTitle: assignment.title,
+          score: finalScore,
+          maxScore: max,
+          percentage,
+          letterGrade
+        },
+        link: `/parent/child/${member._id}/progress`
+      });
+      notificationsSent.parent = notificationsSent.parent || !!sentToParent;
+    }
+  }
+
+  return notificationsSent;
+};
+
+/**
+ * Grade a submission, store the grade on it and notify the student and their parents
+ * (see calculateGrade for the scoring rules)
+ * @param {Object} params - { submissionId, assignmentId, studentId, teacherId, totalScore, maxScore, rubricScores, overallFeedback, waiveLatePenalty }
+ *   studentId is optional and, when given, must be the submitter or a member of the submitting group
+ * @returns {Promise<Object>} { submission, grade, notificationsSent: { student, parent } }
+ */
+export const gradeSubmission = async ({ submissionId, assignmentId, studentId, teacherId, ...input }) => {
+  if (!submissionId || !assignmentId || !teacherId) {
+    throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'Missing required fields: submissionId, assignmentId, teacherId');
+  }
+
+  const assignment = await Assignment.findById(assignmentId);
+  if (!assignment || assignment.isDeleted) {
+    throw new ServiceError(404, 'ASSIGNMENT_NOT_FOUND', 'Assignment not found');
+  }
+
+  const submission = await Submission.findById(submissionId);
+  if (!submission || submission.assignmentId.toString() !== assignment._id.toString()) {
+    throw new ServiceError(404, 'SUBMISSION_NOT_FOUND', 'Submission not found for this assignment');
+  }
+  if (studentId && !(await isSubmissionMember(submission, studentId))) {
+    throw new ServiceError(400, 'STUDENT_MISMATCH', 'Submission does not belong to this student');
+  }
+
+  const teacher = await User.findById(teacherId);
+  if (!teacher || teacher.role !== 'teacher') {
+    throw new ServiceError(404, 'TEACHER_NOT_FOUND', 'Teacher not found');
+  }
+  if (assignment.teacherId.toString() !== teacher._id.toString()) {
+    throw new ServiceError(403, 'FORBIDDEN_OWNER', 'Only the assignment\'s teacher can grade it');
+  }
+
+  const student = await User.findById(submission.studentId);
+  if (!student || student.role !== 'student') {
+    throw new ServiceError(404, 'STUDENT_NOT_FOUND', 'Student not found');
+  }
+
+  const { gradingScale } = await getSchoolSettings(assignment.schoolId);
+  const grade = calculateGrade(assignment, submission, input, { gradedBy: teacher._id, gradingScale });
+  const notificationsSent = await saveGrade(submission, grade, { assignment, student, grader: teacher });
+
+  return { submission, grade, notificationsSent };
+};
@@ -0,0 +1,36 @@
+import AuditLog from '../models/auditLogModels.js';
+
+/**
+ * Audit Service
+ * Records administrative actions in the append-only audit log
+ */
+
+/**
+ * Record an audit entry. Never throws: a logging failure must not undo the admin action itself.
+ * @param {Object} req - Express request (provides the acting user, IP and user agent)
+ * @param {Object} entry
+ * @param {string} entry.action - e.g. 'user.suspend', 'school.update'
+ * @param {string} entry.targetType - 'user' | 'school'
+ * @param {string} entry.targetId - ID of the affected document
+ * @param {Object} [entry.before] - Relevant fields before the change
+ * @param {Object} [entry.after] - Relevant fields after the change
+ * @param {string} [entry.reason] - Free-text justification
+ */
+export const recordAudit = async (req, { action, targetType, targetId, before, after, reason }) => {
+  try {
+    return await AuditLog.create({
+      actorId: req.user._id,
+      actorRole: req.user.role,
+      action,
+      targetType,
+      targetId,
+      changes: { before, after },
+      reason,
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+  } catch (err) {
+    console.error(`Error recording audit entry for ${action}:`, err);
+    return null;
+  }
+};
@@ -0,0 +1,345 @@
+import { Assignment, Submission } from '../models/assignmentModels.js';
+import AssignmentGroup from '../models/assignmentGroupModels.js';
+import User from '../models/userModels.js';
+import { getSchoolSettings } from './schoolService.js';
+import { getAssignmentStudents } from './classService.js';
+import { calculateGrade, saveGrade, hasGrade, getSubmissionStatus, getMemberGrade } from './assignmentService.js';
+import { getLatePenaltyPercent } from './latePolicyService.js';
+import { parseCsv, toCsv, unescapeFormula } from '../utils/csv.js';
+import { ServiceError } from '../utils/errors.js';
+
+/**
+ * Bulk Grading Service
+ * Grading many submissions of one assignment at once: a JSON batch, or a gradebook CSV
+ * that is exported, edited in a spreadsheet and imported back (with a preview first)
+ */
+
+export const MAX_BULK_GRADES = 500;
+
+const RUBRIC_COLUMN_PREFIX = 'rubric:';
+const BASE_COLUMNS_BEFORE_RUBRIC = [
+  'studentId', 'email', 'firstName', 'lastName', 'submissionId', 'version', 'submittedAt', 'status', 'isLate', 'daysLate'
+];
+const BASE_COLUMNS_AFTER_RUBRIC = [
+  'score', 'waiveLatePenalty', 'latePenaltyPercent', 'finalScore', 'percentage', 'letterGrade', 'feedback'
+];
+
+const TRUE_VALUES = ['yes', 'true', '1', 'y'];
+
+const loadAssignment = async (assignmentId) => {
+  const assignment = await Assignment.findById(assignmentId);
+  if (!assignment || assignment.isDeleted) {
+    throw new ServiceError(404, 'ASSIGNMENT_NOT_FOUND', 'Assignment not found');
+  }
+  return assignment;
+};
+
+// Latest submitted version per student; a group's latest submission is listed under each member
+const getLatestSubmissions = async (assignmentId) => {
+  const submissions = await Submission.find({ assignmentId }).sort({ versionNumber: -1 });
+  const groups = await AssignmentGroup.find({ assignmentId }).select('members.studentId').lean();
+  const latest = new Map();
+  submissions.forEach(submission => {
+    const group = submission.groupId && groups.find(entry => entry._id.toString() === submission.groupId.toString());
+    const studentIds = group ? group.members.map(member => member.studentId.toString()) : [submission.studentId.toString()];
+    studentIds.forEach(studentId => {
+      if (!latest.has(studentId)) latest.set(studentId, submission);
+    });
+  });
+  return latest;
+};
+
+const sameGrade = (before, after) => {
+  if (!hasGrade({ grade: before })) return false;
+  if (before.totalScore !== after.totalScore || (before.latePenaltyPercent || 0) !== after.latePenaltyPercent) return false;
+  if ((before.overallFeedback || '').trim() !== after.overallFeedback.trim()) return false;
+  const scoreOf = (scores, criteria) => scores.find(entry => entry.criteria === criteria)?.score;
+  return after.rubricScores.every(entry => scoreOf(before.rubricScores || [], entry.criteria) === entry.score);
+};
+
+const summarizeGrade = (grade) => (hasGrade({ grade }) ? {
+  totalScore: grade.totalScore,
+  rawScore: grade.rawScore ?? grade.totalScore,
+  latePenaltyPercent: grade.latePenaltyPercent || 0,
+  percentage: grade.percentage,
+  letterGrade: grade.letterGrade || null
+} : null);
+
+/**
+ * Validate every entry, then save them all; nothing is saved if any entry is invalid.
+ * Unchanged grades are not saved again, so students are only notified about real changes.
+ * @param {Object} assignment
+ * @param {Array} entries - [{ ref: { index } | { row }, submission, input }]
+ * @param {Object} grader - User doc of the teacher (or admin) grading
+ * @param {boolean} dryRun
+ * @param {string} source - Recorded in the grade history ('bulk' | 'import')
+ */
+const gradeEntries = async (assignment, entries, grader, dryRun, source) => {
+  const { gradingScale } = await getSchoolSettings(assignment.schoolId);
+
+  const changes = [];
+  const errors = [];
+  entries.forEach(({ ref, submission, input }) => {
+    try {
+      const grade = calculateGrade(assignment, submission, input, { gradedBy: grader._id, gradingScale });
+      changes.push({
+        ...ref,
+        submissionId: submission._id,
+        studentId: submission.studentId,
+        changed: !sameGrade(submission.grade, grade),
+        before: summarizeGrade(submission.grade),
+        after: summarizeGrade(grade),
+        grade,
+        submission
+      });
+    } catch (error) {
+      if (!error.status) throw error;
+      errors.push({ ...ref, submissionId: submission._id, code: error.code, message: error.message });
+    }
+  });
+
+  const committed = !dryRun && errors.length === 0;
+  if (committed) {
+    const toSave = changes.filter(change => change.changed);
+    const students = await User.find({ _id: { $in: toSave.map(change => change.studentId) } });
+    const studentMap = new Map(students.map(student => [student._id.toString(), student]));
+
+    for (const change of toSave) {
+      await saveGrade(change.submission, change.grade, {
+        assignment,
+        student: studentMap.get(change.studentId.toString()),
+        grader,
+        source
+      });
+    }
+  }
+
+  return {
+    committed,
+    changes: changes.map(({ grade, submission, ...change }) => change),
+    errors
+  };
+};
+
+const summarize = (total, { changes, errors }) => ({
+  total,
+  changed: changes.filter(change => change.changed).length,
+  unchanged: changes.filter(change => !change.changed).length,
+  invalid: errors.length
+});
+
+/**
+ * Grade several submissions of an assignment in one request (all or nothing)
+ * @param {string} assignmentId
+ * @param {Array} grades - [{ submissionId, totalScore, rubricScores, overallFeedback, waiveLatePenalty }]
+ * @param {Object} grader - Authenticated user
+ * @param {Object} options - { dryRun }
+ */
+export const bulkGradeSubmissions = async (assignmentId, grades, grader, { dryRun = false } = {}) => {
+  if (!Array.isArray(grades) || grades.length === 0) {
+    throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'grades must be a non-empty array');
+  }
+  if (grades.length > MAX_BULK_GRADES) {
+    throw new ServiceError(400, 'TOO_MANY_GRADES', `At most ${MAX_BULK_GRADES} grades can be submitted at once`);
+  }
+
+  const assignment = await loadAssignment(assignmentId);
+
+  const ids = grades.map(entry => String(entry?.submissionId || ''));
+  const submissions = await Submission.find({
+    _id: { $in: ids.filter(id => /^[a-f\d]{24}$/i.test(id)) },
+    assignmentId: assignment._id
+  });
+  const submissionMap = new Map(submissions.map(submission => [submission._id.toString(), submission]));
+
+  const entries = [];
+  const lookupErrors = [];
+  const seen = new Set();
+  grades.forEach((entry, index) => {
+    const id = ids[index];
+    if (seen.has(id)) {
+      lookupErrors.push({ index, submissionId: id, code: 'DUPLICATE_SUBMISSION', message: 'Submission is graded more than once' });
+    } else if (!submissionMap.has(id)) {
+      lookupErrors.push({ index, submissionId: id, code: 'SUBMISSION_NOT_FOUND', message: 'Submission not found for this assignment' });
+    } else {
+      entries.push({ ref: { index }, submission: submissionMap.get(id), input: entry });
+    }
+    seen.add(id);
+  });
+
+  const { committed, changes, errors } = await gradeEntries(assignment, entries, grader, dryRun || lookupErrors.length > 0, 'bulk');
+  const allErrors = [...lookupErrors, ...errors].sort((a, b) => a.index - b.index);
+
+  return {
+    dryRun,
+    committed,
+    summary: summarize(grades.length, { changes, errors: allErrors }),
+    changes,
+    errors: allErrors
+  };
+};
+
+const rubricColumns = (assignment) => assignment.rubric.map(item => `${RUBRIC_COLUMN_PREFIX}${item.criteria}`);
+
+/**
+ * Gradebook CSV for an assignment: one row per targeted student with their latest submission,
+ * rubric scores, late information and current grade. Students without a submission get an empty row.
+ * On group assignments every member gets a row with the group's submission and their own final score.
+ * @returns {Promise<{ csv: string, fileName: string }>}
+ */
+export const exportAssignmentGrades = async (assignmentId) => {
+  const assignment = await loadAssignment(assignmentId);
+  const latest = await getLatestSubmissions(assignment._id);
+
+  // Targeted students, plus anyone who submitted and has since left the class
+  const targeted = await getAssignmentStudents(assignment);
+  const targetedIds = new Set(targeted.map(student => student._id.toString()));
+  const others = await User.find({ _id: { $in: [...latest.keys()].filter(id => !targetedIds.has(id)) } });
+  const students = [...targeted, ...others].sort((a, b) =>
+    `${a.profile?.lastName || ''} ${a.profile?.firstName || ''}`.localeCompare(`${b.profile?.lastName || ''} ${b.profile?.firstName || ''}`));
+
+  const headers = [...BASE_COLUMNS_BEFORE_RUBRIC, ...rubricColumns(assignment), ...BASE_COLUMNS_AFTER_RUBRIC];
+  const groups = assignment.groupSettings?.enabled
+    ? await AssignmentGroup.find({ assignmentId: assignment._id }).select('name').lean()
+    : [];
+  if (assignment.groupSettings?.enabled) headers.splice(headers.indexOf('submissionId'), 0, 'group');
+
+  const rows = students.map(student => {
+    const submission = latest.get(student._id.toString());
+    const grade = hasGrade(submission) ? getMemberGrade(submission.grade, student._id) : null;
+    const row = {
+      studentId: student._id.toString(),
+      email: student.email,
+      firstName: student.profile?.firstName || '',
+      lastName: student.profile?.lastName || '',
+      group: groups.find(group => group._id.toString() === submission?.groupId?.toString())?.name || '',
+      submissionId: submission?._id.toString() || '',
+      version: submission?.versionNumber || '',
+      submittedAt: submission?.submittedAt?.toISOString() || '',
+      status: submission ? getSubmissionStatus(submission) : 'missing',
+      isLate: submission ? (submission.isLate ? 'yes' : 'no') : '',
+      daysLate: submission?.daysLate || (submission ? 0 : ''),
+      score: grade ? (grade.rawScore ?? grade.totalScore) : '',
+      // A late grade without a penalty under a penalising policy was waived
+      waiveLatePenalty: grade && !grade.latePenaltyPercent && getLatePenaltyPercent(assignment.latePolicy, submission.daysLate || 0) > 0 ? 'yes' : '',
+      latePenaltyPercent: grade ? grade.latePenaltyPercent || 0 : '',
+      finalScore: grade ? grade.totalScore : '',
+      percentage: grade ? grade.percentage : '',
+      letterGrade: grade?.letterGrade || '',
+      feedback: grade?.overallFeedback || ''
+    };
+    assignment.rubric.forEach(item => {
+      const entry = grade?.rubricScores?.find(scored => scored.criteria === item.criteria);
+      row[`${RUBRIC_COLUMN_PREFIX}${item.criteria}`] = entry ? entry.score : '';
+    });
+    return row;
+  });
+
+  const safeTitle = assignment.title.replace(/[^a-zA-Z0-9_-]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'assignment';
+  return { csv: toCsv(headers, rows), fileName: `grades-${safeTitle}.csv` };
+};
+
+/**
+ * Apply grades from an edited gradebook CSV. Rows are matched by submissionId; rows without a
+ * submission or without any score are skipped. The rows of a group's members must agree, and count once. With dryRun (the default) nothing is saved and the
+ * result previews each change; otherwise all rows are saved, or none if any row is invalid.
+ * @param {string} assignmentId
+ * @param {string} csvText
+ * @param {Object} grader - Authenticated user
+ * @param {Object} options - { dryRun }
+ */
+export const importAssignmentGrades = async (assignmentId, csvText, grader, { dryRun = true } = {}) => {
+  const assignment = await loadAssignment(assignmentId);
+  const { headers, rows } = parseCsv(csvText);
+
+  if (!headers.includes('submissionId')) {
+    throw new ServiceError(400, 'INVALID_CSV', 'The CSV needs a submissionId column');
+  }
+  const criteriaColumns = rubricColumns(assignment);
+  const scoreColumns = assignment.rubric.length > 0 ? criteriaColumns : ['score'];
+  const missingColumns = scoreColumns.filter(column => !headers.includes(column));
+  if (missingColumns.length > 0) {
+    throw new ServiceError(400, 'INVALID_CSV', `Missing columns: ${missingColumns.join(', ')}`);
+  }
+
+  const submissions = await Submission.find({ assignmentId: assignment._id });
+  const submissionMap = new Map(submissions.map(submission => [submission._id.toString(), submission]));
+  const groups = await AssignmentGroup.find({ assignmentId: assignment._id }).select('members.studentId').lean();
+  const belongsTo = (submission, studentId) => submission.studentId.toString() === studentId ||
+    (!!submission.groupId && groups.some(group => group._id.toString() === submission.groupId.toString() &&
+      group.members.some(member => member.studentId.toString() === studentId)));
+  const gradeValues = (values) => JSON.stringify([...scoreColumns, 'feedback', 'waiveLatePenalty'].map(column => values[column] || ''));
+
+  const entries = [];
+  const rowErrors = [];
+  const skipped = [];
+  const seen = new Map();
+
+  rows.forEach(({ line, values }) => {
+    const submissionId = values.submissionId;
+    const hasScores = scoreColumns.some(column => values[column] !== '');
+
+    if (!submissionId || !hasScores) {
+      skipped.push({ row: line, reason: !submissionId ? 'No submission' : 'No score entered' });
+      return;
+    }
+    const submission = submissionMap.get(submissionId);
+    if (seen.has(submissionId)) {
+      // Each member of a group has a row for the shared submission
+      if (!submission?.groupId) {
+        rowErrors.push({ row: line, submissionId, code: 'DUPLICATE_SUBMISSION', message: 'Submission appears in more than one row' });
+      } else if (seen.get(submissionId) !== gradeValues(values)) {
+        rowErrors.push({ row: line, submissionId, code: 'GROUP_ROWS_DIFFER', message: 'Rows for the same group submission must have the same scores and feedback' });
+      } else {
+        skipped.push({ row: line, reason: 'Same group submission as an earlier row' });
+      }
+      return;
+    }
+    seen.set(submissionId, gradeValues(values));
+
+    if (!submission) {
+      rowErrors.push({ row: line, submissionId, code: 'SUBMISSION_NOT_FOUND', message: 'Submission not found for this assignment' });
+      return;
+    }
+    if (values.studentId && !belongsTo(submission, values.studentId)) {
+      rowErrors.push({ row: line, submissionId, code: 'STUDENT_MISMATCH', message: 'studentId does not match the submission' });
+      return;
+    }
+
+    // With a rubric the score is the sum of the criteria, so the score column is ignored
+    const previousScores = hasGrade(submission) ? submission.grade.rubricScores || [] : [];
+    entries.push({
+      ref: { row: line },
+      submission,
+      input: {
+        totalScore: assignment.rubric.length > 0 ? undefined : values.score,
+        rubricScores: assignment.rubric.map(item => ({
+          criteria: item.criteria,
+          score: values[`${RUBRIC_COLUMN_PREFIX}${item.criteria}`],
+          feedback: previousScores.find(entry => entry.criteria === item.criteria)?.feedback || ''
+        })),
+        overallFeedback: unescapeFormula(values.feedback),
+        waiveLatePenalty: TRUE_VALUES.includes((values.waiveLatePenalty || '').toLowerCase())
+      }
+    });
+  });
+
+  const { committed, changes, errors } = await gradeEntries(assignment, entries, grader, dryRun || rowErrors.length > 0, 'import');
+  const allErrors = [...rowErrors, ...errors].sort((a, b) => a.row - b.row);
+  const counts = summarize(entries.length, { changes, errors: allErrors });
+
+  return {
+    dryRun,
+    committed,
+    summary: {
+      totalRows: rows.length,
+      changed: counts.changed,
+      unchanged: counts.unchanged,
+      skipped: skipped.length,
+      invalidRows: counts.invalid
+    },
+    changes,
+    skipped,
+    errors: allErrors
+  };
+};
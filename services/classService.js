@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+import Class from '../models/classModels.js';
+import User from '../models/userModels.js';
+import { isAssignmentPublished } from '../models/assignmentModels.js';
+import { isSameSchool } from './schoolService.js';
+import { ServiceError } from '../utils/errors.js';
+
+/**
+ * Class Service
+ * Class rosters: enrollment, join codes, and which assignments a student can see through their classes
+ */
+
+// No 0/O/1/I so codes can be written on a whiteboard
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+
+const generateJoinCode = () => Array.from(
+  crypto.randomBytes(JOIN_CODE_LENGTH),
+  byte => JOIN_CODE_ALPHABET[byte % JOIN_CODE_ALPHABET.length]
+).join('');
+
+/**
+ * Give a class a fresh join code, replacing any previous one
+ * @param {Object} cls - Class document
+ * @returns {Promise<string>} The new code
+ */
+export const issueJoinCode = async (cls) => {
+  // Retry on the (unlikely) collision with another class's code
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = generateJoinCode();
+    if (!(await Class.exists({ joinCode: code }))) {
+      cls.joinCode = code;
+      await cls.save();
+      return code;
+    }
+  }
+  throw new ServiceError(500, 'JOIN_CODE_GENERATION_FAILED', 'Could not generate a unique join code');
+};
+
+/**
+ * Add students to a class. Students must exist and belong to the class's school.
+ * @param {Object} cls - Class document
+ * @param {string[]} studentIds
+ * @returns {Promise<Object>} { enrolled, alreadyEnrolled, rejected: [{ studentId, reason }] }
+ */
+export const enrollStudents = async (cls, studentIds) => {
+  if (!Array.isArray(studentIds) || studentIds.length === 0) {
+    throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'studentIds must be a non-empty array');
+  }
+  if (!cls.isActive) {
+    throw new ServiceError(409, 'CLASS_ARCHIVED', 'Cannot enroll students in an archived class');
+  }
+
+  const uniqueIds = [...new Set(studentIds.map(String))];
+  const validIds = uniqueIds.filter(id => /^[a-f\d]{24}$/i.test(id));
+  const students = await User.find({ _id: { $in: validIds } }).select('role schoolId').lean();
+  const studentMap = new Map(students.map(student => [student._id.toString(), student]));
+  const current = new Set(cls.students.map(String));
+
+  const result = { enrolled: [], alreadyEnrolled: [], rejected: [] };
+
+  uniqueIds.forEach(id => {
+    const student = studentMap.get(id);
+    if (!student || student.role !== 'student') {
+      result.rejected.push({ studentId: id, reason: 'Student not found' });
+    } else if (!isSameSchool(student.schoolId, cls.schoolId)) {
+      result.rejected.push({ studentId: id, reason: 'Student belongs to another school' });
+    } else if (current.has(id)) {
+      result.alreadyEnrolled.push(id);
+    } else {
+      result.enrolled.push(id);
+    }
+  });
+
+  if (result.enrolled.length > 0) {
+    cls.students.push(...result.enrolled);
+    await cls.save();
+  }
+
+  return result;
+};
+
+/**
+ * Remove a student from a class
+ */
+export const unenrollStudent = async (cls, studentId) => {
+  const before = cls.students.length;
+  cls.students = cls.students.filter(id => id.toString() !== studentId.toString());
+  if (cls.students.length === before) {
+    throw new ServiceError(404, 'STUDENT_NOT_ENROLLED', 'Student is not enrolled in this class');
+  }
+  await cls.save();
+  return cls;
+};
+
+/**
+ * Enroll a student in the class matching a join code
+ * @returns {Promise<Object>} The joined class
+ */
+export const redeemJoinCode = async (student, code) => {
+  const normalized = (code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (!normalized) {
+    throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'Join code is required');
+  }
+
+  const cls = await Class.findOne({ joinCode: normalized, isActive: true });
+  if (!cls || !isSameSchool(cls.schoolId, student.schoolId)) {
+    throw new ServiceError(404, 'INVALID_JOIN_CODE', 'No active class matches this join code');
+  }
+
+  if (cls.students.some(id => id.toString() === student._id.toString())) {
+    throw new ServiceError(409, 'ALREADY_ENROLLED', 'You are already enrolled in this class');
+  }
+
+  cls.students.push(student._id);
+  await cls.save();
+  return cls;
+};
+
+/**
+ * IDs of the active classes a student is enrolled in
+ */
+export const getStudentClassIds = async (studentId) => {
+  const classes = await Class.find({ students: studentId, isActive: true }).select('_id').lean();
+  return classes.map(cls => cls._id);
+};
+
+/**
+ * Mongo filter for the assignments a student can see.
+ * Assignments targeted at classes are visible to members of those classes;
+ * assignments without classes are visible to every student at the level.
+ * @param {Object} student - Student user
+ * @param {number} level - Level to show level-wide assignments for
+ * @param {Array} classIds - Result of getStudentClassIds
+ */
+export const studentAssignmentFilter = (student, level, classIds) => ({
+  isVisible: true,
+  isDeleted: { $ne: true },
+  schoolId: student.schoolId || null,
+  $and: [
+    { $or: [{ publishAt: null }, { publishAt: { $lte: new Date() } }] },
+    { $or: [{ classIds: { $in: classIds } }, { level, classIds: { $size: 0 } }] }
+  ]
+});
+
+/**
+ * Whether an assignment targets a student (their school, and one of their classes or their level),
+ * regardless of whether it is published yet
+ */
+export const isTargetedAtStudent = (assignment, student, classIds) => {
+  if (!isSameSchool(assignment.schoolId, student.schoolId)) return false;
+
+  const targetClasses = (assignment.classIds || []).map(String);
+  if (targetClasses.length === 0) {
+    return assignment.level === student.selectedLevel;
+  }
+  return classIds.some(id => targetClasses.includes(id.toString()));
+};
+
+/**
+ * Whether an assignment is published and visible to a student (same rules as studentAssignmentFilter)
+ */
+export const isAssignedToStudent = (assignment, student, classIds) =>
+  isAssignmentPublished(assignment) && isTargetedAtStudent(assignment, student, classIds);
+
+/**
+ * Students targeted by an assignment: members of its classes, or every student at its level
+ * @returns {Promise<Array>} Student user documents
+ */
+export const getAssignmentStudents = async (assignment) => {
+  if (assignment.classIds?.length > 0) {
+    const classes = await Class.find({ _id: { $in: assignment.classIds }, isActive: true }).select('students').lean();
+    const studentIds = [...new Set(classes.flatMap(cls => cls.students.map(String)))];
+    return User.find({ _id: { $in: studentIds }, role: 'student' });
+  }
+
+  return User.find({
+    role: 'student',
+    selectedLevel: assignment.level,
+    schoolId: assignment.schoolId || null
+  });
+};
@@ -0,0 +1,380 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import User from '../models/userModels.js';
+import { ChildInvite, ChildLinkRequest } from '../models/familyModels.js';
+import { createNotification } from '../controllers/notificationController.js';
+import { hashToken } from './tokenService.js';
+import mailService from './mailService.js';
+import { isSameSchool } from './schoolService.js';
+import { ServiceError } from '../utils/errors.js';
+
+/**
+ * Family Service
+ * Parent-child account management: child invites with one-time claim codes,
+ * and approval-gated link requests for existing student accounts
+ */
+
+const CHILD_INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// No 0/O/1/I so codes can be read out loud or copied by hand
+const CLAIM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateClaimCode = () => {
+  const bytes = crypto.randomBytes(10);
+  const chars = Array.from(bytes, byte => CLAIM_CODE_ALPHABET[byte % CLAIM_CODE_ALPHABET.length]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+};
+
+const normalizeClaimCode = (code) => code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const fullName = (user) => `${user.profile?.firstName || ''} ${user.profile?.lastName || ''}`.trim();
+
+// Issue a fresh claim code for a pending child, revoking any earlier one
+const issueInvite = async (parentId, childId) => {
+  await ChildInvite.updateMany({ childId, status: 'pending' }, { status: 'revoked' });
+
+  const code = generateClaimCode();
+  const invite = await ChildInvite.create({
+    parentId,
+    childId,
+    codeHash: hashToken(normalizeClaimCode(code)),
+    expiresAt: new Date(Date.now() + CHILD_INVITE_TTL_MS)
+  });
+
+  return {
+    childId,
+    claimCode: code,
+    claimLink: `${mailService.appUrl}/claim-account?code=${code}`,
+    expiresAt: invite.expiresAt
+  };
+};
+
+const normalizeEmail = (value) => String(value || '').trim().toLowerCase();
+
+// Case-insensitive match: older accounts were registered without normalizing the email
+const findUserByEmail = (email) => User.findOne({ email }).collation({ locale: 'en', strength: 2 });
+
+// Check a child row and return it with its email normalized
+const validateChild = async ({ email, firstName, lastName, grade }) => {
+  if (!email || !firstName || !lastName) {
+    throw new ServiceError(400, 'INVALID_CHILD', 'Each child must have email, firstName, and lastName');
+  }
+
+  const normalizedEmail = normalizeEmail(email);
+  if (await findUserByEmail(normalizedEmail)) {
+    throw new ServiceError(409, 'CHILD_EMAIL_EXISTS', `Child email ${normalizedEmail} already registered`);
+  }
+
+  return { email: normalizedEmail, firstName, lastName, grade };
+};
+
+// Create the pending student account and its claim code, without mailing it
+const createPendingChild = async (parent, { email, firstName, lastName, grade }) => {
+  // Random unusable password until the child claims the account
+  const placeholderPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+  const child = await User.create({
+    email,
+    password: placeholderPassword,
+    role: 'student',
+    accountStatus: 'pending_claim',
+    schoolId: parent.schoolId,
+    profile: {
+      firstName,
+      lastName,
+      grade: grade || 1
+    }
+  });
+
+  try {
+    const invite = await issueInvite(parent._id, child._id);
+    return { ...invite, email, firstName };
+  } catch (error) {
+    await User.deleteOne({ _id: child._id });
+    throw error;
+  }
+};
+
+const mailChildInvite = (parent, { email, firstName, claimLink, claimCode }) => mailService.send({
+  to: email,
+  subject: 'Your Cambridge Explorer Labs account is ready',
+  text: `Hi ${firstName},\n\n${fullName(parent) || 'Your parent'} created an account for you. Open this link and choose your own password:\n${claimLink}\n\nOr enter this code on the sign-up page: ${claimCode}\n\nThe code expires in 7 days.`
+});
+
+const toInviteResponse = ({ childId, email, claimCode, claimLink, expiresAt }) => ({
+  childId, email, claimCode, claimLink, expiresAt
+});
+
+/**
+ * Create a pending student account for a parent's child and a one-time claim code.
+ * The child account cannot log in until the child claims it and sets a password.
+ * @param {Object} parent - Parent user document
+ * @param {Object} child - { email, firstName, lastName, grade }
+ * @returns {Promise<Object>} { childId, email, claimCode, claimLink, expiresAt }
+ */
+export const createChildInvite = async (parent, child) => {
+  const invite = await createPendingChild(parent, await validateChild(child));
+  await mailChildInvite(parent, invite);
+  return toInviteResponse(invite);
+};
+
+/**
+ * Check the children listed in a parent's registration before anything is created.
+ * Emails are compared case-insensitively: each must be unique in the list, differ
+ * from the parent's and not belong to an existing account.
+ * @param {string} parentEmail - Email the parent is registering with
+ * @param {Array<Object>} children - [{ email, firstName, lastName, grade }]
+ * @returns {Promise<Array<Object>>} The children with normalized emails
+ */
+export const validateRegistrationChildren = async (parentEmail, children) => {
+  if (!Array.isArray(children)) {
+    throw new ServiceError(400, 'INVALID_CHILD', 'children must be an array');
+  }
+
+  const seen = new Set([normalizeEmail(parentEmail)]);
+  const validated = [];
+  for (const child of children) {
+    const row = await validateChild(child || {});
+    if (seen.has(row.email)) {
+      throw new ServiceError(409, 'DUPLICATE_CHILD_EMAIL', `Child email ${row.email} is used more than once in this registration`);
+    }
+    seen.add(row.email);
+    validated.push(row);
+  }
+  return validated;
+};
+
+/**
+ * Create pending accounts for a newly registered parent's children and link them.
+ * All or nothing: if any child or the parent update fails, the children created so
+ * far and their claim codes are removed. Invites are mailed only once all exist.
+ * @param {Object} parent - Saved parent user document
+ * @param {Array<Object>} children - Output of validateRegistrationChildren
+ * @returns {Promise<Array<Object>>} [{ childId, email, claimCode, claimLink, expiresAt }]
+ */
+export const createRegistrationChildren = async (parent, children) => {
+  const invites = [];
+  try {
+    for (const child of children) {
+      invites.push(await createPendingChild(parent, child));
+    }
+    parent.profile.children = invites.map(invite => invite.childId);
+    await parent.save();
+  } catch (error) {
+    const childIds = invites.map(invite => invite.childId);
+    await Promise.all([
+      User.deleteMany({ _id: { $in: childIds } }),
+      ChildInvite.deleteMany({ childId: { $in: childIds } })
+    ]);
+    throw error;
+  }
+
+  for (const invite of invites) {
+    await mailChildInvite(parent, invite);
+  }
+  return invites.map(toInviteResponse);
+};
+
+/**
+ * Re-issue the claim code for one of the parent's pending children
+ */
+export const resendChildInvite = async (parentId, childId) => {
+  const parent = await User.findById(parentId);
+  const isOwnChild = (parent?.profile?.children || []).some(id => id.toString() === childId.toString());
+  if (!isOwnChild) {
+    throw new ServiceError(404, 'CHILD_NOT_FOUND', 'Child not found for this parent');
+  }
+
+  const child = await User.findById(childId);
+  if (!child || child.accountStatus !== 'pending_claim') {
+    throw new ServiceError(409, 'CHILD_ALREADY_CLAIMED', 'This child account has already been claimed');
+  }
+
+  return { ...(await issueInvite(parentId, childId)), email: child.email };
+};
+
+/**
+ * Claim a pending child account with its one-time code and set the child's own password
+ * @returns {Promise<Object>} The activated child user
+ */
+export const claimChildAccount = async (code, password) => {
+  const invite = await ChildInvite.findOneAndUpdate(
+    {
+      codeHash: hashToken(normalizeClaimCode(code)),
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    },
+    { status: 'claimed', claimedAt: new Date() },
+    { new: true }
+  );
+
+  if (!invite) {
+    throw new ServiceError(400, 'INVITE_INVALID', 'This code is invalid or has expired');
+  }
+
+  const child = await User.findById(invite.childId);
+  if (!child || child.accountStatus !== 'pending_claim') {
+    throw new ServiceError(409, 'CHILD_ALREADY_CLAIMED', 'This account has already been claimed');
+  }
+
+  child.password = await bcrypt.hash(password, 10);
+  child.accountStatus = 'active';
+  await child.save();
+
+  await createNotification({
+    userId: invite.parentId,
+    type: 'child_invite_claimed',
+    message: `${fullName(child)} has activated their account.`,
+    data: { childId: child._id },
+    link: `/child/${child._id}/progress`
+  });
+
+  return child;
+};
+
+/**
+ * Ask to link an existing student to a parent. Nothing is linked until the student or a teacher approves.
+ * @returns {Promise<Object>} The pending link request
+ */
+export const requestChildLink = async (parent, childEmail, message) => {
+  const child = await User.findOne({ email: childEmail, role: 'student' });
+  if (!child) {
+    throw new ServiceError(404, 'STUDENT_NOT_FOUND', 'Student not found');
+  }
+
+  if ((parent.profile?.children || []).some(id => id.toString() === child._id.toString())) {
+    throw new ServiceError(409, 'CHILD_ALREADY_LINKED', 'Child is already linked to this parent');
+  }
+
+  const pending = await ChildLinkRequest.findOne({ parentId: parent._id, studentId: child._id, status: 'pending' });
+  if (pending) {
+    throw new ServiceError(409, 'LINK_REQUEST_PENDING', 'A link request for this child is already pending');
+  }
+
+  const request = await ChildLinkRequest.create({
+    parentId: parent._id,
+    studentId: child._id,
+    message
+  });
+
+  await createNotification({
+    userId: child._id,
+    type: 'child_link_request',
+    message: `${fullName(parent) || parent.email} asked to be linked to your account as your parent. Please approve or reject the request.`,
+    data: { requestId: request._id, parentId: parent._id },
+    link: '/link-requests'
+  });
+
+  return { request, child };
+};
+
+/**
+ * Approve or reject a pending link request.
+ * Allowed for the student named in the request, a teacher at the student's school, or an admin.
+ * @param {string} requestId
+ * @param {Object} actor - Authenticated user deciding the request
+ * @param {boolean} approve
+ * @param {string} note - Optional decision note
+ */
+export const decideChildLink = async (requestId, actor, approve, note) => {
+  const request = await ChildLinkRequest.findById(requestId);
+  if (!request || request.status !== 'pending') {
+    throw new ServiceError(404, 'LINK_REQUEST_NOT_FOUND', 'Pending link request not found');
+  }
+
+  const isSubject = actor.role === 'student' && actor._id.toString() === request.studentId.toString();
+  if (!isSubject && !['teacher', 'admin'].includes(actor.role)) {
+    throw new ServiceError(403, 'FORBIDDEN', 'Only the student or a teacher can decide this request');
+  }
+
+  const student = await User.findById(request.studentId);
+  if (actor.role === 'teacher' && !isSameSchool(student?.schoolId, actor.schoolId)) {
+    throw new ServiceError(403, 'FORBIDDEN', "Only a teacher at the student's school can decide this request");
+  }
+
+  request.status = approve ? 'approved' : 'rejected';
+  request.decidedBy = actor._id;
+  request.decidedByRole = actor.role;
+  request.decisionNote = note;
+  request.decidedAt = new Date();
+  await request.save();
+
+  if (approve) {
+    await User.updateOne(
+      { _id: request.parentId, role: 'parent' },
+      { $addToSet: { 'profile.children': request.studentId } }
+    );
+  }
+
+  await createNotification({
+    userId: request.parentId,
+    type: approve ? 'child_link_approved' : 'child_link_rejected',
+    message: approve
+      ? `Your request to link ${fullName(student)} was approved.`
+      : `Your request to link ${fullName(student)} was rejected.`,
+    data: { requestId: request._id, studentId: request.studentId },
+    link: approve ? `/child/${request.studentId}/progress` : '/link-requests'
+  });
+
+  return request;
+};
+
+/**
+ * Cancel a parent's own pending link request
+ */
+export const cancelChildLink = async (requestId, parentId) => {
+  const request = await ChildLinkRequest.findOneAndUpdate(
+    { _id: requestId, parentId, status: 'pending' },
+    { status: 'cancelled', decidedBy: parentId, decidedByRole: 'parent', decidedAt: new Date() },
+    { new: true }
+  );
+  if (!request) {
+    throw new ServiceError(404, 'LINK_REQUEST_NOT_FOUND', 'Pending link request not found');
+  }
+  return request;
+};
+
+/**
+ * List link requests visible to a user:
+ * parents see their own requests, students the requests about them, teachers the pending ones
+ * about students at their school, admins all pending ones.
+ */
+export const listChildLinkRequests = async (user, status) => {
+  const filter = {};
+  if (user.role === 'parent') filter.parentId = user._id;
+  else if (user.role === 'student') filter.studentId = user._id;
+  else filter.status = 'pending';
+  if (status) filter.status = status;
+
+  if (user.role === 'teacher') {
+    const studentIds = await User.find({ role: 'student', schoolId: user.schoolId || null }).distinct('_id');
+    filter.studentId = { $in: studentIds };
+  }
+
+  const requests = await ChildLinkRequest.find(filter)
+    .populate('parentId', 'email profile.firstName profile.lastName')
+    .populate('studentId', 'email profile.firstName profile.lastName selectedLevel')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return requests.map(request => ({
+    id: request._id,
+    status: request.status,
+    message: request.message || '',
+    parent: request.parentId ? {
+      id: request.parentId._id,
+      name: fullName(request.parentId),
+      email: request.parentId.email
+    } : null,
+    student: request.studentId ? {
+      id: request.studentId._id,
+      name: fullName(request.studentId),
+      email: request.studentId.email,
+      level: request.studentId.selectedLevel || null
+    } : null,
+    decidedByRole: request.decidedByRole || null,
+    decisionNote: request.decisionNote || '',
+    decidedAt: request.decidedAt || null,
+    createdAt: request.createdAt
+  }));
+};
@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import StoredFile from '../models/fileModels.js';
+import PeerReview from '../models/peerReviewModels.js';
+import AssignmentGroup from '../models/assignmentGroupModels.js';
+import { Assignment, Submission } from '../models/assignmentModels.js';
+import storageService from './storageService.js';
+import { isSameSchool } from './schoolService.js';
+import { canAccessStudent } from '../middleware/auth.js';
+import { detectFileType, getExtension } from '../utils/fileType.js';
+import { ServiceError } from '../utils/errors.js';
+dotenv.config();
+
+/**
+ * File Service
+ * Validates uploads (extension, size and sniffed content), stores them through the
+ * storage service and decides who may download them
+ */
+
+// Hard ceiling for any single upload; assignments and resources can only lower it
+export const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE) || 50 * 1024 * 1024; // 50MB
+
+// Extensions whose content detectFileType can confirm; anything else could never pass validateUpload
+export const SUPPORTED_FILE_TYPES = [
+  'pdf', 'doc', 'docx', 'ppt', 'pptx', 'xls', 'xlsx', 'txt', 'csv', 'md', 'json',
+  'png', 'jpg', 'jpeg', 'gif', 'webp', 'svg', 'mp3', 'm4a', 'mp4', 'mov', 'webm', 'zip', 'html', 'htm'
+];
+
+// Types a teacher resource may be uploaded as, by resource type
+export const RESOURCE_FILE_TYPES = {
+  worksheet: ['pdf', 'doc', 'docx', 'txt'],
+  document: ['pdf', 'doc', 'docx', 'ppt', 'pptx', 'xls', 'xlsx', 'txt', 'csv'],
+  image: ['png', 'jpg', 'jpeg', 'gif', 'webp'],
+  video: ['mp4', 'webm', 'mov'],
+  simulation: ['zip', 'html', 'htm']
+};
+export const RESOURCE_MAX_FILE_SIZE = Math.min(parseInt(process.env.RESOURCE_MAX_FILE_SIZE) || MAX_UPLOAD_SIZE, MAX_UPLOAD_SIZE);
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${Math.round(bytes / 1024 / 1024 * 10) / 10}MB`
+  : `${Math.ceil(bytes / 1024)}KB`);
+
+/**
+ * Lower-case extensions without a leading dot ('.PDF' -> 'pdf')
+ */
+export const normalizeFileTypes = (types) => (types || []).map(type => String(type).trim().toLowerCase().replace(/^\./, ''));
+
+/**
+ * Check an uploaded file against the allowed extensions and size, and that its content
+ * really is what the extension claims
+ * @param {Object} file - Multer file ({ originalname, size, buffer })
+ * @param {Object} rules - { allowedTypes: string[], maxSize: number }
+ * @returns {{ extension: string, mimeType: string }}
+ */
+export const validateUpload = (file, { allowedTypes, maxSize }) => {
+  const allowed = normalizeFileTypes(allowedTypes);
+  const extension = getExtension(file.originalname);
+
+  if (!allowed.includes(extension)) {
+    throw new ServiceError(415, 'FILE_TYPE_NOT_ALLOWED', `Only ${allowed.join(', ')} files are accepted`, { allowedFileTypes: allowed });
+  }
+
+  if (file.size > maxSize) {
+    throw new ServiceError(413, 'FILE_TOO_LARGE', `File exceeds the maximum size of ${formatSize(maxSize)}`, { maxFileSize: maxSize });
+  }
+
+  const detected = detectFileType(file.buffer);
+  if (!detected || !detected.extensions.includes(extension)) {
+    throw new ServiceError(415, 'FILE_CONTENT_MISMATCH', `File content does not match the .${extension} extension`);
+  }
+
+  return { extension, mimeType: detected.mimeType };
+};
+
+/**
+ * Validate and store an uploaded file
+ * @param {Object} file - Multer file
+ * @param {Object} params - { allowedTypes, maxSize, purpose ('submission' | 'resource'), uploadedBy, schoolId }
+ * @returns {Promise<Object>} The StoredFile document
+ */
+export const storeUpload = async (file, { allowedTypes, maxSize, purpose, uploadedBy, schoolId }) => {
+  const { extension, mimeType } = validateUpload(file, { allowedTypes, maxSize });
+
+  const now = new Date();
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+  const storageKey = `${purpose}s/${now.getUTCFullYear()}/${month}/${crypto.randomUUID()}`;
+
+  await storageService.put(storageKey, file.buffer);
+
+  try {
+    return await StoredFile.create({
+      storageKey,
+      storageBackend: storageService.backendName,
+      originalName: file.originalname.slice(-255),
+      extension,
+      mimeType,
+      size: file.size,
+      purpose,
+      uploadedBy,
+      schoolId: schoolId || null
+    });
+  } catch (error) {
+    // Don't leave orphaned content behind when the metadata can't be saved
+    await storageService.remove(storageKey).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Remove a stored file and its content (e.g. when the record it was attached to could not be saved)
+ */
+export const discardFile = async (storedFile) => {
+  await storageService.remove(storedFile.storageKey).catch(() => {});
+  await StoredFile.deleteOne({ _id: storedFile._id });
+};
+
+/**
+ * Read a stored file's whole content (for server-side processing, not for downloads)
+ * @param {Object} storedFile - StoredFile document
+ * @returns {Promise<Buffer>}
+ */
+export const readStoredFile = async (storedFile) => {
+  const chunks = [];
+  for await (const chunk of storageService.createReadStream(storedFile.storageKey)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Authenticated URL a stored file can be downloaded from
+ */
+export const getDownloadUrl = (fileId) => `/api/files/${fileId}`;
+
+// Peer reviewers are anonymous to the author and the author to them, so they never see the uploaded file name
+const anonymousFileName = (file) => `submission.${file.extension}`;
+
+/**
+ * File metadata as returned by the API
+ * @param {Object|null} file - StoredFile document (or an unpopulated ID, in which case only id/downloadUrl are known)
+ * @param {Object} options - { anonymous: replace the original name with a neutral one, for peer reviewers }
+ */
+export const formatFile = (file, { anonymous = false } = {}) => {
+  if (!file) return null;
+  if (!file.originalName) return { id: file, downloadUrl: getDownloadUrl(file) };
+  return {
+    id: file._id,
+    name: anonymous ? anonymousFileName(file) : file.originalName,
+    mimeType: file.mimeType,
+    size: file.size,
+    downloadUrl: getDownloadUrl(file._id)
+  };
+};
+
+/**
+ * How a user may download a stored file: 'full', 'peer_review' (without the original file name) or null.
+ * Submission files: the student (every member, for a group submission), their parents, the assignment's
+ * teacher and admins have full access; the submission's peer reviewers have peer_review access.
+ * Resource files: anyone in the uploader's school.
+ */
+export const getFileAccess = async (user, file) => {
+  if (user.role === 'admin') return 'full';
+  if (file.uploadedBy.toString() === user._id.toString()) return 'full';
+
+  if (file.purpose === 'resource') {
+    return isSameSchool(user.schoolId, file.schoolId) ? 'full' : null;
+  }
+
+  const submission = await Submission.findOne({ file: file._id }).select('_id assignmentId studentId groupId').lean();
+  if (!submission) return null;
+
+  if (user.role === 'teacher') {
+    const assignment = await Assignment.findById(submission.assignmentId).select('teacherId').lean();
+    return assignment?.teacherId?.toString() === user._id.toString() ? 'full' : null;
+  }
+  const group = submission.groupId
+    ? await AssignmentGroup.findById(submission.groupId).select('members.studentId').lean()
+    : null;
+  for (const studentId of [submission.studentId, ...(group?.members || []).map(member => member.studentId)]) {
+    if (await canAccessStudent(user, studentId)) return 'full';
+  }
+  // Classmates assigned to peer review the submission
+  if (user.role === 'student' && await PeerReview.exists({ submissionId: submission._id, reviewerId: user._id })) {
+    return 'peer_review';
+  }
+  return null;
+};
+
+/**
+ * Load a file the user is allowed to download and open its content
+ * @returns {Promise<{ file: Object, fileName: string, stream: ReadableStream }>}
+ */
+export const openFileForDownload = async (fileId, user) => {
+  const file = /^[a-f\d]{24}$/i.test(fileId) ? await StoredFile.findById(fileId) : null;
+  if (!file) {
+    throw new ServiceError(404, 'FILE_NOT_FOUND', 'File not found');
+  }
+  const access = await getFileAccess(user, file);
+  if (!access) {
+    throw new ServiceError(403, 'FORBIDDEN_FILE', 'You do not have access to this file');
+  }
+  const fileName = access === 'peer_review' ? anonymousFileName(file) : file.originalName;
+  return { file, fileName, stream: storageService.createReadStream(file.storageKey) };
+};
@@ -0,0 +1,44 @@
+import { Assignment, Submission } from '../models/assignmentModels.js';
+import aiService from './aiService.js';
+import { readStoredFile } from './fileService.js';
+import { extractText } from '../utils/textExtraction.js';
+import { ServiceError } from '../utils/errors.js';
+
+/**
+ * Grade Suggestion Service
+ * Asks the AI for per-criterion scores and draft feedback on a submission. Suggestions are
+ * never saved: the teacher edits and confirms them through the normal grading endpoint.
+ */
+
+const isObjectId = (value) => /^[a-f\d]{24}$/i.test(String(value || ''));
+
+/**
+ * Suggest a grade for one of an assignment's submissions
+ * @param {string} assignmentId
+ * @param {string} submissionId
+ * @returns {Promise<{ submission: Object, suggestion: Object }>}
+ */
+export const suggestGrade = async (assignmentId, submissionId) => {
+  const assignment = isObjectId(assignmentId) ? await Assignment.findById(assignmentId).lean() : null;
+  if (!assignment || assignment.isDeleted) {
+    throw new ServiceError(404, 'ASSIGNMENT_NOT_FOUND', 'Assignment not found');
+  }
+  const submission = isObjectId(submissionId)
+    ? await Submission.findOne({ _id: submissionId, assignmentId: assignment._id }).populate('file').lean()
+    : null;
+  if (!submission) {
+    throw new ServiceError(404, 'SUBMISSION_NOT_FOUND', 'Submission not found for this assignment');
+  }
+
+  const texts = [submission.submissionNotes || ''];
+  if (submission.file?.storageKey) {
+    texts.push(extractText(await readStoredFile(submission.file), submission.file.extension));
+  }
+  const submissionText = texts.map(text => text.trim()).filter(Boolean).join('\n\n');
+  if (!submissionText) {
+    throw new ServiceError(422, 'NO_SUBMISSION_TEXT', 'The submission has no readable text to base a suggestion on');
+  }
+
+  const suggestion = await aiService.suggestGrade({ assignment, submissionText });
+  return { submission, suggestion };
+};
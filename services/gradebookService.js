@@ -0,0 +1,518 @@
+import Gradebook, { GRADEBOOK_CATEGORIES } from '../models/gradebookModels.js';
+import { Assignment, Submission, isAssignmentPublished } from '../models/assignmentModels.js';
+import AssignmentGroup from '../models/assignmentGroupModels.js';
+import { Quiz, QuizResult } from '../models/quizModels.js';
+import Simulation from '../models/simulationModels.js';
+import Class from '../models/classModels.js';
+import User from '../models/userModels.js';
+import { getSchoolSettings, isSameSchool } from './schoolService.js';
+import { isTargetedAtStudent } from './classService.js';
+import { getStudentDueDate } from './latePolicyService.js';
+import { getMemberGrade } from './assignmentService.js';
+import { getCountedQuizScores } from './quizService.js';
+import { normalizeGradingScale, resolveGradingScale, calculateLetterGrade } from './gradingScaleService.js';
+import { ServiceError } from '../utils/errors.js';
+
+/**
+ * Gradebook Service
+ * Term grades per class (or per teacher and level): results are averaged per weighted category
+ * after dropping each category's lowest scores, and mapped to letters with the gradebook's scale
+ */
+
+const isObjectId = (value) => /^[a-f\d]{24}$/i.test(String(value || ''));
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check a gradebook category name (as used for assignment.gradebookCategory)
+ */
+export const validateGradebookCategory = (category, field = 'gradebookCategory') => {
+  if (!GRADEBOOK_CATEGORIES.includes(category)) {
+    throw new ServiceError(400, 'INVALID_GRADEBOOK_CATEGORY', `${field} must be one of: ${GRADEBOOK_CATEGORIES.join(', ')}`);
+  }
+  return category;
+};
+
+const normalizeCategories = (categories) => {
+  if (!Array.isArray(categories) || categories.length === 0) {
+    throw new ServiceError(400, 'INVALID_GRADEBOOK', 'categories must be a non-empty array');
+  }
+
+  const normalized = categories.map(category => {
+    const key = validateGradebookCategory(category?.key, 'Category key');
+    const weight = Number(category.weight);
+    const dropLowest = category.dropLowest === undefined ? 0 : Number(category.dropLowest);
+    if (!Number.isFinite(weight) || weight < 0 || weight > 100) {
+      throw new ServiceError(400, 'INVALID_GRADEBOOK', `Weight for ${key} must be between 0 and 100`);
+    }
+    if (!Number.isInteger(dropLowest) || dropLowest < 0) {
+      throw new ServiceError(400, 'INVALID_GRADEBOOK', `dropLowest for ${key} must be a whole number of zero or more`);
+    }
+    return { key, weight, dropLowest };
+  });
+
+  if (new Set(normalized.map(category => category.key)).size !== normalized.length) {
+    throw new ServiceError(400, 'INVALID_GRADEBOOK', 'Each category can only be listed once');
+  }
+  const totalWeight = round(normalized.reduce((sum, category) => sum + category.weight, 0));
+  if (totalWeight !== 100) {
+    throw new ServiceError(400, 'INVALID_GRADEBOOK', `Category weights must add up to 100 (got ${totalWeight})`);
+  }
+  return normalized;
+};
+
+const normalizeTerms = (terms) => {
+  if (!Array.isArray(terms)) {
+    throw new ServiceError(400, 'INVALID_GRADEBOOK', 'terms must be an array');
+  }
+
+  const normalized = terms.map(term => {
+    const startDate = new Date(term?.startDate);
+    const endDate = new Date(term?.endDate);
+    if (!term?.name || !String(term.name).trim()) {
+      throw new ServiceError(400, 'INVALID_GRADEBOOK', 'Each term needs a name');
+    }
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime()) || endDate <= startDate) {
+      throw new ServiceError(400, 'INVALID_GRADEBOOK', `Term "${term.name}" needs a startDate before its endDate`);
+    }
+    return { ...(isObjectId(term._id) && { _id: term._id }), name: String(term.name).trim(), startDate, endDate };
+  }).sort((a, b) => a.startDate - b.startDate);
+
+  normalized.forEach((term, index) => {
+    if (index > 0 && term.startDate < normalized[index - 1].endDate) {
+      throw new ServiceError(400, 'INVALID_GRADEBOOK', `Terms "${normalized[index - 1].name}" and "${term.name}" overlap`);
+    }
+  });
+  return normalized;
+};
+
+/**
+ * Apply name/subject/categories/terms/gradingScale/missingAsZero from a request body to a gradebook.
+ * An empty gradingScale falls back to the school's scale.
+ */
+export const applyGradebookFields = (gradebook, { name, subject, categories, terms, gradingScale, missingAsZero }) => {
+  if (name !== undefined) gradebook.name = String(name).trim();
+  if (subject !== undefined) gradebook.subject = subject || undefined;
+  if (categories !== undefined) gradebook.categories = normalizeCategories(categories);
+  if (terms !== undefined) gradebook.terms = normalizeTerms(terms);
+  if (gradingScale !== undefined) {
+    gradebook.gradingScale = gradingScale === null || (Array.isArray(gradingScale) && gradingScale.length === 0)
+      ? []
+      : normalizeGradingScale(gradingScale);
+  }
+  if (missingAsZero !== undefined) gradebook.missingAsZero = missingAsZero === true || missingAsZero === 'true';
+
+  if (!gradebook.name) {
+    throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'Gradebook name is required');
+  }
+  if (!gradebook.categories?.length) {
+    throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'A gradebook needs at least one weighted category');
+  }
+  return gradebook;
+};
+
+/**
+ * Create a gradebook for a class, or for a level of the teacher's (all their students at that level)
+ * @param {Object} body - { classId | level, teacherId (admins only), name, subject, categories, terms, gradingScale, missingAsZero }
+ * @param {Object} user - Authenticated teacher or admin
+ */
+export const createGradebook = async (body, user) => {
+  const gradebook = new Gradebook({});
+
+  if (body.classId) {
+    const cls = isObjectId(body.classId) ? await Class.findById(body.classId) : null;
+    if (!cls || (user.role !== 'admin' && cls.teacherId.toString() !== user._id.toString())) {
+      throw new ServiceError(404, 'CLASS_NOT_FOUND', 'Class not found');
+    }
+    if (await Gradebook.exists({ classId: cls._id })) {
+      throw new ServiceError(409, 'GRADEBOOK_EXISTS', 'This class already has a gradebook');
+    }
+    Object.assign(gradebook, {
+      classId: cls._id,
+      level: cls.level,
+      teacherId: cls.teacherId,
+      schoolId: cls.schoolId || null
+    });
+  } else {
+    const level = parseInt(body.level);
+    if (!(level >= 1 && level <= 5)) {
+      throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'classId or a level between 1 and 5 is required');
+    }
+    const teacher = user.role === 'admin' && body.teacherId
+      ? await User.findOne({ _id: isObjectId(body.teacherId) ? body.teacherId : null, role: 'teacher' })
+      : user;
+    if (!teacher || teacher.role !== 'teacher') {
+      throw new ServiceError(404, 'TEACHER_NOT_FOUND', 'Teacher not found');
+    }
+    Object.assign(gradebook, { level, teacherId: teacher._id, schoolId: teacher.schoolId || null });
+  }
+
+  applyGradebookFields(gradebook, body);
+  await gradebook.save();
+  return gradebook;
+};
+
+/**
+ * Load a gradebook its teacher (or an admin) manages
+ */
+export const loadGradebook = async (gradebookId, user) => {
+  const gradebook = isObjectId(gradebookId) ? await Gradebook.findById(gradebookId) : null;
+  if (!gradebook || (user.role !== 'admin' && gradebook.teacherId.toString() !== user._id.toString())) {
+    throw new ServiceError(404, 'GRADEBOOK_NOT_FOUND', 'Gradebook not found');
+  }
+  return gradebook;
+};
+
+/**
+ * Gradebook settings as returned by the API
+ */
+export const formatGradebook = (gradebook) => ({
+  id: gradebook._id,
+  name: gradebook.name,
+  teacherId: gradebook.teacherId,
+  classId: gradebook.classId || null,
+  level: gradebook.level,
+  subject: gradebook.subject || null,
+  categories: gradebook.categories.map(({ key, weight, dropLowest }) => ({ key, weight, dropLowest })),
+  terms: gradebook.terms.map(({ _id, name, startDate, endDate }) => ({ id: _id, name, startDate, endDate })),
+  gradingScale: gradebook.gradingScale.map(({ letter, minPercentage }) => ({ letter, minPercentage })),
+  missingAsZero: gradebook.missingAsZero,
+  createdAt: gradebook.createdAt,
+  updatedAt: gradebook.updatedAt
+});
+
+/**
+ * Students a gradebook covers: the class's students, or every student of the school at the level
+ */
+export const getGradebookStudents = async (gradebook) => {
+  if (gradebook.classId) {
+    const cls = await Class.findById(gradebook.classId).select('students').lean();
+    return User.find({ _id: { $in: cls?.students || [] }, role: 'student' });
+  }
+  return User.find({ role: 'student', selectedLevel: gradebook.level, schoolId: gradebook.schoolId || null });
+};
+
+const coversStudent = async (gradebook, student) => {
+  if (gradebook.classId) {
+    return Class.exists({ _id: gradebook.classId, students: student._id });
+  }
+  return student.selectedLevel === gradebook.level && isSameSchool(student.schoolId, gradebook.schoolId);
+};
+
+/**
+ * Gradebooks that cover a student: those of their classes, and level gradebooks of their school
+ */
+export const getStudentGradebooks = async (student) => {
+  const classes = await Class.find({ students: student._id, isActive: true }).select('_id').lean();
+  return Gradebook.find({
+    $or: [
+      { classId: { $in: classes.map(cls => cls._id) } },
+      { classId: null, level: student.selectedLevel, schoolId: student.schoolId || null }
+    ]
+  }).sort({ updatedAt: -1 });
+};
+
+/**
+ * Load a gradebook to show one student's grades: the gradebook's teacher and admins,
+ * or (after authorizeStudentAccess) the student and their parents when the gradebook covers the student
+ */
+export const loadGradebookForStudent = async (gradebookId, studentId, user) => {
+  const gradebook = isObjectId(gradebookId) ? await Gradebook.findById(gradebookId) : null;
+  const student = isObjectId(studentId) ? await User.findOne({ _id: studentId, role: 'student' }) : null;
+
+  const isManager = gradebook && (user.role === 'admin' || gradebook.teacherId.toString() === user._id.toString());
+  if (!gradebook || (user.role === 'teacher' && !isManager)) {
+    throw new ServiceError(404, 'GRADEBOOK_NOT_FOUND', 'Gradebook not found');
+  }
+  if (!student || !(await coversStudent(gradebook, student))) {
+    throw new ServiceError(404, 'STUDENT_NOT_FOUND', 'Student is not in this gradebook');
+  }
+  return { gradebook, student };
+};
+
+/**
+ * The term with the given ID; null (all terms) when no termId is given
+ */
+const findTerm = (gradebook, termId) => {
+  if (!termId) return null;
+  const term = gradebook.terms.find(entry => entry._id.toString() === String(termId));
+  if (!term) {
+    throw new ServiceError(404, 'TERM_NOT_FOUND', 'Term not found in this gradebook');
+  }
+  return term;
+};
+
+const inTerm = (term, date) => !term || (date >= term.startDate && date < term.endDate);
+
+const categoryOf = (gradebook, key) => gradebook.categories.find(category => category.key === key);
+
+/**
+ * Collect every student's results for the gradebook's categories
+ * @returns {Promise<Map<string, Array>>} studentId -> [{ category, source, id, title, date, score, maxScore, percentage, status }]
+ *   status is 'graded', 'missing' (past due, counted as 0 with missingAsZero) or 'pending' (submitted, not graded yet; not counted)
+ */
+const collectResults = async (gradebook, students, term) => {
+  const results = new Map(students.map(student => [student._id.toString(), []]));
+  const studentIds = students.map(student => student._id);
+  const push = (studentId, item) => results.get(studentId.toString())?.push(item);
+  const now = new Date();
+
+  // Assignments, under the category each one is filed in
+  const assignments = await Assignment.find({
+    teacherId: gradebook.teacherId,
+    level: gradebook.level,
+    isDeleted: { $ne: true },
+    ...(gradebook.subject && { subject: gradebook.subject }),
+    ...(gradebook.classId && { $or: [{ classIds: gradebook.classId }, { classIds: { $size: 0 } }] })
+  });
+  const published = assignments.filter(assignment =>
+    isAssignmentPublished(assignment, now) && categoryOf(gradebook, assignment.gradebookCategory || 'assignments'));
+
+  if (published.length > 0) {
+    const memberships = await Class.find({ students: { $in: studentIds }, isActive: true }).select('students').lean();
+    const classIdsOf = (studentId) => memberships
+      .filter(cls => cls.students.some(id => id.toString() === studentId.toString()))
+      .map(cls => cls._id);
+
+    const publishedIds = published.map(assignment => assignment._id);
+    // Group submissions count for every member of the group
+    const groups = await AssignmentGroup.find({ assignmentId: { $in: publishedIds }, 'members.studentId': { $in: studentIds } })
+      .select('members.studentId').lean();
+    const groupMembers = new Map(groups.map(group => [group._id.toString(), group.members.map(member => member.studentId.toString())]));
+    const submissions = await Submission.find({
+      assignmentId: { $in: publishedIds },
+      $or: [{ studentId: { $in: studentIds } }, { groupId: { $in: groups.map(group => group._id) } }]
+    }).sort({ versionNumber: -1 }).lean();
+    const isOwn = (submission, studentId) => submission.studentId.toString() === studentId ||
+      (!!submission.groupId && (groupMembers.get(submission.groupId.toString()) || []).includes(studentId));
+
+    students.forEach(student => {
+      const studentClassIds = classIdsOf(student._id);
+      published.forEach(assignment => {
+        if (!isTargetedAtStudent(assignment, student, studentClassIds)) return;
+        const dueDate = getStudentDueDate(assignment, student._id);
+        if (!inTerm(term, dueDate)) return;
+
+        const own = submissions.filter(submission =>
+          submission.assignmentId.toString() === assignment._id.toString() && isOwn(submission, student._id.toString()));
+        // The most recent graded version counts until a newer revision is graded
+        const graded = own.find(submission => submission.grade?.totalScore !== undefined && submission.grade?.totalScore !== null);
+
+        const item = {
+          category: assignment.gradebookCategory || 'assignments',
+          source: 'assignment',
+          id: assignment._id,
+          title: assignment.title,
+          date: dueDate,
+          maxScore: assignment.totalPoints
+        };
+        if (graded) {
+          const { totalScore } = getMemberGrade(graded.grade, student._id);
+          push(student._id, { ...item, score: totalScore, percentage: round((totalScore / assignment.totalPoints) * 100), status: 'graded' });
+        } else if (own.length > 0) {
+          push(student._id, { ...item, score: null, percentage: null, status: 'pending' });
+        } else if (gradebook.missingAsZero && dueDate < now) {
+          push(student._id, { ...item, score: 0, percentage: 0, status: 'missing' });
+        }
+      });
+    });
+  }
+
+  // Results of quizzes at the gradebook's level (and subject): each quiz counts once, with the score
+  // its scoring policy counts (best by default)
+  if (categoryOf(gradebook, 'quizzes')) {
+    const quizIds = await Quiz.find({
+      level: gradebook.level,
+      ...(gradebook.subject && { subject: gradebook.subject })
+    }).distinct('_id');
+    const quizResults = await QuizResult.find({
+      studentId: { $in: studentIds },
+      quizId: { $in: quizIds },
+      ...(term && { completedAt: { $gte: term.startDate, $lt: term.endDate } })
+    }).select('studentId resourceId resourceTitle quizId score completedAt').lean();
+
+    (await getCountedQuizScores(quizResults)).forEach(quiz => push(quiz.studentId, {
+      category: 'quizzes',
+      source: 'quiz',
+      id: quiz.resourceId,
+      title: quiz.resourceTitle,
+      date: quiz.completedAt,
+      score: quiz.score,
+      maxScore: 100,
+      percentage: quiz.score,
+      status: 'graded'
+    }));
+  }
+
+  // Completed simulations at the gradebook's level (and subject), scored against their game's maximum
+  if (categoryOf(gradebook, 'simulations')) {
+    const simulations = await Simulation.find({
+      studentId: { $in: studentIds },
+      level: gradebook.level,
+      // Simulation subjects are stored in lower case
+      ...(gradebook.subject && { subject: gradebook.subject.toLowerCase() }),
+      'state.status': 'completed',
+      ...(term && { 'state.completedAt': { $gte: term.startDate, $lt: term.endDate } })
+    }).select('studentId title state.completedAt state.results.gameScore state.gameState.score gameConfig.maxScore').lean();
+
+    simulations.forEach(simulation => {
+      const maxScore = simulation.gameConfig?.maxScore || 100;
+      const score = Math.min(simulation.state?.results?.gameScore ?? simulation.state?.gameState?.score ?? 0, maxScore);
+      push(simulation.studentId, {
+        category: 'simulations',
+        source: 'simulation',
+        id: simulation._id,
+        title: simulation.title,
+        date: simulation.state.completedAt,
+        score,
+        maxScore,
+        percentage: round((score / maxScore) * 100),
+        status: 'graded'
+      });
+    });
+  }
+
+  results.forEach(items => items.sort((a, b) => new Date(a.date) - new Date(b.date)));
+  return results;
+};
+
+/**
+ * Average of a category's percentages after dropping the lowest `dropLowest` (at least one result is kept)
+ * @returns {{ percentage: number|null, counted: Array, dropped: Array }}
+ */
+export const averageCategory = (items, dropLowest = 0) => {
+  const scored = items.filter(item => item.percentage !== null && item.percentage !== undefined);
+  const dropCount = Math.min(dropLowest, Math.max(scored.length - 1, 0));
+  const ranked = [...scored].sort((a, b) => a.percentage - b.percentage);
+  const dropped = ranked.slice(0, dropCount);
+  const counted = ranked.slice(dropCount);
+
+  return {
+    percentage: counted.length > 0 ? round(counted.reduce((sum, item) => sum + item.percentage, 0) / counted.length) : null,
+    counted,
+    dropped
+  };
+};
+
+/**
+ * Weighted total of a student's results. Categories without results yet are left out and the
+ * remaining weights are scaled up, so the total is the student's standing so far.
+ * @param {Object} gradebook
+ * @param {Array} items - The student's results (see collectResults)
+ * @param {Array} gradingScale
+ */
+export const calculateWeightedTotal = (gradebook, items, gradingScale) => {
+  const categories = gradebook.categories.map(({ key, weight, dropLowest }) => {
+    const { percentage, counted, dropped } = averageCategory(items.filter(item => item.category === key), dropLowest);
+    return { key, weight, dropLowest, percentage, counted, dropped };
+  });
+
+  const active = categories.filter(category => category.percentage !== null && category.weight > 0);
+  const activeWeight = active.reduce((sum, category) => sum + category.weight, 0);
+  const percentage = activeWeight > 0
+    ? round(active.reduce((sum, category) => sum + category.weight * category.percentage, 0) / activeWeight)
+    : null;
+
+  return {
+    percentage,
+    letterGrade: percentage === null ? null : calculateLetterGrade(percentage, gradingScale),
+    categories
+  };
+};
+
+/**
+ * The student's total after each result, in date order
+ */
+const runningTotals = (gradebook, items, gradingScale) => items
+  .filter(item => item.percentage !== null)
+  .map((item, index, scored) => {
+    const { percentage, letterGrade } = calculateWeightedTotal(gradebook, scored.slice(0, index + 1), gradingScale);
+    return { date: item.date, source: item.source, id: item.id, title: item.title, percentage, letterGrade };
+  });
+
+const formatItem = ({ category, source, id, title, date, score, maxScore, percentage, status }) =>
+  ({ category, source, id, title, date, score, maxScore, percentage, status });
+
+const formatStudent = (student) => ({
+  id: student._id,
+  firstName: student.profile?.firstName || '',
+  lastName: student.profile?.lastName || '',
+  email: student.email
+});
+
+/**
+ * The letter scale a gradebook uses: its own, else the school's
+ */
+export const getGradebookScale = async (gradebook) =>
+  resolveGradingScale(gradebook.gradingScale, (await getSchoolSettings(gradebook.schoolId)).gradingScale);
+
+/**
+ * Totals for every student in the gradebook, for one term or the whole gradebook
+ * @param {Object} gradebook
+ * @param {Object} options - { termId }
+ */
+export const getGradebookTotals = async (gradebook, { termId } = {}) => {
+  const term = findTerm(gradebook, termId);
+  const gradingScale = await getGradebookScale(gradebook);
+  const students = await getGradebookStudents(gradebook);
+  const results = await collectResults(gradebook, students, term);
+
+  const rows = students.map(student => {
+    const total = calculateWeightedTotal(gradebook, results.get(student._id.toString()), gradingScale);
+    return {
+      student: formatStudent(student),
+      percentage: total.percentage,
+      letterGrade: total.letterGrade,
+      categories: total.categories.map(({ key, weight, percentage, counted, dropped }) => ({
+        key,
+        weight,
+        percentage,
+        counted: counted.length,
+        dropped: dropped.length
+      }))
+    };
+  }).sort((a, b) => `${a.student.lastName} ${a.student.firstName}`.localeCompare(`${b.student.lastName} ${b.student.firstName}`));
+
+  return {
+    term: term ? { id: term._id, name: term.name, startDate: term.startDate, endDate: term.endDate } : null,
+    gradingScale,
+    students: rows
+  };
+};
+
+/**
+ * One student's gradebook: every result with what was counted or dropped, the total per term,
+ * and the running total after each result
+ * @param {Object} gradebook
+ * @param {Object} student - Student user
+ * @param {Object} options - { termId }
+ */
+export const getStudentGradebook = async (gradebook, student, { termId } = {}) => {
+  const term = findTerm(gradebook, termId);
+  const gradingScale = await getGradebookScale(gradebook);
+  const items = (await collectResults(gradebook, [student], term)).get(student._id.toString());
+  const total = calculateWeightedTotal(gradebook, items, gradingScale);
+
+  const dropped = new Set(total.categories.flatMap(category => category.dropped));
+
+  return {
+    student: formatStudent(student),
+    term: term ? { id: term._id, name: term.name, startDate: term.startDate, endDate: term.endDate } : null,
+    percentage: total.percentage,
+    letterGrade: total.letterGrade,
+    categories: total.categories.map(({ key, weight, dropLowest, percentage }) => ({
+      key,
+      weight,
+      dropLowest,
+      percentage,
+      items: items.filter(item => item.category === key).map(item => ({
+        ...formatItem(item),
+        dropped: dropped.has(item)
+      }))
+    })),
+    terms: term ? undefined : gradebook.terms.map(entry => {
+      const termTotal = calculateWeightedTotal(gradebook, items.filter(item => inTerm(entry, new Date(item.date))), gradingScale);
+      return { id: entry._id, name: entry.name, percentage: termTotal.percentage, letterGrade: termTotal.letterGrade };
+    }),
+    runningTotals: runningTotals(gradebook, items, gradingScale)
+  };
+};
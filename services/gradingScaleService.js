@@ -0,0 +1,64 @@
+import { ServiceError } from '../utils/errors.js';
+
+/**
+ * Grading Scale Service
+ * Letter-grade scales: the platform default, overridden per school (settings.gradingScale)
+ * and per gradebook. A scale is a list of { letter, minPercentage } bands, highest first.
+ */
+
+export const DEFAULT_GRADING_SCALE = [
+  { letter: 'A+', minPercentage: 97 },
+  { letter: 'A', minPercentage: 93 },
+  { letter: 'A-', minPercentage: 90 },
+  { letter: 'B+', minPercentage: 87 },
+  { letter: 'B', minPercentage: 83 },
+  { letter: 'B-', minPercentage: 80 },
+  { letter: 'C+', minPercentage: 77 },
+  { letter: 'C', minPercentage: 73 },
+  { letter: 'C-', minPercentage: 70 },
+  { letter: 'D+', minPercentage: 67 },
+  { letter: 'D', minPercentage: 65 },
+  { letter: 'D-', minPercentage: 60 },
+  { letter: 'F', minPercentage: 0 }
+];
+
+/**
+ * Validate a grading scale and sort it highest band first
+ * @param {Array} scale - [{ letter, minPercentage }]
+ * @param {string} code - Error code to report (e.g. INVALID_SETTINGS for school settings)
+ * @returns {Array} Normalized scale
+ */
+export const normalizeGradingScale = (scale, code = 'INVALID_GRADING_SCALE') => {
+  if (!Array.isArray(scale) || scale.length === 0) {
+    throw new ServiceError(400, code, 'gradingScale must be a non-empty array');
+  }
+  const invalid = scale.some(band =>
+    !band?.letter || typeof band.minPercentage !== 'number' || band.minPercentage < 0 || band.minPercentage > 100
+  );
+  if (invalid) {
+    throw new ServiceError(400, code, 'Each grading band needs a letter and a minPercentage between 0 and 100');
+  }
+
+  const sorted = [...scale].sort((a, b) => b.minPercentage - a.minPercentage);
+  if (sorted[sorted.length - 1].minPercentage !== 0) {
+    throw new ServiceError(400, code, 'gradingScale must include a band starting at 0%');
+  }
+  if (new Set(sorted.map(band => band.minPercentage)).size !== sorted.length) {
+    throw new ServiceError(400, code, 'Each grading band needs a different minPercentage');
+  }
+  return sorted.map(({ letter, minPercentage }) => ({ letter: String(letter).trim(), minPercentage }));
+};
+
+/**
+ * The first configured scale, most specific first (e.g. gradebook, then school); the platform default otherwise
+ */
+export const resolveGradingScale = (...scales) => scales.find(scale => scale?.length > 0) || DEFAULT_GRADING_SCALE;
+
+/**
+ * Letter grade for a percentage
+ */
+export const calculateLetterGrade = (percentage, scale = DEFAULT_GRADING_SCALE) => {
+  const sorted = [...scale].sort((a, b) => b.minPercentage - a.minPercentage);
+  const band = sorted.find(entry => percentage >= entry.minPercentage);
+  return band ? band.letter : sorted[sorted.length - 1].letter;
+};
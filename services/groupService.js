@@ -0,0 +1,447 @@
+import AssignmentGroup from '../models/assignmentGroupModels.js';
+import { Submission } from '../models/assignmentModels.js';
+import User from '../models/userModels.js';
+import { createNotification } from '../controllers/notificationController.js';
+import { getStudentClassIds, isTargetedAtStudent } from './classService.js';
+import { getAssignmentForStudent, getStudentGroup, saveGrade, hasGrade } from './assignmentService.js';
+import { ServiceError } from '../utils/errors.js';
+
+/**
+ * Group Service
+ * Student groups on group assignments: the teacher puts students in groups, or students form and
+ * join groups themselves (within the size limits) until the due date. Membership is fixed once a
+ * group has submitted. Teachers can adjust individual members' grades relative to the group's score.
+ */
+
+const isObjectId = (value) => /^[a-f\d]{24}$/i.test(String(value || ''));
+const fullName = (user) => `${user?.profile?.firstName || ''} ${user?.profile?.lastName || ''}`.trim();
+
+const DEFAULT_GROUP_SETTINGS = { enabled: false, formation: 'teacher', minSize: 2, maxSize: 4 };
+
+const parseSize = (value, field) => {
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < 1 || size > 10) {
+    throw new ServiceError(400, 'INVALID_GROUP_SETTINGS', `${field} must be a whole number between 1 and 10`);
+  }
+  return size;
+};
+
+/**
+ * Validate group settings and merge them over the current ones
+ * @param {Object} input - { enabled, formation, minSize, maxSize }
+ * @param {Object} current - The stored settings, if any
+ * @param {boolean} hasSubmissions - Whether students have submitted; enabled is then locked
+ */
+export const validateGroupSettings = (input, current, hasSubmissions = false) => {
+  if (input !== undefined && (input === null || typeof input !== 'object' || Array.isArray(input))) {
+    throw new ServiceError(400, 'INVALID_GROUP_SETTINGS', 'groupSettings must be an object');
+  }
+
+  const settings = { ...DEFAULT_GROUP_SETTINGS, ...(current?.toObject ? current.toObject() : current) };
+  const updates = input || {};
+
+  if (updates.enabled !== undefined) {
+    const enabled = updates.enabled === true || updates.enabled === 'true';
+    if (hasSubmissions && enabled !== settings.enabled) {
+      throw new ServiceError(409, 'ASSIGNMENT_LOCKED', 'Cannot turn group work on or off after students have submitted');
+    }
+    settings.enabled = enabled;
+  }
+  if (updates.formation !== undefined) {
+    if (!['teacher', 'self'].includes(updates.formation)) {
+      throw new ServiceError(400, 'INVALID_GROUP_SETTINGS', 'formation must be teacher or self');
+    }
+    settings.formation = updates.formation;
+  }
+  if (updates.minSize !== undefined) settings.minSize = parseSize(updates.minSize, 'minSize');
+  if (updates.maxSize !== undefined) settings.maxSize = parseSize(updates.maxSize, 'maxSize');
+  if (settings.minSize > settings.maxSize) {
+    throw new ServiceError(400, 'INVALID_GROUP_SETTINGS', 'minSize cannot be larger than maxSize');
+  }
+
+  return settings;
+};
+
+/**
+ * Peer review pairs individual submitters, so it cannot be combined with group work
+ */
+export const assertGroupsWithoutPeerReview = (groupSettings, peerReview) => {
+  if (groupSettings?.enabled && peerReview?.enabled) {
+    throw new ServiceError(400, 'INVALID_GROUP_SETTINGS', 'Peer review is not available for group assignments');
+  }
+};
+
+/**
+ * Group as returned by the API; members must be populated.
+ * Grade adjustments are only included for the teacher.
+ */
+export const formatGroup = (group, { hasSubmitted = false, includeAdjustments = false } = {}) => ({
+  id: group._id,
+  assignmentId: group.assignmentId,
+  name: group.name,
+  members: group.members.map(member => ({
+    id: member.studentId?._id || member.studentId,
+    name: fullName(member.studentId),
+    joinedAt: member.joinedAt,
+    ...(includeAdjustments && {
+      gradeAdjustment: {
+        points: member.gradeAdjustment?.points || 0,
+        reason: member.gradeAdjustment?.reason || ''
+      }
+    })
+  })),
+  hasSubmitted,
+  createdAt: group.createdAt,
+  updatedAt: group.updatedAt
+});
+
+const requireGroupAssignment = (assignment) => {
+  if (!assignment.groupSettings?.enabled) {
+    throw new ServiceError(400, 'NOT_GROUP_ASSIGNMENT', 'This assignment is not a group assignment');
+  }
+};
+
+// Self-formed groups can change until the assignment is due
+const requireSelfFormation = (assignment) => {
+  requireGroupAssignment(assignment);
+  if (assignment.groupSettings.formation !== 'self') {
+    throw new ServiceError(403, 'GROUPS_TEACHER_ASSIGNED', 'Groups for this assignment are set by the teacher');
+  }
+  if (new Date() > assignment.dueDate) {
+    throw new ServiceError(409, 'GROUP_FORMATION_CLOSED', 'Groups can no longer change after the due date');
+  }
+};
+
+const hasSubmitted = (group) => Submission.exists({ groupId: group._id });
+
+const requireUnlocked = async (group) => {
+  if (await hasSubmitted(group)) {
+    throw new ServiceError(409, 'GROUP_LOCKED', 'Group membership cannot change after the group has submitted');
+  }
+};
+
+const loadGroup = async (assignment, groupId) => {
+  const group = isObjectId(groupId) ? await AssignmentGroup.findById(groupId) : null;
+  if (!group || group.assignmentId.toString() !== assignment._id.toString()) {
+    throw new ServiceError(404, 'GROUP_NOT_FOUND', 'Group not found');
+  }
+  return group;
+};
+
+const populateMembers = (group) => group.populate('members.studentId', 'profile.firstName profile.lastName email');
+
+const notifyMembers = async (assignment, group, studentIds, message) => {
+  for (const studentId of studentIds) {
+    await createNotification({
+      userId: studentId,
+      type: 'group_updated',
+      message,
+      data: {
+        assignmentId: assignment._id,
+        assignmentTitle: assignment.title,
+        groupId: group._id,
+        groupName: group.name
+      },
+      link: `/student/assignments/${assignment._id}`
+    });
+  }
+};
+
+/**
+ * Check that students can be placed in a group: assigned the assignment and in no other group
+ * @returns {Promise<Array>} The student documents
+ */
+const validateMembers = async (assignment, memberIds, groupId) => {
+  if (!Array.isArray(memberIds)) {
+    throw new ServiceError(400, 'INVALID_MEMBERS', 'memberIds must be an array of student IDs');
+  }
+  const ids = [...new Set(memberIds.map(String))];
+  if (ids.length > assignment.groupSettings.maxSize) {
+    throw new ServiceError(400, 'GROUP_TOO_LARGE', `A group can have at most ${assignment.groupSettings.maxSize} members`);
+  }
+
+  const students = ids.every(isObjectId) ? await User.find({ _id: { $in: ids }, role: 'student' }) : [];
+  if (students.length !== ids.length) {
+    throw new ServiceError(404, 'STUDENT_NOT_FOUND', 'One or more students were not found');
+  }
+  for (const student of students) {
+    if (!isTargetedAtStudent(assignment, student, await getStudentClassIds(student._id))) {
+      throw new ServiceError(400, 'STUDENT_NOT_ASSIGNED', `This assignment is not assigned to ${fullName(student) || student._id}`);
+    }
+  }
+
+  const taken = await AssignmentGroup.find({
+    assignmentId: assignment._id,
+    'members.studentId': { $in: ids },
+    ...(groupId && { _id: { $ne: groupId } })
+  }).select('name members.studentId').lean();
+  if (taken.length > 0) {
+    const takenIds = taken.flatMap(group => group.members.map(member => member.studentId.toString()));
+    throw new ServiceError(409, 'ALREADY_IN_GROUP', 'One or more students are already in another group', {
+      studentIds: ids.filter(id => takenIds.includes(id))
+    });
+  }
+
+  return students;
+};
+
+// Duplicate key on the one-group-per-student index, rather than on the group name
+const isMembershipConflict = (error) => error.code === 11000 && Boolean(error.keyPattern?.['members.studentId']);
+
+// Save a group, turning duplicate keys into a taken name or a student already in another group
+const saveUniqueGroup = async (save) => {
+  try {
+    return await save();
+  } catch (error) {
+    if (isMembershipConflict(error)) {
+      throw new ServiceError(409, 'ALREADY_IN_GROUP', 'One or more students are already in another group');
+    }
+    if (error.code === 11000) {
+      throw new ServiceError(409, 'GROUP_NAME_TAKEN', 'Another group already has this name');
+    }
+    throw error;
+  }
+};
+
+const createUniqueGroup = (fields) => saveUniqueGroup(() => AssignmentGroup.create(fields));
+
+/**
+ * Groups of an assignment, each with whether it has submitted
+ * @param {Object} assignment
+ * @param {Object} options - { includeAdjustments } for the teacher's view
+ */
+export const getAssignmentGroups = async (assignment, { includeAdjustments = false } = {}) => {
+  const groups = await AssignmentGroup.find({ assignmentId: assignment._id })
+    .populate('members.studentId', 'profile.firstName profile.lastName email')
+    .sort({ name: 1 });
+  const submitted = (await Submission.distinct('groupId', { assignmentId: assignment._id, groupId: { $ne: null } })).map(String);
+
+  return groups.map(group => formatGroup(group, {
+    hasSubmitted: submitted.includes(group._id.toString()),
+    includeAdjustments
+  }));
+};
+
+/**
+ * A student's view of the groups: every group (to choose one when students form their own) and their own
+ */
+export const getStudentGroups = async (assignmentId, studentId) => {
+  const { assignment } = await getAssignmentForStudent(assignmentId, studentId);
+  requireGroupAssignment(assignment);
+
+  const groups = await getAssignmentGroups(assignment);
+  const own = groups.find(group => group.members.some(member => member.id.toString() === String(studentId)));
+
+  return {
+    groupSettings: assignment.groupSettings,
+    formationOpen: assignment.groupSettings.formation === 'self' && new Date() <= assignment.dueDate,
+    myGroupId: own?.id || null,
+    groups
+  };
+};
+
+/**
+ * Create a group (Teacher) with the given members
+ * @param {Object} assignment
+ * @param {Object} params - { name, memberIds }
+ * @param {Object} teacher
+ */
+export const createGroup = async (assignment, { name, memberIds = [] }, teacher) => {
+  requireGroupAssignment(assignment);
+  if (!name || !String(name).trim()) {
+    throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'name is required');
+  }
+
+  const students = await validateMembers(assignment, memberIds);
+  const group = await createUniqueGroup({
+    assignmentId: assignment._id,
+    name: String(name).trim(),
+    members: students.map(student => ({ studentId: student._id })),
+    createdBy: teacher._id
+  });
+
+  await notifyMembers(assignment, group, students.map(student => student._id),
+    `You have been placed in group "${group.name}" for "${assignment.title}"`);
+
+  return populateMembers(group);
+};
+
+/**
+ * Rename a group or replace its members (Teacher). Members are locked once the group has submitted.
+ * @param {Object} params - { name, memberIds }
+ */
+export const updateGroup = async (assignment, groupId, { name, memberIds }) => {
+  requireGroupAssignment(assignment);
+  const group = await loadGroup(assignment, groupId);
+
+  if (name !== undefined) {
+    if (!String(name).trim()) {
+      throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'name cannot be empty');
+    }
+    group.name = String(name).trim();
+  }
+
+  let added = [];
+  let removed = [];
+  if (memberIds !== undefined) {
+    await requireUnlocked(group);
+    const students = await validateMembers(assignment, memberIds, group._id);
+    const before = group.members.map(member => member.studentId.toString());
+    const after = students.map(student => student._id.toString());
+
+    added = after.filter(id => !before.includes(id));
+    removed = before.filter(id => !after.includes(id));
+    group.members = [
+      ...group.members.filter(member => after.includes(member.studentId.toString())),
+      ...added.map(studentId => ({ studentId }))
+    ];
+  }
+
+  await saveUniqueGroup(() => group.save());
+
+  await notifyMembers(assignment, group, added, `You have been placed in group "${group.name}" for "${assignment.title}"`);
+  await notifyMembers(assignment, group, removed, `You have been removed from group "${group.name}" for "${assignment.title}"`);
+
+  return populateMembers(group);
+};
+
+/**
+ * Delete a group that has not submitted (Teacher)
+ */
+export const deleteGroup = async (assignment, groupId) => {
+  const group = await loadGroup(assignment, groupId);
+  if (await hasSubmitted(group)) {
+    throw new ServiceError(409, 'GROUP_LOCKED', 'A group that has submitted cannot be deleted');
+  }
+  await group.deleteOne();
+
+  await notifyMembers(assignment, group, group.members.map(member => member.studentId),
+    `Group "${group.name}" for "${assignment.title}" was removed by your teacher`);
+};
+
+/**
+ * Start a new group as its first member (Student, self-formed groups only)
+ * @param {string} assignmentId
+ * @param {Object} params - { name }
+ * @param {Object} student
+ */
+export const formGroup = async (assignmentId, { name }, student) => {
+  const { assignment } = await getAssignmentForStudent(assignmentId, student._id);
+  requireSelfFormation(assignment);
+  if (!name || !String(name).trim()) {
+    throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'name is required');
+  }
+  if (await getStudentGroup(assignment._id, student._id)) {
+    throw new ServiceError(409, 'ALREADY_IN_GROUP', 'You are already in a group for this assignment');
+  }
+
+  const group = await createUniqueGroup({
+    assignmentId: assignment._id,
+    name: String(name).trim(),
+    members: [{ studentId: student._id }],
+    createdBy: student._id
+  });
+
+  return populateMembers(group);
+};
+
+/**
+ * Join a group that has room (Student, self-formed groups only)
+ */
+export const joinGroup = async (assignmentId, groupId, student) => {
+  const { assignment } = await getAssignmentForStudent(assignmentId, student._id);
+  requireSelfFormation(assignment);
+  const group = await loadGroup(assignment, groupId);
+
+  if (await getStudentGroup(assignment._id, student._id)) {
+    throw new ServiceError(409, 'ALREADY_IN_GROUP', 'You are already in a group for this assignment');
+  }
+  await requireUnlocked(group);
+
+  // Only push while there is room, so simultaneous joins cannot overfill the group; the unique
+  // membership index stops simultaneous joins of two groups
+  const maxSize = assignment.groupSettings.maxSize;
+  const joined = await saveUniqueGroup(() => AssignmentGroup.findOneAndUpdate(
+    { _id: group._id, [`members.${maxSize - 1}`]: { $exists: false }, 'members.studentId': { $ne: student._id } },
+    { $push: { members: { studentId: student._id, joinedAt: new Date() } }, $set: { updatedAt: new Date() } },
+    { new: true }
+  ));
+  if (!joined) {
+    throw new ServiceError(409, 'GROUP_FULL', `This group already has ${maxSize} members`);
+  }
+
+  await notifyMembers(assignment, joined,
+    joined.members.map(member => member.studentId).filter(id => id.toString() !== student._id.toString()),
+    `${student.profile?.firstName || 'A classmate'} joined your group "${joined.name}" for "${assignment.title}"`);
+
+  return populateMembers(joined);
+};
+
+/**
+ * Leave a group (Student, self-formed groups only). An empty group is removed.
+ */
+export const leaveGroup = async (assignmentId, groupId, student) => {
+  const { assignment } = await getAssignmentForStudent(assignmentId, student._id);
+  requireSelfFormation(assignment);
+  const group = await loadGroup(assignment, groupId);
+
+  if (!group.members.some(member => member.studentId.toString() === student._id.toString())) {
+    throw new ServiceError(404, 'GROUP_NOT_FOUND', 'You are not a member of this group');
+  }
+  await requireUnlocked(group);
+
+  group.members = group.members.filter(member => member.studentId.toString() !== student._id.toString());
+  if (group.members.length === 0) {
+    await group.deleteOne();
+    return null;
+  }
+  await group.save();
+
+  await notifyMembers(assignment, group, group.members.map(member => member.studentId),
+    `${student.profile?.firstName || 'A classmate'} left your group "${group.name}" for "${assignment.title}"`);
+
+  return populateMembers(group);
+};
+
+/**
+ * Set per-member grade adjustments (Teacher). Each member's grade is the group's score plus their
+ * adjustment in points; a graded submission is updated at once and the change kept in the grade history.
+ * @param {Object} assignment
+ * @param {string} groupId
+ * @param {Array} adjustments - [{ studentId, points, reason }]; members left out keep their adjustment
+ * @param {Object} teacher
+ * @returns {Promise<{ group: Object, grade: Object|null }>}
+ */
+export const setGradeAdjustments = async (assignment, groupId, adjustments, teacher) => {
+  requireGroupAssignment(assignment);
+  const group = await loadGroup(assignment, groupId);
+
+  if (!Array.isArray(adjustments) || adjustments.length === 0) {
+    throw new ServiceError(400, 'INVALID_ADJUSTMENTS', 'adjustments must be a non-empty array');
+  }
+
+  for (const { studentId, points, reason } of adjustments) {
+    const member = group.members.find(entry => entry.studentId.toString() === String(studentId));
+    if (!member) {
+      throw new ServiceError(400, 'INVALID_ADJUSTMENTS', `Student ${studentId} is not a member of this group`);
+    }
+    const value = Number(points);
+    if (!Number.isFinite(value) || Math.abs(value) > assignment.totalPoints) {
+      throw new ServiceError(400, 'INVALID_ADJUSTMENTS', `points must be between -${assignment.totalPoints} and ${assignment.totalPoints}`);
+    }
+    member.gradeAdjustment = { points: value, reason: reason ? String(reason).trim() : '' };
+  }
+  await group.save();
+
+  // Re-issue the latest grade so every member's score reflects the new adjustments
+  const graded = (await Submission.find({ groupId: group._id }).sort({ versionNumber: -1 })).find(hasGrade);
+  let grade = null;
+  if (graded) {
+    const submitter = await User.findById(graded.studentId);
+    const plain = graded.grade.toObject();
+    grade = { ...plain, gradedBy: teacher._id, gradedAt: new Date() };
+    await saveGrade(graded, grade, { assignment, student: submitter, grader: teacher, source: 'adjustment' });
+  }
+
+  return { group: await populateMembers(group), grade };
+};
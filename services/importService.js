@@ -0,0 +1,442 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import User from '../models/userModels.js';
+import Class from '../models/classModels.js';
+import School from '../models/schoolModels.js';
+import { createActionToken } from './tokenService.js';
+import { getSchoolSettings, isSameSchool } from './schoolService.js';
+import mailService from './mailService.js';
+import { ACCOUNT_INVITE_TTL_MS } from '../config/auth.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import { ServiceError } from '../utils/errors.js';
+
+/**
+ * Import Service
+ * Bulk onboarding of a school from CSV (students, parents, class rosters) and the matching roster export.
+ * Every row is validated before anything is written; an import with any invalid row creates nothing.
+ */
+
+const MAX_IMPORT_ROWS = 5000;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Column layout per import type; exports use the same columns so a file can be exported, edited and re-imported
+export const IMPORT_COLUMNS = {
+  students: ['email', 'firstName', 'lastName', 'grade', 'level', 'password'],
+  parents: ['email', 'firstName', 'lastName', 'childEmails', 'password'],
+  classes: ['name', 'subject', 'level', 'teacherEmail', 'studentEmails', 'days', 'startTime', 'endTime']
+};
+
+const REQUIRED_COLUMNS = {
+  students: ['email', 'firstName', 'lastName'],
+  parents: ['email', 'firstName', 'lastName'],
+  classes: ['name', 'subject', 'level', 'teacherEmail']
+};
+
+// Multi-value cells are separated by semicolons, e.g. "a@school.org;b@school.org"
+const splitList = (value) => (value ? value.split(';').map(item => item.trim()).filter(Boolean) : []);
+
+const normalizeEmail = (value) => (value || '').trim().toLowerCase();
+
+/**
+ * Validate the CSV header and return the parsed rows
+ */
+const parseImportFile = (type, csvText) => {
+  const { headers, rows } = parseCsv(csvText);
+
+  if (headers.length === 0) {
+    throw new ServiceError(400, 'EMPTY_FILE', 'The CSV file is empty');
+  }
+
+  const missing = REQUIRED_COLUMNS[type].filter(column => !headers.includes(column));
+  if (missing.length > 0) {
+    throw new ServiceError(400, 'MISSING_COLUMNS', `Missing required columns: ${missing.join(', ')}`, {
+      expectedColumns: IMPORT_COLUMNS[type]
+    });
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ServiceError(400, 'TOO_MANY_ROWS', `A single import is limited to ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  return rows;
+};
+
+/**
+ * Load existing users by email in one query
+ * @returns {Promise<Map<string, Object>>} email -> user
+ */
+const findUsersByEmail = async (emails) => {
+  if (emails.length === 0) return new Map();
+  // Case-insensitive match: older accounts were registered without normalizing the email
+  const users = await User.find({ email: { $in: emails } })
+    .collation({ locale: 'en', strength: 2 })
+    .select('email role schoolId profile.firstName profile.lastName profile.children')
+    .lean();
+  return new Map(users.map(user => [user.email.toLowerCase(), user]));
+};
+
+// Shared checks for the account columns of student and parent rows
+const validateAccountRow = (values, fileEmails, existingUsers, rowErrors) => {
+  const email = normalizeEmail(values.email);
+
+  if (!email) {
+    rowErrors.push({ field: 'email', message: 'Email is required' });
+  } else if (!EMAIL_REGEX.test(email)) {
+    rowErrors.push({ field: 'email', message: 'Invalid email format' });
+  } else if (fileEmails.get(email) > 1) {
+    rowErrors.push({ field: 'email', message: 'Email appears more than once in this file' });
+  } else if (existingUsers.has(email)) {
+    rowErrors.push({ field: 'email', message: 'Email already registered' });
+  }
+
+  if (!values.firstName) rowErrors.push({ field: 'firstName', message: 'First name is required' });
+  if (!values.lastName) rowErrors.push({ field: 'lastName', message: 'Last name is required' });
+
+  if (values.password && values.password.length < 6) {
+    rowErrors.push({ field: 'password', message: 'Password must be at least 6 characters long' });
+  }
+
+  return email;
+};
+
+const countEmails = (rows, column) => rows.reduce((counts, { values }) => {
+  const email = normalizeEmail(values[column]);
+  if (email) counts.set(email, (counts.get(email) || 0) + 1);
+  return counts;
+}, new Map());
+
+const validateStudents = async (rows, { settings }) => {
+  const fileEmails = countEmails(rows, 'email');
+  const existingUsers = await findUsersByEmail([...fileEmails.keys()]);
+
+  return rows.map(({ line, values }) => {
+    const errors = [];
+    const email = validateAccountRow(values, fileEmails, existingUsers, errors);
+
+    const grade = values.grade ? parseInt(values.grade) : null;
+    if (values.grade && (isNaN(grade) || grade < 1)) {
+      errors.push({ field: 'grade', message: 'Grade must be a positive number' });
+    }
+
+    const level = values.level ? parseInt(values.level) : null;
+    if (values.level && !settings.allowedLevels.includes(level)) {
+      errors.push({ field: 'level', message: `Level must be one of ${settings.allowedLevels.join(', ')}` });
+    }
+
+    return {
+      line,
+      errors,
+      record: {
+        email,
+        firstName: values.firstName,
+        lastName: values.lastName,
+        grade: grade || level || 1,
+        level,
+        password: values.password || null
+      }
+    };
+  });
+};
+
+const validateParents = async (rows, { schoolId }) => {
+  const fileEmails = countEmails(rows, 'email');
+  const childEmails = rows.flatMap(({ values }) => splitList(values.childEmails).map(normalizeEmail));
+  const existingUsers = await findUsersByEmail([...new Set([...fileEmails.keys(), ...childEmails])]);
+
+  return rows.map(({ line, values }) => {
+    const errors = [];
+    const email = validateAccountRow(values, fileEmails, existingUsers, errors);
+
+    const children = [];
+    splitList(values.childEmails).map(normalizeEmail).forEach(childEmail => {
+      const child = existingUsers.get(childEmail);
+      if (!child || child.role !== 'student') {
+        errors.push({ field: 'childEmails', message: `Student ${childEmail} not found` });
+      } else if (!isSameSchool(child.schoolId, schoolId)) {
+        errors.push({ field: 'childEmails', message: `Student ${childEmail} belongs to another school` });
+      } else {
+        children.push(child._id);
+      }
+    });
+
+    return {
+      line,
+      errors,
+      record: {
+        email,
+        firstName: values.firstName,
+        lastName: values.lastName,
+        children,
+        password: values.password || null
+      }
+    };
+  });
+};
+
+const validateClasses = async (rows, { schoolId, settings }) => {
+  const emails = rows.flatMap(({ values }) => [
+    normalizeEmail(values.teacherEmail),
+    ...splitList(values.studentEmails).map(normalizeEmail)
+  ]).filter(Boolean);
+  const existingUsers = await findUsersByEmail([...new Set(emails)]);
+
+  const existingClasses = await Class.find({ schoolId }).select('name teacherId').lean();
+  const classKeys = new Set(existingClasses.map(cls => `${cls.name.toLowerCase()}|${cls.teacherId}`));
+
+  return rows.map(({ line, values }) => {
+    const errors = [];
+
+    if (!values.name) errors.push({ field: 'name', message: 'Class name is required' });
+    if (!values.subject) {
+      errors.push({ field: 'subject', message: 'Subject is required' });
+    } else if (settings.subjects.length > 0 && !settings.subjects.includes(values.subject)) {
+      errors.push({ field: 'subject', message: `Subject ${values.subject} is not offered by this school` });
+    }
+
+    const level = parseInt(values.level);
+    if (!settings.allowedLevels.includes(level)) {
+      errors.push({ field: 'level', message: `Level must be one of ${settings.allowedLevels.join(', ')}` });
+    }
+
+    const teacher = existingUsers.get(normalizeEmail(values.teacherEmail));
+    if (!teacher || teacher.role !== 'teacher') {
+      errors.push({ field: 'teacherEmail', message: `Teacher ${values.teacherEmail || ''} not found`.trim() });
+    } else if (!isSameSchool(teacher.schoolId, schoolId)) {
+      errors.push({ field: 'teacherEmail', message: `Teacher ${values.teacherEmail} belongs to another school` });
+    } else if (values.name) {
+      const key = `${values.name.toLowerCase()}|${teacher._id}`;
+      if (classKeys.has(key)) {
+        errors.push({ field: 'name', message: `Class "${values.name}" already exists for this teacher` });
+      }
+      classKeys.add(key);
+    }
+
+    const students = [];
+    splitList(values.studentEmails).map(normalizeEmail).forEach(studentEmail => {
+      const student = existingUsers.get(studentEmail);
+      if (!student || student.role !== 'student') {
+        errors.push({ field: 'studentEmails', message: `Student ${studentEmail} not found` });
+      } else if (!isSameSchool(student.schoolId, schoolId)) {
+        errors.push({ field: 'studentEmails', message: `Student ${studentEmail} belongs to another school` });
+      } else {
+        students.push(student._id);
+      }
+    });
+
+    const days = splitList(values.days).map(day => day.charAt(0).toUpperCase() + day.slice(1).toLowerCase());
+    const invalidDays = days.filter(day => !WEEKDAYS.includes(day));
+    if (invalidDays.length > 0) {
+      errors.push({ field: 'days', message: `Invalid days: ${invalidDays.join(', ')}` });
+    }
+    ['startTime', 'endTime'].forEach(field => {
+      if (values[field] && !TIME_REGEX.test(values[field])) {
+        errors.push({ field, message: `${field} must use HH:MM format` });
+      }
+    });
+
+    return {
+      line,
+      errors,
+      record: {
+        name: values.name,
+        subject: values.subject,
+        level,
+        teacherId: teacher?._id,
+        students: [...new Set(students.map(String))],
+        timing: { days, startTime: values.startTime || undefined, endTime: values.endTime || undefined }
+      }
+    };
+  });
+};
+
+// Accounts imported without a password get an unusable one plus a "choose your password" email
+const createImportedUser = async (record, role, school) => {
+  const password = await bcrypt.hash(record.password || crypto.randomBytes(32).toString('hex'), 10);
+
+  const user = await User.create({
+    email: record.email,
+    password,
+    role,
+    schoolId: school._id,
+    profile: {
+      firstName: record.firstName,
+      lastName: record.lastName,
+      ...(role === 'student' && { grade: record.grade }),
+      ...(role === 'parent' && { children: record.children })
+    },
+    ...(role === 'student' && record.level && { selectedLevel: record.level, pathSelected: true })
+  });
+
+  let inviteSent = false;
+  if (!record.password) {
+    const token = await createActionToken(user._id, 'password_reset', ACCOUNT_INVITE_TTL_MS);
+    const result = await mailService.sendAccountInviteEmail(user, token, school.name);
+    inviteSent = result.delivered;
+  }
+
+  return { user, inviteSent };
+};
+
+const IMPORTERS = {
+  students: {
+    validate: validateStudents,
+    create: async (record, school) => {
+      const { user, inviteSent } = await createImportedUser(record, 'student', school);
+      return { id: user._id, email: user.email, inviteSent };
+    }
+  },
+  parents: {
+    validate: validateParents,
+    create: async (record, school) => {
+      const { user, inviteSent } = await createImportedUser(record, 'parent', school);
+      return { id: user._id, email: user.email, linkedChildren: record.children.length, inviteSent };
+    }
+  },
+  classes: {
+    validate: validateClasses,
+    create: async (record, school) => {
+      const newClass = await Class.create({ ...record, schoolId: school._id });
+      return { id: newClass._id, name: newClass.name, studentCount: newClass.students.length };
+    }
+  }
+};
+
+/**
+ * Validate and (unless dry-run) import a CSV file into a school.
+ * Nothing is written when any row is invalid.
+ * @param {string} type - 'students' | 'parents' | 'classes'
+ * @param {string} csvText - Raw CSV with a header row (see IMPORT_COLUMNS)
+ * @param {Object} options
+ * @param {string} options.schoolId - School the records are created in
+ * @param {boolean} options.dryRun - Only validate and report
+ * @returns {Promise<Object>} { type, dryRun, committed, summary, errors, created }
+ */
+export const runImport = async (type, csvText, { schoolId, dryRun }) => {
+  const importer = IMPORTERS[type];
+  if (!importer) {
+    throw new ServiceError(400, 'INVALID_IMPORT_TYPE', `Import type must be one of: ${Object.keys(IMPORTERS).join(', ')}`);
+  }
+
+  if (!schoolId) {
+    throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'schoolId is required');
+  }
+  const school = await School.findById(schoolId);
+  if (!school) {
+    throw new ServiceError(404, 'SCHOOL_NOT_FOUND', 'School not found');
+  }
+  if (!school.isActive) {
+    throw new ServiceError(409, 'SCHOOL_INACTIVE', 'Cannot import into an inactive school');
+  }
+
+  const rows = parseImportFile(type, csvText);
+  const settings = await getSchoolSettings(school._id);
+  const validated = await importer.validate(rows, { schoolId: school._id, settings });
+
+  const errors = validated.flatMap(({ line, errors: rowErrors }) =>
+    rowErrors.map(error => ({ row: line, ...error }))
+  );
+  const invalidRows = validated.filter(row => row.errors.length > 0).length;
+
+  const result = {
+    type,
+    dryRun,
+    committed: false,
+    summary: {
+      totalRows: validated.length,
+      validRows: validated.length - invalidRows,
+      invalidRows,
+      created: 0,
+      failed: 0
+    },
+    errors,
+    created: []
+  };
+
+  if (dryRun || invalidRows > 0 || validated.length === 0) {
+    return result;
+  }
+
+  // Rows were validated up front; a failure here is a race (e.g. the email was registered meanwhile)
+  for (const { line, record } of validated) {
+    try {
+      result.created.push({ row: line, ...(await importer.create(record, school)) });
+    } catch (err) {
+      console.error(`Error importing ${type} row ${line}:`, err);
+      result.errors.push({ row: line, message: err.code === 11000 ? 'Duplicate record' : err.message });
+    }
+  }
+
+  result.committed = true;
+  result.summary.created = result.created.length;
+  result.summary.failed = validated.length - result.created.length;
+  return result;
+};
+
+/**
+ * Export a school's students, parents or class rosters as CSV in the import format
+ * @param {string} type - 'students' | 'parents' | 'classes'
+ * @param {Object} options - { schoolId, classId }; schoolId null exports users without a school
+ * @returns {Promise<string>} CSV text
+ */
+export const exportRoster = async (type, { schoolId, classId }) => {
+  if (!IMPORT_COLUMNS[type]) {
+    throw new ServiceError(400, 'INVALID_EXPORT_TYPE', `Export type must be one of: ${Object.keys(IMPORT_COLUMNS).join(', ')}`);
+  }
+
+  const columns = IMPORT_COLUMNS[type].filter(column => column !== 'password');
+  const schoolFilter = { schoolId: schoolId || null };
+
+  if (type === 'students') {
+    const students = await User.find({ role: 'student', ...schoolFilter })
+      .select('email profile selectedLevel')
+      .sort({ 'profile.lastName': 1, 'profile.firstName': 1 })
+      .lean();
+
+    return toCsv(columns, students.map(student => ({
+      email: student.email,
+      firstName: student.profile?.firstName,
+      lastName: student.profile?.lastName,
+      grade: student.profile?.grade,
+      level: student.selectedLevel
+    })));
+  }
+
+  if (type === 'parents') {
+    const parents = await User.find({ role: 'parent', ...schoolFilter })
+      .select('email profile')
+      .populate('profile.children', 'email')
+      .sort({ 'profile.lastName': 1, 'profile.firstName': 1 })
+      .lean();
+
+    return toCsv(columns, parents.map(parent => ({
+      email: parent.email,
+      firstName: parent.profile?.firstName,
+      lastName: parent.profile?.lastName,
+      childEmails: (parent.profile?.children || []).filter(Boolean).map(child => child.email).join(';')
+    })));
+  }
+
+  const classFilter = classId ? { _id: classId, ...schoolFilter } : schoolFilter;
+  const classes = await Class.find(classFilter)
+    .populate('teacherId', 'email')
+    .populate('students', 'email')
+    .sort({ level: 1, name: 1 })
+    .lean();
+
+  if (classId && classes.length === 0) {
+    throw new ServiceError(404, 'CLASS_NOT_FOUND', 'Class not found');
+  }
+
+  return toCsv(columns, classes.map(cls => ({
+    name: cls.name,
+    subject: cls.subject,
+    level: cls.level,
+    teacherEmail: cls.teacherId?.email,
+    studentEmails: (cls.students || []).filter(Boolean).map(student => student.email).join(';'),
+    days: (cls.timing?.days || []).join(';'),
+    startTime: cls.timing?.startTime,
+    endTime: cls.timing?.endTime
+  })));
+};
@@ -0,0 +1,206 @@
+import User from '../models/userModels.js';
+import { createNotification } from '../controllers/notificationController.js';
+import { getStudentClassIds, isTargetedAtStudent } from './classService.js';
+import { ServiceError } from '../utils/errors.js';
+
+/**
+ * Late Policy Service
+ * Per-assignment late rules (hard close, grace period, per-day penalty with a cap, accept-until cut-off)
+ * and per-student due-date extensions
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_LATE_POLICY = {
+  acceptLate: true,
+  graceMinutes: 0,
+  penaltyPercentPerDay: 0,
+  maxPenaltyPercent: 100,
+  acceptUntil: null
+};
+
+const toPlain = (policy) => (policy?.toObject ? policy.toObject() : policy) || {};
+
+const parsePercent = (value, field) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > 100) {
+    throw new ServiceError(400, 'INVALID_LATE_POLICY', `${field} must be between 0 and 100`);
+  }
+  return number;
+};
+
+/**
+ * Validate a (partial) late policy and merge it over the current one
+ * @param {Object} input - Fields to set; omitted fields keep their current value
+ * @param {Date} dueDate - The assignment's due date; acceptUntil may not be earlier
+ * @param {Object} current - The stored policy, if any
+ * @returns {Object} Complete policy
+ */
+export const validateLatePolicy = (input, dueDate, current) => {
+  if (input !== undefined && (input === null || typeof input !== 'object' || Array.isArray(input))) {
+    throw new ServiceError(400, 'INVALID_LATE_POLICY', 'latePolicy must be an object');
+  }
+
+  const policy = { ...DEFAULT_LATE_POLICY, ...toPlain(current) };
+  const updates = input || {};
+
+  if (updates.acceptLate !== undefined) policy.acceptLate = updates.acceptLate === true || updates.acceptLate === 'true';
+
+  if (updates.graceMinutes !== undefined) {
+    const minutes = Number(updates.graceMinutes);
+    if (!Number.isFinite(minutes) || minutes < 0) {
+      throw new ServiceError(400, 'INVALID_LATE_POLICY', 'graceMinutes must be zero or more');
+    }
+    policy.graceMinutes = minutes;
+  }
+
+  if (updates.penaltyPercentPerDay !== undefined) {
+    policy.penaltyPercentPerDay = parsePercent(updates.penaltyPercentPerDay, 'penaltyPercentPerDay');
+  }
+  if (updates.maxPenaltyPercent !== undefined) {
+    policy.maxPenaltyPercent = parsePercent(updates.maxPenaltyPercent, 'maxPenaltyPercent');
+  }
+
+  if (updates.acceptUntil !== undefined) {
+    policy.acceptUntil = updates.acceptUntil === null || updates.acceptUntil === '' ? null : new Date(updates.acceptUntil);
+    if (policy.acceptUntil && isNaN(policy.acceptUntil.getTime())) {
+      throw new ServiceError(400, 'INVALID_LATE_POLICY', 'acceptUntil must be a valid date');
+    }
+  }
+  if (policy.acceptUntil && policy.acceptUntil < new Date(dueDate)) {
+    throw new ServiceError(400, 'INVALID_LATE_POLICY', 'acceptUntil cannot be before the due date');
+  }
+
+  return policy;
+};
+
+/**
+ * A student's extension on an assignment, if any
+ */
+export const getExtension = (assignment, studentId) =>
+  (assignment.extensions || []).find(extension => extension.studentId.toString() === studentId.toString()) || null;
+
+/**
+ * The due date that applies to a student: their extension, or the assignment's due date
+ */
+export const getStudentDueDate = (assignment, studentId) => {
+  const extension = studentId ? getExtension(assignment, studentId) : null;
+  return new Date(extension ? extension.dueDate : assignment.dueDate);
+};
+
+/**
+ * How late a submission at `at` is for a student, and whether it is still accepted
+ * Days late are counted in started days from the due date once the grace period is over.
+ * @returns {{ dueDate: Date, isLate: boolean, daysLate: number, isOpen: boolean }}
+ */
+export const getLateStatus = (assignment, studentId, at = new Date()) => {
+  const policy = { ...DEFAULT_LATE_POLICY, ...toPlain(assignment.latePolicy) };
+  const dueDate = getStudentDueDate(assignment, studentId);
+  const lateAfter = new Date(dueDate.getTime() + policy.graceMinutes * 60 * 1000);
+
+  if (at <= lateAfter) {
+    return { dueDate, isLate: false, daysLate: 0, isOpen: true };
+  }
+
+  const daysLate = Math.ceil((at - dueDate) / DAY_MS);
+
+  // An extension past the cut-off moves the cut-off for that student
+  const cutOff = policy.acceptUntil && new Date(Math.max(new Date(policy.acceptUntil), lateAfter));
+  const isOpen = policy.acceptLate && !(cutOff && at > cutOff);
+
+  return { dueDate, isLate: true, daysLate, isOpen };
+};
+
+/**
+ * Percentage of the score deducted for a number of days late
+ */
+export const getLatePenaltyPercent = (latePolicy, daysLate) => {
+  const policy = { ...DEFAULT_LATE_POLICY, ...toPlain(latePolicy) };
+  if (daysLate <= 0) return 0;
+  return Math.min(daysLate * policy.penaltyPercentPerDay, policy.maxPenaltyPercent);
+};
+
+/**
+ * Score after deducting a percentage, rounded to two decimals
+ */
+export const applyLatePenalty = (score, penaltyPercent) =>
+  Math.round(score * (1 - penaltyPercent / 100) * 100) / 100;
+
+/**
+ * Grant (or change) a student's extension and notify them
+ * @param {Object} assignment - Assignment document
+ * @param {Object} params - { studentId, dueDate, reason }
+ * @param {Object} teacher - User granting the extension
+ * @returns {Promise<Object>} The extension
+ */
+export const grantExtension = async (assignment, { studentId, dueDate, reason }, teacher) => {
+  if (!studentId || !dueDate) {
+    throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'studentId and dueDate are required');
+  }
+
+  const extendedDueDate = new Date(dueDate);
+  if (isNaN(extendedDueDate.getTime()) || extendedDueDate <= assignment.dueDate) {
+    throw new ServiceError(400, 'INVALID_DUE_DATE', 'An extension must be later than the assignment due date');
+  }
+
+  const student = /^[a-f\d]{24}$/i.test(studentId) ? await User.findById(studentId) : null;
+  if (!student || student.role !== 'student') {
+    throw new ServiceError(404, 'STUDENT_NOT_FOUND', 'Student not found');
+  }
+  if (!isTargetedAtStudent(assignment, student, await getStudentClassIds(student._id))) {
+    throw new ServiceError(400, 'STUDENT_NOT_ASSIGNED', 'This assignment is not assigned to the student');
+  }
+
+  const extension = getExtension(assignment, student._id);
+  if (extension) {
+    extension.dueDate = extendedDueDate;
+    extension.reason = reason || '';
+    extension.grantedBy = teacher._id;
+    extension.grantedAt = new Date();
+  } else {
+    assignment.extensions.push({
+      studentId: student._id,
+      dueDate: extendedDueDate,
+      reason: reason || '',
+      grantedBy: teacher._id
+    });
+  }
+  await assignment.save();
+
+  await createNotification({
+    userId: student._id,
+    type: 'assignment_extension',
+    message: `You have an extension for "${assignment.title}": new due date ${extendedDueDate.toDateString()}`,
+    data: {
+      assignmentId: assignment._id,
+      assignmentTitle: assignment.title,
+      dueDate: extendedDueDate
+    },
+    link: `/student/assignments/${assignment._id}`
+  });
+
+  return getExtension(assignment, student._id);
+};
+
+/**
+ * Remove a student's extension
+ */
+export const revokeExtension = async (assignment, studentId) => {
+  const extension = getExtension(assignment, studentId);
+  if (!extension) {
+    throw new ServiceError(404, 'EXTENSION_NOT_FOUND', 'The student has no extension for this assignment');
+  }
+  assignment.extensions.pull(extension._id);
+  await assignment.save();
+};
+
+/**
+ * Extension as returned by the API
+ */
+export const formatExtension = (extension) => ({
+  studentId: extension.studentId,
+  dueDate: extension.dueDate,
+  reason: extension.reason || '',
+  grantedBy: extension.grantedBy,
+  grantedAt: extension.grantedAt
+});
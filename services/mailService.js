@@ -0,0 +1,105 @@
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+dotenv.config();
+
+/**
+ * Mail Service
+ * Sends transactional emails through a pluggable transport.
+ * Built-in transports work offline: 'console' logs messages, 'file' writes them to an outbox directory.
+ * A real provider can be plugged in with mailService.setTransport({ name, send }).
+ */
+
+const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    console.log(`📧 [mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return { delivered: true };
+  }
+};
+
+const createFileTransport = (outboxDir) => ({
+  name: 'file',
+  async send(message) {
+    await fs.mkdir(outboxDir, { recursive: true });
+    const safeRecipient = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const filePath = path.join(outboxDir, `${Date.now()}-${safeRecipient}.json`);
+    await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    return { delivered: true, filePath };
+  }
+});
+
+class MailService {
+  constructor() {
+    this.from = process.env.MAIL_FROM || 'Cambridge Explorer Labs <no-reply@explorerlabs.local>';
+    this.appUrl = process.env.APP_URL || 'http://localhost:5173';
+    this.transport = process.env.MAIL_TRANSPORT === 'file'
+      ? createFileTransport(process.env.MAIL_OUTBOX_DIR || 'mail-outbox')
+      : consoleTransport;
+  }
+
+  /**
+   * Replace the transport (e.g. an SMTP/API provider, or a stub in tests)
+   * @param {Object} transport - Object with a `name` and an async `send(message)` method
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Send an email. Failures are logged and reported, never thrown,
+   * so a mail outage does not fail the request that triggered it.
+   * @param {Object} params
+   * @param {string} params.to - Recipient address
+   * @param {string} params.subject - Subject line
+   * @param {string} params.text - Plain text body
+   * @returns {Promise<Object>} { delivered, ... } from the transport
+   */
+  async send({ to, subject, text }) {
+    try {
+      return await this.transport.send({ from: this.from, to, subject, text });
+    } catch (error) {
+      console.error(`❌ Mail delivery failed (${this.transport.name}) to ${to}:`, error.message);
+      return { delivered: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send the email verification link
+   */
+  async sendVerificationEmail(user, token) {
+    const link = `${this.appUrl}/verify-email?token=${token}`;
+    return this.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Hi ${user.profile?.firstName || 'there'},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 48 hours.`
+    });
+  }
+
+  /**
+   * Send the password reset link
+   */
+  async sendPasswordResetEmail(user, token) {
+    const link = `${this.appUrl}/reset-password?token=${token}`;
+    return this.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hi ${user.profile?.firstName || 'there'},\n\nWe received a request to reset your password. Open this link to choose a new one:\n${link}\n\nThe link expires in 1 hour and can only be used once. If you did not request this, you can ignore this email.`
+    });
+  }
+
+  /**
+   * Send the "choose your password" link for an account created by a school import
+   */
+  async sendAccountInviteEmail(user, token, schoolName) {
+    const link = `${this.appUrl}/reset-password?token=${token}`;
+    return this.send({
+      to: user.email,
+      subject: 'Your Cambridge Explorer Labs account is ready',
+      text: `Hi ${user.profile?.firstName || 'there'},\n\n${schoolName || 'Your school'} created a Cambridge Explorer Labs account for you. Open this link to choose your password:\n${link}\n\nThe link expires in 7 days and can only be used once.`
+    });
+  }
+}
+
+const mailService = new MailService();
+export default mailService;
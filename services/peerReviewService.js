@@ -0,0 +1,410 @@
+import crypto from 'crypto';
+import PeerReview from '../models/peerReviewModels.js';
+import { Assignment, Submission } from '../models/assignmentModels.js';
+import User from '../models/userModels.js';
+import { createNotification } from '../controllers/notificationController.js';
+import { getSchoolSettings } from './schoolService.js';
+import { calculateGrade, saveGrade, hasGrade } from './assignmentService.js';
+import { validateRubricScores } from './rubricService.js';
+import { formatFile } from './fileService.js';
+import { ServiceError } from '../utils/errors.js';
+
+/**
+ * Peer Review Service
+ * Optional peer review of an assignment: once it is due, each submission is assigned anonymously to
+ * classmates who also submitted; their scores are aggregated (median, with outliers flagged) and the
+ * teacher accepts or overrides the result before it becomes the grade
+ */
+
+const isObjectId = (value) => /^[a-f\d]{24}$/i.test(String(value || ''));
+const round = (value) => Math.round(value * 100) / 100;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const fullName = (user) => `${user?.profile?.firstName || ''} ${user?.profile?.lastName || ''}`.trim();
+
+const DEFAULT_PEER_REVIEW = { enabled: false, reviewsPerSubmission: 3, outlierThreshold: 20, assignedAt: null };
+
+/**
+ * Validate peer review settings and merge them over the current ones.
+ * Once reviewers are assigned only the outlier threshold can change.
+ * @param {Object} input - { enabled, reviewsPerSubmission, outlierThreshold }
+ * @param {Object} current - The stored settings, if any
+ */
+export const validatePeerReviewSettings = (input, current) => {
+  if (input !== undefined && (input === null || typeof input !== 'object' || Array.isArray(input))) {
+    throw new ServiceError(400, 'INVALID_PEER_REVIEW', 'peerReview must be an object');
+  }
+
+  const settings = { ...DEFAULT_PEER_REVIEW, ...(current?.toObject ? current.toObject() : current) };
+  const updates = input || {};
+
+  if (settings.assignedAt) {
+    const locked = ['enabled', 'reviewsPerSubmission'].filter(field =>
+      updates[field] !== undefined && String(updates[field]) !== String(settings[field]));
+    if (locked.length > 0) {
+      throw new ServiceError(409, 'PEER_REVIEWS_ASSIGNED', `Cannot change ${locked.join(', ')} after reviewers have been assigned`);
+    }
+  }
+
+  if (updates.enabled !== undefined) settings.enabled = updates.enabled === true || updates.enabled === 'true';
+  if (updates.reviewsPerSubmission !== undefined) {
+    const count = Number(updates.reviewsPerSubmission);
+    if (!Number.isInteger(count) || count < 1 || count > 10) {
+      throw new ServiceError(400, 'INVALID_PEER_REVIEW', 'reviewsPerSubmission must be a whole number between 1 and 10');
+    }
+    settings.reviewsPerSubmission = count;
+  }
+  if (updates.outlierThreshold !== undefined) {
+    const threshold = Number(updates.outlierThreshold);
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+      throw new ServiceError(400, 'INVALID_PEER_REVIEW', 'outlierThreshold must be between 0 and 100');
+    }
+    settings.outlierThreshold = threshold;
+  }
+
+  return settings;
+};
+
+// Latest submission of every student who submitted
+const getLatestSubmissions = async (assignmentId) => {
+  const submissions = await Submission.find({ assignmentId }).sort({ versionNumber: -1 });
+  const latest = new Map();
+  submissions.forEach(submission => {
+    const studentId = submission.studentId.toString();
+    if (!latest.has(studentId)) latest.set(studentId, submission);
+  });
+  return [...latest.values()];
+};
+
+/**
+ * Pair every submission with `reviewsPerSubmission` other submitters (fewer when the class is small).
+ * Students are shuffled and each reviews the next k students in the shuffled circle, so everyone
+ * gives and receives the same number of reviews and nobody reviews themselves.
+ * @param {Array} submissions - One submission per student
+ * @param {number} reviewsPerSubmission
+ * @returns {Array<{ submission, reviewerId }>}
+ */
+export const pairReviewers = (submissions, reviewsPerSubmission) => {
+  const order = [...submissions];
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  const perSubmission = Math.min(reviewsPerSubmission, order.length - 1);
+  const pairs = [];
+  order.forEach((submission, index) => {
+    for (let offset = 1; offset <= perSubmission; offset++) {
+      pairs.push({ submission, reviewerId: order[(index + offset) % order.length].studentId });
+    }
+  });
+  return pairs;
+};
+
+/**
+ * Assign reviewers for an assignment that is past its due date. Submissions made after this point
+ * are not peer reviewed and are graded by the teacher as usual.
+ * @returns {Promise<{ submissions: number, reviews: number }>}
+ */
+export const assignPeerReviewers = async (assignment) => {
+  if (!assignment.peerReview?.enabled) {
+    throw new ServiceError(400, 'PEER_REVIEW_DISABLED', 'Peer review is not enabled for this assignment');
+  }
+  if (assignment.dueDate > new Date()) {
+    throw new ServiceError(409, 'NOT_DUE_YET', 'Reviewers are assigned once the assignment is due');
+  }
+
+  // Claim the assignment first so the scheduler and a teacher can't both assign reviewers
+  const claimed = await Assignment.updateOne(
+    { _id: assignment._id, 'peerReview.assignedAt': null },
+    { $set: { 'peerReview.assignedAt': new Date() } }
+  );
+  if (claimed.modifiedCount === 0) {
+    throw new ServiceError(409, 'PEER_REVIEWS_ASSIGNED', 'Reviewers have already been assigned');
+  }
+
+  let submissions;
+  let pairs;
+  try {
+    submissions = await getLatestSubmissions(assignment._id);
+    pairs = pairReviewers(submissions, assignment.peerReview.reviewsPerSubmission);
+
+    await PeerReview.insertMany(pairs.map(({ submission, reviewerId }) => ({
+      assignmentId: assignment._id,
+      submissionId: submission._id,
+      revieweeId: submission.studentId,
+      reviewerId
+    })));
+  } catch (error) {
+    // Release the claim so the settings aren't locked and reviewers can be assigned again
+    await PeerReview.deleteMany({ assignmentId: assignment._id });
+    await Assignment.updateOne({ _id: assignment._id }, { $set: { 'peerReview.assignedAt': null } });
+    throw error;
+  }
+
+  const perReviewer = new Map();
+  pairs.forEach(({ reviewerId }) => perReviewer.set(reviewerId.toString(), (perReviewer.get(reviewerId.toString()) || 0) + 1));
+  for (const [reviewerId, count] of perReviewer) {
+    await createNotification({
+      userId: reviewerId,
+      type: 'peer_review_assigned',
+      message: `You have ${count} ${count === 1 ? 'classmate\'s' : 'classmates\''} work to review for "${assignment.title}"`,
+      data: { assignmentId: assignment._id, assignmentTitle: assignment.title, reviews: count },
+      link: `/student/assignments/${assignment._id}/peer-reviews`
+    });
+  }
+
+  return { submissions: submissions.length, reviews: pairs.length };
+};
+
+/**
+ * Assign reviewers for every peer-reviewed assignment that has become due. Run periodically.
+ * @returns {Promise<number>} Number of assignments handled
+ */
+export const assignDuePeerReviews = async () => {
+  const due = await Assignment.find({
+    'peerReview.enabled': true,
+    'peerReview.assignedAt': null,
+    isDeleted: { $ne: true },
+    dueDate: { $lte: new Date() }
+  });
+
+  let handled = 0;
+  for (const assignment of due) {
+    try {
+      await assignPeerReviewers(assignment);
+      handled++;
+    } catch (error) {
+      if (error.code !== 'PEER_REVIEWS_ASSIGNED') console.error(`Error assigning peer reviews for ${assignment._id}:`, error);
+    }
+  }
+  return handled;
+};
+
+const percentageOf = (assignment, score) => round((score / assignment.totalPoints) * 100);
+
+/**
+ * Combine the completed reviews of one submission. With three or more reviews, a review whose total
+ * is more than outlierThreshold percentage points from the median is an outlier and left out.
+ * The suggested score is the median of the remaining reviews (per criterion with a rubric).
+ * @returns {{ assigned, completed, medianPercentage, outlierReviewIds, suggestedScore, suggestedRubricScores }}
+ */
+export const aggregatePeerReviews = (assignment, reviews) => {
+  const completed = reviews.filter(review => review.status === 'completed');
+  const medianPercentage = median(completed.map(review => percentageOf(assignment, review.totalScore)));
+  const threshold = assignment.peerReview?.outlierThreshold ?? DEFAULT_PEER_REVIEW.outlierThreshold;
+
+  const outliers = completed.length >= 3
+    ? completed.filter(review => Math.abs(percentageOf(assignment, review.totalScore) - medianPercentage) > threshold)
+    : [];
+  const counted = completed.filter(review => !outliers.includes(review));
+
+  let suggestedScore = null;
+  let suggestedRubricScores = [];
+  if (counted.length > 0) {
+    if (assignment.rubric.length > 0) {
+      suggestedRubricScores = assignment.rubric.map(item => ({
+        criteria: item.criteria,
+        score: round(median(counted.map(review =>
+          review.rubricScores.find(entry => entry.criteria === item.criteria)?.score ?? 0)))
+      }));
+      suggestedScore = round(suggestedRubricScores.reduce((sum, entry) => sum + entry.score, 0));
+    } else {
+      suggestedScore = round(median(counted.map(review => review.totalScore)));
+    }
+  }
+
+  return {
+    assigned: reviews.length,
+    completed: completed.length,
+    medianPercentage: medianPercentage === null ? null : round(medianPercentage),
+    outlierReviewIds: outliers.map(review => review._id),
+    suggestedScore,
+    suggestedRubricScores
+  };
+};
+
+const loadAssignment = async (assignmentId) => {
+  const assignment = isObjectId(assignmentId) ? await Assignment.findById(assignmentId) : null;
+  if (!assignment || assignment.isDeleted) {
+    throw new ServiceError(404, 'ASSIGNMENT_NOT_FOUND', 'Assignment not found');
+  }
+  return assignment;
+};
+
+/**
+ * Reviews a student has to do (or has done), without the authors' identities
+ * @param {string} studentId
+ * @param {Object} options - { assignmentId }
+ */
+export const getReviewerAssignments = async (studentId, { assignmentId } = {}) => {
+  const filter = { reviewerId: studentId };
+  if (assignmentId && isObjectId(assignmentId)) filter.assignmentId = assignmentId;
+
+  const reviews = await PeerReview.find(filter)
+    .populate('assignmentId', 'title instructions rubric totalPoints isDeleted')
+    .populate({ path: 'submissionId', select: 'submissionLink submissionNotes file grade', populate: { path: 'file' } })
+    .sort({ createdAt: -1 });
+
+  return reviews
+    .filter(review => review.assignmentId && !review.assignmentId.isDeleted && review.submissionId)
+    .map(review => ({
+      id: review._id,
+      assignment: {
+        id: review.assignmentId._id,
+        title: review.assignmentId.title,
+        instructions: review.assignmentId.instructions,
+        rubric: review.assignmentId.rubric,
+        totalPoints: review.assignmentId.totalPoints
+      },
+      submission: {
+        submissionLink: review.submissionId.submissionLink || null,
+        submissionNotes: review.submissionId.submissionNotes || '',
+        file: formatFile(review.submissionId.file, { anonymous: true })
+      },
+      status: review.status,
+      rubricScores: review.rubricScores,
+      totalScore: review.totalScore ?? null,
+      comment: review.comment || '',
+      submittedAt: review.submittedAt || null,
+      // Reviews can be changed until the teacher grades the submission
+      locked: hasGrade(review.submissionId)
+    }));
+};
+
+/**
+ * Score an assigned review against the rubric (or with a total score without a rubric)
+ * @param {string} assignmentId
+ * @param {string} reviewId
+ * @param {Object} params - { rubricScores, totalScore, comment }
+ * @param {Object} student - The reviewer
+ */
+export const submitPeerReview = async (assignmentId, reviewId, { rubricScores, totalScore, comment }, student) => {
+  const review = isObjectId(reviewId) ? await PeerReview.findById(reviewId) : null;
+  if (!review || review.assignmentId.toString() !== String(assignmentId) || review.reviewerId.toString() !== student._id.toString()) {
+    throw new ServiceError(404, 'PEER_REVIEW_NOT_FOUND', 'Peer review not found');
+  }
+
+  const assignment = await loadAssignment(assignmentId);
+  const submission = await Submission.findById(review.submissionId);
+  if (hasGrade(submission)) {
+    throw new ServiceError(409, 'PEER_REVIEW_LOCKED', 'This submission has been graded; the review can no longer change');
+  }
+
+  const validated = validateRubricScores(assignment.rubric, rubricScores, totalScore);
+  const score = Number(validated.totalScore);
+  if (validated.totalScore === undefined || validated.totalScore === null || validated.totalScore === '' || !(score >= 0 && score <= assignment.totalPoints)) {
+    throw new ServiceError(400, 'INVALID_SCORE', `Total score must be between 0 and ${assignment.totalPoints}`);
+  }
+
+  review.rubricScores = validated.rubricScores;
+  review.totalScore = score;
+  review.comment = comment ? String(comment).trim() : '';
+  review.status = 'completed';
+  review.submittedAt = new Date();
+  await review.save();
+  return review;
+};
+
+/**
+ * Peer review results of every reviewed submission, with reviewer names (teacher view)
+ */
+export const getPeerReviewSummary = async (assignment) => {
+  const reviews = await PeerReview.find({ assignmentId: assignment._id })
+    .populate('reviewerId', 'profile.firstName profile.lastName email')
+    .populate('revieweeId', 'profile.firstName profile.lastName email');
+  const submissions = await Submission.find({ _id: { $in: [...new Set(reviews.map(review => review.submissionId.toString()))] } });
+
+  return submissions.map(submission => {
+    const own = reviews.filter(review => review.submissionId.toString() === submission._id.toString());
+    const aggregate = aggregatePeerReviews(assignment, own);
+    const outliers = new Set(aggregate.outlierReviewIds.map(String));
+    const author = own[0].revieweeId;
+
+    return {
+      submissionId: submission._id,
+      student: author ? { id: author._id, name: fullName(author), email: author.email } : null,
+      graded: hasGrade(submission),
+      grade: hasGrade(submission) ? { totalScore: submission.grade.totalScore, percentage: submission.grade.percentage, letterGrade: submission.grade.letterGrade } : null,
+      aggregate,
+      reviews: own.map(review => ({
+        id: review._id,
+        reviewer: review.reviewerId ? { id: review.reviewerId._id, name: fullName(review.reviewerId) } : null,
+        status: review.status,
+        totalScore: review.totalScore ?? null,
+        percentage: review.status === 'completed' ? percentageOf(assignment, review.totalScore) : null,
+        rubricScores: review.rubricScores,
+        comment: review.comment || '',
+        submittedAt: review.submittedAt || null,
+        isOutlier: outliers.has(review._id.toString())
+      }))
+    };
+  });
+};
+
+/**
+ * Write the grade of a peer-reviewed submission: the aggregated peer score, or the teacher's override
+ * @param {Object} assignment
+ * @param {string} submissionId
+ * @param {Object} params - { totalScore, rubricScores } to override (omit both to accept the peer score),
+ *   overallFeedback, waiveLatePenalty
+ * @param {Object} teacher
+ * @returns {Promise<{ grade: Object, aggregate: Object, overridden: boolean }>}
+ */
+export const finalizePeerReview = async (assignment, submissionId, { totalScore, rubricScores, overallFeedback, waiveLatePenalty }, teacher) => {
+  const submission = isObjectId(submissionId) ? await Submission.findById(submissionId) : null;
+  if (!submission || submission.assignmentId.toString() !== assignment._id.toString()) {
+    throw new ServiceError(404, 'SUBMISSION_NOT_FOUND', 'Submission not found for this assignment');
+  }
+
+  const reviews = await PeerReview.find({ submissionId: submission._id });
+  if (reviews.length === 0) {
+    throw new ServiceError(404, 'NO_PEER_REVIEWS', 'This submission was not peer reviewed');
+  }
+  const aggregate = aggregatePeerReviews(assignment, reviews);
+
+  const overridden = totalScore !== undefined || rubricScores !== undefined;
+  if (!overridden && aggregate.suggestedScore === null) {
+    throw new ServiceError(409, 'NO_PEER_REVIEWS', 'No completed peer reviews yet; give a score to grade it yourself');
+  }
+
+  const input = overridden
+    ? { totalScore, rubricScores }
+    : assignment.rubric.length > 0
+      ? { rubricScores: aggregate.suggestedRubricScores }
+      : { totalScore: aggregate.suggestedScore };
+
+  const { gradingScale } = await getSchoolSettings(assignment.schoolId);
+  const grade = calculateGrade(assignment, submission, { ...input, overallFeedback, waiveLatePenalty }, { gradedBy: teacher._id, gradingScale });
+
+  const student = await User.findById(submission.studentId);
+  await saveGrade(submission, grade, { assignment, student, grader: teacher, source: 'peer_review' });
+
+  return { grade, aggregate, overridden };
+};
+
+/**
+ * Anonymous peer feedback on a student's work, shown once the teacher has graded it
+ */
+export const getPeerFeedback = async (assignmentId, studentId) => {
+  const assignment = await loadAssignment(assignmentId);
+  const reviews = await PeerReview.find({ assignmentId: assignment._id, revieweeId: studentId, status: 'completed' })
+    .populate('submissionId', 'grade');
+
+  const graded = reviews.filter(review => hasGrade(review.submissionId));
+  return {
+    released: graded.length > 0,
+    reviews: graded.map(review => ({
+      rubricScores: review.rubricScores.map(({ criteria, score, maxPoints, feedback }) => ({ criteria, score, maxPoints, feedback })),
+      totalScore: review.totalScore,
+      comment: review.comment || '',
+      submittedAt: review.submittedAt
+    }))
+  };
+};
@@ -0,0 +1,419 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { TopicMastery, PracticeSession } from '../models/practiceModels.js';
+import { Quiz, QuizResult } from '../models/quizModels.js';
+import Question from '../models/questionModels.js';
+import User from '../models/userModels.js';
+import aiService from './aiService.js';
+import { normalizeQuestion, formatQuestionContent, formatQuestionForStudent, prepareForAttempt, gradeQuestion } from './questionTypeService.js';
+import { ServiceError } from '../utils/errors.js';
+
+/**
+ * Practice Service
+ * Per-topic mastery and adaptive practice. Each student has an ability per subject and topic, estimated
+ * Elo-style with a Rasch (1-parameter IRT) model: the chance of answering a question right is
+ * 1 / (1 + e^(difficulty - ability)), and every graded answer moves the ability by the gap between the
+ * credit earned and that chance. Quiz results feed the same estimate. Practice sessions target the
+ * weakest topics and serve each next question at the difficulty that fits the current ability, so it
+ * steps up after right answers and down after wrong ones.
+ */
+
+// Difficulty of each question level on the ability scale
+const DIFFICULTY_RATINGS = { easy: -1, medium: 0, hard: 1 };
+// Serve questions the student answers right about 70% of the time
+const TARGET_OFFSET = 0.85;
+// Step size: large for the first answers on a topic, then settling
+const START_STEP = 0.8;
+const MIN_STEP = 0.2;
+const MAX_ABILITY = 4;
+// Mastered: at least 80% chance on a medium question, over enough answers
+const MASTERY_THRESHOLD = 0.8;
+const MIN_ANSWERS_FOR_MASTERY = 5;
+const MAX_HISTORY = 200;
+// Most recent quiz results taken into account per student
+const MAX_SYNCED_RESULTS = 200;
+const WEAK_TOPIC_COUNT = 3;
+// Same thresholds as the weak-attempt review of a quiz
+const WEAK_SCORE = 50;
+const WEAK_ATTEMPTS = 3;
+
+const isObjectId = (value) => /^[a-f\d]{24}$/i.test(String(value || ''));
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Chance of a right answer at an ability on a question of a difficulty rating
+ */
+const probabilityCorrect = (ability, rating) => 1 / (1 + Math.exp(rating - ability));
+
+/**
+ * Mastery of a topic: the chance of answering a medium question on it right (0 to 1)
+ */
+const masteryOf = (ability) => probabilityCorrect(ability, DIFFICULTY_RATINGS.medium);
+
+/**
+ * The ability after one graded answer
+ * @param {number} ability - Before the answer
+ * @param {number} answered - Answers on the topic before this one
+ * @param {string} difficulty - Of the question
+ * @param {number} credit - Earned, 0 to 1
+ */
+const updateAbility = (ability, answered, difficulty, credit) => {
+  const step = Math.max(MIN_STEP, START_STEP / Math.sqrt(1 + answered / 5));
+  const expected = probabilityCorrect(ability, DIFFICULTY_RATINGS[difficulty] ?? 0);
+  return Math.min(MAX_ABILITY, Math.max(-MAX_ABILITY, ability + step * (credit - expected)));
+};
+
+/**
+ * Question difficulties from the best fit for an ability to the worst
+ */
+const difficultiesFor = (ability) => Object.keys(DIFFICULTY_RATINGS)
+  .sort((a, b) => Math.abs(DIFFICULTY_RATINGS[a] - (ability - TARGET_OFFSET)) - Math.abs(DIFFICULTY_RATINGS[b] - (ability - TARGET_OFFSET)));
+
+const applyAnswer = (mastery, { difficulty, credit, source, at = new Date() }) => {
+  mastery.ability = updateAbility(mastery.ability, mastery.answered, difficulty, credit);
+  mastery.answered += 1;
+  mastery.creditTotal += credit;
+  mastery.lastAnsweredAt = at;
+  mastery.history.push({ at, ability: round(mastery.ability), mastery: round(masteryOf(mastery.ability)), source });
+  if (mastery.history.length > MAX_HISTORY) mastery.history.splice(0, mastery.history.length - MAX_HISTORY);
+};
+
+/**
+ * Topic mastery as returned by the API
+ */
+export const formatMastery = (mastery, { includeHistory = false } = {}) => {
+  const value = masteryOf(mastery.ability);
+  return {
+    subject: mastery.subject,
+    topic: mastery.topic,
+    ability: round(mastery.ability),
+    // Percentage
+    mastery: Math.round(value * 100),
+    status: mastery.answered >= MIN_ANSWERS_FOR_MASTERY && value >= MASTERY_THRESHOLD ? 'mastered' : 'learning',
+    answered: mastery.answered,
+    accuracy: mastery.answered > 0 ? Math.round((mastery.creditTotal / mastery.answered) * 100) : null,
+    lastAnsweredAt: mastery.lastAnsweredAt || null,
+    ...(includeHistory && { history: mastery.history.map(({ at, ability, mastery: level, source }) => ({ at, ability, mastery: Math.round(level * 100), source })) })
+  };
+};
+
+const loadStudent = async (studentId) => {
+  const student = await User.findById(studentId);
+  if (!student || student.role !== 'student') {
+    throw new ServiceError(404, 'STUDENT_NOT_FOUND', 'Student not found');
+  }
+  return student;
+};
+
+/**
+ * Fold a student's graded quiz results into their topic masteries, oldest first. Only results
+ * completed after those already taken into account for a topic are applied, so this can run any time.
+ * Questions without a topic, and results saved before partial credit, are skipped.
+ */
+export const syncMasteryFromResults = async (studentId) => {
+  const results = await QuizResult.find({ studentId, quizId: { $ne: null }, 'credits.0': { $exists: true } })
+    .sort({ completedAt: -1 })
+    .limit(MAX_SYNCED_RESULTS)
+    .select('quizId credits quizData.questions completedAt')
+    .lean();
+  if (results.length === 0) return;
+  results.reverse();
+
+  const quizIds = [...new Set(results.map(result => result.quizId.toString()))];
+  const quizzes = await Quiz.find({ _id: { $in: quizIds } }).select('subject').lean();
+  const subjects = new Map(quizzes.map(quiz => [quiz._id.toString(), quiz.subject]));
+
+  const masteries = new Map((await TopicMastery.find({ studentId })).map(mastery => [`${mastery.subject}:${mastery.topic}`, mastery]));
+  const changed = new Set();
+
+  results.forEach(result => {
+    const subject = subjects.get(result.quizId.toString());
+    if (!subject) return;
+    const touched = new Set();
+    (result.quizData?.questions || []).forEach((question, index) => {
+      const credit = result.credits[index];
+      if (!question?.topic || typeof credit !== 'number') return;
+
+      const key = `${subject}:${question.topic}`;
+      if (!masteries.has(key)) masteries.set(key, new TopicMastery({ studentId, subject, topic: question.topic }));
+      const mastery = masteries.get(key);
+      if (mastery.lastResultAt && mastery.lastResultAt >= result.completedAt) return;
+
+      applyAnswer(mastery, { difficulty: question.difficulty, credit, source: 'quiz', at: result.completedAt });
+      touched.add(mastery);
+    });
+    // Marked after the whole result, as several of its questions can share a topic
+    touched.forEach(mastery => {
+      mastery.lastResultAt = result.completedAt;
+      changed.add(mastery);
+    });
+  });
+
+  for (const mastery of changed) {
+    try {
+      await mastery.save();
+    } catch (error) {
+      // Created at the same time by a concurrent sync
+      if (error.code !== 11000) throw error;
+    }
+  }
+};
+
+const findTopicMasteries = async (studentId, subject, options) =>
+  (await TopicMastery.find({ studentId, ...(subject && { subject }) }).sort({ ability: 1 }))
+    .map(mastery => formatMastery(mastery, options));
+
+const weakestOf = (topics) => topics.filter(topic => topic.status !== 'mastered').slice(0, WEAK_TOPIC_COUNT);
+
+/**
+ * A student's topic masteries, weakest first, after taking their latest quiz results into account
+ * @param {string} studentId
+ * @param {Object} options - subject: only this subject; includeHistory: add each topic's ability over time
+ * @returns {Promise<{ topics: Array, weakestTopics: Array }>}
+ */
+export const getTopicMastery = async (studentId, { subject, includeHistory = false } = {}) => {
+  const student = await loadStudent(studentId);
+  await syncMasteryFromResults(student._id);
+
+  const topics = await findTopicMasteries(student._id, subject, { includeHistory });
+  return {
+    topics,
+    weakestTopics: weakestOf(topics).map(({ subject: topicSubject, topic, mastery }) => ({ subject: topicSubject, topic, mastery }))
+  };
+};
+
+/**
+ * Topics of the questions missed in a student's recent weak attempts (below 50%) at a quiz
+ * @returns {Promise<{ subject: string|null, topics: Array<string> }>}
+ */
+const getWeakAttemptTopics = async (studentId, resourceId) => {
+  const results = await QuizResult.find({ studentId, resourceId: String(resourceId), score: { $lt: WEAK_SCORE } })
+    .sort({ completedAt: -1 })
+    .limit(WEAK_ATTEMPTS)
+    .select('quizId credits quizData.questions')
+    .lean();
+
+  const topics = new Set();
+  results.forEach(result => (result.quizData?.questions || []).forEach((question, index) => {
+    if (question?.topic && (result.credits?.[index] ?? 0) < 1) topics.add(question.topic);
+  }));
+
+  const quizId = results.find(result => result.quizId)?.quizId;
+  const quiz = quizId ? await Quiz.findById(quizId).select('subject').lean() : null;
+  return { subject: quiz?.subject || null, topics: [...topics] };
+};
+
+/**
+ * Practice-only bank questions of the student's school on a topic, at their level, not yet served in the session.
+ * Practice feedback shows the answers, so questions that can be assembled into quizzes are never served.
+ */
+const findBankCandidates = (session, schoolId, topic) => Question.find({
+  practiceOnly: true,
+  schoolId: schoolId || null,
+  subject: session.subject,
+  ...(session.level && { level: session.level }),
+  topic,
+  _id: { $nin: session.items.map(item => item._id) }
+}).limit(200).lean();
+
+/**
+ * Choose the session's next question: the topic practised least so far (the weakest on a tie), at
+ * the difficulty closest to the student's ability on it. Bank questions come first; when the bank
+ * has none left for any topic, the AI writes one.
+ * @returns {Promise<Object|null>} The item to serve, or null when no question is left
+ */
+const pickNextQuestion = async (session, student, masteries) => {
+  const abilityOf = (topic) => masteries.get(topic)?.ability ?? 0;
+  const servedOn = (topic) => session.items.filter(item => item.topic === topic).length;
+  const topics = [...session.topics].sort((a, b) => (servedOn(a) - servedOn(b)) || (abilityOf(a) - abilityOf(b)));
+
+  for (const topic of topics) {
+    const candidates = await findBankCandidates(session, student.schoolId, topic);
+    for (const difficulty of difficultiesFor(abilityOf(topic))) {
+      const matching = candidates.filter(question => (question.difficulty || 'medium') === difficulty);
+      if (matching.length === 0) continue;
+      const question = matching[crypto.randomInt(matching.length)];
+      return prepareForAttempt({ _id: question._id, ...normalizeQuestion(question), source: 'bank' });
+    }
+  }
+
+  const topic = topics[0];
+  const difficulty = difficultiesFor(abilityOf(topic))[0];
+  const generated = await aiService.generatePracticeQuestion({ subject: session.subject, level: session.level, topic, difficulty });
+  if (!generated) return null;
+  try {
+    return prepareForAttempt({
+      _id: new mongoose.Types.ObjectId(),
+      ...normalizeQuestion({ ...generated, type: 'single_choice', topic, difficulty }),
+      source: 'ai'
+    });
+  } catch (error) {
+    console.error('AI practice question rejected:', error.message);
+    return null;
+  }
+};
+
+const loadMasteries = async (studentId, subject, topics) => {
+  const masteries = await TopicMastery.find({ studentId, subject, topic: { $in: topics } });
+  return new Map(masteries.map(mastery => [mastery.topic, mastery]));
+};
+
+/**
+ * Start an adaptive practice session
+ * @param {string} studentId
+ * @param {Object} options - subject, and either topics to practise, a resourceId (quiz) whose weak
+ *   attempts give the topics, or neither for the student's weakest topics in the subject; questionCount
+ * @returns {Promise<Object>} The session, with its first question
+ */
+export const startPracticeSession = async (studentId, { subject, topics, resourceId, questionCount } = {}) => {
+  const student = await loadStudent(studentId);
+  await syncMasteryFromResults(student._id);
+
+  const count = questionCount === undefined ? 10 : Number(questionCount);
+  if (!Number.isInteger(count) || count < 1 || count > 50) {
+    throw new ServiceError(400, 'INVALID_PRACTICE', 'questionCount must be a whole number from 1 to 50');
+  }
+
+  let practiceSubject = subject;
+  let practiceTopics = [];
+  if (Array.isArray(topics) && topics.length > 0) {
+    practiceTopics = topics;
+  } else if (resourceId) {
+    const weak = await getWeakAttemptTopics(student._id, resourceId);
+    practiceSubject = practiceSubject || weak.subject;
+    practiceTopics = weak.topics;
+  } else if (subject) {
+    practiceTopics = weakestOf(await findTopicMasteries(student._id, subject)).map(entry => entry.topic);
+  }
+
+  practiceTopics = [...new Set(practiceTopics.map(topic => String(topic ?? '').trim()).filter(Boolean))].slice(0, 10);
+  if (!practiceSubject) {
+    throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'Missing required field: subject');
+  }
+  if (practiceTopics.length === 0) {
+    throw new ServiceError(409, 'NO_WEAK_TOPICS', 'No topics to practise yet: take a quiz first or choose topics');
+  }
+
+  const session = new PracticeSession({
+    studentId: student._id,
+    subject: practiceSubject,
+    level: student.selectedLevel,
+    topics: practiceTopics,
+    questionCount: count
+  });
+  const first = await pickNextQuestion(session, student, await loadMasteries(student._id, practiceSubject, practiceTopics));
+  if (!first) {
+    throw new ServiceError(409, 'NO_PRACTICE_QUESTIONS', 'There are no practice questions on these topics yet');
+  }
+  session.items.push(first);
+  await session.save();
+  return session;
+};
+
+/**
+ * Load a practice session of the student
+ */
+export const loadPracticeSession = async (sessionId, studentId) => {
+  const session = isObjectId(sessionId) ? await PracticeSession.findById(sessionId) : null;
+  if (!session || session.studentId.toString() !== studentId.toString()) {
+    throw new ServiceError(404, 'PRACTICE_SESSION_NOT_FOUND', 'Practice session not found');
+  }
+  return session;
+};
+
+/**
+ * Grade the answer to the session's current question, update the student's ability on its topic
+ * and serve the next question (or complete the session)
+ * @param {string} sessionId
+ * @param {string} studentId
+ * @param {Object} body - { questionId, answer } with answer as for a quiz attempt (null = don't know)
+ * @returns {Promise<{ session: Object, item: Object, mastery: Object }>} item is the graded question
+ */
+export const answerPracticeQuestion = async (sessionId, studentId, { questionId, answer } = {}) => {
+  const session = await loadPracticeSession(sessionId, studentId);
+  if (session.status !== 'in_progress') {
+    throw new ServiceError(409, 'PRACTICE_SESSION_COMPLETED', 'This practice session is already completed');
+  }
+  const item = session.items[session.items.length - 1];
+  if (!item || item.answeredAt || item._id.toString() !== String(questionId)) {
+    throw new ServiceError(409, 'QUESTION_NOT_CURRENT', 'This is not the question waiting for an answer');
+  }
+
+  const student = await loadStudent(studentId);
+  const graded = gradeQuestion(item, answer);
+  const masteries = await loadMasteries(student._id, session.subject, session.topics);
+  const mastery = masteries.get(item.topic) || new TopicMastery({ studentId: student._id, subject: session.subject, topic: item.topic });
+
+  item.answer = graded.answer;
+  item.credit = graded.credit;
+  item.abilityBefore = round(mastery.ability);
+  item.answeredAt = new Date();
+  applyAnswer(mastery, { difficulty: item.difficulty, credit: graded.credit, source: 'practice', at: item.answeredAt });
+  item.abilityAfter = round(mastery.ability);
+  masteries.set(item.topic, mastery);
+
+  const next = session.items.length < session.questionCount ? await pickNextQuestion(session, student, masteries) : null;
+  if (next) {
+    session.items.push(next);
+  } else {
+    session.status = 'completed';
+    session.completedAt = new Date();
+  }
+
+  try {
+    // Optimistic concurrency: the same answer sent twice is only recorded once
+    await session.save();
+  } catch (error) {
+    if (error.name !== 'VersionError') throw error;
+    throw new ServiceError(409, 'QUESTION_NOT_CURRENT', 'This question has already been answered');
+  }
+  await mastery.save();
+
+  return { session, item, mastery };
+};
+
+/**
+ * Practice session as returned to the student: the question waiting for an answer, and per topic
+ * the ability at the start of the session and now
+ */
+export const formatPracticeSession = (session) => {
+  const answered = session.items.filter(item => item.answeredAt);
+  const current = session.status === 'in_progress' ? session.items[session.items.length - 1] : null;
+
+  return {
+    id: session._id,
+    subject: session.subject,
+    level: session.level,
+    topics: session.topics,
+    status: session.status,
+    questionCount: session.questionCount,
+    answeredCount: answered.length,
+    currentQuestion: current && !current.answeredAt ? { ...formatQuestionForStudent(current), topic: current.topic, difficulty: current.difficulty } : null,
+    progress: session.topics.map(topic => {
+      const onTopic = answered.filter(item => item.topic === topic);
+      return {
+        topic,
+        answered: onTopic.length,
+        credit: round(onTopic.reduce((sum, item) => sum + item.credit, 0)),
+        abilityStart: onTopic.length > 0 ? onTopic[0].abilityBefore : null,
+        abilityNow: onTopic.length > 0 ? onTopic[onTopic.length - 1].abilityAfter : null
+      };
+    }),
+    startedAt: session.startedAt,
+    completedAt: session.completedAt || null
+  };
+};
+
+/**
+ * A graded practice question with its correct answer (options in their original order, which the answer refers to)
+ */
+export const formatPracticeFeedback = (item) => ({
+  id: item._id,
+  ...formatQuestionContent(item),
+  answer: item.answer,
+  credit: item.credit,
+  isCorrect: item.credit === 1,
+  abilityBefore: item.abilityBefore,
+  abilityAfter: item.abilityAfter
+});
@@ -0,0 +1,230 @@
+import crypto from 'crypto';
+import Question from '../models/questionModels.js';
+import { QUESTION_DIFFICULTIES } from '../models/quizModels.js';
+import { getSchoolSettings, assertAllowedBySchool, isSameSchool } from './schoolService.js';
+import { normalizeQuestion, formatQuestionContent, prepareForAttempt } from './questionTypeService.js';
+import { ServiceError } from '../utils/errors.js';
+
+/**
+ * Question Bank Service
+ * Teachers' reusable questions, tagged by subject, level, topic, difficulty and free-form tags,
+ * and the assembly of quiz attempts from them by rule
+ */
+
+// Upper bound on the bank questions considered when assembling one attempt
+const MAX_POOL_SIZE = 2000;
+
+const isObjectId = (value) => /^[a-f\d]{24}$/i.test(String(value || ''));
+
+const normalizeTags = (tags) => [...new Set((Array.isArray(tags) ? tags : [])
+  .map(tag => String(tag ?? '').trim().toLowerCase())
+  .filter(Boolean))];
+
+/**
+ * Bank question as returned by the API (only to teachers)
+ */
+export const formatBankQuestion = (question) => ({
+  id: question._id,
+  ...formatQuestionContent(question),
+  subject: question.subject,
+  level: question.level,
+  tags: question.tags,
+  teacherId: question.teacherId,
+  isShared: question.isShared,
+  practiceOnly: question.practiceOnly === true,
+  createdAt: question.createdAt,
+  updatedAt: question.updatedAt
+});
+
+/**
+ * Filter for the bank questions a teacher can use: their own, and shared questions of their school
+ */
+export const questionVisibilityFilter = (user) => (user.role === 'admin'
+  ? {}
+  : { $or: [{ teacherId: user._id }, { isShared: true, schoolId: user.schoolId || null }] });
+
+/**
+ * Load a bank question the user may use (or, with forEdit, change)
+ */
+export const loadBankQuestion = async (questionId, user, { forEdit = false } = {}) => {
+  const question = isObjectId(questionId) ? await Question.findById(questionId) : null;
+  const canUse = question && (user.role === 'admin'
+    || question.teacherId.toString() === user._id.toString()
+    || (question.isShared && isSameSchool(question.schoolId, user.schoolId)));
+  if (!canUse) {
+    throw new ServiceError(404, 'QUESTION_NOT_FOUND', 'Question not found');
+  }
+  if (forEdit && user.role !== 'admin' && question.teacherId.toString() !== user._id.toString()) {
+    throw new ServiceError(403, 'FORBIDDEN_OWNER', 'Only the teacher who created a question can change it');
+  }
+  return question;
+};
+
+/**
+ * Apply the content, subject/level, tags, isShared and practiceOnly from a request body to a bank question.
+ * Level and subject must be offered by the teacher's school.
+ */
+export const applyBankQuestionFields = async (question, body) => {
+  const content = normalizeQuestion({ ...formatBankQuestion(question), ...body });
+  Object.assign(question, content);
+  if (body.subject !== undefined) question.subject = body.subject;
+  if (body.level !== undefined) question.level = parseInt(body.level);
+  if (body.tags !== undefined) question.tags = normalizeTags(body.tags);
+  if (body.isShared !== undefined) question.isShared = body.isShared === true;
+  if (body.practiceOnly !== undefined) question.practiceOnly = body.practiceOnly === true;
+
+  if (!question.subject || !question.level) {
+    throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'Missing required fields: subject, level');
+  }
+  if (body.subject !== undefined || body.level !== undefined) {
+    assertAllowedBySchool(await getSchoolSettings(question.schoolId), { level: question.level, subject: question.subject });
+  }
+  return question;
+};
+
+/**
+ * Validate a quiz's assembly rules
+ * @param {Object|null} assembly - { questionCount, topics, tags, difficultyMix: { easy, medium, hard } (percentages) }
+ * @returns {Object|null} Normalized rules (null = fixed quiz)
+ */
+export const normalizeAssembly = (assembly) => {
+  if (assembly === null) return null;
+  if (typeof assembly !== 'object' || Array.isArray(assembly)) {
+    throw new ServiceError(400, 'INVALID_ASSEMBLY', 'assembly must be an object or null');
+  }
+
+  const questionCount = Number(assembly.questionCount);
+  if (!Number.isInteger(questionCount) || questionCount < 1 || questionCount > 100) {
+    throw new ServiceError(400, 'INVALID_ASSEMBLY', 'assembly.questionCount must be a whole number from 1 to 100');
+  }
+
+  const difficultyMix = {};
+  for (const difficulty of QUESTION_DIFFICULTIES) {
+    const percent = Number(assembly.difficultyMix?.[difficulty] ?? 0);
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+      throw new ServiceError(400, 'INVALID_ASSEMBLY', `assembly.difficultyMix.${difficulty} must be a percentage from 0 to 100`);
+    }
+    difficultyMix[difficulty] = percent;
+  }
+  if (Object.values(difficultyMix).reduce((sum, percent) => sum + percent, 0) > 100) {
+    throw new ServiceError(400, 'INVALID_ASSEMBLY', 'assembly.difficultyMix cannot add up to more than 100%');
+  }
+
+  return {
+    questionCount,
+    topics: [...new Set((Array.isArray(assembly.topics) ? assembly.topics : []).map(topic => String(topic).trim()).filter(Boolean))],
+    tags: normalizeTags(assembly.tags),
+    difficultyMix
+  };
+};
+
+/**
+ * How many questions of each difficulty an assembly needs ('any' = the rest)
+ */
+const getDifficultyCounts = (assembly) => {
+  const counts = {};
+  let assigned = 0;
+  for (const difficulty of QUESTION_DIFFICULTIES) {
+    counts[difficulty] = Math.round(assembly.questionCount * (assembly.difficultyMix?.[difficulty] || 0) / 100);
+    assigned += counts[difficulty];
+  }
+  // Rounding can overshoot by a question or two; take them off the largest share
+  while (assigned > assembly.questionCount) {
+    const largest = QUESTION_DIFFICULTIES.reduce((a, b) => (counts[b] > counts[a] ? b : a));
+    counts[largest]--;
+    assigned--;
+  }
+  counts.any = assembly.questionCount - assigned;
+  return counts;
+};
+
+/**
+ * Bank questions matching a quiz's rules: its subject and level, any of its topics and tags,
+ * and usable by the quiz's teacher. Practice-only questions are left out, as students see their answers.
+ */
+const findAssemblyPool = (quiz) => {
+  const assembly = quiz.assembly;
+  return Question.find({
+    $and: [
+      questionVisibilityFilter({ _id: quiz.teacherId, schoolId: quiz.schoolId, role: 'teacher' }),
+      {
+        subject: quiz.subject,
+        level: quiz.level,
+        practiceOnly: { $ne: true },
+        ...(assembly.topics?.length > 0 && { topic: { $in: assembly.topics } }),
+        ...(assembly.tags?.length > 0 && { tags: { $in: assembly.tags } })
+      }
+    ]
+  }).limit(MAX_POOL_SIZE).lean();
+};
+
+/**
+ * Check the bank holds enough questions for a quiz's rules
+ * @throws {ServiceError} 400 NOT_ENOUGH_QUESTIONS with the available and required counts per difficulty
+ */
+export const assertAssemblyPossible = async (quiz) => {
+  const pool = await findAssemblyPool(quiz);
+  const counts = getDifficultyCounts(quiz.assembly);
+  const available = Object.fromEntries(QUESTION_DIFFICULTIES.map(difficulty =>
+    [difficulty, pool.filter(question => question.difficulty === difficulty).length]));
+
+  if (pool.length < quiz.assembly.questionCount || QUESTION_DIFFICULTIES.some(difficulty => available[difficulty] < counts[difficulty])) {
+    throw new ServiceError(400, 'NOT_ENOUGH_QUESTIONS', 'The question bank does not have enough questions matching these rules', {
+      required: { total: quiz.assembly.questionCount, ...Object.fromEntries(QUESTION_DIFFICULTIES.map(d => [d, counts[d]])) },
+      available: { total: pool.length, ...available }
+    });
+  }
+};
+
+/**
+ * Fisher-Yates shuffle (returns a new array)
+ */
+export const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * The questions of a new attempt: the quiz's own questions, or a fresh draw from the bank for a rule-based quiz.
+ * Difficulties short of questions (the bank changed since the quiz was saved) are made up from the others.
+ * @returns {Promise<Array>} Questions in the stored shape, shuffled as the quiz asks (options through optionOrder)
+ * @throws {ServiceError} 409 NOT_ENOUGH_QUESTIONS when the bank no longer holds enough matching questions
+ */
+export const assembleQuestions = async (quiz) => {
+  let questions;
+  if (quiz.assembly) {
+    const pool = shuffle(await findAssemblyPool(quiz));
+    if (pool.length < quiz.assembly.questionCount) {
+      throw new ServiceError(409, 'NOT_ENOUGH_QUESTIONS', 'This quiz cannot be taken right now: its question bank has too few questions');
+    }
+
+    const counts = getDifficultyCounts(quiz.assembly);
+    const picked = new Set();
+    for (const difficulty of QUESTION_DIFFICULTIES) {
+      pool.filter(question => question.difficulty === difficulty)
+        .slice(0, counts[difficulty])
+        .forEach(question => picked.add(question));
+    }
+    for (const question of pool) {
+      if (picked.size >= quiz.assembly.questionCount) break;
+      picked.add(question);
+    }
+    // Bank questions keep their _id, so results can be traced back to them
+    questions = [...picked].map(question => ({
+      _id: question._id,
+      ...normalizeQuestion(question)
+    }));
+  } else {
+    questions = quiz.questions.map(question => ({
+      _id: question._id,
+      ...normalizeQuestion(question)
+    }));
+  }
+
+  if (quiz.shuffleQuestions !== false) questions = shuffle(questions);
+  return questions.map(question => prepareForAttempt(question, { shuffleOptions: quiz.shuffleOptions !== false }));
+};
@@ -0,0 +1,391 @@
+import crypto from 'crypto';
+import { QUESTION_TYPES, QUESTION_DIFFICULTIES } from '../models/quizModels.js';
+import { ServiceError } from '../utils/errors.js';
+
+/**
+ * Question Type Service
+ * Validation, presentation and auto-grading of each question type. Grading gives a credit from 0
+ * to 1 so types with several parts (multi-select, ordering, matching, numeric units) earn partial credit.
+ *
+ * In an attempt, option lists may be served in a shuffled order (`optionOrder`: served position ->
+ * original index). Students answer with served positions; answers are stored and reviewed with
+ * original indices.
+ */
+
+const MAX_OPTIONS = 10;
+const MAX_ACCEPTED_ANSWERS = 20;
+const MAX_ALTERNATIVE_UNITS = 10;
+
+// Fields only some types use; cleared when a question changes type
+const TYPE_FIELDS = ['options', 'correctAnswer', 'pairs', 'tolerance', 'toleranceType', 'unit', 'alternativeUnits',
+  'unitPenalty', 'acceptedAnswers', 'caseSensitive', 'allowTypos'];
+
+const invalid = (index, message) => new ServiceError(400, 'INVALID_QUESTIONS', `Question ${index + 1}: ${message}`, { index });
+
+const cleanStrings = (values) => (Array.isArray(values) ? values.map(value => String(value ?? '').trim()) : []);
+
+const normalizeOptions = (options, index) => {
+  const cleaned = cleanStrings(options);
+  if (cleaned.length < 2 || cleaned.length > MAX_OPTIONS || cleaned.some(option => !option || option.length > 500)) {
+    throw invalid(index, `needs 2 to ${MAX_OPTIONS} non-empty options of at most 500 characters`);
+  }
+  return cleaned;
+};
+
+const isOptionIndex = (value, options) => Number.isInteger(value) && value >= 0 && value < options.length;
+
+// Units compare exactly (mA is not MA) but ignore spacing and '^' (m/s^2 = m/s2)
+const normalizeUnit = (unit) => String(unit ?? '').replace(/[\s^]/g, '').replace(/[·*]/g, '.');
+
+const normalizeText = (text, caseSensitive) => {
+  const cleaned = String(text ?? '').normalize('NFKC').trim().replace(/\s+/g, ' ').replace(/[.!]+$/, '');
+  return caseSensitive ? cleaned : cleaned.toLowerCase();
+};
+
+/**
+ * Validate the type-specific answer fields of a question
+ */
+const TYPE_RULES = {
+  single_choice: (item, index) => {
+    const options = normalizeOptions(item.options, index);
+    const correctAnswer = Number(item.correctAnswer);
+    if (!isOptionIndex(correctAnswer, options)) throw invalid(index, 'correctAnswer must be the index of one of its options');
+    return { options, correctAnswer };
+  },
+
+  multi_select: (item, index) => {
+    const options = normalizeOptions(item.options, index);
+    const correctAnswer = Array.isArray(item.correctAnswer) ? [...new Set(item.correctAnswer.map(Number))].sort((a, b) => a - b) : [];
+    if (correctAnswer.length === 0 || correctAnswer.some(value => !isOptionIndex(value, options))) {
+      throw invalid(index, 'correctAnswer must list the indices of the correct options');
+    }
+    return { options, correctAnswer };
+  },
+
+  true_false: (item, index) => {
+    if (typeof item.correctAnswer !== 'boolean') throw invalid(index, 'correctAnswer must be true or false');
+    return { correctAnswer: item.correctAnswer };
+  },
+
+  numeric: (item, index) => {
+    const correctAnswer = Number(item.correctAnswer);
+    const tolerance = item.tolerance === undefined ? 0 : Number(item.tolerance);
+    const toleranceType = item.toleranceType || 'absolute';
+    const unit = typeof item.unit === 'string' ? item.unit.trim() : '';
+    const unitPenalty = item.unitPenalty === undefined ? 50 : Number(item.unitPenalty);
+
+    if (item.correctAnswer === null || item.correctAnswer === '' || !Number.isFinite(correctAnswer)) {
+      throw invalid(index, 'correctAnswer must be a number');
+    }
+    if (!Number.isFinite(tolerance) || tolerance < 0) throw invalid(index, 'tolerance must be 0 or more');
+    if (!['absolute', 'percent'].includes(toleranceType)) throw invalid(index, 'toleranceType must be absolute or percent');
+    if (unit.length > 20) throw invalid(index, 'unit can be at most 20 characters');
+    if (!Number.isFinite(unitPenalty) || unitPenalty < 0 || unitPenalty > 100) throw invalid(index, 'unitPenalty must be a percentage from 0 to 100');
+
+    const alternativeUnits = (Array.isArray(item.alternativeUnits) ? item.alternativeUnits : []).map(entry => ({
+      unit: typeof entry?.unit === 'string' ? entry.unit.trim() : '',
+      factor: Number(entry?.factor)
+    }));
+    if (alternativeUnits.length > 0 && !unit) throw invalid(index, 'alternativeUnits need a unit');
+    if (alternativeUnits.length > MAX_ALTERNATIVE_UNITS
+        || alternativeUnits.some(entry => !entry.unit || entry.unit.length > 20 || !Number.isFinite(entry.factor) || entry.factor <= 0)) {
+      throw invalid(index, `alternativeUnits must be at most ${MAX_ALTERNATIVE_UNITS} { unit, factor } entries with a factor above 0`);
+    }
+
+    return { correctAnswer, tolerance, toleranceType, unit, alternativeUnits, unitPenalty };
+  },
+
+  short_text: (item, index) => {
+    const acceptedAnswers = [...new Set(cleanStrings(item.acceptedAnswers))];
+    if (acceptedAnswers.length === 0 || acceptedAnswers.length > MAX_ACCEPTED_ANSWERS
+        || acceptedAnswers.some(answer => !answer || answer.length > 200)) {
+      throw invalid(index, `acceptedAnswers must list 1 to ${MAX_ACCEPTED_ANSWERS} answers of at most 200 characters`);
+    }
+    return { acceptedAnswers, caseSensitive: item.caseSensitive === true, allowTypos: item.allowTypos === true };
+  },
+
+  // Options are given in the correct order
+  ordering: (item, index) => ({ options: normalizeOptions(item.options, index) }),
+
+  matching: (item, index) => {
+    const pairs = (Array.isArray(item.pairs) ? item.pairs : []).map(pair => ({
+      prompt: String(pair?.prompt ?? '').trim(),
+      match: String(pair?.match ?? '').trim()
+    }));
+    if (pairs.length < 2 || pairs.length > MAX_OPTIONS
+        || pairs.some(pair => !pair.prompt || !pair.match || pair.prompt.length > 500 || pair.match.length > 500)) {
+      throw invalid(index, `needs 2 to ${MAX_OPTIONS} pairs, each with a prompt and a match of at most 500 characters`);
+    }
+    if (new Set(pairs.map(pair => pair.match.toLowerCase())).size !== pairs.length) {
+      throw invalid(index, 'every pair needs a different match');
+    }
+    return { pairs };
+  }
+};
+
+/**
+ * Validate the content of one question (quiz or bank)
+ * @param {Object} item - { type, question, explanation, points, topic, difficulty } plus the type's answer fields
+ * @param {number} index - Position, for error messages
+ * @returns {Object} The question in the stored shape; fields the type doesn't use are undefined
+ */
+export const normalizeQuestion = (item, index = 0) => {
+  const type = item?.type === undefined ? 'single_choice' : item.type;
+  const question = typeof item?.question === 'string' ? item.question.trim() : '';
+  const points = item?.points === undefined ? 1 : Number(item.points);
+  const explanation = typeof item?.explanation === 'string' ? item.explanation.trim() : '';
+  const topic = typeof item?.topic === 'string' ? item.topic.trim() : '';
+  const difficulty = item?.difficulty === undefined ? 'medium' : item.difficulty;
+
+  if (!QUESTION_TYPES.includes(type)) {
+    throw invalid(index, `type must be one of: ${QUESTION_TYPES.join(', ')}`);
+  }
+  if (!question || question.length > 1000) throw invalid(index, 'needs text of at most 1000 characters');
+  if (!Number.isFinite(points) || points <= 0 || points > 100) throw invalid(index, 'must be worth more than 0 and at most 100 points');
+  if (explanation.length > 1000) throw invalid(index, 'the explanation can be at most 1000 characters');
+  if (topic.length > 100) throw invalid(index, 'the topic can be at most 100 characters');
+  if (!QUESTION_DIFFICULTIES.includes(difficulty)) {
+    throw invalid(index, `difficulty must be one of: ${QUESTION_DIFFICULTIES.join(', ')}`);
+  }
+
+  return {
+    ...Object.fromEntries(TYPE_FIELDS.map(field => [field, undefined])),
+    type,
+    question,
+    ...TYPE_RULES[type](item, index),
+    explanation,
+    points,
+    topic,
+    difficulty
+  };
+};
+
+/**
+ * A question with its answer, as shown to teachers (and in the review of a submitted attempt)
+ */
+export const formatQuestionContent = (question) => {
+  const type = question.type || 'single_choice';
+  const formatted = { type, question: question.question };
+  if (['single_choice', 'multi_select', 'ordering'].includes(type)) formatted.options = question.options;
+  if (type !== 'ordering' && type !== 'matching' && type !== 'short_text') formatted.correctAnswer = question.correctAnswer;
+  if (type === 'matching') formatted.pairs = question.pairs.map(({ prompt, match }) => ({ prompt, match }));
+  if (type === 'numeric') {
+    formatted.tolerance = question.tolerance ?? 0;
+    formatted.toleranceType = question.toleranceType || 'absolute';
+    formatted.unit = question.unit || '';
+    formatted.alternativeUnits = (question.alternativeUnits || []).map(({ unit, factor }) => ({ unit, factor }));
+    formatted.unitPenalty = question.unitPenalty ?? 50;
+  }
+  if (type === 'short_text') {
+    formatted.acceptedAnswers = question.acceptedAnswers;
+    formatted.caseSensitive = question.caseSensitive === true;
+    formatted.allowTypos = question.allowTypos === true;
+  }
+  return {
+    ...formatted,
+    explanation: question.explanation || '',
+    points: question.points ?? 1,
+    topic: question.topic || '',
+    difficulty: question.difficulty || 'medium'
+  };
+};
+
+const randomPermutation = (length) => {
+  const order = Array.from({ length }, (_, index) => index);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+};
+
+// A shuffled order that differs from the original (which would give the answer away)
+const scrambledPermutation = (length) => {
+  let order = randomPermutation(length);
+  for (let tries = 0; tries < 10 && order.every((value, index) => value === index); tries++) {
+    order = randomPermutation(length);
+  }
+  return order;
+};
+
+/**
+ * Decide the order a question's options are served in for one attempt.
+ * Ordering items and matching answers are always scrambled; choice options only with shuffleOptions.
+ * @returns {Object} The question with `optionOrder` (absent when nothing is reordered)
+ */
+export const prepareForAttempt = (question, { shuffleOptions = true } = {}) => {
+  const type = question.type || 'single_choice';
+  if (type === 'ordering') return { ...question, optionOrder: scrambledPermutation(question.options.length) };
+  if (type === 'matching') return { ...question, optionOrder: scrambledPermutation(question.pairs.length) };
+  if (shuffleOptions && (type === 'single_choice' || type === 'multi_select')) {
+    return { ...question, optionOrder: randomPermutation(question.options.length) };
+  }
+  return question;
+};
+
+const servedOrder = (question, length) => (question.optionOrder?.length === length
+  ? question.optionOrder
+  : Array.from({ length }, (_, index) => index));
+
+/**
+ * Question as served to a student taking the quiz: no answers, options in the attempt's order
+ */
+export const formatQuestionForStudent = (question) => {
+  const type = question.type || 'single_choice';
+  const served = { id: question._id, type, question: question.question, points: question.points ?? 1 };
+  if (['single_choice', 'multi_select', 'ordering'].includes(type)) {
+    served.options = servedOrder(question, question.options.length).map(index => question.options[index]);
+  }
+  if (type === 'matching') {
+    served.prompts = question.pairs.map(pair => pair.prompt);
+    served.options = servedOrder(question, question.pairs.length).map(index => question.pairs[index].match);
+  }
+  return served;
+};
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Read a numeric answer: a number, a string such as "9.81 m/s^2" (a decimal comma is accepted), or { value, unit }
+ */
+export const parseNumericAnswer = (raw) => {
+  if (typeof raw === 'number') return Number.isFinite(raw) ? { value: raw, unit: '' } : null;
+  if (raw && typeof raw === 'object') {
+    const value = Number(raw.value);
+    return raw.value !== null && raw.value !== '' && Number.isFinite(value) ? { value, unit: String(raw.unit ?? '').trim() } : null;
+  }
+  if (typeof raw !== 'string') return null;
+  const match = raw.trim().match(/^([-+−]?(?:\d+(?:[.,]\d*)?|[.,]\d+)(?:[eE][-+]?\d+)?)\s*(.*)$/);
+  if (!match) return null;
+  const value = Number(match[1].replace('−', '-').replace(',', '.'));
+  return Number.isFinite(value) ? { value, unit: match[2].trim() } : null;
+};
+
+// A served position: an integer or a string of digits. Anything else (e.g. "", false, []) is NaN and fails
+// isOptionIndex instead of being coerced to 0 by Number()
+const parsePosition = (raw) => {
+  if (Number.isInteger(raw)) return raw;
+  return typeof raw === 'string' && /^\d+$/.test(raw) ? Number(raw) : NaN;
+};
+
+/**
+ * Per type: turn a submitted answer (served positions) into the stored form (original indices)
+ * and the credit it earns. Returns null when the answer has the wrong shape.
+ */
+const GRADERS = {
+  single_choice: (question, raw) => {
+    const position = parsePosition(raw);
+    const order = servedOrder(question, question.options.length);
+    if (!isOptionIndex(position, order)) return null;
+    const answer = order[position];
+    return { answer, credit: answer === question.correctAnswer ? 1 : 0 };
+  },
+
+  // Each wrong choice cancels a right one
+  multi_select: (question, raw) => {
+    if (!Array.isArray(raw)) return null;
+    const order = servedOrder(question, question.options.length);
+    const positions = raw.map(parsePosition);
+    if (positions.some(position => !isOptionIndex(position, order)) || new Set(positions).size !== positions.length) return null;
+    const answer = positions.map(position => order[position]).sort((a, b) => a - b);
+    const right = answer.filter(index => question.correctAnswer.includes(index)).length;
+    const wrong = answer.length - right;
+    return { answer, credit: Math.max(0, (right - wrong) / question.correctAnswer.length) };
+  },
+
+  true_false: (question, raw) => {
+    const answer = raw === 'true' ? true : raw === 'false' ? false : raw;
+    if (typeof answer !== 'boolean') return null;
+    return { answer, credit: answer === question.correctAnswer ? 1 : 0 };
+  },
+
+  // The value must be within tolerance (after converting an alternative unit); a missing or
+  // unknown unit loses unitPenalty percent of the credit
+  numeric: (question, raw) => {
+    const parsed = parseNumericAnswer(raw);
+    if (!parsed) return null;
+
+    let factor = 1;
+    let unitMatches = true;
+    if (question.unit) {
+      const given = normalizeUnit(parsed.unit);
+      const alternative = (question.alternativeUnits || []).find(entry => normalizeUnit(entry.unit) === given);
+      if (given && given === normalizeUnit(question.unit)) factor = 1;
+      else if (given && alternative) factor = alternative.factor;
+      else unitMatches = false;
+    }
+
+    const tolerance = question.toleranceType === 'percent'
+      ? Math.abs(question.correctAnswer) * (question.tolerance || 0) / 100
+      : question.tolerance || 0;
+    // Allow for floating-point error in the conversion
+    const withinTolerance = Math.abs(parsed.value * factor - question.correctAnswer) <= tolerance + 1e-9 * Math.max(1, Math.abs(question.correctAnswer));
+    const credit = withinTolerance ? (unitMatches ? 1 : 1 - (question.unitPenalty ?? 50) / 100) : 0;
+    return { answer: { value: parsed.value, unit: parsed.unit }, credit };
+  },
+
+  // Any accepted answer; with allowTypos, one wrong character (in answers of 4+ characters) earns half
+  short_text: (question, raw) => {
+    if (typeof raw !== 'string' || raw.length > 500) return null;
+    const given = normalizeText(raw, question.caseSensitive);
+    const accepted = question.acceptedAnswers.map(answer => normalizeText(answer, question.caseSensitive));
+    if (given && accepted.includes(given)) return { answer: raw.trim(), credit: 1 };
+    const nearMiss = question.allowTypos && given && accepted.some(answer => answer.length >= 4 && levenshtein(answer, given) === 1);
+    return { answer: raw.trim(), credit: nearMiss ? 0.5 : 0 };
+  },
+
+  // Share of item pairs placed in the right relative order
+  ordering: (question, raw) => {
+    const order = servedOrder(question, question.options.length);
+    if (!Array.isArray(raw) || raw.length !== order.length) return null;
+    const positions = raw.map(parsePosition);
+    if (positions.some(position => !isOptionIndex(position, order)) || new Set(positions).size !== positions.length) return null;
+    const answer = positions.map(position => order[position]);
+
+    let inOrder = 0;
+    let pairs = 0;
+    for (let i = 0; i < answer.length; i++) {
+      for (let j = i + 1; j < answer.length; j++) {
+        pairs++;
+        if (answer[i] < answer[j]) inOrder++;
+      }
+    }
+    return { answer, credit: inOrder / pairs };
+  },
+
+  // One entry per prompt: the position of the chosen match (or null); credit is the share matched correctly
+  matching: (question, raw) => {
+    const order = servedOrder(question, question.pairs.length);
+    if (!Array.isArray(raw) || raw.length !== question.pairs.length) return null;
+    const chosen = raw.filter(position => position !== null && position !== undefined).map(parsePosition);
+    if (chosen.some(position => !isOptionIndex(position, order)) || new Set(chosen).size !== chosen.length) return null;
+    const answer = raw.map(position => (position === null || position === undefined ? null : order[parsePosition(position)]));
+    return { answer, credit: answer.filter((index, prompt) => index === prompt).length / question.pairs.length };
+  }
+};
+
+/**
+ * Grade one submitted answer
+ * @param {Object} question - Attempt question
+ * @param {*} raw - The student's answer, in served positions (null/undefined = unanswered)
+ * @param {number} index - Position of the answer in the request, for error messages
+ * @returns {{ answer: *, credit: number }} The answer with original indices, and a credit from 0 to 1
+ */
+export const gradeQuestion = (question, raw, index = 0) => {
+  if (raw === null || raw === undefined) return { answer: null, credit: 0 };
+  const graded = GRADERS[question.type || 'single_choice'](question, raw);
+  if (!graded) {
+    throw new ServiceError(400, 'INVALID_ANSWERS', `Answer ${index + 1} is not a valid answer to a ${question.type || 'single_choice'} question`, { index });
+  }
+  return graded;
+};
@@ -0,0 +1,620 @@
+import { Quiz, QuizAttempt, QuizResult, Achievement, SCORING_POLICIES } from '../models/quizModels.js';
+import User from '../models/userModels.js';
+import { getSchoolSettings, assertAllowedBySchool } from './schoolService.js';
+import { getStudentClassIds, isTargetedAtStudent } from './classService.js';
+import { validateClassIds } from './assignmentService.js';
+import { normalizeAssembly, assertAssemblyPossible, assembleQuestions } from './questionBankService.js';
+import { normalizeQuestion, formatQuestionContent, formatQuestionForStudent, gradeQuestion } from './questionTypeService.js';
+import { ServiceError } from '../utils/errors.js';
+
+/**
+ * Quiz Service
+ * Teacher-authored quizzes, with fixed questions or assembled per attempt from the question bank.
+ * Students start an attempt, which serves the questions without their answers, and submit it to be
+ * graded here; the QuizResult is only ever written by the server. Time limits, attempt limits and
+ * open/close windows are enforced on the server clock.
+ */
+
+const MAX_QUESTIONS = 100;
+// Submissions this late still count as in time (network delays)
+const SUBMIT_GRACE_MS = 30 * 1000;
+// Lowest counted score that earns an achievement
+const ACHIEVEMENT_MIN_SCORE = 70;
+
+const isObjectId = (value) => /^[a-f\d]{24}$/i.test(String(value || ''));
+
+/**
+ * Validate a quiz's fixed questions from a request body
+ * @returns {Array} Questions in the stored shape (an existing question keeps its `id`)
+ */
+export const normalizeQuestions = (questions) => {
+  if (!Array.isArray(questions)) {
+    throw new ServiceError(400, 'INVALID_QUESTIONS', 'questions must be an array');
+  }
+  if (questions.length > MAX_QUESTIONS) {
+    throw new ServiceError(400, 'INVALID_QUESTIONS', `A quiz can have at most ${MAX_QUESTIONS} questions`);
+  }
+
+  return questions.map((item, index) => ({
+    ...(isObjectId(item?.id) && { _id: item.id }),
+    ...normalizeQuestion(item, index)
+  }));
+};
+
+const parseOptionalLimit = (value, field, max) => {
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw new ServiceError(400, 'INVALID_QUIZ_SETTINGS', `${field} must be a whole number from 1 to ${max}, or null`);
+  }
+  return number;
+};
+
+const parseOptionalDate = (value, field) => {
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ServiceError(400, 'INVALID_QUIZ_SETTINGS', `${field} must be a valid date, or null`);
+  }
+  return date;
+};
+
+/**
+ * Apply title/description/subject/level/questions/assembly/shuffle settings/timing and attempt
+ * settings/answer visibility/classIds/isVisible from a request body to a quiz. A quiz has either fixed questions or
+ * assembly rules for the question bank. Level and subject must be offered by the teacher's school.
+ */
+export const applyQuizFields = async (quiz, body) => {
+  const {
+    title, description, subject, level, questions, assembly, shuffleQuestions, shuffleOptions,
+    timeLimitMinutes, maxAttempts, opensAt, closesAt, scoringPolicy, showCorrectAnswers, classIds, isVisible
+  } = body;
+  if (title !== undefined) quiz.title = String(title).trim();
+  if (description !== undefined) quiz.description = description;
+  if (subject !== undefined) quiz.subject = subject;
+  if (level !== undefined) quiz.level = parseInt(level);
+  if (isVisible !== undefined) quiz.isVisible = isVisible !== false;
+  if (shuffleQuestions !== undefined) quiz.shuffleQuestions = shuffleQuestions !== false;
+  if (shuffleOptions !== undefined) quiz.shuffleOptions = shuffleOptions !== false;
+  if (showCorrectAnswers !== undefined) quiz.showCorrectAnswers = showCorrectAnswers === true || showCorrectAnswers === 'true';
+  if (questions !== undefined) quiz.questions = normalizeQuestions(questions);
+  if (assembly !== undefined) quiz.assembly = normalizeAssembly(assembly);
+  if (timeLimitMinutes !== undefined) quiz.timeLimitMinutes = parseOptionalLimit(timeLimitMinutes, 'timeLimitMinutes', 600);
+  if (maxAttempts !== undefined) quiz.maxAttempts = parseOptionalLimit(maxAttempts, 'maxAttempts', 100);
+  if (opensAt !== undefined) quiz.opensAt = parseOptionalDate(opensAt, 'opensAt');
+  if (closesAt !== undefined) quiz.closesAt = parseOptionalDate(closesAt, 'closesAt');
+  if (scoringPolicy !== undefined) {
+    if (!SCORING_POLICIES.includes(scoringPolicy)) {
+      throw new ServiceError(400, 'INVALID_QUIZ_SETTINGS', `scoringPolicy must be one of: ${SCORING_POLICIES.join(', ')}`);
+    }
+    quiz.scoringPolicy = scoringPolicy;
+  }
+  if (classIds !== undefined) quiz.classIds = await validateClassIds(classIds, quiz.teacherId);
+
+  if (!quiz.title || !quiz.subject || !quiz.level) {
+    throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'Missing required fields: title, subject, level');
+  }
+  if (quiz.assembly && quiz.questions.length > 0) {
+    throw new ServiceError(400, 'INVALID_QUESTIONS', 'A quiz has either fixed questions or assembly rules, not both');
+  }
+  if (!quiz.assembly && quiz.questions.length === 0) {
+    throw new ServiceError(400, 'INVALID_QUESTIONS', 'A quiz needs at least one question, or assembly rules');
+  }
+  if (quiz.opensAt && quiz.closesAt && quiz.closesAt <= quiz.opensAt) {
+    throw new ServiceError(400, 'INVALID_QUIZ_SETTINGS', 'closesAt must be after opensAt');
+  }
+  if (subject !== undefined || level !== undefined) {
+    assertAllowedBySchool(await getSchoolSettings(quiz.schoolId), { level: quiz.level, subject: quiz.subject });
+  }
+  if (quiz.assembly && (assembly !== undefined || subject !== undefined || level !== undefined)) {
+    await assertAssemblyPossible(quiz);
+  }
+  return quiz;
+};
+
+/**
+ * Load a quiz for its teacher (or an admin) to see with answers or change
+ */
+export const loadQuiz = async (quizId, user) => {
+  const quiz = isObjectId(quizId) ? await Quiz.findById(quizId) : null;
+  if (!quiz || quiz.isDeleted) {
+    throw new ServiceError(404, 'QUIZ_NOT_FOUND', 'Quiz not found');
+  }
+  if (user.role !== 'admin' && quiz.teacherId.toString() !== user._id.toString()) {
+    throw new ServiceError(403, 'FORBIDDEN_OWNER', 'Only the teacher who created a quiz can manage it');
+  }
+  return quiz;
+};
+
+const totalPointsOf = (questions) => questions.reduce((sum, question) => sum + (question.points ?? 1), 0);
+
+/**
+ * Whether a quiz's window lets attempts start now: 'upcoming', 'open' or 'closed'
+ */
+export const getQuizAvailability = (quiz, now = new Date()) => {
+  if (quiz.opensAt && now < quiz.opensAt) return 'upcoming';
+  if (quiz.closesAt && now >= quiz.closesAt) return 'closed';
+  return 'open';
+};
+
+/**
+ * Quiz as returned by the API. Questions with their answers are only included for the quiz's teacher.
+ */
+export const formatQuiz = (quiz, { includeAnswers = false } = {}) => ({
+  id: quiz._id,
+  title: quiz.title,
+  description: quiz.description || '',
+  subject: quiz.subject,
+  level: quiz.level,
+  questionCount: quiz.assembly ? quiz.assembly.questionCount : quiz.questions.length,
+  // Varies per attempt for quizzes assembled from the bank
+  totalPoints: quiz.assembly ? null : totalPointsOf(quiz.questions),
+  timeLimitMinutes: quiz.timeLimitMinutes ?? null,
+  maxAttempts: quiz.maxAttempts ?? null,
+  opensAt: quiz.opensAt || null,
+  closesAt: quiz.closesAt || null,
+  availability: getQuizAvailability(quiz),
+  scoringPolicy: quiz.scoringPolicy || 'best',
+  showCorrectAnswers: quiz.showCorrectAnswers === true,
+  ...(includeAnswers && {
+    questions: quiz.questions.map(question => ({ id: question._id, ...formatQuestionContent(question) })),
+    assembly: quiz.assembly ? {
+      questionCount: quiz.assembly.questionCount,
+      topics: quiz.assembly.topics,
+      tags: quiz.assembly.tags,
+      difficultyMix: quiz.assembly.difficultyMix
+    } : null,
+    shuffleQuestions: quiz.shuffleQuestions !== false,
+    shuffleOptions: quiz.shuffleOptions !== false,
+    classIds: quiz.classIds,
+    isVisible: quiz.isVisible
+  }),
+  teacherId: quiz.teacherId,
+  createdAt: quiz.createdAt,
+  updatedAt: quiz.updatedAt
+});
+
+/**
+ * The score that counts from a student's results (or submitted attempts) at one quiz
+ * @param {Array} items - Oldest first, each with a `score`
+ * @param {string} policy - 'best', 'last' or 'average'
+ * @returns {{ score: number|null, counted: Array }} The counted score and the items it comes from
+ */
+export const applyScoringPolicy = (items, policy = 'best') => {
+  if (items.length === 0) return { score: null, counted: [] };
+  if (policy === 'average') {
+    return { score: Math.round(items.reduce((sum, item) => sum + item.score, 0) / items.length), counted: items };
+  }
+  const counted = policy === 'last'
+    ? items[items.length - 1]
+    : items.reduce((best, item) => (item.score > best.score ? item : best));
+  return { score: counted.score, counted: [counted] };
+};
+
+/**
+ * Score each student's quizzes from their results with each quiz's scoring policy
+ * (results without a quiz, saved before quizzes were graded on the server, count their best score)
+ * @param {Array} results - QuizResults with _id, studentId, resourceId, resourceTitle, quizId, score and completedAt
+ * @returns {Promise<Array>} One entry per student and quiz:
+ *   { studentId, resourceId, resourceTitle, scoringPolicy, attempts, score, completedAt, countedResultIds }
+ */
+export const getCountedQuizScores = async (results) => {
+  const quizIds = [...new Set(results.filter(result => result.quizId).map(result => result.quizId.toString()))];
+  const quizzes = quizIds.length > 0 ? await Quiz.find({ _id: { $in: quizIds } }).select('scoringPolicy').lean() : [];
+  const policies = new Map(quizzes.map(quiz => [quiz._id.toString(), quiz.scoringPolicy || 'best']));
+
+  const groups = new Map();
+  [...results]
+    .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt))
+    .forEach(result => {
+      const key = `${result.studentId}:${result.resourceId}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(result);
+    });
+
+  return [...groups.values()].map(group => {
+    const latest = group[group.length - 1];
+    const scoringPolicy = (latest.quizId && policies.get(latest.quizId.toString())) || 'best';
+    const { score, counted } = applyScoringPolicy(group, scoringPolicy);
+    return {
+      studentId: latest.studentId,
+      resourceId: latest.resourceId,
+      resourceTitle: latest.resourceTitle,
+      scoringPolicy,
+      attempts: group.length,
+      score,
+      completedAt: counted[counted.length - 1].completedAt,
+      countedResultIds: counted.map(result => result._id)
+    };
+  });
+};
+
+const ACHIEVEMENT_LEVELS = ['participation', 'bronze', 'silver', 'gold'];
+
+// Achievement level calculation
+const calculateAchievementLevel = (score) => {
+  if (score >= 90) return 'gold';
+  if (score >= 80) return 'silver';
+  if (score >= 70) return 'bronze';
+  return 'participation';
+};
+
+// Achievement titles and descriptions
+const getAchievementData = (level, score) => {
+  const achievements = {
+    gold: {
+      title: 'Quiz Master',
+      description: `Outstanding performance! You scored ${score}% and mastered this topic.`,
+      icon: '🏆'
+    },
+    silver: {
+      title: 'Knowledge Star',
+      description: `Great work! You scored ${score}% and showed excellent understanding.`,
+      icon: '⭐'
+    },
+    bronze: {
+      title: 'Learning Champion',
+      description: `Well done! You scored ${score}% and demonstrated good progress.`,
+      icon: '🥉'
+    },
+    participation: {
+      title: 'Keep Learning',
+      description: `You scored ${score}%. Keep practicing to improve your understanding!`,
+      icon: '📚'
+    }
+  };
+  return achievements[level];
+};
+
+/**
+ * Award an achievement for a quiz once the score its scoring policy counts reaches 70%, and again
+ * each time it reaches a higher level than the student's earlier achievements for the quiz
+ * @param {ObjectId} studentId
+ * @param {Object} quiz - { _id, title }
+ * @returns {Promise<Object|null>} The new achievement
+ */
+export const awardQuizAchievement = async (studentId, quiz) => {
+  const resourceId = quiz._id.toString();
+  const results = await QuizResult.find({ studentId, resourceId })
+    .select('studentId resourceId resourceTitle quizId score completedAt')
+    .lean();
+  const [summary] = await getCountedQuizScores(results);
+  if (!summary || summary.score < ACHIEVEMENT_MIN_SCORE) return null;
+
+  const level = calculateAchievementLevel(summary.score);
+  const earlier = await Achievement.find({ studentId, resourceId }).select('level').lean();
+  if (earlier.some(achievement => ACHIEVEMENT_LEVELS.indexOf(achievement.level) >= ACHIEVEMENT_LEVELS.indexOf(level))) {
+    return null;
+  }
+
+  const achievementData = getAchievementData(level, summary.score);
+  return Achievement.create({
+    studentId,
+    title: achievementData.title,
+    description: achievementData.description,
+    level,
+    icon: achievementData.icon,
+    score: summary.score,
+    resourceId,
+    resourceTitle: quiz.title,
+    unlockedAt: new Date()
+  });
+};
+
+const loadStudent = async (studentId) => {
+  const student = await User.findById(studentId);
+  if (!student || student.role !== 'student') {
+    throw new ServiceError(404, 'STUDENT_NOT_FOUND', 'Student not found');
+  }
+  return student;
+};
+
+/**
+ * Quizzes a student can take: visible quizzes of their school for one of their classes or, without classes, their level
+ * @returns {Promise<Array>} Quizzes (without answers), each with the student's submitted attempt count, the
+ *   attempts they have left, their best score and the score their quiz's scoring policy counts
+ */
+export const getStudentQuizzes = async (studentId) => {
+  const student = await loadStudent(studentId);
+  const classIds = await getStudentClassIds(student._id);
+  await closeExpiredAttempts({ studentId: student._id });
+
+  const quizzes = await Quiz.find({
+    isVisible: true,
+    isDeleted: { $ne: true },
+    schoolId: student.schoolId || null,
+    $or: [{ classIds: { $in: classIds } }, { level: student.selectedLevel, classIds: { $size: 0 } }]
+  }).sort({ createdAt: -1 }).lean();
+
+  const attempts = await QuizAttempt.find({ studentId: student._id, quizId: { $in: quizzes.map(quiz => quiz._id) } })
+    .select('quizId status score submittedAt')
+    .sort({ submittedAt: 1 })
+    .lean();
+
+  return quizzes.map(quiz => {
+    const own = attempts.filter(attempt => attempt.quizId.toString() === quiz._id.toString());
+    const submitted = own.filter(attempt => attempt.status === 'submitted');
+    return {
+      ...formatQuiz(quiz),
+      attempts: submitted.length,
+      // An attempt in progress counts as used
+      attemptsRemaining: quiz.maxAttempts ? Math.max(quiz.maxAttempts - own.length, 0) : null,
+      bestScore: submitted.length > 0 ? Math.max(...submitted.map(attempt => attempt.score)) : null,
+      score: applyScoringPolicy(submitted, quiz.scoringPolicy).score,
+      inProgressAttemptId: own.find(attempt => attempt.status === 'in_progress')?._id || null
+    };
+  });
+};
+
+/**
+ * Attempt as returned to the student taking it, with the answers saved so far
+ */
+export const formatAttempt = (attempt, quiz) => ({
+  id: attempt._id,
+  quizId: attempt.quizId,
+  title: quiz.title,
+  status: attempt.status,
+  attemptNumber: attempt.attemptNumber ?? null,
+  startedAt: attempt.startedAt,
+  expiresAt: attempt.expiresAt || null,
+  // For a countdown that doesn't depend on the device's clock
+  serverTime: new Date(),
+  totalPoints: totalPointsOf(attempt.questions),
+  questions: attempt.questions.map(formatQuestionForStudent),
+  savedAnswers: (attempt.savedAnswers || []).map(({ questionId, answer }) => ({ questionId, answer })),
+  savedAt: attempt.savedAt || null
+});
+
+/**
+ * Start an attempt at a quiz (or resume the student's open one). Each attempt gets its own
+ * question selection and order, kept for the rest of the attempt. New attempts need the quiz to be
+ * open and the student to have attempts left; they must be submitted within the time limit and
+ * before the quiz closes.
+ * @returns {Promise<{ attempt: Object, quiz: Object, resumed: boolean }>}
+ */
+export const startAttempt = async (quizId, studentId) => {
+  const student = await loadStudent(studentId);
+  const quiz = isObjectId(quizId) ? await Quiz.findById(quizId).lean() : null;
+  if (!quiz || quiz.isDeleted || !quiz.isVisible
+      || !isTargetedAtStudent(quiz, student, await getStudentClassIds(student._id))) {
+    throw new ServiceError(404, 'QUIZ_NOT_FOUND', 'Quiz not found');
+  }
+
+  await closeExpiredAttempts({ quizId: quiz._id, studentId: student._id });
+  const open = await QuizAttempt.findOne({ quizId: quiz._id, studentId: student._id, status: 'in_progress' });
+  if (open) return { attempt: open, quiz, resumed: true };
+
+  const now = new Date();
+  const availability = getQuizAvailability(quiz, now);
+  if (availability === 'upcoming') {
+    throw new ServiceError(409, 'QUIZ_NOT_OPEN', 'This quiz is not open yet', { opensAt: quiz.opensAt });
+  }
+  if (availability === 'closed') {
+    throw new ServiceError(409, 'QUIZ_CLOSED', 'This quiz is closed', { closesAt: quiz.closesAt });
+  }
+
+  const previousAttempts = await QuizAttempt.countDocuments({ quizId: quiz._id, studentId: student._id });
+  if (quiz.maxAttempts && previousAttempts >= quiz.maxAttempts) {
+    throw new ServiceError(409, 'ATTEMPT_LIMIT_REACHED', `This quiz allows ${quiz.maxAttempts} attempt(s)`, { maxAttempts: quiz.maxAttempts });
+  }
+
+  // Time is up at the time limit or when the quiz closes, whichever comes first
+  const deadlines = [
+    quiz.timeLimitMinutes && now.getTime() + quiz.timeLimitMinutes * 60 * 1000,
+    quiz.closesAt && new Date(quiz.closesAt).getTime()
+  ].filter(Boolean);
+
+  try {
+    const attempt = await QuizAttempt.create({
+      quizId: quiz._id,
+      studentId: student._id,
+      attemptNumber: previousAttempts + 1,
+      startedAt: now,
+      expiresAt: deadlines.length > 0 ? new Date(Math.min(...deadlines)) : null,
+      questions: await assembleQuestions(quiz)
+    });
+    return { attempt, quiz, resumed: false };
+  } catch (error) {
+    // Started twice at once: hand back the attempt that won
+    if (error.code !== 11000) throw error;
+    const attempt = await QuizAttempt.findOne({ quizId: quiz._id, studentId: student._id, status: 'in_progress' });
+    return { attempt, quiz, resumed: true };
+  }
+};
+
+/**
+ * Check submitted answers against an attempt's questions
+ * @param {Array} questions - The attempt's questions
+ * @param {Array} answers - [{ questionId, answer }], answer in the shape of the question's type, with options
+ *   referred to by their position as served (unanswered questions may be left out)
+ * @returns {Array} One graded answer per question, in question order, with the credit (0 to 1) it earned
+ */
+export const gradeAnswers = (questions, answers) => {
+  if (!Array.isArray(answers)) {
+    throw new ServiceError(400, 'INVALID_ANSWERS', 'answers must be an array of { questionId, answer }');
+  }
+
+  const byQuestion = new Map();
+  answers.forEach((entry, index) => {
+    const question = questions.find(item => item._id.toString() === String(entry?.questionId));
+    if (!question) {
+      throw new ServiceError(400, 'INVALID_ANSWERS', `Answer ${index + 1} is for a question that is not in this attempt`, { index });
+    }
+    if (byQuestion.has(question._id.toString())) {
+      throw new ServiceError(400, 'INVALID_ANSWERS', `Question "${question.question}" is answered more than once`, { index });
+    }
+    byQuestion.set(question._id.toString(), gradeQuestion(question, entry.answer, index));
+  });
+
+  return questions.map(question => {
+    const { answer, credit } = byQuestion.get(question._id.toString()) || { answer: null, credit: 0 };
+    return {
+      questionId: question._id,
+      answer,
+      credit,
+      isCorrect: credit === 1,
+      pointsAwarded: Math.round((question.points ?? 1) * credit * 100) / 100
+    };
+  });
+};
+
+const isPastDeadline = (attempt) => Boolean(attempt.expiresAt) && Date.now() > attempt.expiresAt.getTime() + SUBMIT_GRACE_MS;
+
+/**
+ * Grade and close an open attempt, record its QuizResult and award any achievement it earns
+ * @param {Object} attempt - QuizAttempt document
+ * @param {Array} answers - See gradeAnswers
+ * @param {Object} options - timedOut: closed at its deadline rather than submitted
+ * @returns {Promise<{ attempt: Object, result: Object, quiz: Object, achievement: Object|null }>}
+ */
+const closeAttempt = async (attempt, answers, { timedOut = false } = {}) => {
+  const graded = gradeAnswers(attempt.questions, answers);
+  const totalPoints = totalPointsOf(attempt.questions);
+  const pointsEarned = Math.round(graded.reduce((sum, entry) => sum + entry.pointsAwarded, 0) * 100) / 100;
+  const score = Math.round((pointsEarned / totalPoints) * 100);
+  const submittedAt = timedOut ? attempt.expiresAt : new Date();
+
+  // Only the first of two concurrent submissions closes the attempt
+  const closed = await QuizAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: 'in_progress' },
+    { $set: { status: 'submitted', answers: graded, pointsEarned, totalPoints, score, submittedAt, timedOut } },
+    { new: true }
+  );
+  if (!closed) {
+    throw new ServiceError(409, 'ATTEMPT_ALREADY_SUBMITTED', 'This attempt has already been submitted');
+  }
+
+  const quiz = await Quiz.findById(attempt.quizId).select('title').lean();
+  const title = quiz?.title || 'Quiz';
+  const result = await QuizResult.create({
+    studentId: attempt.studentId,
+    resourceId: attempt.quizId.toString(),
+    resourceTitle: title,
+    quizId: attempt.quizId,
+    attemptId: attempt._id,
+    score,
+    answers: graded.map(entry => entry.answer),
+    credits: graded.map(entry => entry.credit),
+    correctAnswers: graded.filter(entry => entry.isCorrect).length,
+    totalQuestions: graded.length,
+    quizData: {
+      title,
+      questions: attempt.questions.map(question => ({ id: question._id.toString(), ...formatQuestionContent(question) }))
+    },
+    completedAt: submittedAt
+  });
+
+  closed.resultId = result._id;
+  await closed.save();
+
+  const achievement = await awardQuizAchievement(attempt.studentId, { _id: attempt.quizId, title });
+  return { attempt: closed, result, quiz: { _id: attempt.quizId, title }, achievement };
+};
+
+/**
+ * Close open attempts whose time is up, grading the answers saved before the deadline
+ * @param {Object} filter - Which attempts to look at, e.g. { studentId }
+ */
+export const closeExpiredAttempts = async (filter) => {
+  const expired = await QuizAttempt.find({
+    ...filter,
+    status: 'in_progress',
+    expiresAt: { $ne: null, $lt: new Date(Date.now() - SUBMIT_GRACE_MS) }
+  });
+  for (const attempt of expired) {
+    try {
+      await closeAttempt(attempt, attempt.savedAnswers, { timedOut: true });
+    } catch (error) {
+      // Submitted meanwhile
+      if (error.code !== 'ATTEMPT_ALREADY_SUBMITTED') throw error;
+    }
+  }
+};
+
+const loadOpenAttempt = async (attemptId, studentId) => {
+  const attempt = isObjectId(attemptId) ? await QuizAttempt.findById(attemptId) : null;
+  if (!attempt || attempt.studentId.toString() !== studentId.toString()) {
+    throw new ServiceError(404, 'ATTEMPT_NOT_FOUND', 'Quiz attempt not found');
+  }
+  if (attempt.status !== 'in_progress') {
+    throw new ServiceError(409, 'ATTEMPT_ALREADY_SUBMITTED', 'This attempt has already been submitted');
+  }
+  return attempt;
+};
+
+/**
+ * Save a student's answers to their open attempt without submitting it, replacing those saved before.
+ * If time runs out before submission, the saved answers are graded.
+ * @param {Array} answers - See gradeAnswers
+ * @returns {Promise<Object>} The attempt
+ * @throws {ServiceError} 409 ATTEMPT_EXPIRED once time is up (the attempt is then closed with the answers saved before)
+ */
+export const saveAttemptAnswers = async (attemptId, studentId, answers) => {
+  const attempt = await loadOpenAttempt(attemptId, studentId);
+  if (isPastDeadline(attempt)) {
+    await closeExpiredAttempts({ _id: attempt._id });
+    throw new ServiceError(409, 'ATTEMPT_EXPIRED', 'Time is up: this attempt was submitted with the answers saved before');
+  }
+
+  // Rejects answers that don't fit their question
+  gradeAnswers(attempt.questions, answers);
+  const savedAnswers = answers
+    .filter(entry => entry.answer !== null && entry.answer !== undefined)
+    .map(entry => ({ questionId: entry.questionId, answer: entry.answer }));
+
+  const saved = await QuizAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: 'in_progress' },
+    { $set: { savedAnswers, savedAt: new Date() } },
+    { new: true }
+  );
+  if (!saved) {
+    throw new ServiceError(409, 'ATTEMPT_ALREADY_SUBMITTED', 'This attempt has already been submitted');
+  }
+  return saved;
+};
+
+/**
+ * Grade and close a student's open attempt, and record its QuizResult. After the deadline (plus a
+ * short grace period) the submitted answers are ignored and those saved in time are graded instead.
+ * @param {string} attemptId
+ * @param {string} studentId - The student submitting (must own the attempt)
+ * @param {Array} answers - See gradeAnswers
+ * @returns {Promise<{ attempt: Object, result: Object, quiz: Object, achievement: Object|null }>}
+ */
+export const submitAttempt = async (attemptId, studentId, answers) => {
+  const attempt = await loadOpenAttempt(attemptId, studentId);
+  const timedOut = isPastDeadline(attempt);
+  return closeAttempt(attempt, timedOut ? attempt.savedAnswers : answers, { timedOut });
+};
+
+/**
+ * Whether a student may see a quiz's correct answers and explanations: when the teacher shows them
+ * after every attempt, once the quiz has closed, or once the student has used all their attempts
+ */
+export const canSeeCorrectAnswers = async (quiz, studentId, now = new Date()) => {
+  if (quiz.showCorrectAnswers || getQuizAvailability(quiz, now) === 'closed') return true;
+  if (!quiz.maxAttempts) return false;
+  return await QuizAttempt.countDocuments({ quizId: quiz._id, studentId }) >= quiz.maxAttempts;
+};
+
+/**
+ * Per-question review of a submitted attempt. With includeAnswers, each question comes with the
+ * correct answer, the explanation and the student's answer (options in their original order, which
+ * answers refer to); otherwise only the questions as served and the credit earned on each.
+ */
+export const formatAttemptReview = (attempt, { includeAnswers = false } = {}) => attempt.questions.map(question => {
+  const graded = attempt.answers.find(entry => entry.questionId.toString() === question._id.toString());
+  const credit = {
+    credit: graded?.credit ?? 0,
+    isCorrect: graded?.isCorrect || false,
+    pointsAwarded: graded?.pointsAwarded || 0
+  };
+  if (!includeAnswers) return { ...formatQuestionForStudent(question), ...credit };
+
+  return {
+    id: question._id,
+    ...formatQuestionContent(question),
+    answer: graded?.answer ?? null,
+    ...credit
+  };
+});
@@ -0,0 +1,290 @@
+import { GradeHistory, RegradeRequest } from '../models/gradeModels.js';
+import { Assignment, Submission } from '../models/assignmentModels.js';
+import User from '../models/userModels.js';
+import { createNotification } from '../controllers/notificationController.js';
+import { getSchoolSettings } from './schoolService.js';
+import { calculateGrade, saveGrade, hasGrade, isSubmissionMember, getSubmissionStudentIds } from './assignmentService.js';
+import { canAccessStudent } from '../middleware/auth.js';
+import { ServiceError } from '../utils/errors.js';
+
+/**
+ * Regrade Service
+ * Students dispute the score of one rubric criterion (or the total when there is no rubric);
+ * the assignment's teacher accepts with a new score or rejects with a comment.
+ * Every grade change, including accepted regrades, is kept in the grade history.
+ */
+
+const isObjectId = (value) => /^[a-f\d]{24}$/i.test(String(value || ''));
+const criterionKey = (criteria) => String(criteria || '').trim().toLowerCase();
+
+const loadGradedSubmission = async (assignmentId, submissionId) => {
+  const assignment = isObjectId(assignmentId) ? await Assignment.findById(assignmentId) : null;
+  if (!assignment || assignment.isDeleted) {
+    throw new ServiceError(404, 'ASSIGNMENT_NOT_FOUND', 'Assignment not found');
+  }
+  const submission = isObjectId(submissionId) ? await Submission.findById(submissionId) : null;
+  if (!submission || submission.assignmentId.toString() !== assignment._id.toString()) {
+    throw new ServiceError(404, 'SUBMISSION_NOT_FOUND', 'Submission not found for this assignment');
+  }
+  return { assignment, submission };
+};
+
+/**
+ * Regrade request as returned by the API
+ */
+export const formatRegradeRequest = (request) => ({
+  id: request._id,
+  submissionId: request.submissionId,
+  assignmentId: request.assignmentId,
+  studentId: request.studentId,
+  criteria: request.criteria,
+  reason: request.reason,
+  originalScore: request.originalScore,
+  status: request.status,
+  resolution: request.status === 'accepted' || request.status === 'rejected' ? {
+    comment: request.resolution?.comment || '',
+    newScore: request.resolution?.newScore ?? null,
+    resolvedBy: request.resolution?.resolvedBy,
+    resolvedAt: request.resolution?.resolvedAt
+  } : null,
+  createdAt: request.createdAt,
+  updatedAt: request.updatedAt
+});
+
+/**
+ * Raise a regrade request on a graded submission of the student's own
+ * @param {string} assignmentId
+ * @param {Object} params - { submissionId, criteria, reason }; criteria is required when the assignment has a rubric
+ * @param {Object} student - Authenticated student
+ */
+export const createRegradeRequest = async (assignmentId, { submissionId, criteria, reason }, student) => {
+  if (!submissionId || !reason || !String(reason).trim()) {
+    throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'submissionId and reason are required');
+  }
+
+  const { assignment, submission } = await loadGradedSubmission(assignmentId, submissionId);
+  if (!(await isSubmissionMember(submission, student._id))) {
+    throw new ServiceError(404, 'SUBMISSION_NOT_FOUND', 'Submission not found for this assignment');
+  }
+  if (!hasGrade(submission)) {
+    throw new ServiceError(409, 'NOT_GRADED', 'Only graded submissions can be regraded');
+  }
+
+  let criterion = null;
+  let originalScore = submission.grade.rawScore ?? submission.grade.totalScore;
+  if (assignment.rubric.length > 0) {
+    const scored = submission.grade.rubricScores.find(entry => criterionKey(entry.criteria) === criterionKey(criteria));
+    if (!scored) {
+      throw new ServiceError(400, 'INVALID_CRITERIA', 'criteria must name one of the assignment\'s rubric criteria', {
+        criteria: assignment.rubric.map(item => item.criteria)
+      });
+    }
+    criterion = scored.criteria;
+    originalScore = scored.score;
+  } else if (criteria) {
+    throw new ServiceError(400, 'INVALID_CRITERIA', 'This assignment has no rubric; leave criteria out to dispute the total score');
+  }
+
+  if (await RegradeRequest.exists({ submissionId: submission._id, criteria: criterion, status: 'pending' })) {
+    throw new ServiceError(409, 'REGRADE_REQUEST_EXISTS', 'A regrade request for this is already pending');
+  }
+
+  const request = await RegradeRequest.create({
+    submissionId: submission._id,
+    assignmentId: assignment._id,
+    studentId: student._id,
+    criteria: criterion,
+    reason: String(reason).trim(),
+    originalScore
+  });
+
+  await createNotification({
+    userId: assignment.teacherId,
+    type: 'regrade_requested',
+    message: `${student.profile?.firstName || 'A student'} requested a regrade of "${assignment.title}"${criterion ? ` (${criterion})` : ''}`,
+    data: {
+      assignmentId: assignment._id,
+      submissionId: submission._id,
+      regradeRequestId: request._id,
+      studentId: student._id,
+      criteria: criterion
+    },
+    link: `/teacher/assignments/${assignment._id}/regrade-requests`
+  });
+
+  return request;
+};
+
+/**
+ * Load a regrade request of an assignment
+ */
+const loadRegradeRequest = async (assignmentId, requestId) => {
+  const request = isObjectId(requestId) ? await RegradeRequest.findById(requestId) : null;
+  if (!request || request.assignmentId.toString() !== String(assignmentId)) {
+    throw new ServiceError(404, 'REGRADE_REQUEST_NOT_FOUND', 'Regrade request not found');
+  }
+  return request;
+};
+
+/**
+ * Close a pending request in one step, so a concurrent resolve or withdraw can't close it too
+ * @returns {Promise<Object>} The updated request
+ */
+const closePendingRequest = async (requestId, update) => {
+  const closed = await RegradeRequest.findOneAndUpdate(
+    { _id: requestId, status: 'pending' },
+    { $set: update },
+    { new: true }
+  );
+  if (!closed) {
+    const current = await RegradeRequest.findById(requestId).select('status').lean();
+    throw new ServiceError(409, 'REGRADE_REQUEST_CLOSED', `This regrade request is already ${current?.status || 'closed'}`);
+  }
+  return closed;
+};
+
+/**
+ * Accept (with the new score) or reject (with a comment) a pending regrade request.
+ * Accepting recalculates the grade, late penalty included, and records it in the grade history.
+ * @param {string} assignmentId
+ * @param {string} requestId
+ * @param {Object} params - { status: 'accepted' | 'rejected', comment, score }
+ * @param {Object} teacher - Authenticated teacher (or admin)
+ * @returns {Promise<{ request: Object, grade: Object|null }>}
+ */
+export const resolveRegradeRequest = async (assignmentId, requestId, { status, comment, score }, teacher) => {
+  if (!['accepted', 'rejected'].includes(status)) {
+    throw new ServiceError(400, 'INVALID_STATUS', 'status must be accepted or rejected');
+  }
+  if (status === 'rejected' && !(comment && String(comment).trim())) {
+    throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'A comment is required when rejecting a regrade request');
+  }
+  if (status === 'accepted' && (score === undefined || score === null || score === '')) {
+    throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'score is required when accepting a regrade request');
+  }
+
+  const request = await loadRegradeRequest(assignmentId, requestId);
+  if (request.status !== 'pending') {
+    throw new ServiceError(409, 'REGRADE_REQUEST_CLOSED', `This regrade request is already ${request.status}`);
+  }
+
+  const { assignment, submission } = await loadGradedSubmission(assignmentId, request.submissionId);
+  const student = await User.findById(submission.studentId);
+
+  let grade = null;
+  if (status === 'accepted') {
+    const current = submission.grade;
+    // Change only the disputed score; everything else is kept as graded
+    const input = request.criteria
+      ? {
+        rubricScores: current.rubricScores.map(({ criteria, score: criterionScore, feedback }) => ({
+          criteria,
+          score: criteria === request.criteria ? score : criterionScore,
+          feedback
+        }))
+      }
+      : { totalScore: score };
+
+    const { gradingScale } = await getSchoolSettings(assignment.schoolId);
+    grade = calculateGrade(assignment, submission, {
+      ...input,
+      overallFeedback: current.overallFeedback,
+      waiveLatePenalty: (current.latePenaltyPercent || 0) === 0
+    }, { gradedBy: teacher._id, gradingScale });
+  }
+
+  // Claim the request before saving the grade; it goes back to pending if saving fails
+  const resolved = await closePendingRequest(request._id, {
+    status,
+    resolution: {
+      comment: comment ? String(comment).trim() : '',
+      ...(status === 'accepted' && { newScore: Number(score) }),
+      resolvedBy: teacher._id,
+      resolvedAt: new Date()
+    }
+  });
+
+  if (grade) {
+    try {
+      await saveGrade(submission, grade, {
+        assignment,
+        student,
+        grader: teacher,
+        source: 'regrade',
+        regradeRequestId: request._id,
+        notifyStudent: false
+      });
+    } catch (error) {
+      await RegradeRequest.updateOne({ _id: request._id, status }, { $set: { status: 'pending' }, $unset: { resolution: 1 } });
+      throw error;
+    }
+  }
+
+  await createNotification({
+    userId: request.studentId,
+    type: 'regrade_resolved',
+    message: status === 'accepted'
+      ? `Your regrade request for "${assignment.title}" was accepted. New score: ${grade.totalScore}/${grade.maxScore} (${grade.percentage}%)`
+      : `Your regrade request for "${assignment.title}" was not accepted: ${resolved.resolution.comment}`,
+    data: {
+      assignmentId: assignment._id,
+      submissionId: submission._id,
+      regradeRequestId: request._id,
+      status,
+      criteria: request.criteria,
+      comment: resolved.resolution.comment,
+      ...(grade && { score: grade.totalScore, maxScore: grade.maxScore, percentage: grade.percentage, letterGrade: grade.letterGrade })
+    },
+    link: `/student/assignments/${assignment._id}`
+  });
+
+  return { request: resolved, grade };
+};
+
+/**
+ * Withdraw a pending request (the student who raised it)
+ */
+export const withdrawRegradeRequest = async (assignmentId, requestId, student) => {
+  const request = await loadRegradeRequest(assignmentId, requestId);
+  if (request.studentId.toString() !== student._id.toString()) {
+    throw new ServiceError(404, 'REGRADE_REQUEST_NOT_FOUND', 'Regrade request not found');
+  }
+  return closePendingRequest(request._id, { status: 'withdrawn' });
+};
+
+/**
+ * Every grade change of a submission, oldest first. Visible to the assignment's teacher, admins,
+ * and the student (or group members) and their parents.
+ */
+export const getGradeHistory = async (assignmentId, submissionId, user) => {
+  const { assignment, submission } = await loadGradedSubmission(assignmentId, submissionId);
+
+  let allowed = user.role === 'teacher' && assignment.teacherId.toString() === user._id.toString();
+  if (user.role !== 'teacher') {
+    for (const studentId of await getSubmissionStudentIds(submission)) {
+      allowed = allowed || await canAccessStudent(user, studentId);
+    }
+  }
+  if (!allowed) {
+    throw new ServiceError(404, 'SUBMISSION_NOT_FOUND', 'Submission not found for this assignment');
+  }
+
+  const entries = await GradeHistory.find({ submissionId: submission._id })
+    .populate('changedBy', 'profile.firstName profile.lastName role')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return entries.map(entry => ({
+    id: entry._id,
+    source: entry.source,
+    changedBy: entry.changedBy ? {
+      id: entry.changedBy._id,
+      name: `${entry.changedBy.profile?.firstName || ''} ${entry.changedBy.profile?.lastName || ''}`.trim(),
+      role: entry.changedByRole || entry.changedBy.role
+    } : null,
+    changedAt: entry.createdAt,
+    previousGrade: entry.previousGrade,
+    newGrade: entry.newGrade,
+    regradeRequestId: entry.regradeRequestId || null
+  }));
+};
@@ -0,0 +1,301 @@
+import RubricTemplate from '../models/rubricTemplateModels.js';
+import { Assignment, Submission } from '../models/assignmentModels.js';
+import { isSameSchool } from './schoolService.js';
+import { ServiceError } from '../utils/errors.js';
+
+/**
+ * Rubric Service
+ * Rubric validation (assignment rubrics and the scores given against them),
+ * the reusable rubric template library and per-criterion analytics
+ */
+
+const criterionKey = (name) => String(name || '').trim().toLowerCase();
+
+const roundTo = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Validate rubric items and return them in their stored shape.
+ * Criteria must be named uniquely (ignoring case), worth at least 1 point and described.
+ * @param {Array} rubric
+ * @returns {Array<{ criteria, maxPoints, description }>}
+ */
+export const normalizeRubric = (rubric) => {
+  if (rubric === undefined || rubric === null) return [];
+  if (!Array.isArray(rubric)) {
+    throw new ServiceError(400, 'INVALID_RUBRIC', 'rubric must be an array');
+  }
+
+  const seen = new Set();
+  return rubric.map((item, index) => {
+    const criteria = typeof item?.criteria === 'string' ? item.criteria.trim() : '';
+    const maxPoints = Number(item?.maxPoints);
+    const description = typeof item?.description === 'string' ? item.description.trim() : '';
+
+    if (!criteria) {
+      throw new ServiceError(400, 'INVALID_RUBRIC', `Rubric item ${index + 1} needs a criteria name`, { index });
+    }
+    if (seen.has(criterionKey(criteria))) {
+      throw new ServiceError(400, 'INVALID_RUBRIC', `Rubric criteria "${criteria}" appears more than once`, { index });
+    }
+    seen.add(criterionKey(criteria));
+    if (!Number.isFinite(maxPoints) || maxPoints < 1) {
+      throw new ServiceError(400, 'INVALID_RUBRIC', `Rubric criteria "${criteria}" must be worth at least 1 point`, { index });
+    }
+    if (!description || description.length > 500) {
+      throw new ServiceError(400, 'INVALID_RUBRIC', `Rubric criteria "${criteria}" needs a description of at most 500 characters`, { index });
+    }
+
+    return { criteria, maxPoints, description };
+  });
+};
+
+const rubricTotal = (rubric) => rubric.reduce((sum, item) => sum + item.maxPoints, 0);
+
+/**
+ * Validate a rubric; when present it must add up to the assignment's total points
+ * @returns {Array} The normalized rubric
+ */
+export const validateRubric = (rubric, totalPoints) => {
+  const items = normalizeRubric(rubric);
+  if (items.length > 0 && rubricTotal(items) !== Number(totalPoints)) {
+    throw new ServiceError(400, 'RUBRIC_TOTAL_MISMATCH', `Rubric total (${rubricTotal(items)}) must equal assignment total points (${totalPoints})`);
+  }
+  return items;
+};
+
+/**
+ * Check rubric scores against an assignment's rubric.
+ * Every criterion must be scored exactly once, between 0 and its maxPoints, and totalScore
+ * (when given) must equal the sum. Without a rubric, no rubric scores are accepted.
+ * @param {Array} rubric - The assignment's rubric
+ * @param {Array} rubricScores - [{ criteria, score, feedback }] as sent by the teacher
+ * @param {number} [totalScore] - Score claimed by the client
+ * @returns {{ rubricScores: Array, totalScore: number|undefined }} Scores in rubric order with the rubric's maxPoints,
+ *   and the total (their sum, or totalScore unchanged when there is no rubric)
+ */
+export const validateRubricScores = (rubric, rubricScores, totalScore) => {
+  const scores = rubricScores || [];
+  if (!Array.isArray(scores)) {
+    throw new ServiceError(400, 'INVALID_RUBRIC_SCORES', 'rubricScores must be an array');
+  }
+
+  if (!rubric || rubric.length === 0) {
+    if (scores.length > 0) {
+      throw new ServiceError(400, 'INVALID_RUBRIC_SCORES', 'This assignment has no rubric, so rubricScores cannot be given');
+    }
+    return { rubricScores: [], totalScore };
+  }
+
+  const byCriterion = new Map();
+  scores.forEach(entry => {
+    const key = criterionKey(entry?.criteria);
+    if (byCriterion.has(key)) {
+      throw new ServiceError(400, 'INVALID_RUBRIC_SCORES', `Criteria "${entry.criteria}" is scored more than once`);
+    }
+    byCriterion.set(key, entry);
+  });
+
+  const unknown = [...byCriterion.values()]
+    .filter(entry => !rubric.some(item => criterionKey(item.criteria) === criterionKey(entry?.criteria)))
+    .map(entry => entry?.criteria);
+  if (unknown.length > 0) {
+    throw new ServiceError(400, 'INVALID_RUBRIC_SCORES', `Unknown rubric criteria: ${unknown.join(', ')}`, { unknown });
+  }
+
+  const missing = rubric.filter(item => !byCriterion.has(criterionKey(item.criteria))).map(item => item.criteria);
+  if (missing.length > 0) {
+    throw new ServiceError(400, 'INVALID_RUBRIC_SCORES', `Missing scores for: ${missing.join(', ')}`, { missing });
+  }
+
+  const validated = rubric.map(item => {
+    const entry = byCriterion.get(criterionKey(item.criteria));
+    const score = Number(entry.score);
+    if (entry.score === '' || entry.score === null || !Number.isFinite(score) || score < 0 || score > item.maxPoints) {
+      throw new ServiceError(400, 'INVALID_RUBRIC_SCORES', `Score for "${item.criteria}" must be between 0 and ${item.maxPoints}`);
+    }
+    return {
+      criteria: item.criteria,
+      score,
+      maxPoints: item.maxPoints,
+      feedback: entry.feedback || ''
+    };
+  });
+
+  const sum = roundTo(validated.reduce((total, entry) => total + entry.score, 0));
+  if (totalScore !== undefined && totalScore !== null && totalScore !== '' && roundTo(Number(totalScore)) !== sum) {
+    throw new ServiceError(400, 'RUBRIC_TOTAL_MISMATCH', `totalScore (${totalScore}) must equal the sum of the rubric scores (${sum})`);
+  }
+
+  return { rubricScores: validated, totalScore: sum };
+};
+
+/**
+ * Rubric template as returned by the API
+ */
+export const formatTemplate = (template) => ({
+  id: template._id,
+  name: template.name,
+  description: template.description || '',
+  subject: template.subject || null,
+  level: template.level || null,
+  criteria: template.criteria.map(({ criteria, maxPoints, description }) => ({ criteria, maxPoints, description })),
+  totalPoints: rubricTotal(template.criteria),
+  teacherId: template.teacherId,
+  isShared: template.isShared,
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt
+});
+
+/**
+ * Filter for the templates a user can use: their own, and shared templates of their school
+ */
+export const templateVisibilityFilter = (user) => (user.role === 'admin'
+  ? {}
+  : { $or: [{ teacherId: user._id }, { isShared: true, schoolId: user.schoolId || null }] });
+
+const canUseTemplate = (user, template) => user.role === 'admin'
+  || template.teacherId.toString() === user._id.toString()
+  || (template.isShared && isSameSchool(template.schoolId, user.schoolId));
+
+/**
+ * Load a template the user may use (or, with forEdit, change)
+ */
+export const loadTemplate = async (templateId, user, { forEdit = false } = {}) => {
+  const template = /^[a-f\d]{24}$/i.test(String(templateId)) ? await RubricTemplate.findById(templateId) : null;
+  if (!template || !canUseTemplate(user, template)) {
+    throw new ServiceError(404, 'RUBRIC_TEMPLATE_NOT_FOUND', 'Rubric template not found');
+  }
+  if (forEdit && user.role !== 'admin' && template.teacherId.toString() !== user._id.toString()) {
+    throw new ServiceError(403, 'FORBIDDEN_OWNER', 'Only the teacher who created a template can change it');
+  }
+  return template;
+};
+
+/**
+ * Apply name/description/subject/level/criteria/isShared from a request body to a template
+ */
+export const applyTemplateFields = (template, { name, description, subject, level, criteria, isShared }) => {
+  if (name !== undefined) template.name = String(name).trim();
+  if (description !== undefined) template.description = description;
+  if (subject !== undefined) template.subject = subject || undefined;
+  if (level !== undefined) template.level = level ? parseInt(level) : undefined;
+  if (isShared !== undefined) template.isShared = isShared === true;
+  if (criteria !== undefined) {
+    const items = normalizeRubric(criteria);
+    if (items.length === 0) {
+      throw new ServiceError(400, 'INVALID_RUBRIC', 'A rubric template needs at least one criteria');
+    }
+    template.criteria = items;
+  }
+  if (!template.name) {
+    throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'Template name is required');
+  }
+  return template;
+};
+
+/**
+ * Copy a template's criteria onto assignments the teacher owns, setting their total points to the template total.
+ * Assignments that already have submissions are skipped, as their rubric is locked.
+ * @returns {Promise<{ attached: string[], skipped: Array<{ assignmentId, reason }> }>}
+ */
+export const attachTemplate = async (template, assignmentIds, user) => {
+  if (!Array.isArray(assignmentIds) || assignmentIds.length === 0) {
+    throw new ServiceError(400, 'MISSING_REQUIRED_FIELDS', 'assignmentIds must be a non-empty array');
+  }
+
+  const ids = [...new Set(assignmentIds.map(String))];
+  const assignments = await Assignment.find({
+    _id: { $in: ids.filter(id => /^[a-f\d]{24}$/i.test(id)) },
+    isDeleted: { $ne: true }
+  });
+  const assignmentMap = new Map(assignments.map(assignment => [assignment._id.toString(), assignment]));
+
+  const result = { attached: [], skipped: [] };
+  for (const id of ids) {
+    const assignment = assignmentMap.get(id);
+    if (!assignment || (user.role !== 'admin' && assignment.teacherId.toString() !== user._id.toString())) {
+      result.skipped.push({ assignmentId: id, reason: 'Assignment not found' });
+    } else if (await Submission.exists({ assignmentId: assignment._id })) {
+      result.skipped.push({ assignmentId: id, reason: 'Assignment already has submissions' });
+    } else {
+      assignment.rubric = template.criteria.map(({ criteria, maxPoints, description }) => ({ criteria, maxPoints, description }));
+      assignment.totalPoints = rubricTotal(template.criteria);
+      assignment.rubricTemplateId = template._id;
+      await assignment.save();
+      result.attached.push(id);
+    }
+  }
+  return result;
+};
+
+const DISTRIBUTION_BUCKETS = [
+  { label: '0-24', min: 0 },
+  { label: '25-49', min: 25 },
+  { label: '50-74', min: 50 },
+  { label: '75-100', min: 75 }
+];
+
+/**
+ * Per-criterion statistics over the latest graded submission of each student.
+ * Criteria are matched by name across assignments; percentages make different maxPoints comparable.
+ * @param {Array} assignments - Assignments (with rubric) to include
+ * @param {Array} [studentIds] - Restrict to these students (e.g. a class roster)
+ * @returns {Promise<Array>} [{ criteria, assignmentCount, gradedCount, averageScore, averagePercent,
+ *   minPercent, maxPercent, fullMarksCount, distribution }] in first-seen rubric order
+ */
+export const getRubricAnalytics = async (assignments, studentIds) => {
+  const withRubric = assignments.filter(assignment => assignment.rubric?.length > 0);
+  if (withRubric.length === 0) return [];
+
+  const filter = { assignmentId: { $in: withRubric.map(assignment => assignment._id) }, 'grade.totalScore': { $ne: null } };
+  if (studentIds) filter.studentId = { $in: studentIds };
+
+  const submissions = await Submission.find(filter)
+    .select('assignmentId studentId versionNumber grade.rubricScores')
+    .sort({ versionNumber: -1 })
+    .lean();
+
+  // Latest graded version per student and assignment
+  const latest = new Map();
+  submissions.forEach(submission => {
+    const key = `${submission.assignmentId}:${submission.studentId}`;
+    if (!latest.has(key)) latest.set(key, submission);
+  });
+
+  const stats = new Map();
+  withRubric.forEach(assignment => {
+    assignment.rubric.forEach(item => {
+      const key = criterionKey(item.criteria);
+      if (!stats.has(key)) stats.set(key, { criteria: item.criteria, assignments: new Set(), scores: [], percents: [] });
+      stats.get(key).assignments.add(assignment._id.toString());
+    });
+  });
+
+  latest.forEach(submission => {
+    (submission.grade?.rubricScores || []).forEach(entry => {
+      const stat = stats.get(criterionKey(entry.criteria));
+      if (!stat || !entry.maxPoints) return;
+      stat.scores.push(entry.score);
+      stat.percents.push((entry.score / entry.maxPoints) * 100);
+    });
+  });
+
+  return [...stats.values()].map(({ criteria, assignments: criterionAssignments, scores, percents }) => {
+    const gradedCount = percents.length;
+    const average = values => (values.length > 0 ? roundTo(values.reduce((sum, value) => sum + value, 0) / values.length, 1) : null);
+    return {
+      criteria,
+      assignmentCount: criterionAssignments.size,
+      gradedCount,
+      averageScore: average(scores),
+      averagePercent: average(percents),
+      minPercent: gradedCount > 0 ? roundTo(Math.min(...percents), 1) : null,
+      maxPercent: gradedCount > 0 ? roundTo(Math.max(...percents), 1) : null,
+      fullMarksCount: percents.filter(percent => percent >= 100).length,
+      distribution: DISTRIBUTION_BUCKETS.map((bucket, index) => ({
+        range: bucket.label,
+        count: percents.filter(percent => percent >= bucket.min && (index === DISTRIBUTION_BUCKETS.length - 1 || percent < DISTRIBUTION_BUCKETS[index + 1].min)).length
+      }))
+    };
+  });
+};
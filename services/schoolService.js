@@ -0,0 +1,76 @@
+import School from '../models/schoolModels.js';
+import { normalizeGradingScale, resolveGradingScale } from './gradingScaleService.js';
+import { ServiceError } from '../utils/errors.js';
+
+/**
+ * School Service
+ * Tenant helpers and per-school configuration (allowed levels, subjects, grading scale)
+ */
+
+export const ALL_LEVELS = [1, 2, 3, 4, 5];
+
+/**
+ * Compare two school IDs; users and documents without a school belong to the same "no school" tenant
+ */
+export const isSameSchool = (a, b) => String(a || '') === String(b || '');
+
+/**
+ * Resolve the effective settings for a school, filling in platform defaults
+ * @param {string|null} schoolId
+ * @returns {Promise<Object>} { allowedLevels, subjects, gradingScale }
+ */
+export const getSchoolSettings = async (schoolId) => {
+  const school = schoolId ? await School.findById(schoolId).select('settings').lean() : null;
+  const settings = school?.settings || {};
+
+  return {
+    allowedLevels: settings.allowedLevels?.length ? [...settings.allowedLevels].sort((a, b) => a - b) : ALL_LEVELS,
+    subjects: settings.subjects || [],
+    gradingScale: resolveGradingScale(settings.gradingScale)
+  };
+};
+
+/**
+ * Throw when a level or subject is not enabled for the school
+ * @param {Object} settings - Result of getSchoolSettings
+ * @param {Object} values - { level, subject } (either may be omitted)
+ */
+export const assertAllowedBySchool = (settings, { level, subject }) => {
+  if (level !== undefined && level !== null && !settings.allowedLevels.includes(parseInt(level))) {
+    throw new ServiceError(400, 'LEVEL_NOT_ALLOWED', `Level ${level} is not offered by this school`, {
+      allowedLevels: settings.allowedLevels
+    });
+  }
+  if (subject && settings.subjects.length > 0 && !settings.subjects.includes(subject)) {
+    throw new ServiceError(400, 'SUBJECT_NOT_ALLOWED', `Subject ${subject} is not offered by this school`, {
+      subjects: settings.subjects
+    });
+  }
+};
+
+/**
+ * Validate a settings update and return the normalized object to store
+ */
+export const normalizeSchoolSettings = ({ allowedLevels, subjects, gradingScale }) => {
+  const normalized = {};
+
+  if (allowedLevels !== undefined) {
+    if (!Array.isArray(allowedLevels) || allowedLevels.some(level => !ALL_LEVELS.includes(parseInt(level)))) {
+      throw new ServiceError(400, 'INVALID_SETTINGS', 'allowedLevels must be an array of levels between 1 and 5');
+    }
+    normalized.allowedLevels = [...new Set(allowedLevels.map(level => parseInt(level)))].sort((a, b) => a - b);
+  }
+
+  if (subjects !== undefined) {
+    if (!Array.isArray(subjects) || subjects.some(subject => typeof subject !== 'string' || !subject.trim())) {
+      throw new ServiceError(400, 'INVALID_SETTINGS', 'subjects must be an array of subject names');
+    }
+    normalized.subjects = [...new Set(subjects.map(subject => subject.trim()))];
+  }
+
+  if (gradingScale !== undefined) {
+    normalized.gradingScale = normalizeGradingScale(gradingScale, 'INVALID_SETTINGS');
+  }
+
+  return normalized;
+};
@@ -0,0 +1,288 @@
+import { Assignment } from '../models/assignmentModels.js';
+import SubmissionFingerprint from '../models/similarityModels.js';
+import { readStoredFile } from './fileService.js';
+import { extractText } from '../utils/textExtraction.js';
+
+/**
+ * Similarity Service
+ * Fingerprints the text of each submission (notes plus uploaded document) with MinHash over
+ * word 5-gram shingles, and compares submissions within an assignment and against earlier
+ * assignments of the same school, subject and level (including previous years).
+ * Submission links are not fetched, so link-only submissions have no text to compare.
+ */
+
+const SHINGLE_SIZE = 5;
+const SIGNATURE_SIZE = 128;
+// 64 bands of 2 rows: pairs above ~30% similarity almost always share a band
+const BAND_ROWS = 2;
+// Fewer shingles than this makes the estimate meaningless (and short notes match by accident)
+const MIN_SHINGLES = 20;
+
+// Similarity (percent) from which a match is reported, and from which the submission is flagged
+export const REPORT_THRESHOLD = 30;
+export const FLAG_THRESHOLD = 50;
+const MAX_MATCHES = 5;
+// Cap on fingerprints from earlier assignments compared per request
+const MAX_PRIOR_CANDIDATES = 2000;
+
+// 32-bit finalizer of MurmurHash3, used to derive the independent hash functions
+const fmix32 = (value) => {
+  let h = value >>> 0;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+// FNV-1a over the UTF-16 code units of a string
+const hashString = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+// Fixed seeds: stored signatures must stay comparable with new ones
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => fmix32(Math.imul(i + 1, 0x9e3779b9)));
+
+/**
+ * Lower-cased words with accents and punctuation removed
+ */
+export const tokenize = (text) => (text || '')
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean);
+
+/**
+ * Hashes of the distinct word shingles of a text
+ * @returns {Set<number>}
+ */
+export const getShingles = (words) => {
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    shingles.add(hashString(words.slice(i, i + SHINGLE_SIZE).join(' ')));
+  }
+  return shingles;
+};
+
+/**
+ * MinHash signature of a shingle set: the minimum of each seeded hash function over all shingles
+ * @returns {number[]}
+ */
+export const getSignature = (shingles) => {
+  const signature = new Array(SIGNATURE_SIZE).fill(0xFFFFFFFF);
+  for (const shingle of shingles) {
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+      const h = fmix32(shingle ^ SEEDS[i]);
+      if (h < signature[i]) signature[i] = h;
+    }
+  }
+  return signature;
+};
+
+/**
+ * Locality-sensitive hash keys of a signature, one per band
+ */
+export const getBands = (signature) => {
+  const bands = [];
+  for (let start = 0; start < signature.length; start += BAND_ROWS) {
+    bands.push(`${start / BAND_ROWS}:${hashString(signature.slice(start, start + BAND_ROWS).join(','))}`);
+  }
+  return bands;
+};
+
+/**
+ * Estimated Jaccard similarity of two signatures, as a whole percentage
+ */
+export const compareSignatures = (a, b) => {
+  if (!a?.length || a.length !== b?.length) return 0;
+  let equal = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) equal++;
+  }
+  return Math.round(equal / a.length * 100);
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+/**
+ * Extract a submission's text and save its fingerprint (replacing any earlier one)
+ * @param {Object} submission - Submission document
+ * @param {Object} options - { storedFile: the submission's StoredFile, buffer: its content when already in memory }
+ * @returns {Promise<Object>} The SubmissionFingerprint
+ */
+export const fingerprintSubmission = async (submission, { storedFile = null, buffer = null } = {}) => {
+  const sources = [];
+  const texts = [];
+  if (submission.submissionNotes?.trim()) {
+    sources.push('notes');
+    texts.push(submission.submissionNotes);
+  }
+  if (storedFile) {
+    const fileText = extractText(buffer || await readStoredFile(storedFile), storedFile.extension);
+    if (fileText.trim()) {
+      sources.push('file');
+      texts.push(fileText);
+    }
+  }
+
+  const words = tokenize(texts.join('\n'));
+  const shingles = getShingles(words);
+  const signature = shingles.size >= MIN_SHINGLES ? getSignature(shingles) : [];
+
+  return SubmissionFingerprint.findOneAndUpdate(
+    { submissionId: submission._id },
+    {
+      assignmentId: idOf(submission.assignmentId),
+      studentId: idOf(submission.studentId),
+      groupId: idOf(submission.groupId) || null,
+      sources,
+      wordCount: words.length,
+      shingleCount: shingles.size,
+      signature,
+      bands: signature.length ? getBands(signature) : [],
+      createdAt: new Date()
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+};
+
+/**
+ * Fingerprints from earlier assignments sharing at least one band with the given ones
+ * @returns {Promise<{ fingerprints: Object[], assignments: Map<string, Object> }>}
+ */
+const getPriorCandidates = async (assignment, fingerprints) => {
+  const bands = [...new Set(fingerprints.flatMap(fingerprint => fingerprint.bands || []))];
+  if (bands.length === 0) return { fingerprints: [], assignments: new Map() };
+
+  const priorAssignments = await Assignment.find({
+    _id: { $ne: assignment._id },
+    schoolId: assignment.schoolId || null,
+    subject: assignment.subject,
+    level: assignment.level,
+    createdAt: { $lt: assignment.createdAt }
+  }).select('title dueDate').lean();
+  if (priorAssignments.length === 0) return { fingerprints: [], assignments: new Map() };
+
+  const candidates = await SubmissionFingerprint.find({
+    assignmentId: { $in: priorAssignments.map(prior => prior._id) },
+    bands: { $in: bands }
+  })
+    .select('submissionId assignmentId studentId signature')
+    .sort({ createdAt: -1 })
+    .limit(MAX_PRIOR_CANDIDATES)
+    .lean();
+
+  return {
+    fingerprints: candidates,
+    assignments: new Map(priorAssignments.map(prior => [prior._id.toString(), prior]))
+  };
+};
+
+/**
+ * Per-submission similarity reports for an assignment's teacher.
+ * Each submission is compared with the latest submission of every other student (or group) in the
+ * assignment, and with submissions to earlier assignments of the same school, subject and level.
+ * Submissions without a fingerprint (made before the check existed, or whose fingerprinting failed)
+ * are fingerprinted first.
+ * @param {Object} assignment - Assignment document
+ * @param {Object[]} submissions - The assignment's submissions, with `file` populated
+ * @returns {Promise<Map<string, Object>>} By submission ID:
+ *   { status ('checked' | 'insufficient_text'), sources, wordCount, highestSimilarity, flagged, matches }
+ */
+export const getSimilarityReports = async (assignment, submissions) => {
+  const fingerprints = new Map(
+    (await SubmissionFingerprint.find({ submissionId: { $in: submissions.map(s => s._id) } }).lean())
+      .map(fingerprint => [fingerprint.submissionId.toString(), fingerprint])
+  );
+  for (const submission of submissions) {
+    if (fingerprints.has(submission._id.toString())) continue;
+    try {
+      const storedFile = submission.file?.storageKey ? submission.file : null;
+      fingerprints.set(submission._id.toString(), await fingerprintSubmission(submission, { storedFile }));
+    } catch (error) {
+      console.error(`Error fingerprinting submission ${submission._id}:`, error);
+    }
+  }
+
+  // Only the latest version of each student's (or group's) work is compared against
+  const owner = (submission) => idOf(submission.groupId) || idOf(submission.studentId);
+  const latest = new Map();
+  for (const submission of submissions) {
+    const current = latest.get(owner(submission));
+    if (!current || submission.versionNumber > current.versionNumber) latest.set(owner(submission), submission);
+  }
+
+  const priorMatches = await getPriorCandidates(assignment, [...fingerprints.values()]);
+
+  const reports = new Map();
+  for (const submission of submissions) {
+    const fingerprint = fingerprints.get(submission._id.toString());
+    if (!fingerprint) continue;
+    if (!fingerprint.signature?.length) {
+      reports.set(submission._id.toString(), {
+        status: 'insufficient_text',
+        sources: fingerprint.sources,
+        wordCount: fingerprint.wordCount,
+        highestSimilarity: null,
+        flagged: false,
+        matches: []
+      });
+      continue;
+    }
+
+    const matches = [];
+    for (const [otherOwner, other] of latest) {
+      if (otherOwner === owner(submission)) continue;
+      const similarity = compareSignatures(fingerprint.signature, fingerprints.get(other._id.toString())?.signature);
+      if (similarity >= REPORT_THRESHOLD) {
+        matches.push({
+          submissionId: other._id,
+          similarity,
+          source: 'assignment',
+          student: {
+            id: idOf(other.studentId),
+            name: `${other.studentId?.profile?.firstName || ''} ${other.studentId?.profile?.lastName || ''}`.trim()
+          },
+          groupId: idOf(other.groupId) || null
+        });
+      }
+    }
+    for (const prior of priorMatches.fingerprints) {
+      const similarity = compareSignatures(fingerprint.signature, prior.signature);
+      if (similarity >= REPORT_THRESHOLD) {
+        const priorAssignment = priorMatches.assignments.get(prior.assignmentId.toString());
+        matches.push({
+          submissionId: prior.submissionId,
+          similarity,
+          source: 'prior_assignment',
+          // Resubmitting one's own earlier work is reported too, but marked as such
+          sameStudent: prior.studentId.toString() === idOf(submission.studentId),
+          assignment: priorAssignment ? {
+            id: priorAssignment._id,
+            title: priorAssignment.title,
+            dueDate: priorAssignment.dueDate
+          } : { id: prior.assignmentId }
+        });
+      }
+    }
+
+    matches.sort((a, b) => b.similarity - a.similarity);
+    const highestSimilarity = matches[0]?.similarity || 0;
+    reports.set(submission._id.toString(), {
+      status: 'checked',
+      sources: fingerprint.sources,
+      wordCount: fingerprint.wordCount,
+      highestSimilarity,
+      flagged: highestSimilarity >= FLAG_THRESHOLD,
+      matches: matches.slice(0, MAX_MATCHES)
+    });
+  }
+  return reports;
+};
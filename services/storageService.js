@@ -0,0 +1,74 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+dotenv.config();
+
+/**
+ * Storage Service
+ * Stores uploaded file content behind a pluggable backend.
+ * The built-in 'local' backend writes to a directory on disk (UPLOAD_DIR, default ./uploads).
+ * Another backend (S3, GCS, ...) can be plugged in with storageService.setBackend({ name, put, createReadStream, remove }).
+ */
+
+// Keys are generated by the server; anything else is refused so a key can never escape the root
+const SAFE_KEY = /^[a-zA-Z0-9/_-]+$/;
+
+const createLocalBackend = (rootDir) => {
+  const root = path.resolve(rootDir);
+  const resolveKey = (key) => {
+    if (!SAFE_KEY.test(key) || key.split('/').includes('..')) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(root, key);
+  };
+
+  return {
+    name: 'local',
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+      await fsp.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+    async remove(key) {
+      await fsp.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+class StorageService {
+  constructor() {
+    this.backend = createLocalBackend(process.env.UPLOAD_DIR || 'uploads');
+  }
+
+  /**
+   * Replace the storage backend
+   * @param {Object} backend - Object with a `name`, async `put(key, buffer)`,
+   *   `createReadStream(key)` returning a readable stream, and async `remove(key)`
+   */
+  setBackend(backend) {
+    this.backend = backend;
+  }
+
+  get backendName() {
+    return this.backend.name;
+  }
+
+  put(key, buffer) {
+    return this.backend.put(key, buffer);
+  }
+
+  createReadStream(key) {
+    return this.backend.createReadStream(key);
+  }
+
+  remove(key) {
+    return this.backend.remove(key);
+  }
+}
+
+const storageService = new StorageService();
+export default storageService;
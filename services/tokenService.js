@@ -0,0 +1,280 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/userModels.js';
+import { RefreshToken, RevokedToken, ActionToken } from '../models/authModels.js';
+import { JWT_SECRET, ACCESS_TOKEN_EXPIRES_IN, REFRESH_TOKEN_TTL_DAYS } from '../config/auth.js';
+import { ServiceError } from '../utils/errors.js';
+
+/**
+ * Token Service
+ * Issues access tokens, manages rotating per-device refresh tokens, the access token blocklist
+ * and single-use action tokens (password reset, email verification)
+ */
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Sign a short-lived access token
+ * @param {Object} user - User document
+ * @param {string} sessionFamily - Refresh token family the access token belongs to
+ * @returns {{ token: string, jti: string, expiresAt: Date }}
+ */
+export const issueAccessToken = (user, sessionFamily) => {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(
+    { id: user._id, role: user.role, sid: sessionFamily },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN, jwtid: jti }
+  );
+  const { exp } = jwt.decode(token);
+  return { token, jti, expiresAt: new Date(exp * 1000) };
+};
+
+// Persist a new refresh token and return the raw value (only its hash is stored)
+const storeRefreshToken = async ({ userId, family, deviceId, deviceName, userAgent, ip, access }) => {
+  const rawToken = crypto.randomBytes(48).toString('hex');
+  const doc = await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(rawToken),
+    family,
+    deviceId,
+    deviceName,
+    userAgent,
+    ip,
+    expiresAt: refreshExpiry(),
+    lastUsedAt: new Date(),
+    accessTokenJti: access.jti,
+    accessTokenExpiresAt: access.expiresAt
+  });
+  return { rawToken, doc };
+};
+
+/**
+ * Start a session for a device after a successful login.
+ * Any previous session on the same device is revoked so each device holds one refresh token.
+ * @returns {Promise<Object>} { accessToken, accessTokenExpiresAt, refreshToken, refreshTokenExpiresAt, sessionId }
+ */
+export const createSession = async (user, { deviceId, deviceName, userAgent, ip } = {}) => {
+  const device = deviceId || crypto.randomUUID();
+
+  await RefreshToken.updateMany(
+    { userId: user._id, deviceId: device, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'replaced_by_login' }
+  );
+
+  const family = crypto.randomUUID();
+  const access = issueAccessToken(user, family);
+  const { rawToken, doc } = await storeRefreshToken({
+    userId: user._id,
+    family,
+    deviceId: device,
+    deviceName,
+    userAgent,
+    ip,
+    access
+  });
+
+  return {
+    accessToken: access.token,
+    accessTokenExpiresAt: access.expiresAt,
+    refreshToken: rawToken,
+    refreshTokenExpiresAt: doc.expiresAt,
+    sessionId: family,
+    deviceId: device
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * The token is claimed atomically before its successor is issued, so of two concurrent
+ * refreshes only one succeeds. Presenting an already-rotated token is treated as theft:
+ * the whole session is revoked.
+ */
+export const rotateRefreshToken = async (rawToken, { userAgent, ip } = {}) => {
+  const tokenHash = hashToken(rawToken);
+  const now = new Date();
+
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now, revokedReason: 'rotated', lastUsedAt: now } },
+    { new: true }
+  );
+
+  if (!current) {
+    const presented = await RefreshToken.findOne({ tokenHash });
+    if (!presented || !presented.revokedAt) {
+      throw new ServiceError(401, 'REFRESH_TOKEN_INVALID', 'Invalid or expired refresh token');
+    }
+    if (presented.revokedReason === 'rotated') {
+      console.warn(`Refresh token reuse detected for user ${presented.userId}, revoking session ${presented.family}`);
+      await revokeSession(presented.userId, presented.family, 'reuse_detected');
+    }
+    throw new ServiceError(401, 'REFRESH_TOKEN_REVOKED', 'Refresh token has been revoked');
+  }
+
+  const user = await User.findById(current.userId);
+  if (!user) {
+    throw new ServiceError(401, 'AUTH_USER_NOT_FOUND', 'User for this token no longer exists');
+  }
+  if (user.accountStatus === 'suspended') {
+    throw new ServiceError(403, 'ACCOUNT_SUSPENDED', 'This account has been suspended');
+  }
+
+  const access = issueAccessToken(user, current.family);
+  const { rawToken: nextToken, doc: next } = await storeRefreshToken({
+    userId: current.userId,
+    family: current.family,
+    deviceId: current.deviceId,
+    deviceName: current.deviceName,
+    userAgent: userAgent || current.userAgent,
+    ip: ip || current.ip,
+    access
+  });
+  await RefreshToken.updateOne({ _id: current._id }, { replacedBy: next._id });
+
+  return {
+    user,
+    accessToken: access.token,
+    accessTokenExpiresAt: access.expiresAt,
+    refreshToken: nextToken,
+    refreshTokenExpiresAt: next.expiresAt,
+    sessionId: current.family
+  };
+};
+
+/**
+ * Add an access token to the blocklist until it expires
+ * @param {Object} payload - Decoded access token (needs jti and exp)
+ */
+export const blockAccessToken = async (payload, reason = 'logout') => {
+  if (!payload?.jti) return;
+  await RevokedToken.updateOne(
+    { jti: payload.jti },
+    {
+      $setOnInsert: {
+        jti: payload.jti,
+        userId: payload.id,
+        reason,
+        expiresAt: new Date(payload.exp * 1000)
+      }
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Check the blocklist for an access token ID
+ */
+export const isAccessTokenBlocked = async (jti) => {
+  if (!jti) return false;
+  return !!(await RevokedToken.exists({ jti }));
+};
+
+/**
+ * Revoke one session (all refresh tokens in its family) for a user and blocklist
+ * the session's access tokens that have not expired yet
+ * @returns {Promise<number>} Number of refresh tokens revoked
+ */
+export const revokeSession = async (userId, sessionFamily, reason = 'logout') => {
+  const result = await RefreshToken.updateMany(
+    { userId, family: sessionFamily, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  // Every rotation issued an access token; any of them may still be in use until it expires
+  const liveAccessTokens = await RefreshToken.find({
+    userId,
+    family: sessionFamily,
+    accessTokenExpiresAt: { $gt: new Date() }
+  }).select('accessTokenJti accessTokenExpiresAt').lean();
+  for (const token of liveAccessTokens) {
+    await blockAccessToken({
+      jti: token.accessTokenJti,
+      id: userId,
+      exp: Math.ceil(token.accessTokenExpiresAt.getTime() / 1000)
+    }, reason);
+  }
+
+  return result.modifiedCount;
+};
+
+/**
+ * Revoke every session of a user and invalidate all access tokens issued before now
+ * @returns {Promise<number>} Number of refresh tokens revoked
+ */
+export const revokeAllSessions = async (userId, reason = 'logout_all') => {
+  const result = await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  await User.updateOne({ _id: userId }, { tokensInvalidatedAt: new Date() });
+  return result.modifiedCount;
+};
+
+/**
+ * List a user's active sessions (one per device)
+ */
+export const listActiveSessions = async (userId) => {
+  const tokens = await RefreshToken.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  return tokens.map(token => ({
+    sessionId: token.family,
+    deviceId: token.deviceId,
+    deviceName: token.deviceName || null,
+    userAgent: token.userAgent || null,
+    ip: token.ip || null,
+    lastUsedAt: token.lastUsedAt,
+    expiresAt: token.expiresAt,
+    createdAt: token.createdAt
+  }));
+};
+
+/**
+ * Create a single-use action token. Earlier unused tokens of the same type are invalidated.
+ * @param {string} userId - Owner of the token
+ * @param {string} type - 'password_reset' | 'email_verification'
+ * @param {number} ttlMs - Lifetime in milliseconds
+ * @returns {Promise<string>} Raw token to send to the user (only its hash is stored)
+ */
+export const createActionToken = async (userId, type, ttlMs) => {
+  await ActionToken.deleteMany({ userId, type, usedAt: null });
+
+  const rawToken = crypto.randomBytes(32).toString('hex');
+  await ActionToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(rawToken),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return rawToken;
+};
+
+/**
+ * Consume a single-use action token
+ * @returns {Promise<string>} ID of the user the token belongs to
+ */
+export const consumeActionToken = async (rawToken, type) => {
+  const token = await ActionToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(rawToken),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  if (!token) {
+    throw new ServiceError(400, 'TOKEN_INVALID', 'This link is invalid or has expired');
+  }
+  return token.userId;
+};
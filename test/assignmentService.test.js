@@ -0,0 +1,245 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from './helpers/db.js';
+import { Assignment, Submission } from '../models/assignmentModels.js';
+import { GradeHistory } from '../models/gradeModels.js';
+import User from '../models/userModels.js';
+import { submitAssignment, gradeSubmission } from '../services/assignmentService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let teacher;
+let otherTeacher;
+let student;
+let classmate;
+
+const createUser = (role, email, extra = {}) => User.create({
+  email,
+  password: 'not-a-real-hash',
+  role,
+  profile: { firstName: role, lastName: 'Test' },
+  ...extra
+});
+
+const createAssignment = (overrides = {}) => Assignment.create({
+  title: 'Fractions worksheet',
+  description: 'Practice adding fractions',
+  instructions: 'Answer every question',
+  subject: 'Math',
+  level: 2,
+  dueDate: new Date(Date.now() + DAY_MS),
+  totalPoints: 20,
+  teacherId: teacher._id,
+  ...overrides
+});
+
+const submit = (assignment, by = student, fields = {}) => submitAssignment({
+  assignmentId: assignment._id.toString(),
+  studentId: by._id.toString(),
+  submissionLink: 'https://example.com/work',
+  ...fields
+});
+
+const grade = (assignment, submission, fields = {}) => gradeSubmission({
+  submissionId: submission._id.toString(),
+  assignmentId: assignment._id.toString(),
+  teacherId: teacher._id.toString(),
+  ...fields
+});
+
+// Expect the promise to reject with a ServiceError of this status and code
+const rejectsWith = (promise, status, code) => assert.rejects(promise, (error) => {
+  assert.equal(error.status, status);
+  assert.equal(error.code, code);
+  return true;
+});
+
+before(connectTestDatabase);
+after(disconnectTestDatabase);
+
+beforeEach(async () => {
+  await clearTestDatabase();
+  teacher = await createUser('teacher', 'teacher@example.com');
+  otherTeacher = await createUser('teacher', 'other.teacher@example.com');
+  student = await createUser('student', 'student@example.com', { selectedLevel: 2 });
+  classmate = await createUser('student', 'classmate@example.com', { selectedLevel: 2 });
+});
+
+describe('late detection', () => {
+  it('accepts a submission before the due date as on time', async () => {
+    const assignment = await createAssignment();
+
+    const submission = await submit(assignment);
+
+    assert.equal(submission.isLate, false);
+    assert.equal(submission.daysLate, 0);
+  });
+
+  it('marks a submission after the due date as late, counting started days', async () => {
+    const assignment = await createAssignment({ dueDate: new Date(Date.now() - 1.5 * DAY_MS) });
+
+    const submission = await submit(assignment);
+
+    assert.equal(submission.isLate, true);
+    assert.equal(submission.daysLate, 2);
+  });
+
+  it('does not count submissions inside the grace period as late', async () => {
+    const assignment = await createAssignment({
+      dueDate: new Date(Date.now() - 10 * 60 * 1000),
+      latePolicy: { graceMinutes: 30 }
+    });
+
+    const submission = await submit(assignment);
+
+    assert.equal(submission.isLate, false);
+  });
+
+  it('rejects late submissions when the assignment does not accept them', async () => {
+    const assignment = await createAssignment({
+      dueDate: new Date(Date.now() - DAY_MS),
+      latePolicy: { acceptLate: false }
+    });
+
+    await rejectsWith(submit(assignment), 409, 'SUBMISSIONS_CLOSED');
+  });
+
+  it('judges lateness against the student\'s extension', async () => {
+    const assignment = await createAssignment({
+      dueDate: new Date(Date.now() - DAY_MS),
+      extensions: [{ studentId: student._id, dueDate: new Date(Date.now() + DAY_MS), grantedBy: teacher._id }]
+    });
+
+    const submission = await submit(assignment);
+
+    assert.equal(submission.isLate, false);
+  });
+});
+
+describe('versioning', () => {
+  it('numbers each student\'s submissions from 1 and links revisions to the previous version', async () => {
+    const assignment = await createAssignment();
+
+    const first = await submit(assignment);
+    const second = await submit(assignment, student, { isRevision: 'true' });
+    const classmateFirst = await submit(assignment, classmate);
+
+    assert.equal(first.versionNumber, 1);
+    assert.equal(second.versionNumber, 2);
+    assert.equal(second.previousSubmissionId.toString(), first._id.toString());
+    assert.equal(classmateFirst.versionNumber, 1);
+  });
+
+  it('keeps increasing the version when an older submission is revised', async () => {
+    const assignment = await createAssignment();
+
+    const first = await submit(assignment);
+    await submit(assignment);
+    const third = await submit(assignment, student, { isRevision: true, previousSubmissionId: first._id.toString() });
+
+    assert.equal(third.versionNumber, 3);
+    assert.equal(third.previousSubmissionId.toString(), first._id.toString());
+  });
+
+  it('rejects a revision without an earlier submission of the student\'s own', async () => {
+    const assignment = await createAssignment();
+    const classmateSubmission = await submit(assignment, classmate);
+
+    await rejectsWith(submit(assignment, student, { isRevision: true }), 400, 'INVALID_PREVIOUS_SUBMISSION');
+    await rejectsWith(
+      submit(assignment, student, { isRevision: true, previousSubmissionId: classmateSubmission._id.toString() }),
+      400,
+      'INVALID_PREVIOUS_SUBMISSION'
+    );
+    assert.equal(await Submission.countDocuments({ studentId: student._id }), 0);
+  });
+});
+
+describe('grading ownership', () => {
+  it('lets the assignment\'s teacher grade and records the grade history', async () => {
+    const assignment = await createAssignment();
+    const submission = await submit(assignment);
+
+    const { grade: saved } = await grade(assignment, submission, { totalScore: 15 });
+
+    assert.equal(saved.totalScore, 15);
+    assert.equal(saved.percentage, 75);
+    const stored = await Submission.findById(submission._id);
+    assert.equal(stored.status, 'graded');
+    assert.equal(stored.grade.gradedBy.toString(), teacher._id.toString());
+    assert.equal(await GradeHistory.countDocuments({ submissionId: submission._id }), 1);
+  });
+
+  it('refuses grades from another teacher', async () => {
+    const assignment = await createAssignment();
+    const submission = await submit(assignment);
+
+    await rejectsWith(grade(assignment, submission, { teacherId: otherTeacher._id.toString(), totalScore: 15 }), 403, 'FORBIDDEN_OWNER');
+    const stored = await Submission.findById(submission._id);
+    assert.equal(stored.status, 'submitted');
+    assert.equal(stored.grade?.totalScore, undefined);
+  });
+
+  it('refuses a student who is not the submitter', async () => {
+    const assignment = await createAssignment();
+    const submission = await submit(assignment);
+
+    await rejectsWith(grade(assignment, submission, { studentId: classmate._id.toString(), totalScore: 15 }), 400, 'STUDENT_MISMATCH');
+  });
+
+  it('applies the late penalty to the awarded score', async () => {
+    const assignment = await createAssignment({
+      dueDate: new Date(Date.now() - 1.5 * DAY_MS),
+      latePolicy: { penaltyPercentPerDay: 10 }
+    });
+    const submission = await submit(assignment);
+
+    const { grade: saved } = await grade(assignment, submission, { totalScore: 20 });
+
+    assert.equal(saved.rawScore, 20);
+    assert.equal(saved.latePenaltyPercent, 20);
+    assert.equal(saved.totalScore, 16);
+  });
+});
+
+describe('maxScore and totalPoints checks', () => {
+  it('accepts a maxScore equal to the assignment\'s total points', async () => {
+    const assignment = await createAssignment();
+    const submission = await submit(assignment);
+
+    const { grade: saved } = await grade(assignment, submission, { totalScore: 10, maxScore: '20' });
+
+    assert.equal(saved.maxScore, 20);
+  });
+
+  it('rejects a maxScore different from the assignment\'s total points', async () => {
+    const assignment = await createAssignment();
+    const submission = await submit(assignment);
+
+    await rejectsWith(grade(assignment, submission, { totalScore: 10, maxScore: 100 }), 400, 'MAX_SCORE_MISMATCH');
+  });
+
+  it('rejects scores outside 0 to totalPoints', async () => {
+    const assignment = await createAssignment();
+    const submission = await submit(assignment);
+
+    await rejectsWith(grade(assignment, submission, { totalScore: 21 }), 400, 'INVALID_SCORE');
+    await rejectsWith(grade(assignment, submission, { totalScore: -1 }), 400, 'INVALID_SCORE');
+    await rejectsWith(grade(assignment, submission, {}), 400, 'MISSING_REQUIRED_FIELDS');
+  });
+
+  it('requires rubric scores to add up to totalScore', async () => {
+    const assignment = await createAssignment({
+      rubric: [
+        { criteria: 'Accuracy', maxPoints: 15, description: 'Answers are correct' },
+        { criteria: 'Working', maxPoints: 5, description: 'Steps are shown' }
+      ]
+    });
+    const submission = await submit(assignment);
+    const rubricScores = [{ criteria: 'Accuracy', score: 12 }, { criteria: 'Working', score: 4 }];
+
+    await rejectsWith(grade(assignment, submission, { rubricScores, totalScore: 20 }), 400, 'RUBRIC_TOTAL_MISMATCH');
+    const { grade: saved } = await grade(assignment, submission, { rubricScores });
+    assert.equal(saved.totalScore, 16);
+  });
+});
@@ -0,0 +1,26 @@
+import './env.js';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+let server;
+
+/**
+ * Start an in-memory MongoDB and connect mongoose to it
+ */
+export const connectTestDatabase = async () => {
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+};
+
+/**
+ * Empty every collection between tests
+ */
+export const clearTestDatabase = async () => {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+export const disconnectTestDatabase = async () => {
+  await mongoose.disconnect();
+  if (server) await server.stop();
+};
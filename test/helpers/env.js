@@ -0,0 +1,2 @@
+// Modules under test load config/auth.js, which requires a signing secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
@@ -0,0 +1,186 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeQuestion, gradeQuestion } from '../services/questionTypeService.js';
+
+const question = (fields) => normalizeQuestion({ question: 'Test question', ...fields });
+
+// Expect grading to fail with INVALID_ANSWERS
+const rejectsAnswer = (q, raw) => assert.throws(() => gradeQuestion(q, raw), (error) => {
+  assert.equal(error.status, 400);
+  assert.equal(error.code, 'INVALID_ANSWERS');
+  return true;
+});
+
+describe('answer positions', () => {
+  const singleChoice = question({ type: 'single_choice', options: ['A', 'B', 'C'], correctAnswer: 0 });
+  const multiSelect = question({ type: 'multi_select', options: ['A', 'B', 'C'], correctAnswer: [0, 1] });
+  const ordering = question({ type: 'ordering', options: ['First', 'Second', 'Third'] });
+  const matching = question({
+    type: 'matching',
+    pairs: [{ prompt: 'H2O', match: 'Water' }, { prompt: 'NaCl', match: 'Salt' }]
+  });
+
+  it('accepts integers and digit-only strings', () => {
+    assert.deepEqual(gradeQuestion(singleChoice, 0), { answer: 0, credit: 1 });
+    assert.deepEqual(gradeQuestion(singleChoice, '2'), { answer: 2, credit: 0 });
+    assert.deepEqual(gradeQuestion(multiSelect, ['1', 0]), { answer: [0, 1], credit: 1 });
+  });
+
+  it('rejects values Number() would coerce to a position', () => {
+    for (const raw of ['', ' ', false, true, [], '1.0', '-0', 1.5]) {
+      rejectsAnswer(singleChoice, raw);
+    }
+    rejectsAnswer(multiSelect, [0, '']);
+    rejectsAnswer(multiSelect, [true]);
+    rejectsAnswer(ordering, [0, false, 2]);
+    rejectsAnswer(ordering, ['', 1, 2]);
+    rejectsAnswer(matching, [[], 1]);
+    rejectsAnswer(matching, [true, null]);
+  });
+
+  it('maps served positions back to the original options', () => {
+    const shuffled = { ...singleChoice, optionOrder: [2, 0, 1] };
+
+    assert.deepEqual(gradeQuestion(shuffled, 1), { answer: 0, credit: 1 });
+  });
+});
+
+describe('multi_select grading', () => {
+  const q = question({ type: 'multi_select', options: ['A', 'B', 'C', 'D'], correctAnswer: [0, 1] });
+
+  it('lets each wrong choice cancel a right one', () => {
+    assert.equal(gradeQuestion(q, [0, 1]).credit, 1);
+    assert.equal(gradeQuestion(q, [0]).credit, 0.5);
+    assert.equal(gradeQuestion(q, [0, 2]).credit, 0);
+    assert.equal(gradeQuestion(q, [2, 3]).credit, 0);
+  });
+
+  it('rejects repeated choices', () => {
+    rejectsAnswer(q, [0, 0]);
+  });
+});
+
+describe('numeric grading', () => {
+  const speed = question({
+    type: 'numeric',
+    correctAnswer: 10,
+    tolerance: 0.5,
+    unit: 'm/s',
+    alternativeUnits: [{ unit: 'km/h', factor: 1 / 3.6 }],
+    unitPenalty: 40
+  });
+
+  it('accepts values within an absolute tolerance', () => {
+    assert.equal(gradeQuestion(speed, '10.5 m/s').credit, 1);
+    assert.equal(gradeQuestion(speed, '9,6 m/s').credit, 1);
+    assert.equal(gradeQuestion(speed, '10.6 m/s').credit, 0);
+  });
+
+  it('applies a percentage tolerance to the correct answer', () => {
+    const q = question({ type: 'numeric', correctAnswer: 200, tolerance: 5, toleranceType: 'percent' });
+
+    assert.equal(gradeQuestion(q, 210).credit, 1);
+    assert.equal(gradeQuestion(q, 211).credit, 0);
+  });
+
+  it('converts alternative units before comparing', () => {
+    assert.equal(gradeQuestion(speed, '36 km/h').credit, 1);
+    assert.equal(gradeQuestion(speed, { value: 36, unit: 'km/h' }).credit, 1);
+    assert.equal(gradeQuestion(speed, '40 km/h').credit, 0);
+  });
+
+  it('deducts the unit penalty for a missing or unknown unit', () => {
+    assert.equal(gradeQuestion(speed, 10).credit, 0.6);
+    assert.equal(gradeQuestion(speed, '10 mph').credit, 0.6);
+  });
+
+  it('ignores spacing and carets in units', () => {
+    const q = question({ type: 'numeric', correctAnswer: 9.81, unit: 'm/s^2' });
+
+    assert.equal(gradeQuestion(q, '9.81 m / s2').credit, 1);
+  });
+
+  it('rejects answers that are not numbers', () => {
+    rejectsAnswer(speed, 'fast');
+    rejectsAnswer(speed, { value: '', unit: 'm/s' });
+    rejectsAnswer(speed, true);
+  });
+});
+
+describe('short_text grading', () => {
+  const q = question({ type: 'short_text', acceptedAnswers: ['Photosynthesis', 'Carbon fixation'], allowTypos: true });
+
+  it('matches accepted answers ignoring case, spacing and a trailing full stop', () => {
+    assert.equal(gradeQuestion(q, '  photosynthesis. ').credit, 1);
+    assert.equal(gradeQuestion(q, 'carbon   fixation').credit, 1);
+  });
+
+  it('gives half credit for one wrong character when typos are allowed', () => {
+    assert.equal(gradeQuestion(q, 'photosynthesys').credit, 0.5);
+    assert.equal(gradeQuestion(q, 'fotosynthesys').credit, 0);
+    assert.equal(gradeQuestion({ ...q, allowTypos: false }, 'photosynthesys').credit, 0);
+  });
+
+  it('does not allow typos in answers shorter than 4 characters', () => {
+    const short = question({ type: 'short_text', acceptedAnswers: ['DNA'], allowTypos: true });
+
+    assert.equal(gradeQuestion(short, 'DNB').credit, 0);
+  });
+
+  it('respects caseSensitive', () => {
+    const caseSensitive = question({ type: 'short_text', acceptedAnswers: ['NaCl'], caseSensitive: true });
+
+    assert.equal(gradeQuestion(caseSensitive, 'NaCl').credit, 1);
+    assert.equal(gradeQuestion(caseSensitive, 'nacl').credit, 0);
+  });
+});
+
+describe('ordering grading', () => {
+  const q = question({ type: 'ordering', options: ['First', 'Second', 'Third', 'Fourth'] });
+
+  it('credits the share of item pairs in the right relative order', () => {
+    assert.equal(gradeQuestion(q, [0, 1, 2, 3]).credit, 1);
+    assert.equal(gradeQuestion(q, [1, 0, 2, 3]).credit, 5 / 6);
+    assert.equal(gradeQuestion(q, [3, 2, 1, 0]).credit, 0);
+  });
+
+  it('grades the served order against the original order', () => {
+    const served = { ...q, optionOrder: [3, 2, 1, 0] };
+
+    assert.deepEqual(gradeQuestion(served, [3, 2, 1, 0]), { answer: [0, 1, 2, 3], credit: 1 });
+  });
+
+  it('requires every item exactly once', () => {
+    rejectsAnswer(q, [0, 1, 2]);
+    rejectsAnswer(q, [0, 1, 1, 3]);
+  });
+});
+
+describe('matching grading', () => {
+  const q = question({
+    type: 'matching',
+    pairs: [
+      { prompt: 'H2O', match: 'Water' },
+      { prompt: 'NaCl', match: 'Salt' },
+      { prompt: 'CO2', match: 'Carbon dioxide' },
+      { prompt: 'O2', match: 'Oxygen' }
+    ]
+  });
+
+  it('credits the share of prompts matched correctly, leaving blanks unanswered', () => {
+    assert.equal(gradeQuestion(q, [0, 1, 2, 3]).credit, 1);
+    assert.equal(gradeQuestion(q, [0, 1, 3, 2]).credit, 0.5);
+    assert.deepEqual(gradeQuestion(q, [0, null, null, '3']), { answer: [0, null, null, 3], credit: 0.5 });
+  });
+
+  it('grades served positions against the original pairs', () => {
+    const served = { ...q, optionOrder: [1, 0, 3, 2] };
+
+    assert.equal(gradeQuestion(served, [1, 0, 3, 2]).credit, 1);
+  });
+
+  it('rejects a match chosen twice or the wrong number of entries', () => {
+    rejectsAnswer(q, [0, 0, 2, 3]);
+    rejectsAnswer(q, [0, 1, 2]);
+  });
+});
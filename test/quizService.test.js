@@ -0,0 +1,35 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyScoringPolicy } from '../services/quizService.js';
+
+// Attempts in the order they were completed
+const attempts = [{ id: 'first', score: 60 }, { id: 'second', score: 90 }, { id: 'third', score: 75 }];
+
+describe('applyScoringPolicy', () => {
+  it('counts the best attempt by default', () => {
+    assert.deepEqual(applyScoringPolicy(attempts), { score: 90, counted: [attempts[1]] });
+    assert.deepEqual(applyScoringPolicy(attempts, 'best'), { score: 90, counted: [attempts[1]] });
+  });
+
+  it('counts the earliest of equally best attempts', () => {
+    const tied = [{ id: 'first', score: 80 }, { id: 'second', score: 80 }];
+
+    assert.deepEqual(applyScoringPolicy(tied, 'best').counted, [tied[0]]);
+  });
+
+  it('counts the last attempt', () => {
+    assert.deepEqual(applyScoringPolicy(attempts, 'last'), { score: 75, counted: [attempts[2]] });
+  });
+
+  it('averages every attempt, rounded', () => {
+    const items = [{ score: 60 }, { score: 91 }];
+
+    assert.deepEqual(applyScoringPolicy(attempts, 'average'), { score: 75, counted: attempts });
+    assert.equal(applyScoringPolicy(items, 'average').score, 76);
+  });
+
+  it('has no score without attempts', () => {
+    assert.deepEqual(applyScoringPolicy([], 'average'), { score: null, counted: [] });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Minimal RFC 4180 CSV helpers used by the bulk import/export endpoints
+ */
+
+/**
+ * Parse CSV text into header names and row objects.
+ * Handles quoted fields, escaped quotes ("") and CRLF line endings; blank lines are skipped.
+ * @param {string} text - Raw CSV
+ * @returns {{ headers: string[], rows: Array<{ line: number, values: Object }> }}
+ *   `line` is the 1-based line number in the file, so errors can point at the original row
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ line: recordLine, fields: record });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, fields: record });
+  }
+
+  const nonEmpty = records.filter(({ fields }) => fields.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const [headerRecord, ...dataRecords] = nonEmpty;
+  const headers = headerRecord.fields.map(header => header.trim());
+
+  const rows = dataRecords.map(({ line: rowLine, fields }) => ({
+    line: rowLine,
+    values: headers.reduce((values, header, index) => {
+      values[header] = (fields[index] ?? '').trim();
+      return values;
+    }, {})
+  }));
+
+  return { headers, rows };
+};
+
+// Spreadsheet apps execute cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let cell = String(value);
+  if (FORMULA_PREFIX.test(cell)) cell = `'${cell}`;
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * Undo the formula guard added by toCsv, for cells that are read back from an exported file
+ */
+export const unescapeFormula = (value) => String(value ?? '').replace(/^'(?=[=+\-@\t\r])/, '');
+
+/**
+ * Serialize rows to CSV
+ * @param {string[]} headers - Column names, in output order
+ * @param {Object[]} rows - Objects keyed by column name
+ * @returns {string} CSV text with a header line and CRLF line endings
+ */
+export const toCsv = (headers, rows) => {
+  const lines = [headers.map(escapeCell).join(',')];
+  rows.forEach(row => {
+    lines.push(headers.map(header => escapeCell(row[header])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
@@ -0,0 +1,42 @@
+/**
+ * Error raised by service-layer functions.
+ * Carries the HTTP status and error code so controllers can respond with
+ * the standard { success: false, error: { code, message } } shape.
+ */
+export class ServiceError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Send a ServiceError (or any unexpected error) as a JSON response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by a service
+ * @param {Object} fallback - { code, message } used for unexpected errors (500)
+ */
+export const sendServiceError = (res, error, fallback) => {
+  if (error instanceof ServiceError) {
+    return res.status(error.status).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message,
+        ...(error.details !== undefined && { details: error.details })
+      }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: fallback.code,
+      message: fallback.message,
+      details: error.message
+    }
+  });
+};
@@ -0,0 +1,81 @@
+/**
+ * File type detection from content ("magic bytes"), so uploads are judged by
+ * what they contain rather than the name or Content-Type the client sent
+ */
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+// Office Open XML files are zip archives; the first entry names tell them apart
+const detectZipFamily = (buffer) => {
+  const head = buffer.subarray(0, Math.min(buffer.length, 4096)).toString('latin1');
+  if (head.includes('word/')) return { extensions: ['docx'], mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' };
+  if (head.includes('ppt/')) return { extensions: ['pptx'], mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation' };
+  if (head.includes('xl/')) return { extensions: ['xlsx'], mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' };
+  // [Content_Types].xml without a recognisable part: some OOXML file we cannot narrow down
+  if (head.includes('[Content_Types].xml')) return { extensions: ['docx', 'pptx', 'xlsx'], mimeType: 'application/zip' };
+  return { extensions: ['zip'], mimeType: 'application/zip' };
+};
+
+// Plain text: valid UTF-8 with no NUL or other binary control characters
+const isText = (buffer) => {
+  const sample = buffer.subarray(0, Math.min(buffer.length, 8192));
+  if (sample.includes(0)) return false;
+  const text = sample.toString('utf8');
+  // Tolerate a multi-byte character cut off at the end of the sample
+  if (text.slice(0, -1).includes('\uFFFD')) return false;
+  return !/[\x01-\x08\x0E-\x1F]/.test(text);
+};
+
+const SIGNATURES = [
+  { bytes: [0x25, 0x50, 0x44, 0x46], extensions: ['pdf'], mimeType: 'application/pdf' },
+  { bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A], extensions: ['png'], mimeType: 'image/png' },
+  { bytes: [0xFF, 0xD8, 0xFF], extensions: ['jpg', 'jpeg'], mimeType: 'image/jpeg' },
+  { bytes: [0x47, 0x49, 0x46, 0x38], extensions: ['gif'], mimeType: 'image/gif' },
+  // Legacy Office (OLE compound file); Word, PowerPoint and Excel share the container
+  { bytes: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1], extensions: ['doc', 'ppt', 'xls'], mimeType: 'application/x-ole-storage' },
+  { bytes: [0x1A, 0x45, 0xDF, 0xA3], extensions: ['webm'], mimeType: 'video/webm' },
+  { bytes: [0x49, 0x44, 0x33], extensions: ['mp3'], mimeType: 'audio/mpeg' }
+];
+
+/**
+ * Detect a file's type from its content
+ * @param {Buffer} buffer - File content
+ * @returns {{ extensions: string[], mimeType: string } | null} Extensions the content is consistent with, or null if unknown
+ */
+export const detectFileType = (buffer) => {
+  if (!buffer || buffer.length === 0) return null;
+
+  const match = SIGNATURES.find(signature => startsWith(buffer, signature.bytes));
+  if (match) return { extensions: match.extensions, mimeType: match.mimeType };
+
+  if (startsWith(buffer, [0x50, 0x4B, 0x03, 0x04])) return detectZipFamily(buffer);
+
+  // ISO media: "ftyp" box at offset 4
+  if (startsWith(buffer, [0x66, 0x74, 0x79, 0x70], 4)) return { extensions: ['mp4', 'mov', 'm4a'], mimeType: 'video/mp4' };
+
+  if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)) {
+    return { extensions: ['webp'], mimeType: 'image/webp' };
+  }
+
+  if (isText(buffer)) {
+    const head = buffer.subarray(0, 512).toString('utf8').trimStart().toLowerCase();
+    if (head.startsWith('<!doctype html') || head.startsWith('<html')) {
+      return { extensions: ['html', 'htm'], mimeType: 'text/html' };
+    }
+    if (head.startsWith('<svg') || (head.startsWith('<?xml') && head.includes('<svg'))) {
+      return { extensions: ['svg'], mimeType: 'image/svg+xml' };
+    }
+    return { extensions: ['txt', 'csv', 'md', 'json'], mimeType: 'text/plain' };
+  }
+
+  return null;
+};
+
+/**
+ * Lower-case extension of a file name, without the dot ('' if none)
+ */
+export const getExtension = (fileName) => {
+  const match = /\.([a-z0-9]+)$/i.exec(fileName || '');
+  return match ? match[1].toLowerCase() : '';
+};
@@ -0,0 +1,207 @@
+import zlib from 'zlib';
+
+/**
+ * Best-effort plain text extraction from uploaded documents, for the similarity check.
+ * Handles plain text, HTML, Office Open XML (docx, pptx, xlsx) and the text operators of PDFs.
+ * Legacy Office files, images and scanned PDFs yield no text.
+ */
+
+// Upper bound on extracted text, and on any single decompressed part, so a crafted file cannot exhaust memory
+export const MAX_TEXT_LENGTH = 200000;
+const MAX_PART_BYTES = 20 * 1024 * 1024;
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'', nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) && code <= 0x10FFFF ? String.fromCodePoint(code) : ' ';
+  }
+  return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+const htmlToText = (html) => decodeEntities(html
+  .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+  .replace(/<(br|\/p|\/div|\/li|\/h\d|\/tr)\b[^>]*>/gi, '\n')
+  .replace(/<[^>]+>/g, ' '));
+
+// Runs inside a paragraph may split words, so only paragraph, cell, tab and break tags become whitespace
+const ooxmlToText = (xml) => decodeEntities(xml
+  .replace(/<\/(w:p|a:p|si|c)>/g, '\n')
+  .replace(/<(w:tab|w:br|a:br)\b[^>]*\/>/g, ' ')
+  .replace(/<[^>]+>/g, ''));
+
+/**
+ * Entries of a zip archive, read from its central directory
+ * @returns {Map<string, { method: number, compressedSize: number, localOffset: number }>}
+ */
+const readZipDirectory = (buffer) => {
+  const entries = new Map();
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) return entries;
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let i = 0; i < count && offset + 46 <= buffer.length; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) break;
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    entries.set(name, {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  return entries;
+};
+
+const readZipEntry = (buffer, entry) => {
+  const { localOffset, compressedSize, method } = entry;
+  if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) return null;
+  const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+  const data = buffer.subarray(start, start + compressedSize);
+  if (method === 0) return data;
+  if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_PART_BYTES });
+  return null;
+};
+
+// Text parts of each Office Open XML format, in reading order
+const OOXML_PARTS = {
+  docx: (names) => names.filter(name => /^word\/(document|footnotes|endnotes)\.xml$/.test(name)),
+  pptx: (names) => names.filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0])),
+  xlsx: (names) => names.filter(name => name === 'xl/sharedStrings.xml')
+};
+
+const extractOoxml = (buffer, extension) => {
+  const entries = readZipDirectory(buffer);
+  const parts = OOXML_PARTS[extension]([...entries.keys()]);
+  return parts.map(name => {
+    const data = readZipEntry(buffer, entries.get(name));
+    return data ? ooxmlToText(data.toString('utf8')) : '';
+  }).join('\n');
+};
+
+const PDF_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+
+const decodePdfLiteral = (literal) => literal.replace(/\\([0-7]{1,3}|.)/gs, (match, escaped) => {
+  if (/^[0-7]+$/.test(escaped)) return String.fromCharCode(parseInt(escaped, 8) & 0xFF);
+  if (escaped === '\n' || escaped === '\r') return '';
+  return PDF_ESCAPES[escaped] ?? escaped;
+});
+
+const decodePdfHex = (hex) => {
+  const digits = hex.replace(/[^\da-f]/gi, '');
+  let text = '';
+  for (let i = 0; i < digits.length; i += 2) text += String.fromCharCode(parseInt(digits.slice(i, i + 2).padEnd(2, '0'), 16));
+  return text;
+};
+
+// Strings shown by Tj, ', " and TJ, with text positioning operators read as word breaks
+const PDF_TEXT = /\[((?:\((?:[^()\\]|\\.)*\)|<[\da-f\s]*>|[^\]()<])*)\]\s*TJ|\(((?:[^()\\]|\\.)*)\)\s*(?:Tj|'|")|<([\da-f\s]*)>\s*Tj|(?<!\w)(T\*|Td|TD|Tm|ET)(?!\w)/gis;
+const PDF_ARRAY_ITEM = /\(((?:[^()\\]|\\.)*)\)|<([\da-f\s]*)>|(-?\d+(?:\.\d+)?)/gs;
+
+const pdfContentToText = (content) => {
+  let text = '';
+  for (const [, array, literal, hex, operator] of content.matchAll(PDF_TEXT)) {
+    if (operator) {
+      text += operator === 'Tm' || operator === 'ET' ? '\n' : ' ';
+    } else if (literal !== undefined) {
+      text += decodePdfLiteral(literal);
+    } else if (hex !== undefined) {
+      text += decodePdfHex(hex);
+    } else {
+      for (const [, itemLiteral, itemHex, kerning] of array.matchAll(PDF_ARRAY_ITEM)) {
+        if (itemLiteral !== undefined) text += decodePdfLiteral(itemLiteral);
+        else if (itemHex !== undefined) text += decodePdfHex(itemHex);
+        // Large negative kerning is how many PDFs draw the space between words
+        else if (Number(kerning) <= -200) text += ' ';
+      }
+    }
+  }
+  return text;
+};
+
+const extractPdf = (buffer) => {
+  const raw = buffer.toString('latin1');
+  const chunks = [];
+  let length = 0;
+  let position = 0;
+  while (length < MAX_TEXT_LENGTH) {
+    const keyword = raw.indexOf('stream', position);
+    if (keyword < 0) break;
+    position = keyword + 6;
+    if (raw.startsWith('end', keyword - 3)) continue;
+
+    let start = keyword + 6;
+    if (raw[start] === '\r') start++;
+    if (raw[start] === '\n') start++;
+    const end = raw.indexOf('endstream', start);
+    if (end < 0) break;
+    position = end + 9;
+
+    // The stream's dictionary sits between "obj" and "stream"; images, fonts and other binary streams carry no text
+    const dictionary = raw.slice(Math.max(raw.lastIndexOf('obj', keyword), 0), keyword);
+    if (/\/Subtype\s*\/(Image|Form)|\/Length[123]|\/Type\s*\/(XRef|ObjStm|Metadata)/.test(dictionary)) continue;
+    let data = buffer.subarray(start, end);
+    try {
+      if (/\/FlateDecode/.test(dictionary)) data = zlib.inflateSync(data, { maxOutputLength: MAX_PART_BYTES });
+      else if (/\/Filter/.test(dictionary)) continue;
+    } catch {
+      continue;
+    }
+
+    const text = pdfContentToText(data.toString('latin1'));
+    chunks.push(text);
+    length += text.length;
+  }
+  return chunks.join('\n');
+};
+
+/**
+ * Extract the readable text of a document
+ * @param {Buffer} buffer - File content
+ * @param {string} extension - The stored (content-checked) extension
+ * @returns {string} The text, at most MAX_TEXT_LENGTH characters ('' when nothing could be read)
+ */
+export const extractText = (buffer, extension) => {
+  if (!buffer || buffer.length === 0) return '';
+
+  let text = '';
+  try {
+    switch (extension) {
+      case 'txt':
+      case 'md':
+      case 'csv':
+      case 'json':
+        text = buffer.toString('utf8');
+        break;
+      case 'html':
+      case 'htm':
+        text = htmlToText(buffer.toString('utf8'));
+        break;
+      case 'docx':
+      case 'pptx':
+      case 'xlsx':
+        text = extractOoxml(buffer, extension);
+        break;
+      case 'pdf':
+        text = extractPdf(buffer);
+        break;
+      default:
+        text = '';
+    }
+  } catch {
+    // Malformed or oversized content: treat as having no text
+    text = '';
+  }
+
+  return text.slice(0, MAX_TEXT_LENGTH);
+};